@@ -2,6 +2,8 @@ import { useEffect } from 'react'
 import './App.css'
 import StatusBar from './components/StatusBar'
 import ConsolePanel from './components/ConsolePanel'
+import PairingCode from './components/PairingCode'
+import McpApproval from './components/McpApproval'
 
 import { useConsole } from './hooks/useConsole'
 import { useSocket } from './hooks/useSocket'
@@ -20,7 +22,13 @@ function App() {
     socketRef,
     connectSocket,
     handleReconnect,
-    setDeviceInfo
+    setDeviceInfo,
+    pairingCode,
+    requestPairingCode,
+    clearPairingCode,
+    requestNewPin,
+    mcpApprovals,
+    respondToApproval
   } = useSocket(addConsoleLog, sendErrorToServer)
 
   // R1 SDK hook
@@ -89,12 +97,26 @@ function App() {
         onChangePin={handleChangePin}
         onDisablePin={handleDisablePin}
         onEnablePin={handleEnablePin}
+        onNewPin={requestNewPin}
+        onPair={requestPairingCode}
       />
 
       <div className="main-content">
         <ConsolePanel consoleLogs={consoleLogs} ref={consoleRef} />
       </div>
 
+      {pairingCode && (
+        <PairingCode
+          pairing={pairingCode}
+          onRenew={requestPairingCode}
+          onClose={clearPairingCode}
+        />
+      )}
+
+      {mcpApprovals.length > 0 && (
+        <McpApproval approval={mcpApprovals[0]} onRespond={respondToApproval} />
+      )}
+
     </div>
   )
 }
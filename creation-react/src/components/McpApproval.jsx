@@ -0,0 +1,47 @@
+import React, { useState, useEffect } from 'react'
+import { CheckIcon, CloseIcon } from './Icons'
+
+// Asks whether an MCP tool call of a running chat completion may go ahead.
+// The control panel can answer the same approval; whichever is first wins.
+function McpApproval({ approval, onRespond }) {
+  const [remember, setRemember] = useState(false)
+  const [secondsLeft, setSecondsLeft] = useState(0)
+
+  useEffect(() => {
+    setRemember(false)
+    const update = () => {
+      setSecondsLeft(Math.max(0, Math.round((new Date(approval.expires_at) - Date.now()) / 1000)))
+    }
+    update()
+    const interval = setInterval(update, 1000)
+    return () => clearInterval(interval)
+  }, [approval.id, approval.expires_at])
+
+  return (
+    <div className="mcp-approval-overlay">
+      <span className="pairing-hint">Allow tool call?</span>
+      <span className="mcp-approval-tool">{approval.server}.{approval.tool}</span>
+      <code className="mcp-approval-arguments">{JSON.stringify(approval.arguments)}</code>
+
+      <label className="mcp-approval-remember">
+        <input type="checkbox" checked={remember} onChange={(e) => setRemember(e.target.checked)} />
+        Remember for this tool
+      </label>
+
+      <div className="mcp-approval-actions">
+        <button className="pair-btn" onClick={() => onRespond(approval.id, true, remember)}>
+          <CheckIcon size={12} />
+          <span>Allow</span>
+        </button>
+        <button className="pair-btn" onClick={() => onRespond(approval.id, false, remember)}>
+          <CloseIcon size={12} />
+          <span>Deny</span>
+        </button>
+      </div>
+
+      <span className="pairing-hint">Denied automatically in {secondsLeft}s</span>
+    </div>
+  )
+}
+
+export default McpApproval
@@ -0,0 +1,49 @@
+import React, { useState, useEffect } from 'react'
+import QRCode from 'qrcode.react'
+import { CloseIcon, RefreshIcon } from './Icons'
+
+// Shows a one-time pairing code. The QR code opens the control panel, which
+// redeems the code; it can also be typed in or sent to POST /pair.
+function PairingCode({ pairing, onRenew, onClose }) {
+  const [secondsLeft, setSecondsLeft] = useState(0)
+
+  useEffect(() => {
+    const update = () => {
+      setSecondsLeft(Math.max(0, Math.round((new Date(pairing.expiresAt) - Date.now()) / 1000)))
+    }
+    update()
+    const interval = setInterval(update, 1000)
+    return () => clearInterval(interval)
+  }, [pairing.expiresAt])
+
+  const pairingUrl = `${window.location.origin}/?pair=${encodeURIComponent(pairing.code)}`
+  const expired = secondsLeft === 0
+
+  return (
+    <div className="pairing-overlay">
+      <button className="pin-action pairing-close" onClick={onClose} title="Close">
+        <CloseIcon size={12} />
+      </button>
+
+      {expired ? (
+        <>
+          <span className="pairing-hint">Pairing code expired</span>
+          <button className="pair-btn" onClick={onRenew}>
+            <RefreshIcon size={12} />
+            <span>New code</span>
+          </button>
+        </>
+      ) : (
+        <>
+          <QRCode value={pairingUrl} size={160} fgColor="#FFFFFF" bgColor="#111111" level="M" />
+          <code className="pairing-code">{pairing.code}</code>
+          <span className="pairing-hint">
+            Single use, expires in {Math.floor(secondsLeft / 60)}:{String(secondsLeft % 60).padStart(2, '0')}
+          </span>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default PairingCode
@@ -1,6 +1,7 @@
 import React from 'react'
 import {
   CloseIcon,
+  LinkIcon,
   LockIcon,
   RefreshIcon,
   DotIcon
@@ -14,7 +15,9 @@ function StatusBar({
   onReconnect,
   onChangePin,
   onDisablePin,
-  onEnablePin
+  onEnablePin,
+  onNewPin,
+  onPair
 }) {
   return (
     <div className="status-bar">
@@ -49,13 +52,33 @@ function StatusBar({
           </div>
         )}
 
-        {(!deviceInfo?.pinEnabled || !deviceInfo?.pinCode) && deviceId && (
+        {/* The PIN is only known in the session it was issued in */}
+        {deviceInfo?.pinEnabled && !deviceInfo?.pinCode && (
+          <div className="pin-badge">
+            <span className="pin-label">PIN</span>
+            <code className="pin-code">••••••</code>
+            <div className="pin-actions">
+              <button className="pin-action" onClick={onNewPin} disabled={!isConnected} title="New PIN">
+                <RefreshIcon size={12} />
+              </button>
+            </div>
+          </div>
+        )}
+
+        {!deviceInfo?.pinEnabled && deviceId && (
           <button className="enable-pin-btn" onClick={onEnablePin} title="Enable PIN">
             <LockIcon size={12} />
             <span>Enable PIN</span>
           </button>
         )}
 
+        {deviceId && (
+          <button className="pair-btn" onClick={onPair} disabled={!isConnected} title="Pair with a pairing code">
+            <LinkIcon size={12} />
+            <span>Pair</span>
+          </button>
+        )}
+
         {deviceId && (
           <button
             className="refresh-btn"
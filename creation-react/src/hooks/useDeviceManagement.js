@@ -7,24 +7,26 @@ export function useDeviceManagement(deviceId, deviceInfo, setDeviceInfo, addCons
       const response = await fetch(`/${targetDeviceId}/info`, {
         method: 'GET',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...(deviceInfo?.pinCode && { 'Authorization': `Bearer ${deviceInfo.pinCode}` })
         }
       })
 
       if (response.ok) {
         const data = await response.json()
-        addConsoleLog(`Device info refreshed: PIN=${data.pinCode}, enabled=${data.pinEnabled}`, 'info')
-        setDeviceInfo({
-          pinCode: data.pinCode,
-          pinEnabled: data.pinEnabled !== false && data.pinCode !== null
-        })
+        // The server never returns the PIN itself; keep the one this device has
+        addConsoleLog(`Device info refreshed: PIN enabled=${data.pinEnabled}`, 'info')
+        setDeviceInfo(prev => ({
+          pinCode: data.pinEnabled ? prev?.pinCode || null : null,
+          pinEnabled: data.pinEnabled === true
+        }))
       } else {
         addConsoleLog(`Failed to refresh device info: ${response.status}`, 'error')
       }
     } catch (error) {
       addConsoleLog(`Error refreshing device info: ${error.message}`, 'error')
     }
-  }, [addConsoleLog, setDeviceInfo])
+  }, [addConsoleLog, deviceInfo?.pinCode, setDeviceInfo])
 
   const handleRefreshDeviceInfo = useCallback(async () => {
     if (!deviceId) {
@@ -68,7 +70,8 @@ export function useDeviceManagement(deviceId, deviceInfo, setDeviceInfo, addCons
       const response = await fetch(`/${targetDeviceId}/sync`, {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...(deviceInfo?.pinCode && { 'Authorization': `Bearer ${deviceInfo.pinCode}` })
         },
         body: JSON.stringify({
           socketId: socketRef?.current?.id,
@@ -85,12 +88,12 @@ export function useDeviceManagement(deviceId, deviceInfo, setDeviceInfo, addCons
         addConsoleLog(`[OK] Device sync successful: ${JSON.stringify(data)}`, 'info')
 
         // Update local device info with server data
-        if (data.pinCode !== deviceInfo?.pinCode) {
-          addConsoleLog(`[SYNC] PIN updated from server: ${data.pinCode}`, 'info')
+        if (data.pinEnabled !== deviceInfo?.pinEnabled) {
+          addConsoleLog(`[SYNC] PIN ${data.pinEnabled ? 'enabled' : 'disabled'} on server`, 'info')
           setDeviceInfo(prev => ({
             ...prev,
-            pinCode: data.pinCode,
-            pinEnabled: data.pinEnabled !== false && data.pinCode !== null
+            pinCode: data.pinEnabled ? prev?.pinCode || null : null,
+            pinEnabled: data.pinEnabled === true
           }))
         }
       } else {
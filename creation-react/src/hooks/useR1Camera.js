@@ -0,0 +1,67 @@
+// Handle magic_cam_* commands from socket
+// A capture that carries a requestId is answered with magic_cam_photo (or an
+// error event) under the same ID; the other commands have no reply.
+
+// r1.camera.capturePhoto may give a data URL or a Blob
+const toDataUrl = (photo) => new Promise((resolve, reject) => {
+  if (typeof photo === 'string') {
+    resolve(photo)
+    return
+  }
+  const reader = new FileReader()
+  reader.onload = () => resolve(reader.result)
+  reader.onerror = () => reject(reader.error)
+  reader.readAsDataURL(photo)
+})
+
+export const handleMagicCam = async (command, data, socket, addLog, sendError, r1CreateRef) => {
+  const camera = r1CreateRef.current?.camera
+  const requestId = data?.requestId
+
+  try {
+    if (!camera) {
+      throw new Error('R1 camera API not available')
+    }
+
+    if (command === 'magic_cam_start') {
+      addLog(`[CAM] Starting camera (${data?.facingMode || 'user'})`)
+      await camera.start({ facingMode: data?.facingMode || 'user' })
+    } else if (command === 'magic_cam_stop') {
+      addLog('[CAM] Stopping camera')
+      await camera.stop()
+    } else if (command === 'magic_cam_switch') {
+      addLog('[CAM] Switching camera')
+      await camera.switchCamera()
+    } else if (command === 'magic_cam_capture') {
+      const width = data?.width || 240
+      const height = data?.height || 282
+      addLog(`[CAM] Capturing ${width}x${height} photo${requestId ? ` for ${requestId}` : ''}`)
+
+      // The camera has to be running to take a photo
+      if (typeof camera.isActive === 'function' && !camera.isActive()) {
+        await camera.start({ facingMode: 'user' })
+      }
+      const photo = await camera.capturePhoto(width, height)
+
+      if (requestId) {
+        const imageData = await toDataUrl(photo)
+        socket.emit('magic_cam_photo', {
+          requestId,
+          imageData,
+          deviceId: socket._deviceId
+        })
+        addLog(`[CAM] Sent photo for ${requestId} (${imageData.length} chars)`)
+      }
+    }
+  } catch (error) {
+    addLog(`[ERR] Camera ${command} failed: ${error.message}`, 'error')
+    if (requestId) {
+      socket.emit('error', {
+        requestId,
+        error: `R1 camera error: ${error.message}`,
+        deviceId: socket._deviceId
+      })
+    }
+    sendError('error', `R1 camera ${command} failed: ${error.message}`)
+  }
+}
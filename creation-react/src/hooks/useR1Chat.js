@@ -8,12 +8,18 @@ export const handleChatCompletion = (data, socket, addLog, sendError, r1CreateRe
 
   // Extract image data if present
   const imageBase64 = data.imageBase64 || data.data?.imageBase64
+  const images = data.images || data.data?.images || (imageBase64 ? [imageBase64] : [])
+  const inputAudio = data.inputAudio || data.data?.inputAudio
   const pluginId = data.pluginId || data.data?.pluginId
+  const stream = data.stream || data.data?.stream || false
 
   addLog(`[OUT] Processing request ${currentRequestId}`)
   addLog(`[OUT] Message to send: "${messageToSend}"`)
   if (imageBase64) {
-    addLog(`[IMG] Image data detected (${imageBase64.length} chars)`)
+    addLog(`[IMG] ${images.length} image(s) detected (${imageBase64.length} chars in first)`)
+  }
+  if (inputAudio) {
+    addLog(`[AUDIO] Audio input detected (${inputAudio.format}, ${inputAudio.data.length} chars)`)
   }
   if (pluginId) {
     addLog(`[PLUGIN] Plugin ID: ${pluginId}`)
@@ -36,6 +42,16 @@ export const handleChatCompletion = (data, socket, addLog, sendError, r1CreateRe
         addLog(`[IMG] Including image data in message options`)
       }
 
+      // Pass every image along when the request carried more than one
+      if (images.length > 1) {
+        messageOptions.images = images
+        addLog(`[IMG] Including ${images.length} images in message options`)
+      }
+
+      if (inputAudio) {
+        messageOptions.inputAudio = inputAudio
+      }
+
       // Add plugin ID if present
       if (pluginId) {
         messageOptions.pluginId = pluginId
@@ -62,6 +78,7 @@ export const handleChatCompletion = (data, socket, addLog, sendError, r1CreateRe
       if (currentRequestId) {
         socket._pendingRequestId = currentRequestId
         socket._originalMessage = data.originalMessage || data.data?.originalMessage
+        socket._streamedResponse = null
         addLog(`[MEMO] Stored pending request: ${currentRequestId}`)
       }
 
@@ -117,6 +134,26 @@ export const handleChatCompletion = (data, socket, addLog, sendError, r1CreateRe
           deviceId: socket._deviceId
         }
 
+        if (stream) {
+          // Exercise the chunked protocol: one response_chunk per word, then response_done
+          const words = simulatedResponse.split(' ')
+          words.forEach((word, index) => {
+            setTimeout(() => {
+              if (!socket.connected) return
+              socket.emit('response_chunk', {
+                requestId: currentRequestId,
+                delta: word + (index < words.length - 1 ? ' ' : ''),
+                deviceId: socket._deviceId
+              })
+              if (index === words.length - 1) {
+                socket.emit('response_done', responseData)
+                addLog(`[OK] Sent simulated R1 response as ${words.length} chunks`)
+              }
+            }, index * 30)
+          })
+          return
+        }
+
         addLog(`[OUT] Sending simulated response: ${JSON.stringify(responseData, null, 2)}`)
         socket.emit('response', responseData)
         addLog(`[OK] Sent simulated R1 response via socket`)
@@ -2,6 +2,7 @@ import { useRef, useEffect } from 'react'
 import { r1 } from 'r1-create'
 import { handleTextToSpeech } from './useR1TTS.js'
 import { handleChatCompletion } from './useR1Chat.js'
+import { handleMagicCam } from './useR1Camera.js'
 import { testR1APIs } from './r1SDKUtils.js'
 
 export function useR1SDK(addConsoleLog, sendErrorToServer, socketRef) {
@@ -24,6 +25,22 @@ export function useR1SDK(addConsoleLog, sendErrorToServer, socketRef) {
         // Set up message handler for LLM responses
         try {
           r1.messaging.onMessage((response) => {
+            // Partial LLM output is forwarded as it arrives so the server can stream it
+            if (response && (response.partial === true || typeof response.delta === 'string')) {
+              const delta = typeof response.delta === 'string' ? response.delta : (response.message || response.content || '')
+              const socket = socketRef.current
+
+              if (socket && socket.connected && socket._pendingRequestId && delta) {
+                socket.emit('response_chunk', {
+                  requestId: socket._pendingRequestId,
+                  delta,
+                  deviceId: socket._deviceId
+                })
+                socket._streamedResponse = (socket._streamedResponse || '') + delta
+              }
+              return
+            }
+
             addConsoleLog(`[OUT] R1 SDK message received: ${JSON.stringify(response, null, 2)}`)
 
             // The R1 responds with {"message":"text"}, so extract the response text
@@ -46,12 +63,15 @@ export function useR1SDK(addConsoleLog, sendErrorToServer, socketRef) {
 
               addConsoleLog(`[OUT] Sending response data: ${JSON.stringify(responseData, null, 2)}`)
 
-              socketRef.current.emit('response', responseData)
-              addConsoleLog(`[OUT] Sent R1 SDK response via socket: "${responseText.substring(0, 50)}..." (requestId: ${socketRef.current._pendingRequestId})`)
+              // Close the chunked response if partial output was already sent
+              const eventName = socketRef.current._streamedResponse != null ? 'response_done' : 'response'
+              socketRef.current.emit(eventName, responseData)
+              addConsoleLog(`[OUT] Sent R1 SDK ${eventName} via socket: "${responseText.substring(0, 50)}..." (requestId: ${socketRef.current._pendingRequestId})`)
 
               // Clear the pending request data
               socketRef.current._pendingRequestId = null
               socketRef.current._originalMessage = null
+              socketRef.current._streamedResponse = null
             } else {
               addConsoleLog('Socket not connected, cannot send response', 'error')
             }
@@ -81,6 +101,8 @@ export function useR1SDK(addConsoleLog, sendErrorToServer, socketRef) {
       handleChatCompletion(data, socket, addLog, sendError, r1CreateRef)
     window.handleTextToSpeech = (data, socket, addLog, sendError) =>
       handleTextToSpeech(data, socket, addLog, sendError, r1CreateRef)
+    window.handleMagicCam = (command, data, socket, addLog, sendError) =>
+      handleMagicCam(command, data, socket, addLog, sendError, r1CreateRef)
 
     // Cleanup
     return () => {
@@ -90,6 +112,9 @@ export function useR1SDK(addConsoleLog, sendErrorToServer, socketRef) {
       if (window.handleTextToSpeech) {
         delete window.handleTextToSpeech
       }
+      if (window.handleMagicCam) {
+        delete window.handleMagicCam
+      }
     }
   }, [addConsoleLog, sendErrorToServer, socketRef])
 
@@ -6,6 +6,8 @@ export function useSocket(addConsoleLog, sendErrorToServer) {
   const [deviceId, setDeviceId] = useState(null)
   const [deviceInfo, setDeviceInfo] = useState(null)
   const [connectionStatus, setConnectionStatus] = useState('Initializing...')
+  const [pairingCode, setPairingCode] = useState(null)
+  const [mcpApprovals, setMcpApprovals] = useState([])
 
   const socketRef = useRef(null)
 
@@ -56,6 +58,7 @@ export function useSocket(addConsoleLog, sendErrorToServer) {
       if (socketRef.current._pendingRequestId) {
         socketRef.current._pendingRequestId = null
         socketRef.current._originalMessage = null
+        socketRef.current._streamedResponse = null
       }
 
       // Clear heartbeat interval
@@ -108,10 +111,16 @@ export function useSocket(addConsoleLog, sendErrorToServer) {
       // Store deviceId in socket ref for reliable access
       socketRef.current._deviceId = data.deviceId
 
-      setDeviceInfo({
-        pinCode: data.pinCode,
-        pinEnabled: data.pinEnabled !== false && data.pinCode !== null
-      })
+      // The server keeps only a hash of the PIN and sends it once, when it is
+      // generated or changed; it is shown for this session and never stored
+      localStorage.removeItem('r1_device_pin')
+      const pinEnabled = data.pinEnabled === true
+      const pinCode = data.pinCode || null
+      setDeviceInfo({ pinCode, pinEnabled })
+
+      if (pinEnabled && !pinCode) {
+        addConsoleLog('[AUTH] PIN is set but was only shown when it was created - request a new PIN to see one', 'info')
+      }
 
       // Handle device secret for persistence
       if (data.deviceSecret && !data.isReconnection) {
@@ -150,7 +159,7 @@ export function useSocket(addConsoleLog, sendErrorToServer) {
         }
       }, 30000) // Ping every 30 seconds
 
-      // Automatically refresh device info to get the latest PIN from server
+      // Automatically refresh device info to get the latest PIN state from server
       setTimeout(() => {
         if (data.deviceId && window.refreshDeviceInfo) {
           window.refreshDeviceInfo(data.deviceId)
@@ -177,7 +186,7 @@ export function useSocket(addConsoleLog, sendErrorToServer) {
       }, 2000)
 
       // Check if PIN is required for chat completions
-      if (!data.pinCode) {
+      if (!pinEnabled) {
         addConsoleLog(`[WARN] Device has no PIN set - this might be required for chat completions`, 'warn')
         addConsoleLog(`[TIP] Try enabling a PIN to see if chat completions work`, 'info')
       }
@@ -198,6 +207,20 @@ export function useSocket(addConsoleLog, sendErrorToServer) {
       }
     })
 
+    // Handle cancellation of a request the server no longer wants an answer for
+    socketRef.current.on('cancel_request', (data) => {
+      const requestId = data?.requestId
+      addConsoleLog(`[CANCEL] Server cancelled request ${requestId} (${data?.reason || 'unknown reason'})`, 'warn')
+
+      // Drop the pending request so a late LLM reply is not sent back
+      if (socketRef.current._pendingRequestId && socketRef.current._pendingRequestId === requestId) {
+        socketRef.current._pendingRequestId = null
+        socketRef.current._originalMessage = null
+        socketRef.current._streamedResponse = null
+        addConsoleLog(`[CANCEL] Dropped pending request ${requestId}`, 'info')
+      }
+    })
+
     // Handle incoming text-to-speech requests
     socketRef.current.on('text_to_speech', (data) => {
       const requestId = data.requestId || data.data?.requestId
@@ -246,6 +269,18 @@ export function useSocket(addConsoleLog, sendErrorToServer) {
       }
     })
 
+    // Camera commands (magic-cam routes, fan-out and the capture_photo MCP tool)
+    for (const command of ['magic_cam_start', 'magic_cam_stop', 'magic_cam_capture', 'magic_cam_switch']) {
+      socketRef.current.on(command, (data) => {
+        addConsoleLog(`[CAM] Received ${command}`, 'info')
+        if (window.handleMagicCam) {
+          window.handleMagicCam(command, data, socketRef.current, addConsoleLog, sendErrorToServer)
+        } else {
+          addConsoleLog('[ERR] No camera handler available', 'error')
+        }
+      })
+    }
+
     // Handle server errors/notifications
     socketRef.current.on('error', (data) => {
       addConsoleLog(`[ERR] Server error: ${JSON.stringify(data)}`, 'error')
@@ -255,11 +290,68 @@ export function useSocket(addConsoleLog, sendErrorToServer) {
       addConsoleLog(`[NOTIFY] Server notification: ${JSON.stringify(data)}`, 'info')
     })
 
+    // New PIN for this device (reset, changed or disabled through the API)
+    socketRef.current.on('pin_updated', (data) => {
+      setDeviceInfo(prev => ({ ...prev, pinCode: data?.pinCode || null, pinEnabled: Boolean(data?.pinEnabled) }))
+      addConsoleLog(`[AUTH] PIN ${data?.pinEnabled ? 'updated' : 'disabled'} by server`, 'info')
+    })
+
+    // Someone is guessing this device's PIN and has been locked out
+    socketRef.current.on('auth_lockout', (data) => {
+      const source = data?.target === 'ip' ? 'a client address' : 'this device'
+      addConsoleLog(`[LOCK] PIN locked for ${source} after ${data?.failedAttempts} failed attempts, until ${data?.lockedUntil}`, 'warn')
+    })
+
+    // One-time pairing code to show as a QR code
+    socketRef.current.on('pairing_code', (data) => {
+      setPairingCode({ code: data.code, expiresAt: data.expiresAt })
+      addConsoleLog(`[AUTH] Pairing code issued, valid for ${data.expiresIn}s`, 'info')
+    })
+
+    socketRef.current.on('paired', (data) => {
+      setPairingCode(null)
+      addConsoleLog(`[AUTH] Paired: ${data?.credential === 'api_key' ? 'API key' : 'control panel session'} issued`, 'info')
+    })
+
+    // An MCP tool call of a chat completion waits for approval
+    socketRef.current.on('mcp_approval_request', (approval) => {
+      setMcpApprovals(prev => [...prev, approval])
+      addConsoleLog(`[MCP] Approval requested for ${approval.server}.${approval.tool}`, 'warn')
+    })
+
+    // Decided here, in the control panel or timed out
+    socketRef.current.on('mcp_approval_resolved', (data) => {
+      setMcpApprovals(prev => prev.filter(approval => approval.id !== data.id))
+      addConsoleLog(`[MCP] Tool call ${data.reason === 'timeout' ? 'approval timed out' : data.reason}`, data.approved ? 'info' : 'warn')
+    })
+
     // Device connection/disconnection events removed to prevent device ID leakage
 
     // Debug data broadcasts removed to prevent device ID leakage
   }, [addConsoleLog, sendErrorToServer])
 
+  const requestPairingCode = useCallback(() => {
+    if (socketRef.current && socketRef.current.connected) {
+      socketRef.current.emit('request_pairing_code')
+    }
+  }, [])
+
+  const clearPairingCode = useCallback(() => setPairingCode(null), [])
+
+  // Replace a PIN this session has not seen; the new one arrives as pin_updated
+  const requestNewPin = useCallback(() => {
+    if (socketRef.current && socketRef.current.connected) {
+      socketRef.current.emit('reset_pin')
+    }
+  }, [])
+
+  const respondToApproval = useCallback((id, approved, remember = false) => {
+    if (socketRef.current && socketRef.current.connected) {
+      socketRef.current.emit('mcp_approval_response', { id, approved, remember })
+    }
+    setMcpApprovals(prev => prev.filter(approval => approval.id !== id))
+  }, [])
+
   const handleReconnect = useCallback(() => {
     if (socketRef.current) {
       socketRef.current.disconnect()
@@ -278,6 +370,12 @@ export function useSocket(addConsoleLog, sendErrorToServer) {
     socketRef,
     connectSocket,
     handleReconnect,
-    setDeviceInfo
+    setDeviceInfo,
+    pairingCode,
+    requestPairingCode,
+    clearPairingCode,
+    requestNewPin,
+    mcpApprovals,
+    respondToApproval
   }
 }
\ No newline at end of file
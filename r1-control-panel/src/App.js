@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import io from 'socket.io-client';
 import { HeartIcon } from './components/Icons';
 import DeviceLogin from './components/DeviceLogin';
@@ -6,6 +6,8 @@ import TabNavigation from './components/TabNavigation';
 import ChatInterface from './components/ChatInterface';
 import ApiDocs from './components/ApiDocs';
 import PhoneLink from './components/PhoneLink';
+import SecurityLog from './components/SecurityLog';
+import McpApprovals from './components/McpApprovals';
 import './App.css';
 
 function App() {
@@ -13,22 +15,93 @@ function App() {
   const [socket, setSocket] = useState(null);
   const [deviceId, setDeviceId] = useState('');
   const [pinCode, setPinCode] = useState('');
+  const [authToken, setAuthToken] = useState('');
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [authError, setAuthError] = useState('');
+  const refreshTimer = useRef(null);
 
   useEffect(() => {
-    // Check for saved credentials
+    // PINs used to be saved here; only the session's refresh token is kept now
+    localStorage.removeItem('r1-pin-code');
+
     const savedDeviceId = localStorage.getItem('r1-device-id');
-    const savedPinCode = localStorage.getItem('r1-pin-code');
-    
-    if (savedDeviceId) {
+    const savedRefreshToken = localStorage.getItem('r1-refresh-token');
+
+    // Opened from the QR code on the device
+    const pairingCode = new URLSearchParams(window.location.search).get('pair');
+    if (pairingCode) {
+      window.history.replaceState(null, '', window.location.pathname);
+      handlePair(pairingCode);
+    } else if (savedDeviceId) {
       setDeviceId(savedDeviceId);
-      setPinCode(savedPinCode || '');
-      // Auto-authenticate if we have saved credentials
-      handleLogin(savedDeviceId, savedPinCode || '');
+      // Resume the session if the refresh token is still valid
+      if (savedRefreshToken) {
+        refreshSession(savedDeviceId, savedRefreshToken, true);
+      }
     }
+
+    return () => clearTimeout(refreshTimer.current);
   }, []);
 
+  // Keep the short-lived access token in memory and renew it before it expires
+  const startSession = (deviceIdInput, session) => {
+    setDeviceId(deviceIdInput);
+    setPinCode('');
+    setAuthToken(session.access_token);
+    localStorage.setItem('r1-device-id', deviceIdInput);
+    localStorage.setItem('r1-refresh-token', session.refresh_token);
+
+    clearTimeout(refreshTimer.current);
+    const refreshInMs = Math.max(session.expires_in - 60, 10) * 1000;
+    refreshTimer.current = setTimeout(() => refreshSession(deviceIdInput, session.refresh_token), refreshInMs);
+  };
+
+  const connectSocket = () => {
+    // Initialize socket connection for real-time updates (NOT as a device)
+    const newSocket = io();
+    setSocket(newSocket);
+
+    newSocket.on('connect', () => {
+      console.log('Connected to R-API server');
+    });
+  };
+
+  const endSession = () => {
+    clearTimeout(refreshTimer.current);
+    setIsAuthenticated(false);
+    setAuthToken('');
+    localStorage.removeItem('r1-refresh-token');
+
+    setSocket(currentSocket => {
+      if (currentSocket) currentSocket.close();
+      return null;
+    });
+  };
+
+  const refreshSession = async (deviceIdInput, refreshToken, resuming = false) => {
+    try {
+      const response = await fetch(`/${deviceIdInput}/session/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refresh_token: refreshToken })
+      });
+
+      if (!response.ok) {
+        endSession();
+        setAuthError('Your session has ended, please log in again');
+        return;
+      }
+
+      startSession(deviceIdInput, await response.json());
+      if (resuming) {
+        setIsAuthenticated(true);
+        connectSocket();
+      }
+    } catch (error) {
+      console.error('Session refresh failed:', error);
+    }
+  };
+
   const handleLogin = async (deviceIdInput, pinCodeInput) => {
     setAuthError('');
     
@@ -38,74 +111,79 @@ function App() {
     }
 
     try {
-      // Test the device connection
-      const headers = {
-        'Content-Type': 'application/json'
-      };
+      // Exchange the PIN for a session; the PIN itself is not kept
+      const response = await fetch(`/${deviceIdInput}/session`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(pinCodeInput.trim() ? { pin: pinCodeInput.trim() } : {})
+      });
 
-      if (pinCodeInput.trim()) {
-        headers['Authorization'] = `Bearer ${pinCodeInput}`;
+      if (response.ok) {
+        startSession(deviceIdInput, await response.json());
+        setIsAuthenticated(true);
+        connectSocket();
+      } else {
+        const error = await response.json();
+        setAuthError(error.error?.message || 'Authentication failed');
       }
+    } catch (error) {
+      setAuthError(`Connection failed: ${error.message}`);
+    }
+  };
+
+  // Redeem a one-time pairing code shown on the device; it names the device
+  const handlePair = async (pairingCodeInput) => {
+    setAuthError('');
 
-      const response = await fetch(`/${deviceIdInput}/v1/models`, {
-        headers: headers
+    try {
+      const response = await fetch('/pair', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code: pairingCodeInput })
       });
+      const data = await response.json();
 
       if (response.ok) {
-        // Authentication successful
-        setDeviceId(deviceIdInput);
-        setPinCode(pinCodeInput);
+        startSession(data.device_id, data.session);
         setIsAuthenticated(true);
-        
-        // Save credentials
-        localStorage.setItem('r1-device-id', deviceIdInput);
-        if (pinCodeInput) {
-          localStorage.setItem('r1-pin-code', pinCodeInput);
-        } else {
-          localStorage.removeItem('r1-pin-code');
-        }
-
-        // Initialize socket connection for real-time updates (NOT as a device)
-        const newSocket = io();
-        setSocket(newSocket);
-
-        newSocket.on('connect', () => {
-          console.log('Connected to R-API server');
-        });
-
+        connectSocket();
       } else {
-        const error = await response.json();
-        setAuthError(error.error?.message || 'Authentication failed');
+        setAuthError(data.error?.message || 'Pairing failed');
       }
     } catch (error) {
       setAuthError(`Connection failed: ${error.message}`);
     }
   };
 
-  const handleLogout = () => {
-    setIsAuthenticated(false);
+  const handleLogout = async () => {
+    const refreshToken = localStorage.getItem('r1-refresh-token');
+    if (refreshToken) {
+      // Revoke the session on the server so its tokens stop working
+      fetch(`/${deviceId}/session`, {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refresh_token: refreshToken })
+      }).catch(error => console.error('Logout failed:', error));
+    }
+
+    endSession();
     setDeviceId('');
-    setPinCode('');
     setAuthError('');
     localStorage.removeItem('r1-device-id');
-    localStorage.removeItem('r1-pin-code');
-    
-    if (socket) {
-      socket.close();
-      setSocket(null);
-    }
   };
 
   const renderActiveTab = () => {
     switch (activeTab) {
       case 'chat':
-        return <ChatInterface socket={socket} deviceId={deviceId} pinCode={pinCode} />;
+        return <ChatInterface socket={socket} deviceId={deviceId} authToken={authToken} />;
       case 'phone':
-        return <PhoneLink deviceId={deviceId} />;
+        return <PhoneLink deviceId={deviceId} authToken={authToken} />;
+      case 'security':
+        return <SecurityLog deviceId={deviceId} authToken={authToken} />;
       case 'api-docs':
         return <ApiDocs deviceId={deviceId} />;
       default:
-        return <ChatInterface socket={socket} deviceId={deviceId} pinCode={pinCode} />;
+        return <ChatInterface socket={socket} deviceId={deviceId} authToken={authToken} />;
     }
   };
 
@@ -117,6 +195,7 @@ function App() {
         onDeviceIdChange={setDeviceId}
         onPinCodeChange={setPinCode}
         onLogin={handleLogin}
+        onPair={handlePair}
         error={authError}
       />
     );
@@ -135,6 +214,7 @@ function App() {
           </button>
         </div>
         
+        <McpApprovals deviceId={deviceId} authToken={authToken} />
         <TabNavigation activeTab={activeTab} onTabChange={setActiveTab} />
         <div className="tab-content">
           {renderActiveTab()}
@@ -1,7 +1,7 @@
 import React, { useState, useEffect, useRef } from 'react';
 import ReactMarkdown from 'react-markdown';
 
-const ChatInterface = ({ socket, deviceId, pinCode }) => {
+const ChatInterface = ({ socket, deviceId, authToken }) => {
   const [message, setMessage] = useState('');
   const [messages, setMessages] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
@@ -45,8 +45,8 @@ const ChatInterface = ({ socket, deviceId, pinCode }) => {
         'Content-Type': 'application/json'
       };
 
-      if (pinCode) {
-        headers['Authorization'] = `Bearer ${pinCode}`;
+      if (authToken) {
+        headers['Authorization'] = `Bearer ${authToken}`;
       }
 
       const response = await fetch(`/${deviceId}/v1/chat/completions`, {
@@ -7,9 +7,11 @@ const DeviceLogin = ({
     onDeviceIdChange,
     onPinCodeChange,
     onLogin,
+    onPair,
     error
 }) => {
     const [isLoading, setIsLoading] = useState(false);
+    const [pairingCode, setPairingCode] = useState('');
 
     const handleSubmit = async (e) => {
         e.preventDefault();
@@ -18,6 +20,13 @@ const DeviceLogin = ({
         setIsLoading(false);
     };
 
+    const handlePairSubmit = async (e) => {
+        e.preventDefault();
+        setIsLoading(true);
+        await onPair(pairingCode);
+        setIsLoading(false);
+    };
+
     return (
         <div className="login-container">
             <div className="login-card">
@@ -49,7 +58,7 @@ const DeviceLogin = ({
                                 className="login-input"
                                 value={pinCode}
                                 onChange={(e) => onPinCodeChange(e.target.value)}
-                                placeholder="PIN (optional)"
+                                placeholder="PIN or API key (optional)"
                                 autoComplete="current-password"
                                 disabled={isLoading}
                             />
@@ -68,6 +77,29 @@ const DeviceLogin = ({
                         </button>
                     </form>
 
+                    <form onSubmit={handlePairSubmit} className="login-form">
+                        <div className="login-field">
+                            <input
+                                id="pairingCode"
+                                type="text"
+                                className="login-input"
+                                value={pairingCode}
+                                onChange={(e) => setPairingCode(e.target.value)}
+                                placeholder="Pairing code from the R1 (e.g. ABCD-EFGH)"
+                                autoComplete="off"
+                                disabled={isLoading}
+                            />
+                        </div>
+
+                        <button
+                            type="submit"
+                            className="login-btn"
+                            disabled={isLoading || !pairingCode.trim()}
+                        >
+                            Pair
+                        </button>
+                    </form>
+
                     <div className="login-qr-section">
                         <h4>Add R1 Creation to R1</h4>
                         <QRCode
@@ -87,7 +119,7 @@ const DeviceLogin = ({
                 </div>
 
                 <div className="login-privacy">
-                    Credentials are stored locally in your browser only.
+                    Your PIN is never stored; only a session refresh token is kept in this browser.
                 </div>
             </div>
         </div>
@@ -1,7 +1,7 @@
 import React, { useState, useRef } from 'react';
 import { ImageIcon, PaperclipIcon, XIcon, SearchIcon, TrashIcon, CheckIcon, BotIcon, InfoIcon, WrenchIcon } from './Icons';
 
-const ImageTest = ({ deviceId, pinCode }) => {
+const ImageTest = ({ deviceId, authToken }) => {
   const [selectedFile, setSelectedFile] = useState(null);
   const [imagePreview, setImagePreview] = useState(null);
   const [prompt, setPrompt] = useState('Analyze this image and describe what you see in detail.');
@@ -74,8 +74,8 @@ const ImageTest = ({ deviceId, pinCode }) => {
         'Content-Type': 'application/json'
       };
 
-      if (pinCode) {
-        headers['Authorization'] = `Bearer ${pinCode}`;
+      if (authToken) {
+        headers['Authorization'] = `Bearer ${authToken}`;
       }
 
       const requestBody = {
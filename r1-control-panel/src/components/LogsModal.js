@@ -1,6 +1,6 @@
 import React, { useState, useEffect, useRef } from 'react';
 
-const LogsModal = ({ deviceId, pinCode, onClose }) => {
+const LogsModal = ({ deviceId, authToken, onClose }) => {
   const [logs, setLogs] = useState([]);
   const [serverFilter, setServerFilter] = useState('');
   const [servers, setServers] = useState([]);
@@ -27,8 +27,8 @@ const LogsModal = ({ deviceId, pinCode, onClose }) => {
   const loadServers = async () => {
     try {
       const headers = {};
-      if (pinCode) {
-        headers['Authorization'] = `Bearer ${pinCode}`;
+      if (authToken) {
+        headers['Authorization'] = `Bearer ${authToken}`;
       }
 
       const response = await fetch(`/${deviceId}/mcp/servers`, { headers });
@@ -50,8 +50,8 @@ const LogsModal = ({ deviceId, pinCode, onClose }) => {
       }
 
       const headers = {};
-      if (pinCode) {
-        headers['Authorization'] = `Bearer ${pinCode}`;
+      if (authToken) {
+        headers['Authorization'] = `Bearer ${authToken}`;
       }
 
       const response = await fetch(url, { headers });
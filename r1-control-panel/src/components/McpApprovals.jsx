@@ -0,0 +1,92 @@
+import React, { useState, useEffect } from 'react';
+import { WrenchIcon, CheckIcon, XIcon } from './Icons';
+
+const POLL_INTERVAL_MS = 3000;
+
+// MCP tool calls of running chat completions that wait for a decision
+// (GET /{deviceId}/mcp/approvals, admin scope). Renders nothing while none wait.
+const McpApprovals = ({ deviceId, authToken }) => {
+  const [approvals, setApprovals] = useState([]);
+  const [remember, setRemember] = useState({});
+  const [error, setError] = useState('');
+
+  const headers = authToken ? { 'Authorization': `Bearer ${authToken}` } : {};
+
+  useEffect(() => {
+    loadApprovals();
+    const interval = setInterval(loadApprovals, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [deviceId, authToken]);
+
+  const loadApprovals = async () => {
+    try {
+      const response = await fetch(`/${deviceId}/mcp/approvals`, { headers });
+      if (response.ok) {
+        const data = await response.json();
+        setApprovals(data.approvals);
+      }
+    } catch (err) {
+      // Polling again shortly
+    }
+  };
+
+  const decide = async (approval, action) => {
+    setError('');
+    try {
+      const response = await fetch(`/${deviceId}/mcp/approvals/${approval.id}/${action}`, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ remember: Boolean(remember[approval.id]) })
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        setError(data.error?.message || `Failed to ${action} the tool call`);
+      }
+    } catch (err) {
+      setError(`Connection failed: ${err.message}`);
+    } finally {
+      setApprovals(prev => prev.filter(item => item.id !== approval.id));
+    }
+  };
+
+  if (approvals.length === 0 && !error) {
+    return null;
+  }
+
+  return (
+    <div className="mcp-approvals card">
+      <h2 className="section-title"><WrenchIcon size={22} /> Tool approval needed</h2>
+
+      {error && <div className="message error">{error}</div>}
+
+      {approvals.map(approval => (
+        <div key={approval.id} className="mcp-approval">
+          <div className="mcp-approval-header">
+            <span className="mcp-tool-name">{approval.server}.{approval.tool}</span>
+            <span className="mcp-tool-usage">expires {new Date(approval.expires_at).toLocaleTimeString()}</span>
+          </div>
+          <pre className="mcp-approval-arguments">{JSON.stringify(approval.arguments, null, 2)}</pre>
+          <div className="mcp-approval-actions">
+            <label className="mcp-approval-remember">
+              <input
+                type="checkbox"
+                checked={Boolean(remember[approval.id])}
+                onChange={(e) => setRemember(prev => ({ ...prev, [approval.id]: e.target.checked }))}
+              />
+              Remember for this tool
+            </label>
+            <button className="btn btn-success btn-sm" onClick={() => decide(approval, 'approve')}>
+              <CheckIcon size={14} /> Approve
+            </button>
+            <button className="btn btn-danger btn-sm" onClick={() => decide(approval, 'deny')}>
+              <XIcon size={14} /> Deny
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default McpApprovals;
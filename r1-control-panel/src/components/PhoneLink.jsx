@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { PhoneIcon, CheckIcon, HourglassIcon, RefreshIcon } from './Icons';
 
-const PhoneLink = ({ deviceId }) => {
+const PhoneLink = ({ deviceId, authToken }) => {
   const [phoneNumber, setPhoneNumber] = useState('');
   const [verificationCode, setVerificationCode] = useState('');
   const [linkedPhones, setLinkedPhones] = useState([]);
@@ -14,13 +14,16 @@ const PhoneLink = ({ deviceId }) => {
   const [consentGiven, setConsentGiven] = useState(false);
   const [showConsentDetails, setShowConsentDetails] = useState(false);
 
+  // Phone links need the device's admin credential (API key or PIN)
+  const authHeaders = authToken ? { 'Authorization': `Bearer ${authToken}` } : {};
+
   useEffect(() => {
     loadLinkedPhones();
   }, [deviceId]);
 
   const loadLinkedPhones = async () => {
     try {
-      const response = await fetch(`/phone-links/${deviceId}`);
+      const response = await fetch(`/phone-links/${deviceId}`, { headers: authHeaders });
       if (response.ok) {
         const data = await response.json();
         setLinkedPhones(data);
@@ -40,6 +43,7 @@ const PhoneLink = ({ deviceId }) => {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...authHeaders,
         },
         body: JSON.stringify({
           deviceId,
@@ -75,8 +79,10 @@ const PhoneLink = ({ deviceId }) => {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...authHeaders,
         },
         body: JSON.stringify({
+          deviceId,
           phoneNumber,
           verificationCode,
         }),
@@ -118,8 +124,10 @@ const PhoneLink = ({ deviceId }) => {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...authHeaders,
         },
         body: JSON.stringify({
+          deviceId,
           phoneNumber: phoneNum,
         }),
       });
@@ -0,0 +1,124 @@
+import React, { useState, useEffect } from 'react';
+import { ShieldIcon, RefreshIcon } from './Icons';
+
+const ACTIONS = [
+  'auth.failed',
+  'auth.lockout',
+  'pin.enable',
+  'pin.change',
+  'pin.disable',
+  'pin.reset',
+  'phone.link',
+  'phone.verify',
+  'phone.unlink',
+  'device.reconnect',
+  'api_key.create',
+  'api_key.revoke',
+  'session.login',
+  'session.logout',
+  'pairing.redeem'
+];
+
+const PAGE_SIZE = 50;
+
+// Browses the device's security audit log (GET /{deviceId}/audit, admin scope)
+const SecurityLog = ({ deviceId, authToken }) => {
+  const [events, setEvents] = useState([]);
+  const [action, setAction] = useState('');
+  const [outcome, setOutcome] = useState('');
+  const [hasMore, setHasMore] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadEvents();
+  }, [deviceId, action, outcome]);
+
+  // Without `after` the list starts again from the newest event
+  const loadEvents = async (after = null) => {
+    setIsLoading(true);
+    setError('');
+
+    const params = new URLSearchParams({ limit: String(PAGE_SIZE) });
+    if (action) params.set('action', action);
+    if (outcome) params.set('outcome', outcome);
+    if (after) params.set('after', String(after));
+
+    try {
+      const response = await fetch(`/${deviceId}/audit?${params}`, {
+        headers: authToken ? { 'Authorization': `Bearer ${authToken}` } : {}
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setEvents(prev => (after ? [...prev, ...data.data] : data.data));
+        setHasMore(data.has_more);
+      } else {
+        setError(data.error?.message || 'Failed to load the audit log');
+      }
+    } catch (err) {
+      setError(`Connection failed: ${err.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const describeEvent = (event) => {
+    const details = event.details || {};
+    return details.reason || details.credential || details.phone_number || '';
+  };
+
+  return (
+    <div className="security-log">
+      <div className="card">
+        <h2 className="section-title"><ShieldIcon size={22} /> Security Log</h2>
+
+        <div className="security-filters">
+          <select className="form-select" value={action} onChange={(e) => setAction(e.target.value)}>
+            <option value="">All actions</option>
+            {ACTIONS.map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+          <select className="form-select" value={outcome} onChange={(e) => setOutcome(e.target.value)}>
+            <option value="">All outcomes</option>
+            <option value="success">Success</option>
+            <option value="failure">Failure</option>
+          </select>
+          <button className="btn btn-secondary btn-sm" onClick={() => loadEvents()} disabled={isLoading} title="Refresh">
+            <RefreshIcon size={14} />
+          </button>
+        </div>
+
+        {error && <div className="message error">{error}</div>}
+
+        <div className="logs-container">
+          {events.length === 0 && !isLoading && (
+            <div className="log-entry debug">No events recorded</div>
+          )}
+          {events.map(event => (
+            <div key={event.id} className={`log-entry ${event.outcome === 'failure' ? 'error' : 'info'}`}>
+              <span className="log-timestamp">{new Date(event.created_at).toLocaleString()}</span>
+              <span className="log-level">{event.action}</span>
+              <span className="log-server">{event.ip || 'unknown address'}</span>
+              <span className="log-message">{describeEvent(event)}</span>
+              {event.user_agent && <div className="log-timestamp">{event.user_agent}</div>}
+            </div>
+          ))}
+        </div>
+
+        {hasMore && (
+          <button
+            className="btn btn-secondary security-more"
+            onClick={() => loadEvents(events[events.length - 1].id)}
+            disabled={isLoading}
+          >
+            {isLoading ? 'Loading...' : 'Load more'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SecurityLog;
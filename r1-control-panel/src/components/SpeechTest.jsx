@@ -1,7 +1,7 @@
 import React, { useState } from 'react';
 import { VolumeIcon, MusicIcon, XIcon, CheckIcon, InfoIcon, WrenchIcon } from './Icons';
 
-const SpeechTest = ({ deviceId, pinCode }) => {
+const SpeechTest = ({ deviceId, authToken }) => {
   const [text, setText] = useState('Hello R1! This is a test of the text-to-speech functionality.');
   const [model, setModel] = useState('tts-1');
   const [voice, setVoice] = useState('alloy');
@@ -26,8 +26,8 @@ const SpeechTest = ({ deviceId, pinCode }) => {
         'Content-Type': 'application/json'
       };
 
-      if (pinCode) {
-        headers['Authorization'] = `Bearer ${pinCode}`;
+      if (authToken) {
+        headers['Authorization'] = `Bearer ${authToken}`;
       }
 
       const response = await fetch(`/${deviceId}/v1/audio/speech`, {
@@ -1,9 +1,10 @@
 import React from 'react';
-import { ChatIcon, ApiDocsIcon } from './Icons';
+import { ChatIcon, ApiDocsIcon, ShieldIcon } from './Icons';
 
 const TabNavigation = ({ activeTab, onTabChange }) => {
   const tabs = [
     { id: 'chat', label: 'Chat', description: 'Chat with your R1 device', Icon: ChatIcon },
+    { id: 'security', label: 'Security', description: 'Browse the security audit log', Icon: ShieldIcon },
     { id: 'api-docs', label: 'API Docs', description: 'View API documentation and endpoints', Icon: ApiDocsIcon }
   ];
 
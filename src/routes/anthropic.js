@@ -0,0 +1,24 @@
+const { validateMessagesRequest, toOpenAIChatRequest, anthropicFormatter, sendAnthropicError } = require('../utils/anthropic-utils');
+
+// Anthropic Messages API compatible endpoint. Requests go through the same
+// device dispatch path (and PIN check) as OpenAI chat completions.
+function setupAnthropicRoutes(app, handleChatCompletion) {
+  app.post('/:deviceId/v1/messages', async (req, res) => {
+    const { deviceId } = req.params;
+
+    const validationError = validateMessagesRequest(req.body);
+    if (validationError) {
+      return sendAnthropicError(res, 400, validationError, 'validation_error');
+    }
+
+    // Anthropic clients send their key as x-api-key; accept the device PIN there
+    if (!req.headers.authorization && req.headers['x-api-key']) {
+      req.headers.authorization = `Bearer ${req.headers['x-api-key']}`;
+    }
+
+    req.body = toOpenAIChatRequest(req.body);
+    await handleChatCompletion(req, res, deviceId, anthropicFormatter);
+  });
+}
+
+module.exports = { setupAnthropicRoutes };
@@ -0,0 +1,87 @@
+const {
+  API_KEY_PREFIX,
+  generateApiKey,
+  hashApiKey,
+  validateApiKeyRequest,
+  formatApiKey
+} = require('../utils/api-keys');
+const { getRequestClient, recordAuditEvent } = require('../utils/audit-log');
+
+// API key management for a device. All routes need the admin scope; before a
+// device has any key that means its PIN, so the PIN issues the first key.
+function setupApiKeyRoutes(app, requireScope, database) {
+  // Create a key; the key itself is only returned in this response
+  app.post('/:deviceId/keys', requireScope('admin'), async (req, res) => {
+    const { deviceId } = req.params;
+
+    const validationError = validateApiKeyRequest(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: { message: validationError.message, type: 'validation_error', param: validationError.param } });
+    }
+
+    try {
+      const { scopes, label = null, expires_at: expiresAt = null } = req.body;
+      const key = generateApiKey();
+
+      const row = await database.createApiKey(
+        deviceId,
+        hashApiKey(key),
+        key.substring(0, API_KEY_PREFIX.length + 6),
+        [...new Set(scopes)],
+        label,
+        expiresAt ? new Date(expiresAt).toISOString() : null
+      );
+      console.log(`🔑 Created API key ${row.id} (${row.scopes}) for device`);
+      await recordAuditEvent(database, {
+        deviceId,
+        action: 'api_key.create',
+        client: getRequestClient(req),
+        details: { key_id: row.id, key_prefix: row.key_prefix, scopes: row.scopes.split(','), credential: req.auth.method }
+      });
+
+      res.status(201).json({ ...formatApiKey(row), key });
+    } catch (error) {
+      console.error('Error creating API key:', error);
+      res.status(500).json({ error: { message: 'Internal server error', type: 'server_error' } });
+    }
+  });
+
+  app.get('/:deviceId/keys', requireScope('admin'), async (req, res) => {
+    try {
+      const rows = await database.getApiKeys(req.params.deviceId);
+      res.json({ object: 'list', data: rows.map(formatApiKey) });
+    } catch (error) {
+      console.error('Error listing API keys:', error);
+      res.status(500).json({ error: { message: 'Internal server error', type: 'server_error' } });
+    }
+  });
+
+  // Revoked keys stay listed (with revoked_at) but no longer authenticate
+  app.delete('/:deviceId/keys/:keyId', requireScope('admin'), async (req, res) => {
+    const { deviceId, keyId } = req.params;
+
+    try {
+      const revoked = await database.revokeApiKey(deviceId, Number(keyId));
+      if (!revoked) {
+        return res.status(404).json({ error: { message: `No active API key found with ID ${keyId}`, type: 'not_found' } });
+      }
+
+      // Pools the device joined are left, since the key may have been used to add it
+      await database.removeDeviceFromPools(deviceId);
+
+      console.log(`🔑 Revoked API key ${keyId} for device`);
+      await recordAuditEvent(database, {
+        deviceId,
+        action: 'api_key.revoke',
+        client: getRequestClient(req),
+        details: { key_id: Number(keyId), credential: req.auth.method }
+      });
+      res.json({ id: Number(keyId), object: 'api_key', revoked: true });
+    } catch (error) {
+      console.error('Error revoking API key:', error);
+      res.status(500).json({ error: { message: 'Internal server error', type: 'server_error' } });
+    }
+  });
+}
+
+module.exports = { setupApiKeyRoutes };
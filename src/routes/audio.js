@@ -1,6 +1,13 @@
 const { sendOpenAIResponse } = require('../utils/response-utils');
+const { DeviceRequestQueue } = require('../utils/device-request-queue');
+const { cancelOnClientDisconnect } = require('../utils/request-cancellation');
+const { createDeviceAuth } = require('../utils/device-auth');
+const { AuthThrottle } = require('../utils/auth-throttle');
+const { getRequestClient } = require('../utils/audit-log');
+
+function setupAudioRoutes(app, io, connectedR1s, pendingRequests, requestDeviceMap, deviceIdManager, mcpManager, requestQueue = new DeviceRequestQueue(), authThrottle = new AuthThrottle()) {
+  const { authenticateDevice, sendAuthError } = createDeviceAuth(deviceIdManager, { connectedR1s, throttle: authThrottle });
 
-function setupAudioRoutes(app, io, connectedR1s, pendingRequests, requestDeviceMap, deviceIdManager, mcpManager) {
   // Device-specific TTS endpoints: /device-{deviceId}/v1/audio/speech (legacy format)
   app.post('/device-:deviceId/v1/audio/speech', async (req, res) => {
     const { deviceId } = req.params;
@@ -16,14 +23,9 @@ function setupAudioRoutes(app, io, connectedR1s, pendingRequests, requestDeviceM
   // Shared handler for text-to-speech
   async function handleTextToSpeech(req, res, targetDeviceId) {
     // Check authentication
-    const authResult = await authenticateDevice(targetDeviceId, req.headers.authorization);
+    const authResult = await authenticateDevice(targetDeviceId, req.headers.authorization, 'tts', getRequestClient(req));
     if (!authResult.authenticated) {
-      return res.status(401).json({
-        error: {
-          message: authResult.error,
-          type: 'authentication_failed'
-        }
-      });
+      return sendAuthError(res, authResult);
     }
 
     try {
@@ -103,29 +105,57 @@ function setupAudioRoutes(app, io, connectedR1s, pendingRequests, requestDeviceM
         });
       }
 
-      // Check if target device already has a pending TTS request
-      const existingTTSRequests = Array.from(requestDeviceMap.entries())
-        .filter(([_, deviceId]) => deviceId === targetDeviceId)
-        .filter(([requestId]) => {
-          const request = pendingRequests.get(requestId);
-          return request && request.isTTS; // Only count TTS requests
-        });
+      // Generate unique request ID with timestamp for better uniqueness
+      const requestId = `tts-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+      console.log(`🎯 Generated request ID: ${requestId}`);
+      res.setHeader('X-Request-Id', requestId);
+
+      // The device speaks one request at a time; wait our turn in its TTS queue
+      const ticket = requestQueue.enqueue(targetDeviceId, 'tts', {
+        priority: req.headers['x-request-priority'],
+        res,
+        requestId
+      });
 
-      if (existingTTSRequests.length > 0) {
-        console.log(`[OK] Device ${targetDeviceId} already has ${existingTTSRequests.length} pending TTS request(s): ${existingTTSRequests.map(([id]) => id).join(', ')}`);
+      if (!ticket) {
+        console.log(`[OK] Device ${targetDeviceId} TTS queue is full`);
         return res.status(429).json({
           error: {
-            message: 'Device is currently processing another speech request. Please wait for it to complete.',
-            type: 'device_busy_error'
+            message: `Device speech queue is full (${requestQueue.maxDepth} requests waiting). Please retry later.`,
+            type: 'queue_full'
           }
         });
       }
 
-      console.log(`📊 Current pending requests: ${pendingRequests.size}`);
+      res.setHeader('X-Queue-Position', String(ticket.position));
+      if (ticket.position > 0) {
+        console.log(`⏳ TTS request queued for device ${targetDeviceId} at position ${ticket.position}`);
+      }
 
-      // Generate unique request ID with timestamp for better uniqueness
-      const requestId = `tts-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-      console.log(`🎯 Generated request ID: ${requestId}`);
+      try {
+        await ticket.ready;
+      } catch (error) {
+        if (error.code === 'QUEUE_TIMEOUT') {
+          return res.status(503).json({
+            error: {
+              message: error.message,
+              type: 'queue_timeout'
+            }
+          });
+        }
+        // Cancelled while queued, either explicitly or because the client went away
+        if (!res.destroyed) {
+          res.status(409).json({
+            error: {
+              message: 'Request was cancelled',
+              type: 'request_cancelled'
+            }
+          });
+        }
+        return;
+      }
+
+      console.log(`📊 Current pending requests: ${pendingRequests.size}`);
 
       // Check if this is a test request (skip timeouts)
       const isTestRequest = req.headers['x-test-request'] === 'true';
@@ -149,6 +179,9 @@ function setupAudioRoutes(app, io, connectedR1s, pendingRequests, requestDeviceM
       // Store the request for response handling
       pendingRequests.set(requestId, { res, timeout, isTTS: true, response_format });
 
+      // Stop the device working on it if the caller goes away
+      cancelOnClientDisconnect(res, requestId, connectedR1s, pendingRequests, requestDeviceMap);
+
       // Build enhanced TTS command for R1 device with better prompting
       const getVoiceDescription = (voiceName) => {
         const voice = voiceName.toLowerCase();
@@ -256,32 +289,8 @@ function setupAudioRoutes(app, io, connectedR1s, pendingRequests, requestDeviceM
     }
   }
 
-  // Authentication helper function
-  async function authenticateDevice(deviceId, authHeader) {
-    // Check if device exists and get PIN status
-    const deviceInfo = await deviceIdManager.getDeviceInfoFromDB(deviceId);
-    if (!deviceInfo) {
-      return { authenticated: false, error: 'Device not found' };
-    }
-
-    // If PIN is disabled (null or empty), allow access without authentication
-    if (!deviceInfo.pin_code) {
-      return { authenticated: true };
-    }
-
-    // PIN is enabled, require authentication
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return { authenticated: false, error: 'PIN code required. Use Authorization: Bearer <pin-code>' };
-    }
-
-    const providedPin = authHeader.substring(7); // Remove 'Bearer '
-
-    if (deviceInfo.pin_code !== providedPin) {
-      return { authenticated: false, error: 'Invalid PIN code' };
-    }
-
-    return { authenticated: true };
-  }
+  // Shared with the fan-out routes
+  return { handleTextToSpeech };
 }
 
 module.exports = { setupAudioRoutes };
\ No newline at end of file
@@ -0,0 +1,32 @@
+const { parseAuditQuery, formatAuditEvent } = require('../utils/audit-log');
+
+// Security audit log of a device, newest first. Needs the admin scope.
+function setupAuditRoutes(app, requireScope, database) {
+  app.get('/:deviceId/audit', requireScope('admin'), async (req, res) => {
+    const { deviceId } = req.params;
+
+    const { filters, error } = parseAuditQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error: { message: error.message, type: 'validation_error', param: error.param } });
+    }
+
+    try {
+      // One extra row tells whether there is another page
+      const rows = await database.getAuditEvents(deviceId, { ...filters, limit: filters.limit + 1 });
+      const data = rows.slice(0, filters.limit).map(formatAuditEvent);
+
+      res.json({
+        object: 'list',
+        data,
+        first_id: data.length ? data[0].id : null,
+        last_id: data.length ? data[data.length - 1].id : null,
+        has_more: rows.length > filters.limit
+      });
+    } catch (error) {
+      console.error('Error getting audit events:', error);
+      res.status(500).json({ error: { message: 'Internal server error', type: 'server_error' } });
+    }
+  });
+}
+
+module.exports = { setupAuditRoutes };
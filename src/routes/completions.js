@@ -0,0 +1,27 @@
+const {
+  resolvePrompt,
+  validateCompletionRequest,
+  toOpenAIChatRequest,
+  createCompletionsFormatter
+} = require('../utils/completions-utils');
+const { sendOpenAIError } = require('../utils/response-utils');
+
+// Legacy OpenAI Completions endpoint for older clients. The prompt is sent to
+// the device as a "continue this text" chat request on the shared dispatch path.
+function setupCompletionsRoutes(app, handleChatCompletion) {
+  app.post('/:deviceId/v1/completions', async (req, res) => {
+    const { deviceId } = req.params;
+
+    const validationError = validateCompletionRequest(req.body);
+    if (validationError) {
+      return sendOpenAIError(res, 400, validationError.message, 'validation_error', validationError.param);
+    }
+
+    const formatter = createCompletionsFormatter({ prompt: resolvePrompt(req.body.prompt), echo: req.body.echo === true });
+
+    req.body = toOpenAIChatRequest(req.body);
+    await handleChatCompletion(req, res, deviceId, formatter);
+  });
+}
+
+module.exports = { setupCompletionsRoutes };
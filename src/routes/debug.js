@@ -1,8 +1,14 @@
+const { requireDeviceSocket } = require('../utils/device-auth');
+
 function setupDebugRoutes(app, connectedR1s, debugStreams, deviceLogs, debugDataStore, performanceMetrics) {
-  // Debug data collection endpoints
+  // Debug data collection endpoints. A device may only post its own data,
+  // identified by the socket it is connected with. The creation app does not
+  // post here (its debug events go over the socket as *_event), so these stay
+  // closed to every caller that cannot name the device's live socket ID.
+  const requireDevice = requireDeviceSocket(connectedR1s);
 
   // Hardware events endpoint
-  app.post('/debug/hardware-event', (req, res) => {
+  app.post('/debug/hardware-event', requireDevice, (req, res) => {
     try {
       const { deviceId, event } = req.body;
       
@@ -34,7 +40,7 @@ function setupDebugRoutes(app, connectedR1s, debugStreams, deviceLogs, debugData
   });
 
   // Camera events endpoint
-  app.post('/debug/camera-event', (req, res) => {
+  app.post('/debug/camera-event', requireDevice, (req, res) => {
     try {
       const { deviceId, event } = req.body;
       
@@ -65,7 +71,7 @@ function setupDebugRoutes(app, connectedR1s, debugStreams, deviceLogs, debugData
   });
 
   // LLM events endpoint
-  app.post('/debug/llm-event', (req, res) => {
+  app.post('/debug/llm-event', requireDevice, (req, res) => {
     try {
       const { deviceId, event } = req.body;
       
@@ -96,7 +102,7 @@ function setupDebugRoutes(app, connectedR1s, debugStreams, deviceLogs, debugData
   });
 
   // Storage events endpoint
-  app.post('/debug/storage-event', (req, res) => {
+  app.post('/debug/storage-event', requireDevice, (req, res) => {
     try {
       const { deviceId, event } = req.body;
       
@@ -127,7 +133,7 @@ function setupDebugRoutes(app, connectedR1s, debugStreams, deviceLogs, debugData
   });
 
   // Audio events endpoint
-  app.post('/debug/audio-event', (req, res) => {
+  app.post('/debug/audio-event', requireDevice, (req, res) => {
     try {
       const { deviceId, event } = req.body;
       
@@ -158,7 +164,7 @@ function setupDebugRoutes(app, connectedR1s, debugStreams, deviceLogs, debugData
   });
 
   // Performance events endpoint
-  app.post('/debug/performance-event', (req, res) => {
+  app.post('/debug/performance-event', requireDevice, (req, res) => {
     try {
       const { deviceId, event } = req.body;
       
@@ -189,7 +195,7 @@ function setupDebugRoutes(app, connectedR1s, debugStreams, deviceLogs, debugData
   });
 
   // Device info endpoint
-  app.post('/debug/device-event', (req, res) => {
+  app.post('/debug/device-event', requireDevice, (req, res) => {
     try {
       const { deviceId, event } = req.body;
       
@@ -220,7 +226,7 @@ function setupDebugRoutes(app, connectedR1s, debugStreams, deviceLogs, debugData
   });
 
   // Client logs endpoint
-  app.post('/debug/client-log', (req, res) => {
+  app.post('/debug/client-log', requireDevice, (req, res) => {
     try {
       const { deviceId, log } = req.body;
       
@@ -346,7 +352,7 @@ function setupDebugRoutes(app, connectedR1s, debugStreams, deviceLogs, debugData
   // });
 
   // System info endpoint
-  app.post('/debug/system-info', (req, res) => {
+  app.post('/debug/system-info', requireDevice, (req, res) => {
     try {
       const { deviceId, systemInfo } = req.body;
       
@@ -380,7 +386,7 @@ function setupDebugRoutes(app, connectedR1s, debugStreams, deviceLogs, debugData
   });
 
   // Photo capture endpoint
-  app.post('/debug/photo-captured', (req, res) => {
+  app.post('/debug/photo-captured', requireDevice, (req, res) => {
     try {
       const { deviceId, photo, timestamp } = req.body;
       
@@ -413,7 +419,7 @@ function setupDebugRoutes(app, connectedR1s, debugStreams, deviceLogs, debugData
   });
 
   // Audio capture endpoint
-  app.post('/debug/audio-captured', (req, res) => {
+  app.post('/debug/audio-captured', requireDevice, (req, res) => {
     try {
       const { deviceId, audio, timestamp } = req.body;
       
@@ -0,0 +1,139 @@
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { openAIFormatter } = require('../utils/response-utils');
+const { getRequestClient } = require('../utils/audit-log');
+const { resolveRequestTimeout, formatTimeout } = require('../utils/request-timeout');
+const { cancelOnClientDisconnect } = require('../utils/request-cancellation');
+const { buildMagicCamPayload } = require('../utils/fanout');
+const { createResultRecorder } = require('../utils/async-jobs');
+const { createDeviceMCPServer } = require('../utils/device-mcp-server');
+
+// The R1 itself as an MCP server: POST /{deviceId}/mcp speaks Streamable HTTP.
+// Any valid credential (PIN, API key or session token) opens it; the tools
+// listed follow the credential's scopes, and chat and TTS calls check their
+// scope again in their own handlers.
+function setupDeviceMCPRoutes(app, handleChatCompletion, handleTextToSpeech, authenticateDevice, sendAuthError, connectedR1s, pendingRequests, requestDeviceMap) {
+  // Run one device command with a recorder standing in for the HTTP response.
+  // Aborting (the MCP client cancelled the call) cancels the device request.
+  function run(signal, start) {
+    const recorder = createResultRecorder();
+    const cancelled = new Promise(resolve => {
+      signal?.addEventListener('abort', () => {
+        recorder.abort();
+        resolve({ statusCode: 499, headers: {}, body: { error: { message: 'Cancelled by the MCP client', type: 'request_cancelled' } } });
+      }, { once: true });
+    });
+
+    Promise.resolve(start(recorder)).catch(error => {
+      console.error('Error running R1 MCP tool:', error);
+      recorder.status(500).json({ error: { message: 'Internal server error', type: 'server_error' } });
+    });
+
+    return Promise.race([recorder.result, cancelled]);
+  }
+
+  // The request a tool call makes to the existing handlers, with the MCP
+  // request's credential, client and timeout
+  function deviceRequest(req, deviceId, body) {
+    return {
+      ip: req.ip,
+      params: { deviceId },
+      headers: {
+        authorization: req.headers.authorization,
+        'user-agent': req.headers['user-agent'],
+        ...(req.headers['x-request-timeout'] && { 'x-request-timeout': req.headers['x-request-timeout'] }),
+        ...(req.headers['x-request-priority'] && { 'x-request-priority': req.headers['x-request-priority'] })
+      },
+      body
+    };
+  }
+
+  // The device answers with magic_cam_photo under the request ID
+  function capturePhoto(req, deviceId, params, res) {
+    const { timeoutMs, error: timeoutError } = resolveRequestTimeout(req);
+    if (timeoutError) {
+      return res.status(400).json({ error: { message: timeoutError, type: 'validation_error', param: 'timeout' } });
+    }
+
+    const socket = connectedR1s.get(deviceId);
+    if (!socket) {
+      return res.status(503).json({ error: { message: 'Device not connected', type: 'service_unavailable' } });
+    }
+
+    const requestId = `photo-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const timeout = setTimeout(() => {
+      console.log(`⏰ Photo request ${requestId} timed out after ${formatTimeout(timeoutMs)}`);
+      pendingRequests.delete(requestId);
+      requestDeviceMap.delete(requestId);
+      res.status(504).json({ error: { message: `R1 device did not send a photo within ${formatTimeout(timeoutMs)}`, type: 'timeout_error' } });
+    }, timeoutMs);
+
+    pendingRequests.set(requestId, { res, timeout, isPhoto: true });
+    requestDeviceMap.set(requestId, deviceId);
+    cancelOnClientDisconnect(res, requestId, connectedR1s, pendingRequests, requestDeviceMap);
+
+    socket.emit('magic_cam_capture', { ...buildMagicCamPayload('magic_cam_capture', params), requestId });
+    console.log(`📸 Sent photo request ${requestId} to device`);
+  }
+
+  // Camera switching has no reply from the device; sending it is the result
+  function switchCamera(deviceId, res) {
+    const socket = connectedR1s.get(deviceId);
+    if (!socket) {
+      return res.status(503).json({ error: { message: 'Device not connected', type: 'service_unavailable' } });
+    }
+
+    socket.emit('magic_cam_switch', {});
+    res.json({ status: 'command_sent', command: 'magic_cam_switch' });
+  }
+
+  function createHandlers(req, deviceId) {
+    return {
+      askR1: ({ prompt, system }, signal) => run(signal, recorder => handleChatCompletion(deviceRequest(req, deviceId, {
+        messages: [...(system ? [{ role: 'system', content: system }] : []), { role: 'user', content: prompt }],
+        stream: false,
+        // Keep the device's own MCP servers out of calls from MCP clients
+        mcp: false
+      }), recorder, deviceId, openAIFormatter)),
+      speakText: ({ text, voice }, signal) => run(signal, recorder => handleTextToSpeech(
+        deviceRequest(req, deviceId, { input: text, ...(voice && { voice }) }), recorder, deviceId)),
+      capturePhoto: (params, signal) => run(signal, recorder => capturePhoto(req, deviceId, params, recorder)),
+      switchCamera: () => run(null, recorder => switchCamera(deviceId, recorder))
+    };
+  }
+
+  // Stateless mode: a new MCP server and transport for every POST
+  app.post('/:deviceId/mcp', async (req, res) => {
+    const { deviceId } = req.params;
+
+    try {
+      const authResult = await authenticateDevice(deviceId, req.headers.authorization, null, getRequestClient(req));
+      if (!authResult.authenticated) {
+        return sendAuthError(res, authResult);
+      }
+
+      const server = createDeviceMCPServer(deviceId, authResult.scopes, createHandlers(req, deviceId));
+      const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: undefined });
+      res.on('close', () => {
+        transport.close();
+        server.close();
+      });
+
+      await server.connect(transport);
+      await transport.handleRequest(req, res, req.body);
+    } catch (error) {
+      console.error('Error handling R1 MCP request:', error);
+      if (!res.headersSent) {
+        res.status(500).json({ jsonrpc: '2.0', error: { code: -32603, message: 'Internal server error' }, id: null });
+      }
+    }
+  });
+
+  // No server-initiated stream and no session to end without sessions
+  const methodNotAllowed = (req, res) => {
+    res.status(405).set('Allow', 'POST').json({ jsonrpc: '2.0', error: { code: -32000, message: 'Method not allowed' }, id: null });
+  };
+  app.get('/:deviceId/mcp', methodNotAllowed);
+  app.delete('/:deviceId/mcp', methodNotAllowed);
+}
+
+module.exports = { setupDeviceMCPRoutes };
@@ -0,0 +1,211 @@
+const { openAIFormatter } = require('../utils/response-utils');
+const { resolveRequestTimeout, formatTimeout } = require('../utils/request-timeout');
+const { getRequestClient } = require('../utils/audit-log');
+const { createResultRecorder } = require('../utils/async-jobs');
+const {
+  validateTags,
+  validateFanoutRequest,
+  buildMagicCamPayload,
+  formatFanoutResult,
+  summarizeFanoutResults
+} = require('../utils/fanout');
+
+// Fan-out: send one command to a list of devices (or the tagged devices the
+// caller has a credential for in `pins`) and collect the per-device results
+// before a shared deadline. Chat and TTS commands go through their normal
+// handlers, so each device still checks its own credential (API key or PIN
+// from `pins`, else the Authorization header) and queues the request.
+function setupFanoutRoutes(app, handleChatCompletion, handleTextToSpeech, authenticateDevice, sendAuthError, connectedR1s, database) {
+  // Tags group devices for fan-out; they need the admin scope
+  app.get('/:deviceId/tags', async (req, res) => {
+    const { deviceId } = req.params;
+
+    try {
+      const authResult = await authenticateDevice(deviceId, req.headers.authorization, 'admin', getRequestClient(req));
+      if (!authResult.authenticated) {
+        return sendAuthError(res, authResult);
+      }
+
+      res.json({ device_id: deviceId, tags: await database.getDeviceTags(deviceId) });
+    } catch (error) {
+      console.error('Error getting device tags:', error);
+      res.status(500).json({ error: { message: 'Internal server error', type: 'server_error' } });
+    }
+  });
+
+  app.put('/:deviceId/tags', async (req, res) => {
+    const { deviceId } = req.params;
+    const { tags } = req.body || {};
+
+    const validationError = validateTags(tags);
+    if (validationError) {
+      return res.status(400).json({ error: { message: validationError, type: 'validation_error', param: 'tags' } });
+    }
+
+    try {
+      const authResult = await authenticateDevice(deviceId, req.headers.authorization, 'admin', getRequestClient(req));
+      if (!authResult.authenticated) {
+        return sendAuthError(res, authResult);
+      }
+
+      await database.setDeviceTags(deviceId, [...new Set(tags)]);
+      res.json({ device_id: deviceId, tags: await database.getDeviceTags(deviceId) });
+    } catch (error) {
+      console.error('Error setting device tags:', error);
+      res.status(500).json({ error: { message: 'Internal server error', type: 'server_error' } });
+    }
+  });
+
+  // Camera commands have no reply from the device; sending them is the result
+  async function sendMagicCamCommand(deviceId, command, params, authorization, client, recorder) {
+    const authResult = await authenticateDevice(deviceId, authorization, 'camera', client);
+    if (!authResult.authenticated) {
+      return sendAuthError(recorder, authResult);
+    }
+
+    const socket = connectedR1s.get(deviceId);
+    if (!socket) {
+      return recorder.status(503).json({ error: { message: 'Device not connected', type: 'service_unavailable' } });
+    }
+
+    socket.emit(command, buildMagicCamPayload(command, params));
+    recorder.json({ status: 'command_sent', command });
+  }
+
+  // Start the command on one device; the returned recorder captures its reply
+  function dispatch(deviceId, command, params, authorization, req, timeoutMs) {
+    const recorder = createResultRecorder();
+    const deviceReq = {
+      ip: req.ip,
+      params: { deviceId },
+      headers: {
+        authorization,
+        'user-agent': req.headers['user-agent'],
+        // The device's own timeout ends with the shared deadline
+        'x-request-timeout': String(timeoutMs / 1000),
+        ...(req.headers['x-request-priority'] && { 'x-request-priority': req.headers['x-request-priority'] })
+      },
+      body: { ...params }
+    };
+
+    let started;
+    if (command === 'chat_completion') {
+      deviceReq.body.stream = false;
+      delete deviceReq.body.async;
+      started = handleChatCompletion(deviceReq, recorder, deviceId, openAIFormatter);
+    } else if (command === 'text_to_speech') {
+      started = handleTextToSpeech(deviceReq, recorder, deviceId);
+    } else {
+      started = sendMagicCamCommand(deviceId, command, params, authorization, getRequestClient(req), recorder);
+    }
+
+    Promise.resolve(started).catch(error => {
+      console.error('Error dispatching fan-out command:', error);
+      recorder.status(500).json({ error: { message: 'Internal server error', type: 'server_error' } });
+    });
+
+    return recorder;
+  }
+
+  app.post('/fanout', async (req, res) => {
+    const validationError = validateFanoutRequest(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: { message: validationError.message, type: 'validation_error', param: validationError.param } });
+    }
+
+    const { timeoutMs, error: timeoutError } = resolveRequestTimeout(req);
+    if (timeoutError) {
+      return res.status(400).json({ error: { message: timeoutError, type: 'validation_error', param: 'timeout' } });
+    }
+
+    const { command, devices, tag, params = {}, pins = {}, stream = false } = req.body;
+
+    // A tag only reaches devices the caller names a credential for, so it
+    // cannot be used to discover device IDs or reach devices without a PIN
+    let deviceIds;
+    try {
+      deviceIds = devices
+        ? [...new Set(devices)]
+        : (await database.getDevicesByTag(tag)).filter(deviceId => Object.hasOwn(pins, deviceId));
+    } catch (error) {
+      console.error('Error resolving fan-out devices:', error);
+      return res.status(500).json({ error: { message: 'Internal server error', type: 'server_error' } });
+    }
+
+    if (deviceIds.length === 0) {
+      return res.status(404).json({ error: { message: `No devices are tagged ${tag}`, type: 'not_found', param: 'tag' } });
+    }
+
+    const fanoutId = `fanout-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const startedAt = Date.now();
+    console.log(`📣 Fan-out ${fanoutId}: ${command} to ${deviceIds.length} device(s), deadline ${formatTimeout(timeoutMs)}`);
+
+    // One timer for every device
+    let deadlineTimer;
+    const deadline = new Promise(resolve => {
+      deadlineTimer = setTimeout(() => resolve(null), timeoutMs);
+    });
+
+    const recorders = deviceIds.map(deviceId => {
+      const authorization = pins[deviceId] ? `Bearer ${pins[deviceId]}` : req.headers.authorization;
+      return dispatch(deviceId, command, params, authorization, req, timeoutMs);
+    });
+
+    // Stop all device work if the caller goes away
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        recorders.forEach(recorder => recorder.abort());
+      }
+    });
+
+    if (stream) {
+      res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+      if (typeof res.flushHeaders === 'function') {
+        res.flushHeaders();
+      }
+    }
+
+    // Streamed results arrive in the order devices answer; the JSON body keeps
+    // the request order. Devices still busy at the deadline are cancelled.
+    const results = await Promise.all(recorders.map(async (recorder, index) => {
+      const outcome = await Promise.race([recorder.result, deadline]);
+      if (!outcome) {
+        recorder.abort();
+      }
+
+      const result = formatFanoutResult(deviceIds[index], outcome, Date.now() - startedAt);
+      if (stream && !res.destroyed) {
+        res.write(`data: ${JSON.stringify({ object: 'fanout.result', fanout_id: fanoutId, ...result })}\n\n`);
+      }
+      return result;
+    }));
+    clearTimeout(deadlineTimer);
+
+    const summary = summarizeFanoutResults(results);
+    console.log(`📣 Fan-out ${fanoutId} done: ${summary.succeeded}/${summary.total} succeeded`);
+
+    const body = {
+      id: fanoutId,
+      object: 'fanout',
+      command,
+      deadline_ms: timeoutMs,
+      duration_ms: Date.now() - startedAt,
+      summary
+    };
+
+    if (stream) {
+      if (!res.destroyed) {
+        res.write(`data: ${JSON.stringify(body)}\n\n`);
+        res.write('data: [DONE]\n\n');
+        res.end();
+      }
+      return;
+    }
+
+    res.json({ ...body, results });
+  });
+}
+
+module.exports = { setupFanoutRoutes };
@@ -1,4 +1,4 @@
-function setupHealthRoutes(app, connectedR1s) {
+function setupHealthRoutes(app, connectedR1s, requestQueue = null) {
   // Health check endpoint
   app.get('/health', (req, res) => {
     console.log('💚 Health check called');
@@ -6,6 +6,7 @@ function setupHealthRoutes(app, connectedR1s) {
       status: 'OK',
       timestamp: new Date().toISOString(),
       connectedDevices: connectedR1s.size,
+      ...(requestQueue && { queue: requestQueue.getStats() }),
       server: 'R-API',
       version: '1.0.0'
     });
@@ -1,7 +1,7 @@
-function setupMagicCamRoutes(app, connectedR1s) {
-  // Magic Cam control endpoints - Device-specific
+function setupMagicCamRoutes(app, connectedR1s, requireScope) {
+  // Magic Cam control endpoints - Device-specific, need the camera scope
 
-  app.post('/:deviceId/magic-cam/start', (req, res) => {
+  app.post('/:deviceId/magic-cam/start', requireScope('camera'), (req, res) => {
     try {
       const { deviceId } = req.params;
       const { facingMode = 'user' } = req.body;
@@ -28,7 +28,7 @@ function setupMagicCamRoutes(app, connectedR1s) {
     }
   });
 
-  app.post('/:deviceId/magic-cam/stop', (req, res) => {
+  app.post('/:deviceId/magic-cam/stop', requireScope('camera'), (req, res) => {
     try {
       const { deviceId } = req.params;
 
@@ -53,7 +53,7 @@ function setupMagicCamRoutes(app, connectedR1s) {
     }
   });
 
-  app.post('/:deviceId/magic-cam/capture', (req, res) => {
+  app.post('/:deviceId/magic-cam/capture', requireScope('camera'), (req, res) => {
     try {
       const { deviceId } = req.params;
       const { width = 240, height = 282 } = req.body;
@@ -80,7 +80,7 @@ function setupMagicCamRoutes(app, connectedR1s) {
     }
   });
 
-  app.post('/:deviceId/magic-cam/switch', (req, res) => {
+  app.post('/:deviceId/magic-cam/switch', requireScope('camera'), (req, res) => {
     try {
       const { deviceId } = req.params;
 
@@ -105,7 +105,7 @@ function setupMagicCamRoutes(app, connectedR1s) {
     }
   });
 
-  app.get('/:deviceId/magic-cam/status', (req, res) => {
+  app.get('/:deviceId/magic-cam/status', requireScope('camera'), (req, res) => {
     try {
       const { deviceId } = req.params;
 
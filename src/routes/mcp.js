@@ -0,0 +1,234 @@
+const { validateMCPServerRequest, formatMCPServer, getAutoApprove } = require('../utils/mcp-manager');
+const { formatApproval } = require('../utils/mcp-approvals');
+
+const MAX_LOG_LIMIT = 500;
+
+const MCP_ERROR_STATUS = {
+  MCP_SERVER_NOT_FOUND: [404, 'not_found'],
+  MCP_TOOL_NOT_FOUND: [404, 'not_found'],
+  MCP_SERVER_DISABLED: [409, 'conflict'],
+  MCP_CONNECTION_FAILED: [502, 'mcp_error'],
+  MCP_SERVER_UNAVAILABLE: [502, 'mcp_error'],
+  MCP_TOOL_FAILED: [502, 'mcp_error']
+};
+
+// Remote MCP servers of a device: registration, tools, tool calls, approvals and logs.
+// Servers can reach arbitrary URLs on the device's behalf, so every route
+// needs the admin scope.
+function setupMCPRoutes(app, requireScope, database, mcpManager) {
+  function sendMCPError(res, error, action) {
+    const mapped = MCP_ERROR_STATUS[error.code];
+    if (mapped) {
+      return res.status(mapped[0]).json({ error: { message: error.message, type: mapped[1] } });
+    }
+    console.error(`Error ${action}:`, error);
+    res.status(500).json({ error: { message: 'Internal server error', type: 'server_error' } });
+  }
+
+  function formatTool(tool, autoApprove) {
+    return {
+      name: tool.name,
+      description: tool.description || null,
+      input_schema: tool.inputSchema || {},
+      auto_approve: autoApprove.includes(tool.name)
+    };
+  }
+
+  app.get('/:deviceId/mcp/servers', requireScope('admin'), async (req, res) => {
+    const { deviceId } = req.params;
+    try {
+      const rows = await database.getMCPServers(deviceId);
+      res.json({ servers: rows.map(row => formatMCPServer(row, mcpManager.isConnected(deviceId, row.server_name))) });
+    } catch (error) {
+      sendMCPError(res, error, 'listing MCP servers');
+    }
+  });
+
+  // Register or update a server; it is connected on first use
+  app.post('/:deviceId/mcp/servers', requireScope('admin'), async (req, res) => {
+    const { deviceId } = req.params;
+
+    const validationError = validateMCPServerRequest(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: { message: validationError.message, type: 'validation_error', param: validationError.param } });
+    }
+
+    try {
+      const { serverName, config } = req.body;
+      const existing = await database.getMCPServer(deviceId, serverName);
+
+      // Settings may have changed, so drop any open connection
+      await mcpManager.shutdownServer(deviceId, serverName);
+      await database.saveMCPServer(deviceId, serverName, { ...config, type: 'http' });
+      await mcpManager.log(deviceId, serverName, 'info', existing ? 'Server updated' : 'Server registered', { url: config.url });
+      console.log(`🧩 MCP server ${serverName} ${existing ? 'updated' : 'registered'}`);
+
+      const row = await database.getMCPServer(deviceId, serverName);
+      res.status(existing ? 200 : 201).json(formatMCPServer(row));
+    } catch (error) {
+      sendMCPError(res, error, 'saving MCP server');
+    }
+  });
+
+  // Server details with the tools seen when it last connected
+  app.get('/:deviceId/mcp/servers/:serverName', requireScope('admin'), async (req, res) => {
+    const { deviceId, serverName } = req.params;
+    try {
+      const row = await database.getMCPServer(deviceId, serverName);
+      if (!row) {
+        return res.status(404).json({ error: { message: `MCP server ${serverName} not found`, type: 'not_found' } });
+      }
+
+      const autoApprove = getAutoApprove(row);
+      const tools = await database.getMCPTools(row.id);
+      const decisions = new Map((await database.getMCPToolDecisions(deviceId))
+        .filter(decision => decision.server_name === serverName)
+        .map(decision => [decision.tool_name, decision.decision]));
+      res.json({
+        ...formatMCPServer(row, mcpManager.isConnected(deviceId, serverName)),
+        tools: tools.map(tool => ({
+          ...formatTool({ name: tool.tool_name, description: tool.tool_description, inputSchema: JSON.parse(tool.tool_schema || '{}') }, autoApprove),
+          decision: decisions.get(tool.tool_name) || null,
+          usage_count: tool.usage_count,
+          last_used: tool.last_used
+        }))
+      });
+    } catch (error) {
+      sendMCPError(res, error, 'getting MCP server');
+    }
+  });
+
+  app.delete('/:deviceId/mcp/servers/:serverName', requireScope('admin'), async (req, res) => {
+    const { deviceId, serverName } = req.params;
+    try {
+      await mcpManager.shutdownServer(deviceId, serverName);
+      const result = await database.deleteMCPServer(deviceId, serverName);
+      if (result.changes === 0) {
+        return res.status(404).json({ error: { message: `MCP server ${serverName} not found`, type: 'not_found' } });
+      }
+
+      await mcpManager.log(deviceId, serverName, 'info', 'Server deleted');
+      console.log(`🧩 MCP server ${serverName} deleted`);
+      res.json({ name: serverName, deleted: true });
+    } catch (error) {
+      sendMCPError(res, error, 'deleting MCP server');
+    }
+  });
+
+  app.post('/:deviceId/mcp/servers/:serverName/toggle', requireScope('admin'), async (req, res) => {
+    const { deviceId, serverName } = req.params;
+    const { enabled } = req.body || {};
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: { message: 'enabled must be a boolean', type: 'validation_error', param: 'enabled' } });
+    }
+
+    try {
+      const result = await database.updateMCPServerStatus(deviceId, serverName, enabled);
+      if (result.changes === 0) {
+        return res.status(404).json({ error: { message: `MCP server ${serverName} not found`, type: 'not_found' } });
+      }
+
+      if (!enabled) {
+        await mcpManager.shutdownServer(deviceId, serverName);
+      }
+      await mcpManager.log(deviceId, serverName, 'info', enabled ? 'Server enabled' : 'Server disabled');
+
+      const row = await database.getMCPServer(deviceId, serverName);
+      res.json(formatMCPServer(row, mcpManager.isConnected(deviceId, serverName)));
+    } catch (error) {
+      sendMCPError(res, error, 'toggling MCP server');
+    }
+  });
+
+  // Live tools/list from the remote server (connects if needed)
+  app.get('/:deviceId/mcp/servers/:serverName/tools', requireScope('admin'), async (req, res) => {
+    const { deviceId, serverName } = req.params;
+    try {
+      const tools = await mcpManager.getServerTools(deviceId, serverName);
+      const row = await database.getMCPServer(deviceId, serverName);
+      const autoApprove = row ? getAutoApprove(row) : [];
+      res.json({ server: serverName, tools: tools.map(tool => formatTool(tool, autoApprove)) });
+    } catch (error) {
+      sendMCPError(res, error, 'listing MCP tools');
+    }
+  });
+
+  app.post('/:deviceId/mcp/servers/:serverName/tools/:toolName/call', requireScope('admin'), async (req, res) => {
+    const { deviceId, serverName, toolName } = req.params;
+    const { arguments: toolArgs = {} } = req.body || {};
+
+    if (!toolArgs || typeof toolArgs !== 'object' || Array.isArray(toolArgs)) {
+      return res.status(400).json({ error: { message: 'arguments must be an object', type: 'validation_error', param: 'arguments' } });
+    }
+
+    try {
+      const result = await mcpManager.handleToolCall(deviceId, serverName, toolName, toolArgs);
+      res.json({ server: serverName, tool: toolName, result });
+    } catch (error) {
+      sendMCPError(res, error, 'calling MCP tool');
+    }
+  });
+
+  // Forget a remembered allow/deny so the tool asks for approval again
+  app.delete('/:deviceId/mcp/servers/:serverName/tools/:toolName/decision', requireScope('admin'), async (req, res) => {
+    const { deviceId, serverName, toolName } = req.params;
+    try {
+      const result = await database.deleteMCPToolDecision(deviceId, serverName, toolName);
+      if (result.changes === 0) {
+        return res.status(404).json({ error: { message: `No remembered decision for ${serverName}.${toolName}`, type: 'not_found' } });
+      }
+
+      await mcpManager.log(deviceId, serverName, 'info', `Forgot decision for ${toolName}`, { tool: toolName });
+      res.json({ server: serverName, tool: toolName, deleted: true });
+    } catch (error) {
+      sendMCPError(res, error, 'deleting MCP tool decision');
+    }
+  });
+
+  // Tool calls of running chat completions that wait for a human decision
+  app.get('/:deviceId/mcp/approvals', requireScope('admin'), (req, res) => {
+    res.json({ approvals: mcpManager.approvals.list(req.params.deviceId).map(formatApproval) });
+  });
+
+  for (const action of ['approve', 'deny']) {
+    app.post(`/:deviceId/mcp/approvals/:approvalId/${action}`, requireScope('admin'), async (req, res) => {
+      const { deviceId, approvalId } = req.params;
+      const { remember = false } = req.body || {};
+
+      if (typeof remember !== 'boolean') {
+        return res.status(400).json({ error: { message: 'remember must be a boolean', type: 'validation_error', param: 'remember' } });
+      }
+
+      try {
+        const approval = await mcpManager.approvals.decide(deviceId, approvalId, action === 'approve', { remember });
+        if (!approval) {
+          return res.status(404).json({ error: { message: `Approval ${approvalId} not found or already decided`, type: 'not_found' } });
+        }
+
+        res.json({ ...formatApproval(approval), approved: action === 'approve', remembered: remember });
+      } catch (error) {
+        sendMCPError(res, error, 'deciding MCP approval');
+      }
+    });
+  }
+
+  app.get('/:deviceId/mcp/logs', requireScope('admin'), async (req, res) => {
+    const { deviceId } = req.params;
+    const { serverName = null } = req.query;
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LOG_LIMIT) {
+      return res.status(400).json({ error: { message: `limit must be an integer between 1 and ${MAX_LOG_LIMIT}`, type: 'validation_error', param: 'limit' } });
+    }
+
+    try {
+      const rows = await database.getMCPLogs(deviceId, serverName, limit);
+      res.json({ logs: rows.map(row => ({ ...row, metadata: row.metadata ? JSON.parse(row.metadata) : null })) });
+    } catch (error) {
+      sendMCPError(res, error, 'getting MCP logs');
+    }
+  });
+}
+
+module.exports = { setupMCPRoutes };
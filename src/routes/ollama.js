@@ -0,0 +1,54 @@
+const {
+  validateOllamaRequest,
+  chatToOpenAIRequest,
+  generateToOpenAIRequest,
+  createOllamaFormatter,
+  sendOllamaError,
+  buildTagsResponse
+} = require('../utils/ollama-utils');
+const { getRequestClient } = require('../utils/audit-log');
+
+// Ollama compatible endpoints so an R1 can be added as an "Ollama server".
+// Chat and generate requests go through the same device dispatch path (and
+// PIN check) as OpenAI chat completions.
+function setupOllamaRoutes(app, handleChatCompletion, authenticateDevice) {
+  const chatFormatter = createOllamaFormatter('chat');
+  const generateFormatter = createOllamaFormatter('generate');
+
+  app.post('/:deviceId/api/chat', async (req, res) => {
+    const { deviceId } = req.params;
+
+    const validationError = validateOllamaRequest(req.body, 'chat');
+    if (validationError) {
+      return sendOllamaError(res, 400, validationError);
+    }
+
+    req.body = chatToOpenAIRequest(req.body);
+    await handleChatCompletion(req, res, deviceId, chatFormatter);
+  });
+
+  app.post('/:deviceId/api/generate', async (req, res) => {
+    const { deviceId } = req.params;
+
+    const validationError = validateOllamaRequest(req.body, 'generate');
+    if (validationError) {
+      return sendOllamaError(res, 400, validationError);
+    }
+
+    req.body = generateToOpenAIRequest(req.body);
+    await handleChatCompletion(req, res, deviceId, generateFormatter);
+  });
+
+  app.get('/:deviceId/api/tags', async (req, res) => {
+    const { deviceId } = req.params;
+
+    const authResult = await authenticateDevice(deviceId, req.headers.authorization, 'chat', getRequestClient(req));
+    if (!authResult.authenticated) {
+      return sendOllamaError(res, authResult.status, authResult.error);
+    }
+
+    res.json(buildTagsResponse());
+  });
+}
+
+module.exports = { setupOllamaRoutes };
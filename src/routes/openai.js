@@ -1,7 +1,22 @@
-const { sendOpenAIResponse } = require('../utils/response-utils');
+const { openAIFormatter } = require('../utils/response-utils');
+const { validateTools, resolveToolChoice, buildToolInstructions, formatHistoryMessage } = require('../utils/tool-call-utils');
+const { MAX_MESSAGE_IMAGES, contentToText, extractContentParts, resolveImages } = require('../utils/message-content');
+const { isStructuredFormat, prepareResponseFormat, buildStructuredOutputInstructions } = require('../utils/structured-output');
+const { DeviceRequestQueue } = require('../utils/device-request-queue');
+const { cancelPendingRequest, cancelOnClientDisconnect } = require('../utils/request-cancellation');
+const { resolveRequestTimeout, formatTimeout } = require('../utils/request-timeout');
+const { wantsAsyncResponse, createJobRecorder, formatJob } = require('../utils/async-jobs');
+const { validateStop, validateChoiceCount, validateMaxTokens, resolveOutputLimits, createStreamLimiter } = require('../utils/output-limits');
+const { createDeviceAuth, authErrorType } = require('../utils/device-auth');
+const { AuthThrottle } = require('../utils/auth-throttle');
+const { getRequestClient, recordAuditEvent } = require('../utils/audit-log');
+const { MCP_MAX_STEPS, buildMCPToolInstructions } = require('../utils/mcp-tool-loop');
 // Using built-in fetch (Node.js 18+)
 
-function setupOpenAIRoutes(app, io, connectedR1s, pendingRequests, requestDeviceMap, deviceIdManager, mcpManager = null) {
+function setupOpenAIRoutes(app, io, connectedR1s, pendingRequests, requestDeviceMap, deviceIdManager, mcpManager = null, requestQueue = new DeviceRequestQueue(), authThrottle = new AuthThrottle()) {
+  // API keys or (until the first key is issued) the device PIN
+  const { authenticateDevice, verifyPin, requireScope, requireAdminKeyIfIssued, sendAuthError } = createDeviceAuth(deviceIdManager, { connectedR1s, throttle: authThrottle });
+
   // Device-specific endpoints: /device-{deviceId}/v1/chat/completions (legacy format)
   app.post('/device-:deviceId/v1/chat/completions', async (req, res) => {
     const { deviceId } = req.params;
@@ -26,8 +41,129 @@ function setupOpenAIRoutes(app, io, connectedR1s, pendingRequests, requestDevice
     await handleModelsRequest(req, res, deviceId);
   });
 
+  // Cancel a queued or in-flight request by the ID from its X-Request-Id header
+  app.delete('/:deviceId/v1/requests/:requestId', async (req, res) => {
+    const { deviceId, requestId } = req.params;
+
+    const authResult = await authenticateDevice(deviceId, req.headers.authorization, 'chat', getRequestClient(req));
+    if (!authResult.authenticated) {
+      return sendAuthError(res, authResult);
+    }
+
+    // Still waiting in the device queue: the waiting handler answers its client
+    if (requestQueue.cancel(deviceId, requestId)) {
+      console.log(`🛑 Cancelled queued request ${requestId}`);
+      return res.json({ id: requestId, object: 'request', cancelled: true, status: 'queued' });
+    }
+
+    // Only requests that were sent to this device can be cancelled through it
+    if (requestDeviceMap.get(requestId) !== deviceId) {
+      return res.status(404).json({
+        error: {
+          message: `No pending request found with ID ${requestId}`,
+          type: 'not_found'
+        }
+      });
+    }
+
+    const pending = cancelPendingRequest(requestId, 'cancelled_by_client', connectedR1s, pendingRequests, requestDeviceMap);
+    if (pending?.res) {
+      const { formatter = openAIFormatter } = pending;
+      formatter.sendError(pending.res, 409, 'Request was cancelled', 'request_cancelled');
+    }
+
+    res.json({ id: requestId, object: 'request', cancelled: true, status: 'in_progress' });
+  });
+
+  // Poll an async chat completion job
+  app.get('/:deviceId/v1/jobs/:jobId', async (req, res) => {
+    const { deviceId, jobId } = req.params;
+
+    const authResult = await authenticateDevice(deviceId, req.headers.authorization, 'chat', getRequestClient(req));
+    if (!authResult.authenticated) {
+      return sendAuthError(res, authResult);
+    }
+
+    try {
+      const job = await deviceIdManager.database.getPendingRequest(jobId);
+      if (!job || job.device_id !== deviceId) {
+        return res.status(404).json({
+          error: {
+            message: `No job found with ID ${jobId}`,
+            type: 'not_found'
+          }
+        });
+      }
+
+      res.json(formatJob(job));
+    } catch (error) {
+      console.error('Error getting job:', error);
+      res.status(500).json({ error: { message: 'Internal server error', type: 'server_error' } });
+    }
+  });
+
+  // Estimated token usage per day for this device (?days=N, default 30)
+  app.get('/:deviceId/v1/usage', async (req, res) => {
+    const { deviceId } = req.params;
+
+    const authResult = await authenticateDevice(deviceId, req.headers.authorization, 'chat', getRequestClient(req));
+    if (!authResult.authenticated) {
+      return sendAuthError(res, authResult);
+    }
+
+    const days = req.query.days === undefined ? 30 : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 1 || days > 365) {
+      return res.status(400).json({ error: { message: 'days must be an integer between 1 and 365', type: 'validation_error', param: 'days' } });
+    }
+
+    try {
+      const rows = await deviceIdManager.database.getTokenUsage(deviceId, days);
+      const data = rows.map(row => ({
+        date: row.date,
+        requests: row.requests,
+        prompt_tokens: row.prompt_tokens,
+        completion_tokens: row.completion_tokens,
+        total_tokens: row.prompt_tokens + row.completion_tokens
+      }));
+
+      const total = data.reduce((sum, day) => ({
+        requests: sum.requests + day.requests,
+        prompt_tokens: sum.prompt_tokens + day.prompt_tokens,
+        completion_tokens: sum.completion_tokens + day.completion_tokens,
+        total_tokens: sum.total_tokens + day.total_tokens
+      }), { requests: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 });
+
+      res.json({ object: 'list', data, total });
+    } catch (error) {
+      console.error('Error getting token usage:', error);
+      res.status(500).json({ error: { message: 'Internal server error', type: 'server_error' } });
+    }
+  });
+
+  // PINs are only stored hashed, so the device's own socket is the one place
+  // a changed PIN is sent to
+  function notifyPinUpdated(deviceId, pinCode) {
+    const socket = connectedR1s.get(deviceId);
+    if (socket) {
+      socket.emit('pin_updated', { pinCode, pinEnabled: pinCode !== null, timestamp: new Date().toISOString() });
+    }
+  }
+
+  // Attempts to enable, change or disable a PIN go to the audit log
+  function auditPin(req, action, outcome, details) {
+    return recordAuditEvent(deviceIdManager.database, { deviceId: req.params.deviceId, action, outcome, client: getRequestClient(req), details });
+  }
+
+  // A wrong PIN on the PIN management routes is a 403; a lockout is a 429
+  function sendPinError(res, pinCheck, message) {
+    if (pinCheck.status === 429) {
+      return sendAuthError(res, pinCheck);
+    }
+    return res.status(403).json({ error: { message, type: 'auth_error' } });
+  }
+
   // Enable PIN for a device
-  app.post('/:deviceId/enable-pin', async (req, res) => {
+  app.post('/:deviceId/enable-pin', requireAdminKeyIfIssued, async (req, res) => {
     const { deviceId } = req.params;
     const { newPin } = req.body;
 
@@ -42,31 +178,36 @@ function setupOpenAIRoutes(app, io, connectedR1s, pendingRequests, requestDevice
         return res.status(404).json({ error: { message: 'Device not found', type: 'not_found' } });
       }
 
-      // If PIN is currently enabled, require current PIN for authentication
-      if (deviceInfo.pin_code) {
+      // If PIN is currently enabled, require current PIN (or an admin API key) for authentication
+      if (deviceInfo.pin_code && req.auth?.method !== 'api_key') {
         const authHeader = req.headers.authorization;
         if (!authHeader || !authHeader.startsWith('Bearer ')) {
           return res.status(401).json({ error: { message: 'Current PIN required to change PIN', type: 'auth_error' } });
         }
 
-        const currentPin = authHeader.substring(7);
-        if (currentPin !== deviceInfo.pin_code) {
-          return res.status(403).json({ error: { message: 'Invalid current PIN code', type: 'auth_error' } });
+        const pinCheck = await verifyPin(deviceId, deviceInfo, authHeader.substring(7), getRequestClient(req));
+        if (!pinCheck.ok) {
+          await auditPin(req, 'pin.change', 'failure', { reason: pinCheck.error });
+          return sendPinError(res, pinCheck, 'Invalid current PIN code');
         }
       }
 
-      // Enable/update the PIN
+      // Enable/update the PIN; pools joined with the old credentials are left
       await deviceIdManager.database.updateDevicePin(deviceId, newPin);
+      await deviceIdManager.database.removeDeviceFromPools(deviceId);
 
       // Update in-memory state
       const deviceData = deviceIdManager.deviceIds.get(deviceId);
       if (deviceData) {
-        deviceData.pinCode = newPin;
-        console.log(`[OK] Updated in-memory PIN for device`);
+        deviceData.pinEnabled = true;
+        console.log(`[OK] Updated in-memory PIN state for device`);
       } else {
         console.log(`[OK] Device not found in memory cache during PIN enable`);
       }
 
+      notifyPinUpdated(deviceId, newPin);
+      await auditPin(req, deviceInfo.pin_code ? 'pin.change' : 'pin.enable', 'success', { credential: req.auth?.method || 'pin' });
+
       console.log(`🔐 PIN ${deviceInfo.pin_code ? 'changed' : 'enabled'} for device`);
       res.json({ success: true, message: `PIN ${deviceInfo.pin_code ? 'changed' : 'enabled'} successfully` });
     } catch (error) {
@@ -76,35 +217,46 @@ function setupOpenAIRoutes(app, io, connectedR1s, pendingRequests, requestDevice
   });
 
   // Disable PIN for a device
-  app.post('/:deviceId/disable-pin', async (req, res) => {
+  app.post('/:deviceId/disable-pin', requireAdminKeyIfIssued, async (req, res) => {
     const { deviceId } = req.params;
     const authHeader = req.headers.authorization;
+    // An admin API key (checked by requireAdminKeyIfIssued) replaces the PIN
+    const keyAuthenticated = req.auth?.method === 'api_key';
 
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    if (!keyAuthenticated && (!authHeader || !authHeader.startsWith('Bearer '))) {
       return res.status(401).json({ error: { message: 'Missing or invalid authorization header', type: 'auth_error' } });
     }
 
-    const pinCode = authHeader.substring(7); // Remove 'Bearer ' prefix
-
     try {
       // Verify the PIN matches
       const deviceInfo = await deviceIdManager.getDeviceInfoFromDB(deviceId);
-      if (!deviceInfo || deviceInfo.pin_code !== pinCode) {
+      if (!deviceInfo) {
         return res.status(403).json({ error: { message: 'Invalid PIN code', type: 'auth_error' } });
       }
+      if (!keyAuthenticated) {
+        const pinCheck = await verifyPin(deviceId, deviceInfo, authHeader.substring(7), getRequestClient(req));
+        if (!pinCheck.ok) {
+          await auditPin(req, 'pin.disable', 'failure', { reason: pinCheck.error });
+          return sendPinError(res, pinCheck, 'Invalid PIN code');
+        }
+      }
 
-      // Disable the PIN
+      // Disable the PIN; pools joined with the old credentials are left
       await deviceIdManager.database.disableDevicePin(deviceId);
+      await deviceIdManager.database.removeDeviceFromPools(deviceId);
 
       // Update in-memory state
       const deviceData = deviceIdManager.deviceIds.get(deviceId);
       if (deviceData) {
-        deviceData.pinCode = null;
-        console.log(`[OK] Cleared in-memory PIN for device`);
+        deviceData.pinEnabled = false;
+        console.log(`[OK] Cleared in-memory PIN state for device`);
       } else {
         console.log(`[OK] Device not found in memory cache during PIN disable`);
       }
 
+      notifyPinUpdated(deviceId, null);
+      await auditPin(req, 'pin.disable', 'success', { credential: keyAuthenticated ? 'api_key' : 'pin' });
+
       console.log(`🔓 PIN disabled for device`);
       res.json({ success: true, message: 'PIN disabled successfully' });
     } catch (error) {
@@ -114,11 +266,13 @@ function setupOpenAIRoutes(app, io, connectedR1s, pendingRequests, requestDevice
   });
 
   // Change PIN for a device
-  app.post('/:deviceId/change-pin', async (req, res) => {
+  app.post('/:deviceId/change-pin', requireAdminKeyIfIssued, async (req, res) => {
     const { deviceId } = req.params;
     const { currentPin, newPin } = req.body;
+    // An admin API key (checked by requireAdminKeyIfIssued) replaces the current PIN
+    const keyAuthenticated = req.auth?.method === 'api_key';
 
-    if (!currentPin || !newPin) {
+    if ((!currentPin && !keyAuthenticated) || !newPin) {
       return res.status(400).json({ error: { message: 'Both current and new PIN required', type: 'validation_error' } });
     }
 
@@ -129,22 +283,33 @@ function setupOpenAIRoutes(app, io, connectedR1s, pendingRequests, requestDevice
     try {
       // Verify current PIN
       const deviceInfo = await deviceIdManager.getDeviceInfoFromDB(deviceId);
-      if (!deviceInfo || deviceInfo.pin_code !== currentPin) {
+      if (!deviceInfo) {
         return res.status(403).json({ error: { message: 'Invalid current PIN code', type: 'auth_error' } });
       }
+      if (!keyAuthenticated) {
+        const pinCheck = await verifyPin(deviceId, deviceInfo, currentPin, getRequestClient(req));
+        if (!pinCheck.ok) {
+          await auditPin(req, 'pin.change', 'failure', { reason: pinCheck.error });
+          return sendPinError(res, pinCheck, 'Invalid current PIN code');
+        }
+      }
 
-      // Update the PIN
+      // Update the PIN; pools joined with the old credentials are left
       await deviceIdManager.database.updateDevicePin(deviceId, newPin);
+      await deviceIdManager.database.removeDeviceFromPools(deviceId);
 
       // Update in-memory state
       const deviceData = deviceIdManager.deviceIds.get(deviceId);
       if (deviceData) {
-        deviceData.pinCode = newPin;
-        console.log(`[OK] Updated in-memory PIN for device`);
+        deviceData.pinEnabled = true;
+        console.log(`[OK] Updated in-memory PIN state for device`);
       } else {
         console.log(`[OK] Device not found in memory cache during PIN change`);
       }
 
+      notifyPinUpdated(deviceId, newPin);
+      await auditPin(req, 'pin.change', 'success', { credential: keyAuthenticated ? 'api_key' : 'pin' });
+
       console.log(`[OK] PIN changed for device`);
       res.json({ success: true, message: 'PIN changed successfully' });
     } catch (error) {
@@ -154,19 +319,21 @@ function setupOpenAIRoutes(app, io, connectedR1s, pendingRequests, requestDevice
   });
 
   // Get device info
-  app.get('/:deviceId/info', async (req, res) => {
+  app.get('/:deviceId/info', requireScope('admin'), async (req, res) => {
     const { deviceId } = req.params;
 
     if (deviceIdManager.database) {
       try {
         const device = await deviceIdManager.database.getDevice(deviceId);
         if (device) {
+          // The PIN itself is never returned; only the device's socket sees it
           res.json({
             deviceId: device.device_id,
-            pinCode: device.pin_code,
             pinEnabled: device.pin_code !== null && device.pin_code !== '',
             createdAt: device.created_at,
-            lastSeen: device.last_seen
+            lastSeen: device.last_seen,
+            authLimits: authThrottle.getLimits(),
+            authLockout: authThrottle.getDeviceStatus(deviceId)
           });
         } else {
           res.status(404).json({ error: 'Device not found' });
@@ -181,7 +348,7 @@ function setupOpenAIRoutes(app, io, connectedR1s, pendingRequests, requestDevice
   });
 
   // Test endpoint to manually send chat completion to device
-  app.post('/:deviceId/test-chat', async (req, res) => {
+  app.post('/:deviceId/test-chat', requireScope('chat'), async (req, res) => {
     const { deviceId } = req.params;
     const { message = 'Test message from server' } = req.body;
 
@@ -232,7 +399,7 @@ function setupOpenAIRoutes(app, io, connectedR1s, pendingRequests, requestDevice
   });
 
   // Device sync endpoint to resolve PIN mismatches
-  app.post('/:deviceId/sync', async (req, res) => {
+  app.post('/:deviceId/sync', requireScope('admin'), async (req, res) => {
     const { deviceId } = req.params;
 
     if (deviceIdManager.database) {
@@ -242,13 +409,12 @@ function setupOpenAIRoutes(app, io, connectedR1s, pendingRequests, requestDevice
           // Update the in-memory device manager with database info
           const deviceData = deviceIdManager.deviceIds.get(deviceId);
           if (deviceData) {
-            deviceData.pinCode = device.pin_code;
-            console.log(`[OK] Synced device PIN from database: ${device.pin_code ? 'set' : 'none'}`);
+            deviceData.pinEnabled = Boolean(device.pin_code);
+            console.log(`[OK] Synced device PIN state from database: ${device.pin_code ? 'set' : 'none'}`);
           }
 
           res.json({
             deviceId: device.device_id,
-            pinCode: device.pin_code,
             pinEnabled: device.pin_code !== null && device.pin_code !== '',
             synced: true,
             timestamp: new Date().toISOString()
@@ -267,44 +433,12 @@ function setupOpenAIRoutes(app, io, connectedR1s, pendingRequests, requestDevice
 
 
 
-  // Authentication helper function
-  async function authenticateDevice(deviceId, authHeader) {
-    // Check if device exists and get PIN status
-    const deviceInfo = await deviceIdManager.getDeviceInfoFromDB(deviceId);
-    if (!deviceInfo) {
-      return { authenticated: false, error: 'Device not found' };
-    }
-
-    // If PIN is disabled (null or empty), allow access without authentication
-    if (!deviceInfo.pin_code) {
-      return { authenticated: true };
-    }
-
-    // PIN is enabled, require authentication
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return { authenticated: false, error: 'PIN code required. Use Authorization: Bearer <pin-code>' };
-    }
-
-    const providedPin = authHeader.substring(7); // Remove 'Bearer '
-
-    if (deviceInfo.pin_code !== providedPin) {
-      return { authenticated: false, error: 'Invalid PIN code' };
-    }
-
-    return { authenticated: true };
-  }
-
   // Models handler
   async function handleModelsRequest(req, res, deviceId) {
     // Check authentication
-    const authResult = await authenticateDevice(deviceId, req.headers.authorization);
+    const authResult = await authenticateDevice(deviceId, req.headers.authorization, 'chat', getRequestClient(req));
     if (!authResult.authenticated) {
-      return res.status(401).json({
-        error: {
-          message: authResult.error,
-          type: 'authentication_failed'
-        }
-      });
+      return sendAuthError(res, authResult);
     }
 
     res.json({
@@ -320,17 +454,23 @@ function setupOpenAIRoutes(app, io, connectedR1s, pendingRequests, requestDevice
     });
   }
 
-  // Shared handler for chat completions
-  async function handleChatCompletion(req, res, targetDeviceId) {
+  // Shared handler for chat completions. With options.selectDevice (device
+  // pools) the device is picked by that function instead of targetDeviceId,
+  // and the caller has already authenticated the request. Routes that check
+  // the credential themselves pass options.authenticated so it is not
+  // verified (and counted by the throttle) twice.
+  async function handleChatCompletion(req, res, targetDeviceId, formatter = openAIFormatter, options = {}) {
+    const { selectDevice = null, authenticated = false } = options;
+
     // Check authentication
-    const authResult = await authenticateDevice(targetDeviceId, req.headers.authorization);
-    if (!authResult.authenticated) {
-      return res.status(401).json({
-        error: {
-          message: authResult.error,
-          type: 'authentication_failed'
+    if (!selectDevice && !authenticated) {
+      const authResult = await authenticateDevice(targetDeviceId, req.headers.authorization, 'chat', getRequestClient(req));
+      if (!authResult.authenticated) {
+        if (authResult.retryAfter) {
+          res.setHeader('Retry-After', String(authResult.retryAfter));
         }
-      });
+        return formatter.sendError(res, authResult.status, authResult.error, authErrorType(authResult.status));
+      }
     }
 
     try {
@@ -340,73 +480,151 @@ function setupOpenAIRoutes(app, io, connectedR1s, pendingRequests, requestDevice
         console.error('req.headers:', req.headers);
         console.error('req.method:', req.method);
         console.error('req.url:', req.url);
-        return res.status(400).json({
-          error: {
-            message: 'Request body is required',
-            type: 'validation_error'
-          }
-        });
+        return formatter.sendError(res, 400, 'Request body is required', 'validation_error');
       }
 
-      const { messages, model = 'gpt-3.5-turbo', temperature = 0.7, max_tokens = 150, stream = false, response_format } = req.body;
+      const { messages, model = 'gpt-3.5-turbo', temperature = 0.7, max_tokens = 150, stream = false, response_format, tools, tool_choice, stop, n = 1 } = req.body;
 
-      // Check if target device already has a pending TEXT request
-      const existingTextRequests = Array.from(requestDeviceMap.entries())
-        .filter(([_, deviceId]) => deviceId === targetDeviceId)
-        .filter(([requestId]) => {
-          const request = pendingRequests.get(requestId);
-          return request && !request.isTTS; // Only count non-TTS requests
-        });
+      // Only an explicit max_tokens limits the output; the default is just a hint for the device
+      const maxTokensLimit = req.body.max_tokens !== undefined ? req.body.max_tokens : req.body.max_completion_tokens;
+      const stopError = validateStop(stop);
+      if (stopError) {
+        return formatter.sendError(res, 400, stopError, 'validation_error', 'stop');
+      }
+      const maxTokensError = validateMaxTokens(maxTokensLimit);
+      if (maxTokensError) {
+        return formatter.sendError(res, 400, maxTokensError, 'validation_error', 'max_tokens');
+      }
+      const choiceCountError = validateChoiceCount(n);
+      if (choiceCountError) {
+        return formatter.sendError(res, 400, choiceCountError, 'validation_error', 'n');
+      }
+      if (n > 1 && (stream || tools || !formatter.sendChoices)) {
+        return formatter.sendError(res, 400, 'n > 1 is only supported for non-streaming requests without tools', 'validation_error', 'n');
+      }
+      const outputLimits = resolveOutputLimits(stop, maxTokensLimit);
 
-      if (existingTextRequests.length > 0) {
-        console.log(`[OK] Device ${targetDeviceId} already has ${existingTextRequests.length} pending text request(s)`);
-        return res.status(429).json({
-          error: {
-            message: 'Device is currently processing another text request. Please wait for it to complete.',
-            type: 'device_busy_text'
-          }
-        });
+      if (tools !== undefined) {
+        const toolsError = validateTools(tools);
+        if (toolsError) {
+          return formatter.sendError(res, 400, toolsError, 'validation_error', 'tools');
+        }
       }
 
-      console.log(`📊 Current pending requests: ${pendingRequests.size}`);
+      // Every image is decoded or downloaded before the request is sent
+      const { images: contentImages, audio: contentAudio } = extractContentParts(messages?.[messages.length - 1]?.content);
+      if (contentImages.length > MAX_MESSAGE_IMAGES) {
+        return formatter.sendError(res, 400, `At most ${MAX_MESSAGE_IMAGES} images are supported per message`, 'validation_error', 'messages');
+      }
 
-      // Extract the latest user message and check for images
-      const userMessage = messages[messages.length - 1]?.content || '';
-      let imageBase64 = null;
-      let pluginId = null;
+      // Compile the json_schema up front so a bad schema fails fast
+      const { error: responseFormatError, validator: schemaValidator } = prepareResponseFormat(response_format);
+      if (responseFormatError) {
+        return formatter.sendError(res, 400, responseFormatError, 'validation_error', 'response_format');
+      }
 
-      // Check if the message contains image data (R1 Create SDK format)
-      if (messages[messages.length - 1]?.imageBase64) {
-        imageBase64 = messages[messages.length - 1].imageBase64;
-        console.log(`📸 Image base64 data detected in message (${imageBase64.length} chars)`);
+      // How long to wait for the device (X-Request-Timeout header or `timeout` field, capped by config)
+      const { timeoutMs, error: timeoutError } = resolveRequestTimeout(req);
+      if (timeoutError) {
+        return formatter.sendError(res, 400, timeoutError, 'validation_error', 'timeout');
       }
 
-      // Check if the message contains an image URL that needs to be converted to base64
-      if (!imageBase64 && messages[messages.length - 1]?.imageUrl) {
-        const imageUrl = messages[messages.length - 1].imageUrl;
-        console.log(`[OK] Image URL detected, converting to base64: ${imageUrl}`);
+      const asyncMode = wantsAsyncResponse(req);
+      if (asyncMode && stream) {
+        return formatter.sendError(res, 400, 'Async mode cannot be combined with stream: true', 'validation_error', 'async');
+      }
+      if (asyncMode && selectDevice) {
+        return formatter.sendError(res, 400, 'Async mode is not available for pool requests', 'validation_error', 'async');
+      }
 
-        try {
-          // Fetch the image from the URL
-          const response = await fetch(imageUrl);
+      if (selectDevice) {
+        targetDeviceId = selectDevice(new Set());
+        if (!targetDeviceId) {
+          return formatter.sendError(res, 503, 'No pool members are connected', 'service_unavailable');
+        }
+      }
 
-          if (!response.ok) {
-            throw new Error(`Failed to fetch image: ${response.status} ${response.statusText}`);
-          }
+      // Tools the device may call for this request (empty when tool_choice is "none")
+      const toolSelection = resolveToolChoice(tools, tool_choice);
 
-          const contentType = response.headers.get('content-type');
-          if (!contentType || !contentType.startsWith('image/')) {
-            throw new Error(`URL does not point to a valid image: ${contentType}`);
-          }
+      // Tools of the device's MCP servers run on this server, so only plain
+      // single-device requests without client tools get them (`mcp: false` opts out)
+      const useMCP = mcpManager && targetDeviceId && !selectDevice && req.body.mcp !== false && toolSelection.tools.length === 0 &&
+        !isStructuredFormat(response_format) && n === 1;
+      const mcpTools = (useMCP && await mcpManager.getDeviceTools(targetDeviceId)) || [];
 
-          const imageBuffer = await response.buffer();
-          imageBase64 = imageBuffer.toString('base64');
-          console.log(`[OK] Successfully converted image URL to base64 (${imageBase64.length} chars)`);
+      // Generate unique request ID; clients can use it to cancel the request
+      const requestId = `req-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+      res.setHeader('X-Request-Id', requestId);
+
+      // The device handles one text request at a time; wait our turn in its queue.
+      // Async jobs outlive their HTTP response, so they release the slot themselves.
+      let ticket = requestQueue.enqueue(targetDeviceId, 'text', {
+        priority: req.headers['x-request-priority'],
+        res: asyncMode ? null : res,
+        requestId
+      });
+
+      if (!ticket) {
+        console.log(`[OK] Device ${targetDeviceId} text queue is full`);
+        return formatter.sendError(res, 429, `Device queue is full (${requestQueue.maxDepth} requests waiting). Please retry later.`, 'queue_full');
+      }
+
+      res.setHeader('X-Queue-Position', String(ticket.position));
+      if (ticket.position > 0) {
+        console.log(`⏳ Text request queued for device ${targetDeviceId} at position ${ticket.position}`);
+      }
+
+      console.log(`📊 Current pending requests: ${pendingRequests.size}`);
+
+      if (asyncMode) {
+        // Answer right away and record the device reply as a job the client can poll
+        try {
+          await deviceIdManager.database.savePendingRequest(requestId, targetDeviceId);
         } catch (error) {
-          console.error(`[OK] Failed to convert image URL to base64:`, error.message);
-          // Continue without image data rather than failing the request
-          console.log(`[OK] Continuing request without image data`);
+          ticket.release();
+          throw error;
         }
+        res.status(202).json({
+          id: requestId,
+          object: 'job',
+          status: 'pending',
+          queue_position: ticket.position,
+          url: `/${targetDeviceId}/v1/jobs/${requestId}`
+        });
+        console.log(`📋 Accepted async job ${requestId}`);
+
+        res = createJobRecorder(requestId, deviceIdManager.database, ticket.release);
+      }
+
+      // Extract the latest message and check for images; a trailing tool result
+      // is rendered as text so the device can use it to finish its answer
+      const lastMessage = messages[messages.length - 1];
+      const userMessage = lastMessage?.role === 'tool'
+        ? formatHistoryMessage(lastMessage)
+        : contentToText(lastMessage?.content);
+      let pluginId = null;
+
+      // Gather images from the R1 Create SDK fields and from OpenAI image_url content parts
+      const imageSources = [];
+      if (lastMessage?.imageBase64) {
+        imageSources.push({ base64: lastMessage.imageBase64 });
+      } else if (lastMessage?.imageUrl) {
+        imageSources.push({ url: lastMessage.imageUrl });
+      }
+      imageSources.push(...contentImages);
+
+      // Data URLs are decoded and http URLs fetched; the first image uses the
+      // imageBase64 field the creation app's vision path expects
+      const images = await resolveImages(imageSources);
+      const imageBase64 = images[0] || null;
+      if (imageBase64) {
+        console.log(`📸 ${images.length} image(s) attached to message (${imageBase64.length} chars in first)`);
+      }
+
+      const inputAudio = contentAudio[0] || null;
+      if (inputAudio) {
+        console.log(`🎤 Audio input attached to message (${inputAudio.format}, ${inputAudio.data.length} chars)`);
       }
 
       // Check for plugin ID
@@ -415,44 +633,57 @@ function setupOpenAIRoutes(app, io, connectedR1s, pendingRequests, requestDevice
         console.log(`[OK] Plugin ID detected: ${pluginId}`);
       }
 
-      // Generate unique request ID
-      const requestId = `req-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+      try {
+        await ticket.ready;
+      } catch (error) {
+        if (error.code === 'QUEUE_TIMEOUT') {
+          return formatter.sendError(res, 503, error.message, 'queue_timeout');
+        }
+        // Cancelled while queued, either explicitly or because the client went away
+        if (!res.destroyed) {
+          formatter.sendError(res, 409, 'Request was cancelled', 'request_cancelled');
+        }
+        return;
+      }
 
       // Check if this is a test request (skip timeouts)
       const isTestRequest = req.headers['x-test-request'] === 'true';
 
+      // MCP tool calls still waiting for approval end with the request
+      const onCancel = mcpTools.length > 0 ? () => mcpManager.approvals.cancelRequest(requestId) : null;
+
       let timeout;
+      let onTimeout;
       if (!isTestRequest) {
-        // Set up timeout for request
-        timeout = setTimeout(() => {
-          console.log(`⏰ Request ${requestId} timed out after 30 seconds`);
+        // Set up timeout for request; the handler is kept so MCP tool steps can restart it
+        onTimeout = () => {
+          console.log(`⏰ Request ${requestId} timed out after ${formatTimeout(timeoutMs)}`);
           pendingRequests.delete(requestId);
           requestDeviceMap.delete(requestId);
-          res.status(504).json({
-            error: {
-              message: 'Request timeout - R1 device did not respond within 30 seconds',
-              type: 'timeout'
-            }
-          });
-        }, 30000);
+          if (onCancel) onCancel();
+          formatter.sendError(res, 504, `Request timeout - R1 device did not respond within ${formatTimeout(timeoutMs)}`, 'timeout');
+        };
+        timeout = setTimeout(onTimeout, timeoutMs);
       }
 
-      // Store the request for response handling
-      pendingRequests.set(requestId, { res, timeout, stream, response_format });
-
-      // Tools are handled device-side
-
       // Build conversation context from messages array
+      // System prompts are sent ahead of the conversation
+      const systemPrompt = messages
+        .filter(msg => msg.role === 'system')
+        .map(msg => contentToText(msg.content))
+        .filter(Boolean)
+        .join('\n\n');
+
       let conversationContext = '';
-      if (messages.length > 1) {
+      // Exclude the current user message and the system prompts
+      const historyMessages = messages.slice(0, -1).filter(msg => msg.role !== 'system');
+      if (historyMessages.length > 0) {
         // Convert messages to a readable conversation format
-        const historyMessages = messages.slice(0, -1); // Exclude the current user message
         conversationContext = '## CONVERSATION HISTORY\n\n';
         for (const msg of historyMessages) {
-          if (msg.role === 'user') {
-            conversationContext += `User: ${msg.content}\n\n`;
-          } else if (msg.role === 'assistant') {
-            conversationContext += `Assistant: ${msg.content}\n\n`;
+          const line = formatHistoryMessage(msg);
+          if (line) {
+            conversationContext += `${line}\n\n`;
           }
         }
         conversationContext += '## CURRENT MESSAGE\n\n';
@@ -461,13 +692,27 @@ function setupOpenAIRoutes(app, io, connectedR1s, pendingRequests, requestDevice
       // Combine context and current message
       let messageText = userMessage;
       if (conversationContext) {
-        messageText = `${conversationContext}User: ${userMessage}`;
+        messageText = lastMessage?.role === 'tool'
+          ? `${conversationContext}${userMessage}`
+          : `${conversationContext}User: ${userMessage}`;
+      }
+      if (systemPrompt) {
+        messageText = `## SYSTEM INSTRUCTIONS\n\n${systemPrompt}\n\n${conversationContext ? '' : '## CURRENT MESSAGE\n\n'}${messageText}`;
+      }
+
+      // Describe the available tools so the device can answer with a tool call
+      if (toolSelection.tools.length > 0) {
+        messageText = `${messageText}\n\n${buildToolInstructions(toolSelection.tools, toolSelection.required)}`;
       }
 
-      // For json_object format, add instruction to return only JSON
+      if (mcpTools.length > 0) {
+        messageText = `${messageText}\n\n${buildMCPToolInstructions(mcpTools)}`;
+      }
+
+      // For json_object / json_schema formats, add instruction to return only (schema-conforming) JSON
       let processedMessage = messageText;
-      if (response_format && response_format.type === 'json_object') {
-        processedMessage = `${messageText}\n\nIMPORTANT: Respond with ONLY a valid JSON object. Do not include any other text, markdown, or explanation.`;
+      if (isStructuredFormat(response_format)) {
+        processedMessage = `${messageText}\n\n${buildStructuredOutputInstructions(response_format)}`;
       }
       const command = {
         type: 'chat_completion',
@@ -478,13 +723,91 @@ function setupOpenAIRoutes(app, io, connectedR1s, pendingRequests, requestDevice
           temperature,
           max_tokens,
           response_format,
+          stream,
           requestId,
           timestamp: new Date().toISOString(),
           ...(imageBase64 && { imageBase64 }),
+          ...(images.length > 1 && { images }),
+          ...(inputAudio && { inputAudio }),
           ...(pluginId && { pluginId })
         }
       };
 
+      // For streaming requests, response_chunk events from the device are piped
+      // straight to the SSE client as they arrive
+      const streamWriter = stream ? formatter.createStream(res, model, processedMessage) : null;
+
+      // Pool requests move to another member when their device disconnects
+      // before any output was streamed
+      const triedDevices = new Set([targetDeviceId]);
+      const failover = async () => {
+        ticket.release();
+
+        const nextDeviceId = selectDevice(triedDevices);
+        if (!nextDeviceId) {
+          return false;
+        }
+        triedDevices.add(nextDeviceId);
+
+        const nextTicket = requestQueue.enqueue(nextDeviceId, 'text', {
+          priority: req.headers['x-request-priority'],
+          res,
+          requestId
+        });
+        if (!nextTicket) {
+          return false;
+        }
+        ticket = nextTicket;
+
+        try {
+          await nextTicket.ready;
+        } catch (error) {
+          return false;
+        }
+
+        const pendingRequest = pendingRequests.get(requestId);
+        if (!pendingRequest) {
+          // Timed out or cancelled while waiting for the new member
+          nextTicket.release();
+          return true;
+        }
+
+        const socket = connectedR1s.get(nextDeviceId);
+        if (!socket) {
+          return failover();
+        }
+
+        pendingRequest.bufferedResponse = '';
+        requestDeviceMap.set(requestId, nextDeviceId);
+        socket.emit('chat_completion', { ...command, data: { ...command.data, timestamp: new Date().toISOString() } });
+        console.log(`🔀 Request ${requestId} failed over to another pool member`);
+        return true;
+      };
+
+      // Store the request for response handling; the command is kept so invalid
+      // structured replies can be re-asked on the same device
+      pendingRequests.set(requestId, {
+        res,
+        timeout,
+        stream,
+        response_format,
+        streamWriter,
+        command,
+        formatter,
+        n,
+        ...(selectDevice && { failover }),
+        ...(outputLimits && { outputLimits }),
+        ...(outputLimits && streamWriter && { streamLimiter: createStreamLimiter(outputLimits) }),
+        ...(schemaValidator && { schemaValidator }),
+        ...(toolSelection.tools.length > 0 && { tools: toolSelection.tools }),
+        ...(mcpTools.length > 0 && { mcp: { tools: mcpTools, steps: [], maxSteps: MCP_MAX_STEPS } }),
+        ...(onTimeout && { onTimeout, timeoutMs }),
+        ...(onCancel && { onCancel })
+      });
+
+      // Stop the device working on it if the caller goes away
+      cancelOnClientDisconnect(res, requestId, connectedR1s, pendingRequests, requestDeviceMap);
+
       console.log('Sending command to R1 devices:', JSON.stringify(command, null, 2));
 
       let responsesSent = 0;
@@ -532,12 +855,7 @@ function setupOpenAIRoutes(app, io, connectedR1s, pendingRequests, requestDevice
             // No devices connected or target device not found
             pendingRequests.delete(requestId);
             clearTimeout(timeout);
-            res.status(503).json({
-              error: {
-                message: `Device not connected`,
-                type: 'service_unavailable'
-              }
-            });
+            formatter.sendError(res, 503, `Device not connected`, 'service_unavailable');
             return;
           }
         }
@@ -548,12 +866,7 @@ function setupOpenAIRoutes(app, io, connectedR1s, pendingRequests, requestDevice
           // No R1 devices connected
           pendingRequests.delete(requestId);
           clearTimeout(timeout);
-          res.status(503).json({
-            error: {
-              message: 'No R1 devices connected',
-              type: 'service_unavailable'
-            }
-          });
+          formatter.sendError(res, 503, 'No R1 devices connected', 'service_unavailable');
           return;
         }
 
@@ -570,23 +883,16 @@ function setupOpenAIRoutes(app, io, connectedR1s, pendingRequests, requestDevice
         // This shouldn't happen with the checks above, but just in case
         pendingRequests.delete(requestId);
         clearTimeout(timeout);
-        res.status(503).json({
-          error: {
-            message: 'No R1 devices available',
-            type: 'service_unavailable'
-          }
-        });
+        formatter.sendError(res, 503, 'No R1 devices available', 'service_unavailable');
       }
     } catch (error) {
       console.error('Error processing chat completion:', error);
-      res.status(500).json({
-        error: {
-          message: 'Internal server error',
-          type: 'server_error'
-        }
-      });
+      formatter.sendError(res, 500, 'Internal server error', 'server_error');
     }
   }
+
+  // Shared with routes for other API dialects that dispatch through the same path
+  return { handleChatCompletion, authenticateDevice, requireScope, sendAuthError };
 }
 
 module.exports = { setupOpenAIRoutes };
\ No newline at end of file
@@ -0,0 +1,90 @@
+const { API_KEY_PREFIX, API_KEY_SCOPES, generateApiKey, hashApiKey, validateApiKeyRequest, formatApiKey } = require('../utils/api-keys');
+const { PAIRING_CODE_LENGTH, normalizePairingCode, hashPairingCode } = require('../utils/pairing-codes');
+const { getSessionSecret, issueSession } = require('../utils/session-tokens');
+const { getRequestClient, recordAuditEvent } = require('../utils/audit-log');
+
+// Redeeming a pairing code shown on the device. The code names the device, so
+// no device ID or PIN is needed; wrong codes count towards the per-IP lockout.
+function setupPairingRoutes(app, sendAuthError, database, connectedR1s, throttle, sessionSecret = getSessionSecret()) {
+  async function issueApiKey(deviceId, body) {
+    const { scopes, label = null, expires_at: expiresAt = null } = body;
+    const key = generateApiKey();
+    const row = await database.createApiKey(
+      deviceId,
+      hashApiKey(key),
+      key.substring(0, API_KEY_PREFIX.length + 6),
+      [...new Set(scopes)],
+      label,
+      expiresAt ? new Date(expiresAt).toISOString() : null
+    );
+    return { ...formatApiKey(row), key };
+  }
+
+  app.post('/pair', async (req, res) => {
+    const body = req.body || {};
+    const { credential = 'session' } = body;
+    const code = normalizePairingCode(body.code);
+
+    if (code.length !== PAIRING_CODE_LENGTH) {
+      return res.status(400).json({ error: { message: 'code must be a pairing code shown on the device', type: 'validation_error', param: 'code' } });
+    }
+    if (!['session', 'api_key'].includes(credential)) {
+      return res.status(400).json({ error: { message: 'credential must be session or api_key', type: 'validation_error', param: 'credential' } });
+    }
+
+    // Check the key request before the code is used up
+    if (credential === 'api_key') {
+      const validationError = validateApiKeyRequest(body);
+      if (validationError) {
+        return res.status(400).json({ error: { message: validationError.message, type: 'validation_error', param: validationError.param } });
+      }
+    }
+
+    const lock = throttle.check(null, req.ip);
+    if (lock.locked) {
+      const retryAfter = Math.ceil(lock.retryAfterMs / 1000);
+      return sendAuthError(res, { error: `Too many failed pairing attempts. Try again in ${retryAfter} seconds`, status: 429, retryAfter });
+    }
+
+    try {
+      // Counted while the code is looked up, so parallel guesses see each other
+      throttle.begin(null, req.ip);
+      let pairing;
+      try {
+        pairing = await database.redeemPairingCode(hashPairingCode(code));
+      } finally {
+        throttle.end(null, req.ip);
+      }
+      if (!pairing) {
+        throttle.recordFailure(null, req.ip);
+        return sendAuthError(res, { error: 'Invalid, used or expired pairing code', status: 401 });
+      }
+      throttle.recordSuccess(null, req.ip);
+
+      const deviceId = pairing.device_id;
+      const response = { object: 'pairing', device_id: deviceId };
+      if (credential === 'api_key') {
+        response.api_key = await issueApiKey(deviceId, body);
+      } else {
+        response.session = await issueSession(database, sessionSecret, { deviceId, scopes: API_KEY_SCOPES, authMethod: 'pairing' });
+      }
+
+      await database.saveSystemEvent('pairing_code_redeemed', deviceId, { pairingId: pairing.id, credential, ip: req.ip });
+      await recordAuditEvent(database, { deviceId, action: 'pairing.redeem', client: getRequestClient(req), details: { credential } });
+      console.log(`🔗 Pairing code redeemed for a ${credential === 'api_key' ? 'API key' : 'session'}`);
+
+      // Let the device hide the code
+      const deviceSocket = connectedR1s.get(deviceId);
+      if (deviceSocket) {
+        deviceSocket.emit('paired', { credential, timestamp: new Date().toISOString() });
+      }
+
+      res.status(201).json(response);
+    } catch (error) {
+      console.error('Error redeeming pairing code:', error);
+      res.status(500).json({ error: { message: 'Internal server error', type: 'server_error' } });
+    }
+  });
+}
+
+module.exports = { setupPairingRoutes };
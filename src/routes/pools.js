@@ -0,0 +1,226 @@
+const { openAIFormatter } = require('../utils/response-utils');
+const {
+  validatePoolName,
+  validatePoolStrategy,
+  generatePoolKey,
+  hashPoolKey,
+  verifyPoolKey
+} = require('../utils/device-pools');
+const { getRequestClient } = require('../utils/audit-log');
+
+// Named device pools. A pool has its own key (returned once on creation) that
+// authorizes pool management and /pool-{name}/v1/chat/completions; adding a
+// device requires that device's PIN. Chat requests go to the member chosen by
+// the pool's strategy and fail over to another member if the device disconnects.
+// A device's owner can list its pools and leave them with the device's admin
+// credential; changing the PIN or revoking an API key leaves every pool.
+//
+// `router` must be mounted before the /:deviceId routes, otherwise paths like
+// /pool-team/v1/chat/completions are taken for a device ID.
+function setupPoolRoutes(router, handleChatCompletion, authenticateDevice, requireScope, database, poolRouter) {
+  // Load the pool named in the URL and check its key; sends the error response itself
+  async function loadPool(req, res) {
+    const { poolName } = req.params;
+
+    const pool = await database.getDevicePool(poolName);
+    if (!pool) {
+      res.status(404).json({ error: { message: `Pool ${poolName} not found`, type: 'not_found' } });
+      return null;
+    }
+
+    const authHeader = req.headers.authorization;
+    const key = authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
+    if (!verifyPoolKey(key, pool.key_hash)) {
+      res.status(401).json({ error: { message: 'Valid pool key required. Use Authorization: Bearer <pool-key>', type: 'authentication_failed' } });
+      return null;
+    }
+
+    return pool;
+  }
+
+  async function describePool(pool) {
+    const members = await database.getDevicePoolMembers(pool.pool_name);
+    return {
+      name: pool.pool_name,
+      strategy: pool.strategy,
+      created_at: pool.created_at,
+      members: poolRouter.describeMembers(members)
+    };
+  }
+
+  // Create a pool; the key is only returned in this response
+  router.post('/pools', async (req, res) => {
+    const { name, strategy = 'least_pending' } = req.body || {};
+
+    const validationError = validatePoolName(name) || validatePoolStrategy(strategy);
+    if (validationError) {
+      return res.status(400).json({ error: { message: validationError, type: 'validation_error' } });
+    }
+
+    try {
+      if (await database.getDevicePool(name)) {
+        return res.status(409).json({ error: { message: `Pool ${name} already exists`, type: 'conflict' } });
+      }
+
+      const key = generatePoolKey();
+      await database.createDevicePool(name, strategy, hashPoolKey(key));
+      console.log(`🧺 Created device pool ${name} (${strategy})`);
+
+      res.status(201).json({ name, strategy, key, members: [] });
+    } catch (error) {
+      console.error('Error creating pool:', error);
+      res.status(500).json({ error: { message: 'Internal server error', type: 'server_error' } });
+    }
+  });
+
+  router.get('/pools/:poolName', async (req, res) => {
+    try {
+      const pool = await loadPool(req, res);
+      if (!pool) return;
+
+      res.json(await describePool(pool));
+    } catch (error) {
+      console.error('Error getting pool:', error);
+      res.status(500).json({ error: { message: 'Internal server error', type: 'server_error' } });
+    }
+  });
+
+  // Change the routing strategy
+  router.patch('/pools/:poolName', async (req, res) => {
+    try {
+      const pool = await loadPool(req, res);
+      if (!pool) return;
+
+      const { strategy } = req.body || {};
+      const validationError = validatePoolStrategy(strategy);
+      if (validationError) {
+        return res.status(400).json({ error: { message: validationError, type: 'validation_error' } });
+      }
+
+      await database.updateDevicePoolStrategy(pool.pool_name, strategy);
+      res.json(await describePool({ ...pool, strategy }));
+    } catch (error) {
+      console.error('Error updating pool:', error);
+      res.status(500).json({ error: { message: 'Internal server error', type: 'server_error' } });
+    }
+  });
+
+  router.delete('/pools/:poolName', async (req, res) => {
+    try {
+      const pool = await loadPool(req, res);
+      if (!pool) return;
+
+      await database.deleteDevicePool(pool.pool_name);
+      console.log(`🧺 Deleted device pool ${pool.pool_name}`);
+      res.json({ name: pool.pool_name, deleted: true });
+    } catch (error) {
+      console.error('Error deleting pool:', error);
+      res.status(500).json({ error: { message: 'Internal server error', type: 'server_error' } });
+    }
+  });
+
+  // Add a device; an admin API key (or, before the device has keys, its PIN)
+  // proves the caller may share it
+  router.post('/pools/:poolName/members', async (req, res) => {
+    try {
+      const pool = await loadPool(req, res);
+      if (!pool) return;
+
+      const { device_id: deviceId, pin, api_key: apiKey } = req.body || {};
+      if (typeof deviceId !== 'string' || deviceId.length === 0) {
+        return res.status(400).json({ error: { message: 'device_id is required', type: 'validation_error' } });
+      }
+
+      const credential = apiKey || pin;
+      const authResult = await authenticateDevice(deviceId, credential ? `Bearer ${credential}` : undefined, 'admin', getRequestClient(req));
+      if (!authResult.authenticated) {
+        if (authResult.status === 429) {
+          res.setHeader('Retry-After', String(authResult.retryAfter));
+          return res.status(429).json({ error: { message: authResult.error, type: 'too_many_attempts' } });
+        }
+        const status = authResult.error === 'Device not found' ? 404 : 403;
+        return res.status(status).json({ error: { message: authResult.error, type: status === 404 ? 'not_found' : 'auth_error' } });
+      }
+
+      await database.addDevicePoolMember(pool.pool_name, deviceId);
+      console.log(`🧺 Added a device to pool ${pool.pool_name}`);
+      res.status(201).json(await describePool(pool));
+    } catch (error) {
+      console.error('Error adding pool member:', error);
+      res.status(500).json({ error: { message: 'Internal server error', type: 'server_error' } });
+    }
+  });
+
+  router.delete('/pools/:poolName/members/:deviceId', async (req, res) => {
+    try {
+      const pool = await loadPool(req, res);
+      if (!pool) return;
+
+      const removed = await database.removeDevicePoolMember(pool.pool_name, req.params.deviceId);
+      if (!removed) {
+        return res.status(404).json({ error: { message: 'Device is not a member of this pool', type: 'not_found' } });
+      }
+
+      res.json(await describePool(pool));
+    } catch (error) {
+      console.error('Error removing pool member:', error);
+      res.status(500).json({ error: { message: 'Internal server error', type: 'server_error' } });
+    }
+  });
+
+  // The pools a device is in, for its owner
+  async function describeMemberships(deviceId) {
+    const pools = await database.getDevicePoolsOfMember(deviceId);
+    return {
+      device_id: deviceId,
+      pools: pools.map(pool => ({ name: pool.pool_name, strategy: pool.strategy, added_at: pool.added_at }))
+    };
+  }
+
+  router.get('/:deviceId/pools', requireScope('admin'), async (req, res) => {
+    try {
+      res.json(await describeMemberships(req.params.deviceId));
+    } catch (error) {
+      console.error('Error listing device pools:', error);
+      res.status(500).json({ error: { message: 'Internal server error', type: 'server_error' } });
+    }
+  });
+
+  // Leave a pool without its key
+  router.delete('/:deviceId/pools/:poolName', requireScope('admin'), async (req, res) => {
+    const { deviceId, poolName } = req.params;
+
+    try {
+      const removed = await database.removeDevicePoolMember(poolName, deviceId);
+      if (!removed) {
+        return res.status(404).json({ error: { message: `Device is not a member of pool ${poolName}`, type: 'not_found' } });
+      }
+
+      console.log(`🧺 A device left pool ${poolName}`);
+      res.json(await describeMemberships(deviceId));
+    } catch (error) {
+      console.error('Error leaving pool:', error);
+      res.status(500).json({ error: { message: 'Internal server error', type: 'server_error' } });
+    }
+  });
+
+  // Chat completions served by whichever member the pool strategy picks
+  router.post('/pool-:poolName/v1/chat/completions', async (req, res) => {
+    let pool;
+    let members;
+    try {
+      pool = await loadPool(req, res);
+      if (!pool) return;
+      members = await database.getDevicePoolMembers(pool.pool_name);
+    } catch (error) {
+      console.error('Error loading pool:', error);
+      return res.status(500).json({ error: { message: 'Internal server error', type: 'server_error' } });
+    }
+
+    await handleChatCompletion(req, res, null, openAIFormatter, {
+      selectDevice: (exclude) => poolRouter.select(pool.pool_name, members, pool.strategy, exclude)
+    });
+  });
+}
+
+module.exports = { setupPoolRoutes };
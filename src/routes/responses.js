@@ -0,0 +1,74 @@
+const {
+  MAX_RESPONSE_CHAIN_TURNS,
+  generateResponseId,
+  validateResponsesRequest,
+  toInputMessages,
+  toOpenAIContent,
+  toOpenAIChatRequest,
+  createResponsesFormatter
+} = require('../utils/responses-utils');
+const { contentToText } = require('../utils/message-content');
+const { authErrorType } = require('../utils/device-auth');
+const { getRequestClient } = require('../utils/audit-log');
+
+// OpenAI Responses API compatible endpoint. Each stored response is a session in
+// the conversations table pointing at the response it continues, so clients can
+// send previous_response_id instead of the whole history.
+function setupResponsesRoutes(app, handleChatCompletion, authenticateDevice, database) {
+  app.post('/:deviceId/v1/responses', async (req, res) => {
+    const { deviceId } = req.params;
+    const body = req.body;
+    const responseId = generateResponseId();
+    const previousResponseId = body && body.previous_response_id ? body.previous_response_id : null;
+
+    const formatter = createResponsesFormatter({
+      responseId,
+      previousResponseId,
+      instructions: body && body.instructions ? body.instructions : null,
+      onComplete: async (outputText) => {
+        if (body.store === false) return;
+
+        for (const message of toInputMessages(body.input)) {
+          const role = message.role === 'developer' ? 'system' : message.role;
+          await database.saveMessage(responseId, deviceId, role, contentToText(toOpenAIContent(message.content)), previousResponseId);
+        }
+        await database.saveMessage(responseId, deviceId, 'assistant', outputText, previousResponseId);
+      }
+    });
+
+    const validationError = validateResponsesRequest(body);
+    if (validationError) {
+      return formatter.sendError(res, 400, validationError, 'validation_error', 'input');
+    }
+
+    // Authenticate before looking up stored history for this device
+    const authResult = await authenticateDevice(deviceId, req.headers.authorization, 'chat', getRequestClient(req));
+    if (!authResult.authenticated) {
+      if (authResult.retryAfter) {
+        res.setHeader('Retry-After', String(authResult.retryAfter));
+      }
+      return formatter.sendError(res, authResult.status, authResult.error, authErrorType(authResult.status));
+    }
+
+    let history = [];
+    if (previousResponseId) {
+      try {
+        history = await database.getConversationChain(previousResponseId, deviceId, MAX_RESPONSE_CHAIN_TURNS);
+      } catch (error) {
+        console.error('Error loading previous response:', error);
+        return formatter.sendError(res, 500, 'Failed to load previous response', 'server_error');
+      }
+
+      if (!history) {
+        return formatter.sendError(res, 404, `Previous response with id '${previousResponseId}' not found.`, 'invalid_request_error', 'previous_response_id');
+      }
+      console.log(`🧵 Rebuilt ${history.length} messages from ${previousResponseId} for device ${deviceId}`);
+    }
+
+    req.body = toOpenAIChatRequest(body, history);
+    // The credential was checked above
+    await handleChatCompletion(req, res, deviceId, formatter, { authenticated: true });
+  });
+}
+
+module.exports = { setupResponsesRoutes };
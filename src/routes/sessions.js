@@ -0,0 +1,111 @@
+const {
+  REFRESH_TOKEN_TTL_MS,
+  getSessionSecret,
+  generateRefreshToken,
+  hashRefreshToken,
+  isSessionToken,
+  issueSession,
+  formatSession
+} = require('../utils/session-tokens');
+const { getRequestClient, recordAuditEvent } = require('../utils/audit-log');
+
+// Control panel login. The PIN (or an API key) is exchanged once for a
+// short-lived access token and a refresh token, so the browser never has to
+// keep the PIN itself.
+function setupSessionRoutes(app, authenticateDevice, sendAuthError, database, sessionSecret = getSessionSecret()) {
+  // Log in with { pin } / { api_key } in the body or the usual Authorization header
+  app.post('/:deviceId/session', async (req, res) => {
+    const { deviceId } = req.params;
+    const { pin, api_key: apiKey } = req.body || {};
+    const credential = apiKey || pin;
+    const authHeader = credential ? `Bearer ${credential}` : req.headers.authorization;
+
+    try {
+      const authResult = await authenticateDevice(deviceId, authHeader, null, getRequestClient(req));
+      if (!authResult.authenticated) {
+        return sendAuthError(res, authResult);
+      }
+      if (authResult.method === 'session') {
+        return res.status(400).json({ error: { message: 'Use the refresh token to extend a session', type: 'validation_error' } });
+      }
+
+      const session = await issueSession(database, sessionSecret, { deviceId, scopes: authResult.scopes, authMethod: authResult.method });
+      console.log(`🔑 Control panel session started (${authResult.method})`);
+      await recordAuditEvent(database, {
+        deviceId,
+        action: 'session.login',
+        client: getRequestClient(req),
+        details: { session_id: session.session_id, credential: authResult.method }
+      });
+
+      res.status(201).json(session);
+    } catch (error) {
+      console.error('Error creating session:', error);
+      res.status(500).json({ error: { message: 'Internal server error', type: 'server_error' } });
+    }
+  });
+
+  // Exchange a refresh token for a new access token; the refresh token is replaced
+  app.post('/:deviceId/session/refresh', async (req, res) => {
+    const { deviceId } = req.params;
+    const refreshToken = req.body?.refresh_token;
+
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+      return res.status(400).json({ error: { message: 'refresh_token is required', type: 'validation_error', param: 'refresh_token' } });
+    }
+
+    try {
+      const oldHash = hashRefreshToken(refreshToken);
+      const session = await database.getAuthSessionByRefreshHash(oldHash);
+      if (!session || session.device_id !== deviceId || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+        return res.status(401).json({ error: { message: 'Invalid or expired refresh token', type: 'authentication_failed' } });
+      }
+
+      const newRefreshToken = generateRefreshToken();
+      const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS).toISOString();
+      if (!(await database.rotateAuthSession(session.id, oldHash, hashRefreshToken(newRefreshToken), expiresAt))) {
+        return res.status(401).json({ error: { message: 'Invalid or expired refresh token', type: 'authentication_failed' } });
+      }
+
+      res.json(formatSession(sessionSecret, await database.getAuthSession(session.id), newRefreshToken));
+    } catch (error) {
+      console.error('Error refreshing session:', error);
+      res.status(500).json({ error: { message: 'Internal server error', type: 'server_error' } });
+    }
+  });
+
+  // Log out with the session's access token or its refresh token
+  app.delete('/:deviceId/session', async (req, res) => {
+    const { deviceId } = req.params;
+    const refreshToken = req.body?.refresh_token;
+
+    try {
+      let sessionId = null;
+      if (refreshToken) {
+        const session = await database.getAuthSessionByRefreshHash(hashRefreshToken(refreshToken));
+        sessionId = session && session.device_id === deviceId ? session.id : null;
+      } else if (isSessionToken(req.headers.authorization?.substring(7))) {
+        const authResult = await authenticateDevice(deviceId, req.headers.authorization, null, getRequestClient(req));
+        if (!authResult.authenticated) {
+          return sendAuthError(res, authResult);
+        }
+        sessionId = authResult.sessionId;
+      } else {
+        return res.status(400).json({ error: { message: 'A session access token or refresh_token is required', type: 'validation_error' } });
+      }
+
+      if (!sessionId || !(await database.revokeAuthSession(deviceId, sessionId))) {
+        return res.status(404).json({ error: { message: 'No active session found', type: 'not_found' } });
+      }
+
+      console.log('🔑 Control panel session ended');
+      await recordAuditEvent(database, { deviceId, action: 'session.logout', client: getRequestClient(req), details: { session_id: sessionId } });
+      res.json({ object: 'session', session_id: sessionId, revoked: true });
+    } catch (error) {
+      console.error('Error ending session:', error);
+      res.status(500).json({ error: { message: 'Internal server error', type: 'server_error' } });
+    }
+  });
+}
+
+module.exports = { setupSessionRoutes };
@@ -1,5 +1,7 @@
 const twilio = require('twilio');
 const express = require('express');
+const { DEFAULT_REQUEST_TIMEOUT_MS } = require('../utils/request-timeout');
+const { getRequestClient, recordAuditEvent } = require('../utils/audit-log');
 
 // Initialize Twilio client if credentials are available
 let twilioClient = null;
@@ -7,9 +9,46 @@ if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
   twilioClient = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
 }
 
-function setupTwilioRoutes(app, io, connectedR1s, pendingRequests, requestDeviceMap, database) {
+function setupTwilioRoutes(app, io, connectedR1s, pendingRequests, requestDeviceMap, database, requireScope) {
+  // Phone links are managed with the device's admin scope. Verifying and
+  // unlinking are checked against the device the number is linked to.
+  const requireLinkAdmin = requireScope('admin', req => req.body?.deviceId);
+  const requireLinkedDeviceAdmin = requireScope('admin', async (req) => {
+    const link = req.body?.phoneNumber ? await database.getPhoneLink(req.body.phoneNumber) : null;
+    return link ? link.device_id : req.body?.deviceId;
+  });
+
+  // Phone link changes go to the audit log with the number's last digits only
+  function auditPhone(req, action, outcome, phoneNumber) {
+    return recordAuditEvent(database, {
+      deviceId: req.auth.deviceId,
+      action,
+      outcome,
+      client: getRequestClient(req),
+      details: { phone_number: `***${String(phoneNumber).slice(-4)}` }
+    });
+  }
+
+  // SMS webhooks must be signed by Twilio with the account's auth token
+  function requireTwilioSignature(req, res, next) {
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+    if (!authToken) {
+      return res.status(503).send('SMS is not configured');
+    }
+
+    // Behind a proxy the public URL Twilio signed may differ from the one we see
+    const url = process.env.TWILIO_WEBHOOK_URL || `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+    const signature = req.get('x-twilio-signature');
+    if (!signature || !twilio.validateRequest(authToken, signature, url, req.body || {})) {
+      console.warn('Rejected SMS webhook with an invalid Twilio signature');
+      return res.status(403).send('Forbidden');
+    }
+
+    next();
+  }
+
   // Link phone number - send verification code
-  app.post('/link-phone', async (req, res) => {
+  app.post('/link-phone', requireLinkAdmin, async (req, res) => {
     const { deviceId, phoneNumber } = req.body;
 
     if (!deviceId || !phoneNumber) {
@@ -48,6 +87,7 @@ function setupTwilioRoutes(app, io, connectedR1s, pendingRequests, requestDevice
         from: process.env.TWILIO_PHONE_NUMBER,
         to: phoneNumber
       });
+      await auditPhone(req, 'phone.link', 'success', phoneNumber);
 
       res.json({ message: 'Verification code sent to your phone' });
     } catch (error) {
@@ -57,7 +97,7 @@ function setupTwilioRoutes(app, io, connectedR1s, pendingRequests, requestDevice
   });
 
   // Verify phone number
-  app.post('/verify-phone', async (req, res) => {
+  app.post('/verify-phone', requireLinkedDeviceAdmin, async (req, res) => {
     const { phoneNumber, verificationCode } = req.body;
 
     if (!phoneNumber || !verificationCode) {
@@ -66,6 +106,7 @@ function setupTwilioRoutes(app, io, connectedR1s, pendingRequests, requestDevice
 
     try {
       const verified = await database.verifyPhoneLink(phoneNumber, verificationCode);
+      await auditPhone(req, 'phone.verify', verified ? 'success' : 'failure', phoneNumber);
       if (verified) {
         res.json({ message: 'Phone number verified successfully' });
       } else {
@@ -78,7 +119,7 @@ function setupTwilioRoutes(app, io, connectedR1s, pendingRequests, requestDevice
   });
 
   // Get linked phones for a device
-  app.get('/phone-links/:deviceId', async (req, res) => {
+  app.get('/phone-links/:deviceId', requireScope('admin'), async (req, res) => {
     const { deviceId } = req.params;
 
     try {
@@ -91,7 +132,7 @@ function setupTwilioRoutes(app, io, connectedR1s, pendingRequests, requestDevice
   });
 
   // Unlink phone number
-  app.post('/unlink-phone', async (req, res) => {
+  app.post('/unlink-phone', requireLinkedDeviceAdmin, async (req, res) => {
     const { phoneNumber } = req.body;
 
     if (!phoneNumber) {
@@ -100,13 +141,14 @@ function setupTwilioRoutes(app, io, connectedR1s, pendingRequests, requestDevice
 
     try {
       await database.unlinkPhone(phoneNumber);
+      await auditPhone(req, 'phone.unlink', 'success', phoneNumber);
       res.json({ message: 'Phone number unlinked successfully' });
     } catch (error) {
       console.error('Error unlinking phone:', error);
       res.status(500).json({ error: 'Failed to unlink phone number' });
     }
   });
-  app.post('/sms-webhook', express.urlencoded({ extended: true }), async (req, res) => {
+  app.post('/sms-webhook', express.urlencoded({ extended: true }), requireTwilioSignature, async (req, res) => {
     console.log('SMS webhook received:', { body: req.body, headers: req.headers });
 
     const { From: fromNumber, Body: message } = req.body;
@@ -181,8 +223,8 @@ function setupTwilioRoutes(app, io, connectedR1s, pendingRequests, requestDevice
         }
       });
 
-      // Wait for response with timeout
-      const timeout = 30000; // 30 seconds
+      // Wait for response with the server-wide request timeout
+      const timeout = DEFAULT_REQUEST_TIMEOUT_MS;
       const responsePromise = new Promise((resolve, reject) => {
         const timeoutId = setTimeout(() => {
           reject(new Error('Timeout'));
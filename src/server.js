@@ -9,6 +9,19 @@ require('dotenv').config();
 
 // Import modular components
 const { setupOpenAIRoutes } = require('./routes/openai');
+const { setupAnthropicRoutes } = require('./routes/anthropic');
+const { setupOllamaRoutes } = require('./routes/ollama');
+const { setupResponsesRoutes } = require('./routes/responses');
+const { setupCompletionsRoutes } = require('./routes/completions');
+const { setupPoolRoutes } = require('./routes/pools');
+const { setupAudioRoutes } = require('./routes/audio');
+const { setupFanoutRoutes } = require('./routes/fanout');
+const { setupApiKeyRoutes } = require('./routes/api-keys');
+const { setupSessionRoutes } = require('./routes/sessions');
+const { setupPairingRoutes } = require('./routes/pairing');
+const { setupAuditRoutes } = require('./routes/audit');
+const { setupMCPRoutes } = require('./routes/mcp');
+const { setupDeviceMCPRoutes } = require('./routes/device-mcp');
 const { setupMagicCamRoutes } = require('./routes/magic-cam');
 const { setupHealthRoutes } = require('./routes/health');
 const { setupDebugRoutes } = require('./routes/debug');
@@ -16,6 +29,10 @@ const { setupTwilioRoutes } = require('./routes/twilio');
 const { setupSocketHandler } = require('./socket/socket-handler');
 const { DeviceIdManager } = require('./utils/device-id-manager');
 const { DatabaseManager } = require('./utils/database');
+const { DeviceRequestQueue } = require('./utils/device-request-queue');
+const { AuthThrottle } = require('./utils/auth-throttle');
+const { DevicePoolRouter } = require('./utils/device-pools');
+const { MCPManager } = require('./utils/mcp-manager');
 const PluginManager = require('./plugins/plugin-manager');
 
 // Import performance monitoring
@@ -49,6 +66,8 @@ const io = new Server(server, {
 const connectedR1s = new Map();
 const pendingRequests = new Map();
 const requestDeviceMap = new Map();
+const requestQueue = new DeviceRequestQueue(); // per-device FIFO of requests waiting for the R1
+const authThrottle = new AuthThrottle(); // failed PIN attempts and lockouts, shared by every route
 
 // Debug data stores
 const debugStreams = new Map(); // deviceId -> debug data history
@@ -59,6 +78,7 @@ const performanceMetrics = new Map(); // deviceId -> metrics array
 // Initialize database and device ID manager
 const database = new DatabaseManager();
 const deviceIdManager = new DeviceIdManager(database);
+const mcpManager = new MCPManager(database); // per-device connections to remote MCP servers
 
 // Middleware
 app.use(cors());
@@ -72,11 +92,29 @@ app.set('trust proxy', 1);
 let performanceMiddleware = (req, res, next) => next();
 
 // Setup routes FIRST (before static file serving)
-setupOpenAIRoutes(app, io, connectedR1s, pendingRequests, requestDeviceMap, deviceIdManager, null);
-setupMagicCamRoutes(app, connectedR1s);
-setupHealthRoutes(app, connectedR1s);
+// Pool routes live on a router mounted ahead of the /:deviceId routes so that
+// /pools and /pool-{name} paths are not taken for device IDs
+const poolRoutes = express.Router();
+app.use(poolRoutes);
+
+const { handleChatCompletion, authenticateDevice, requireScope, sendAuthError } = setupOpenAIRoutes(app, io, connectedR1s, pendingRequests, requestDeviceMap, deviceIdManager, mcpManager, requestQueue, authThrottle);
+setupAnthropicRoutes(app, handleChatCompletion);
+setupOllamaRoutes(app, handleChatCompletion, authenticateDevice);
+setupResponsesRoutes(app, handleChatCompletion, authenticateDevice, database);
+setupCompletionsRoutes(app, handleChatCompletion);
+setupPoolRoutes(poolRoutes, handleChatCompletion, authenticateDevice, requireScope, database, new DevicePoolRouter(connectedR1s, requestQueue));
+const { handleTextToSpeech } = setupAudioRoutes(app, io, connectedR1s, pendingRequests, requestDeviceMap, deviceIdManager, mcpManager, requestQueue, authThrottle);
+setupFanoutRoutes(app, handleChatCompletion, handleTextToSpeech, authenticateDevice, sendAuthError, connectedR1s, database);
+setupApiKeyRoutes(app, requireScope, database);
+setupSessionRoutes(app, authenticateDevice, sendAuthError, database);
+setupPairingRoutes(app, sendAuthError, database, connectedR1s, authThrottle);
+setupAuditRoutes(app, requireScope, database);
+setupMCPRoutes(app, requireScope, database, mcpManager);
+setupDeviceMCPRoutes(app, handleChatCompletion, handleTextToSpeech, authenticateDevice, sendAuthError, connectedR1s, pendingRequests, requestDeviceMap);
+setupMagicCamRoutes(app, connectedR1s, requireScope);
+setupHealthRoutes(app, connectedR1s, requestQueue);
 setupDebugRoutes(app, connectedR1s, debugStreams, deviceLogs, debugDataStore, performanceMetrics);
-setupTwilioRoutes(app, io, connectedR1s, pendingRequests, requestDeviceMap, database);
+setupTwilioRoutes(app, io, connectedR1s, pendingRequests, requestDeviceMap, database, requireScope);
 
 // Performance monitoring endpoint
 app.get('/performance/metrics', (req, res) => {
@@ -700,83 +738,8 @@ curl -X POST http://localhost:5482/red-fox-42/v1/chat/completions \\
   `);
 });
 
-// PIN management endpoints
-app.post('/:deviceId/disable-pin', async (req, res) => {
-  const { deviceId } = req.params;
-  const authHeader = req.headers.authorization;
-
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: { message: 'Missing or invalid authorization header', type: 'auth_error' } });
-  }
-
-  const pinCode = authHeader.substring(7); // Remove 'Bearer ' prefix
-
-  try {
-    // Verify the PIN matches
-    const deviceInfo = await deviceIdManager.getDeviceInfoFromDB(deviceId);
-    if (!deviceInfo || deviceInfo.pin_code !== pinCode) {
-      return res.status(403).json({ error: { message: 'Invalid PIN code', type: 'auth_error' } });
-    }
-
-    // Disable the PIN
-    await database.disableDevicePin(deviceId);
-
-    console.log(`🔓 PIN disabled for device: ${deviceId}`);
-    res.json({ success: true, message: 'PIN disabled successfully' });
-  } catch (error) {
-    console.error('Error disabling PIN:', error);
-    res.status(500).json({ error: { message: 'Internal server error', type: 'server_error' } });
-  }
-});
-
-app.post('/:deviceId/enable-pin', async (req, res) => {
-  const { deviceId } = req.params;
-  const { newPin } = req.body;
-
-  if (!newPin || newPin.length !== 6 || !/^\d{6}$/.test(newPin)) {
-    return res.status(400).json({ error: { message: 'PIN must be exactly 6 digits', type: 'validation_error' } });
-  }
-
-  try {
-    // Update the PIN in database
-    await database.updateDevicePin(deviceId, newPin);
-
-    console.log(`🔐 PIN enabled for device: ${deviceId}`);
-    res.json({ success: true, message: 'PIN enabled successfully', pinCode: newPin });
-  } catch (error) {
-    console.error('Error enabling PIN:', error);
-    res.status(500).json({ error: { message: 'Internal server error', type: 'server_error' } });
-  }
-});
-
-app.post('/:deviceId/change-pin', async (req, res) => {
-  const { deviceId } = req.params;
-  const { currentPin, newPin } = req.body;
-
-  if (!currentPin || !newPin || newPin.length !== 6 || !/^\d{6}$/.test(newPin)) {
-    return res.status(400).json({ error: { message: 'Invalid PIN format', type: 'validation_error' } });
-  }
-
-  try {
-    // Verify current PIN
-    const deviceInfo = await deviceIdManager.getDeviceInfoFromDB(deviceId);
-    if (!deviceInfo || deviceInfo.pin_code !== currentPin) {
-      return res.status(403).json({ error: { message: 'Invalid current PIN code', type: 'auth_error' } });
-    }
-
-    // Update the PIN
-    await database.updateDevicePin(deviceId, newPin);
-
-    console.log(`[OK] PIN changed for device: ${deviceId}`);
-    res.json({ success: true, message: 'PIN changed successfully', pinCode: newPin });
-  } catch (error) {
-    console.error('Error changing PIN:', error);
-    res.status(500).json({ error: { message: 'Internal server error', type: 'server_error' } });
-  }
-});
-
 // Setup socket handler
-setupSocketHandler(io, connectedR1s, pendingRequests, requestDeviceMap, debugStreams, deviceLogs, debugDataStore, performanceMetrics, deviceIdManager);
+setupSocketHandler(io, connectedR1s, pendingRequests, requestDeviceMap, debugStreams, deviceLogs, debugDataStore, performanceMetrics, deviceIdManager, mcpManager);
 
 
 
@@ -788,6 +751,7 @@ const sharedState = {
   connectedR1s,
   pendingRequests,
   requestDeviceMap,
+  requestQueue,
   debugStreams,
   deviceLogs,
   debugDataStore,
@@ -890,6 +854,14 @@ async function gracefulShutdown(signal) {
       }
     }
 
+    // Close MCP server connections before the database they log to
+    try {
+      await mcpManager.shutdown();
+      console.log('[OK] MCP connections closed');
+    } catch (error) {
+      console.log('[OK] MCP shutdown error, continuing...');
+    }
+
     // Close database connection
     if (database) {
       try {
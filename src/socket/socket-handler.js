@@ -1,55 +1,23 @@
-const { sendOpenAIResponse } = require('../utils/response-utils');
+const { openAIFormatter } = require('../utils/response-utils');
+const { estimateUsage, recordUsage } = require('../utils/token-usage');
+const { applyOutputLimits } = require('../utils/output-limits');
+const { cancelPendingRequest } = require('../utils/request-cancellation');
+const { restartRequestTimeout } = require('../utils/request-timeout');
+const { parseToolCalls } = require('../utils/tool-call-utils');
+const {
+  MAX_STRUCTURED_RETRIES,
+  isStructuredFormat,
+  checkStructuredResponse,
+  buildStructuredRetryPrompt
+} = require('../utils/structured-output');
 const { DeviceIdManager } = require('../utils/device-id-manager');
-// Using built-in fetch (Node.js 18+)
-
-// Function to convert text response to JSON using Groq API
-async function convertToJsonWithGroq(textResponse, originalRequest) {
-  try {
-    const groqApiKey = process.env.GROQ_API_KEY;
-    if (!groqApiKey) {
-      console.log('No GROQ_API_KEY found, skipping JSON conversion');
-      return null;
-    }
-
-    const prompt = `Convert the following text response to a valid JSON object. The response should be in this exact format: {"move": "chess_move", "reasoning": "explanation"}
-
-Text to convert: "${textResponse}"
-
-Return ONLY the JSON object, no additional text or explanation.`;
-
-    const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${groqApiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: 'openai/gpt-oss-20b',
-        messages: [{ role: 'user', content: prompt }],
-        temperature: 0.1,
-        max_tokens: 200
-      })
-    });
-
-    if (!response.ok) {
-      throw new Error(`Groq API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    const jsonText = data.choices[0].message.content.trim();
-    
-    // Validate that it's valid JSON
-    const parsed = JSON.parse(jsonText);
-    console.log('[OK] Successfully converted response to JSON using Groq');
-    return parsed;
-  } catch (error) {
-    console.error('[OK] Failed to convert response to JSON with Groq:', error.message);
-    return null;
-  }
-}
-const axios = require('axios');
+const { PAIRING_CODE_TTL_MS, generatePairingCode, hashPairingCode } = require('../utils/pairing-codes');
+const { getSocketClient, recordAuditEvent } = require('../utils/audit-log');
+const { parseMCPToolCall, runMCPToolCall, buildMCPFollowUpPrompt, formatMCPTrace } = require('../utils/mcp-tool-loop');
+const { formatApproval } = require('../utils/mcp-approvals');
+const { parsePhotoData } = require('../utils/device-mcp-server');
 
-function setupSocketHandler(io, connectedR1s, pendingRequests, requestDeviceMap, debugStreams, deviceLogs, debugDataStore, performanceMetrics, deviceIdManager = null) {
+function setupSocketHandler(io, connectedR1s, pendingRequests, requestDeviceMap, debugStreams, deviceLogs, debugDataStore, performanceMetrics, deviceIdManager = null, mcpManager = null) {
   // Initialize device ID manager if not provided
   if (!deviceIdManager) {
     deviceIdManager = new DeviceIdManager();
@@ -58,8 +26,10 @@ function setupSocketHandler(io, connectedR1s, pendingRequests, requestDeviceMap,
   // Get PIN configuration from environment
   const enablePin = process.env.DISABLE_PIN !== 'true'; // Default to enabled, disable if DISABLE_PIN=true
 
-  // Track requests that have had tools executed (for follow-up responses)
-  const toolExecutedRequests = new Set();
+  // Add a finished request to the device's daily token usage
+  function recordDeviceUsage(deviceId, prompt, completion) {
+    recordUsage(deviceIdManager.database, deviceId, estimateUsage(prompt, completion));
+  }
 
   // Socket.IO connection handling
   io.on('connection', async (socket) => {
@@ -91,7 +61,7 @@ function setupSocketHandler(io, connectedR1s, pendingRequests, requestDeviceMap,
     console.log(`🍪 Device secret from cookie: ${deviceSecret ? 'present' : 'none'}`);
     
     const result = await deviceIdManager.registerDevice(socket.id, null, deviceSecret, userAgent, ipAddress, enablePin);
-    const { deviceId, pinCode, deviceSecret: newDeviceSecret, isReconnection } = result;
+    const { deviceId, pinCode, pinEnabled, deviceSecret: newDeviceSecret, isReconnection } = result;
     connectedR1s.set(deviceId, socket);
 
     console.log(`R1 device ${isReconnection ? 'reconnected' : 'connected'}`);
@@ -99,11 +69,12 @@ function setupSocketHandler(io, connectedR1s, pendingRequests, requestDeviceMap,
 
     // Don't broadcast device connections to prevent device ID leakage
 
-    // Send welcome message with device ID, PIN code, and device secret for cookie
+    // Send welcome message with device ID, PIN code, and device secret for cookie.
+    // The PIN is only included when it was just generated; the server keeps a hash.
     socket.emit('connected', {
       deviceId: deviceId,
       pinCode: pinCode,
-      pinEnabled: pinCode !== null,
+      pinEnabled: pinEnabled ?? pinCode !== null,
       deviceSecret: newDeviceSecret, // Only sent for new devices
       isReconnection: isReconnection,
       message: isReconnection ? 'Reconnected to R-API server' : 'Connected to R-API server'
@@ -123,32 +94,60 @@ function setupSocketHandler(io, connectedR1s, pendingRequests, requestDeviceMap,
         }
       }
       
+      // Give up on a request whose device went away
+      const failPendingRequest = (requestId) => {
+        const { res, timeout, onCancel, formatter = openAIFormatter } = pendingRequests.get(requestId);
+
+        // Clear the timeout
+        clearTimeout(timeout);
+
+        // Remove from maps
+        pendingRequests.delete(requestId);
+        requestDeviceMap.delete(requestId);
+        if (onCancel) onCancel();
+
+        // Send timeout response to client
+        formatter.sendError(res, 504, 'Device disconnected - request cancelled', 'device_disconnected');
+
+        console.log(`🧹 Cleaned up pending request ${requestId} due to device disconnect`);
+      };
+
       for (const requestId of requestsToClean) {
         if (pendingRequests.has(requestId)) {
-          const { res, timeout } = pendingRequests.get(requestId);
-          
-          // Clear the timeout
-          clearTimeout(timeout);
-          
-          // Remove from maps
-          pendingRequests.delete(requestId);
-          requestDeviceMap.delete(requestId);
-          
-          // Send timeout response to client
-          res.status(504).json({
-            error: {
-              message: 'Device disconnected - request cancelled',
-              type: 'device_disconnected'
-            }
-          });
-          
-          console.log(`🧹 Cleaned up pending request ${requestId} due to device disconnect`);
+          const { failover, streamWriter, onCancel } = pendingRequests.get(requestId);
+
+          // Pool requests are retried on another member unless output was already sent
+          if (failover && !(streamWriter && streamWriter.started)) {
+            requestDeviceMap.delete(requestId);
+            // Approvals asked for on this device go away with it
+            if (onCancel) onCancel();
+            failover()
+              .catch(error => {
+                console.error(`Failover of request ${requestId} failed:`, error);
+                return false;
+              })
+              .then(movedToAnotherDevice => {
+                if (!movedToAnotherDevice && pendingRequests.has(requestId)) {
+                  failPendingRequest(requestId);
+                }
+              });
+            continue;
+          }
+
+          failPendingRequest(requestId);
         }
       }
       
       connectedR1s.delete(deviceId);
       deviceIdManager.unregisterDevice(socket.id);
 
+      // Remote MCP sessions are reopened on the next use
+      if (mcpManager) {
+        mcpManager.shutdownDeviceServers(deviceId).catch(error => {
+          console.error('Error closing MCP connections:', error);
+        });
+      }
+
       console.log(`Total connected devices after disconnect: ${connectedR1s.size}`);
       console.log(`Cleaned up ${requestsToClean.length} pending requests`);
     });
@@ -205,6 +204,41 @@ function setupSocketHandler(io, connectedR1s, pendingRequests, requestDeviceMap,
       });
     });
 
+    // The device lost its PIN (the server only has a hash): issue a new one to this socket only
+    socket.on('reset_pin', async () => {
+      try {
+        const newPin = await deviceIdManager.resetDevicePin(deviceId);
+        // Pools joined with the old PIN are left
+        if (deviceIdManager.database) {
+          await deviceIdManager.database.removeDeviceFromPools(deviceId);
+        }
+        socket.emit('pin_updated', { pinCode: newPin, pinEnabled: true, timestamp: new Date().toISOString() });
+        await recordAuditEvent(deviceIdManager.database, { deviceId, action: 'pin.reset', client: getSocketClient(socket) });
+      } catch (error) {
+        console.error('Error resetting device PIN:', error);
+        socket.emit('error', { message: 'Failed to reset PIN' });
+      }
+    });
+
+    // Issue a one-time pairing code for the device to show (as text and QR code)
+    socket.on('request_pairing_code', async () => {
+      const database = deviceIdManager.database;
+      if (!database) {
+        socket.emit('error', { message: 'Pairing is not available' });
+        return;
+      }
+
+      try {
+        const code = generatePairingCode();
+        const pairing = await database.createPairingCode(deviceId, hashPairingCode(code), new Date(Date.now() + PAIRING_CODE_TTL_MS).toISOString());
+        await database.saveSystemEvent('pairing_code_issued', deviceId, { pairingId: pairing.id, expiresAt: pairing.expires_at });
+        socket.emit('pairing_code', { code, expiresAt: pairing.expires_at, expiresIn: Math.floor(PAIRING_CODE_TTL_MS / 1000) });
+      } catch (error) {
+        console.error('Error issuing pairing code:', error);
+        socket.emit('error', { message: 'Failed to create pairing code' });
+      }
+    });
+
     // Handle chat completion requests from server
     socket.on('chat_completion', (data) => {
       console.log(`💬 Chat completion request received`);
@@ -250,7 +284,193 @@ function setupSocketHandler(io, connectedR1s, pendingRequests, requestDeviceMap,
     // Handle response events from R1 devices
     socket.on('response', async (data) => {
       console.log(`[OK] Socket Response received`);
+      await handleDeviceResponse(data);
+    });
+
+    // Handle partial output from R1 devices as it is generated
+    socket.on('response_chunk', (data) => {
+      const { requestId, delta } = data || {};
+
+      if (!requestId || !pendingRequests.has(requestId)) {
+        return;
+      }
+
+      // Verify this request was actually sent to this device
+      if (requestDeviceMap.get(requestId) !== deviceId) {
+        console.log(`[OK] Security violation: Response chunk from wrong device`);
+        return;
+      }
+
+      if (typeof delta !== 'string' || delta.length === 0) {
+        return;
+      }
+
+      const pendingRequest = pendingRequests.get(requestId);
+
+      // JSON responses and possible tool calls have to be parsed as a whole, so
+      // only plain text is forwarded live; everything else is buffered until response_done
+      if (pendingRequest.streamWriter && !pendingRequest.response_format && !pendingRequest.tools && !pendingRequest.mcp) {
+        const { streamWriter, streamLimiter, command } = pendingRequest;
+        if (!streamLimiter) {
+          streamWriter.write(delta);
+          return;
+        }
+
+        const { text, finishReason, stopSequence } = streamLimiter.push(delta);
+        streamWriter.write(text);
+
+        if (finishReason) {
+          // Stop sequence or max_tokens reached: end the stream and stop the device
+          console.log(`✂️ Streamed output of ${requestId} ended early (${finishReason})`);
+          cancelPendingRequest(requestId, finishReason === 'length' ? 'max_tokens' : 'stop_sequence', connectedR1s, pendingRequests, requestDeviceMap);
+          streamWriter.finish(finishReason, null, stopSequence);
+          recordDeviceUsage(deviceId, command && command.data.message, streamWriter.content);
+        }
+      } else {
+        pendingRequest.bufferedResponse = (pendingRequest.bufferedResponse || '') + delta;
+      }
+    });
+
+    // Handle the end of a chunked response from R1 devices
+    socket.on('response_done', async (data) => {
+      const { requestId } = data || {};
 
+      if (!requestId || !pendingRequests.has(requestId)) {
+        console.log(`[OK] No matching requests found for response_done`);
+        return;
+      }
+
+      // Verify this request was actually sent to this device
+      if (requestDeviceMap.get(requestId) !== deviceId) {
+        console.log(`[OK] Security violation: Response completion from wrong device`);
+        return;
+      }
+
+      const { timeout, streamWriter, streamLimiter, bufferedResponse, command } = pendingRequests.get(requestId);
+
+      // Release text held back while watching for stop sequences
+      if (streamWriter && streamLimiter) {
+        streamWriter.write(streamLimiter.flush());
+      }
+
+      if (streamWriter && streamWriter.started) {
+        // Everything was already forwarded, just close the stream
+        clearTimeout(timeout);
+        pendingRequests.delete(requestId);
+        requestDeviceMap.delete(requestId);
+        console.log(`🗑️ Finished streamed request, remaining: ${pendingRequests.size}`);
+
+        streamWriter.finish(data.finish_reason || 'stop');
+        recordDeviceUsage(deviceId, command && command.data.message, streamWriter.content);
+        return;
+      }
+
+      // Nothing was streamed yet, so treat the assembled text as a normal response
+      const response = typeof data.response === 'string' ? data.response : (bufferedResponse || '');
+      await handleDeviceResponse({ ...data, response });
+    });
+
+    // Run an MCP tool the device asked for and send the device the original
+    // prompt again with all results so far, under the same request ID. Tools
+    // that are not auto-approved wait for a human decision first, with the
+    // request timeout paused (the approval has its own); a denial or an
+    // unanswered approval ends the request.
+    async function runMCPToolStep(requestId, call) {
+      try {
+        const { mcp } = pendingRequests.get(requestId);
+        const stepNumber = mcp.steps.length + 1;
+        console.log(`🧰 MCP step ${stepNumber}/${mcp.maxSteps}: ${call.server}.${call.tool}`);
+
+        const offered = mcp.tools.find(tool => tool.server === call.server && tool.name === call.tool);
+        const approval = await mcpManager.approvals.authorize(deviceId, requestId, call, {
+          autoApprove: Boolean(offered && offered.autoApprove),
+          onRequest: pendingApproval => {
+            clearTimeout(pendingRequests.get(requestId)?.timeout);
+            socket.emit('mcp_approval_request', formatApproval(pendingApproval));
+          }
+        });
+        if (approval.approvalId) {
+          socket.emit('mcp_approval_resolved', { id: approval.approvalId, approved: approval.approved, reason: approval.reason });
+        }
+
+        // The request may have timed out or been cancelled in the meantime
+        let pendingRequest = pendingRequests.get(requestId);
+        if (!pendingRequest || requestDeviceMap.get(requestId) !== deviceId) {
+          return;
+        }
+
+        if (!approval.approved) {
+          const { res, timeout, formatter = openAIFormatter } = pendingRequest;
+          clearTimeout(timeout);
+          pendingRequests.delete(requestId);
+          requestDeviceMap.delete(requestId);
+
+          if (approval.reason === 'timeout') {
+            formatter.sendError(res, 504, `MCP tool ${call.server}.${call.tool} was not approved in time`, 'mcp_approval_timeout');
+          } else {
+            formatter.sendError(res, 403, `MCP tool ${call.server}.${call.tool} was denied`, 'mcp_tool_denied');
+          }
+          return;
+        }
+        if (approval.approvalId) {
+          restartRequestTimeout(pendingRequest);
+        }
+
+        const step = await runMCPToolCall(mcpManager, deviceId, call, stepNumber);
+        step.approval = approval.reason;
+
+        pendingRequest = pendingRequests.get(requestId);
+        if (!pendingRequest || requestDeviceMap.get(requestId) !== deviceId) {
+          return;
+        }
+
+        mcp.steps.push(step);
+        pendingRequest.bufferedResponse = '';
+        // The device gets the full timeout again to answer the follow-up prompt
+        restartRequestTimeout(pendingRequest);
+
+        const { command } = pendingRequest;
+        socket.emit('chat_completion', {
+          ...command,
+          data: {
+            ...command.data,
+            message: buildMCPFollowUpPrompt(command.data.message, mcp.steps, mcp.maxSteps),
+            timestamp: new Date().toISOString()
+          }
+        });
+      } catch (error) {
+        // A failed lookup (approvals, database) ends this request, not the server
+        console.error(`Error running MCP tool step for ${requestId}:`, error);
+        const pendingRequest = pendingRequests.get(requestId);
+        if (!pendingRequest || requestDeviceMap.get(requestId) !== deviceId) {
+          return;
+        }
+
+        const { res, timeout, onCancel, formatter = openAIFormatter } = pendingRequest;
+        clearTimeout(timeout);
+        pendingRequests.delete(requestId);
+        requestDeviceMap.delete(requestId);
+        if (onCancel) onCancel();
+        formatter.sendError(res, 500, `MCP tool ${call.server}.${call.tool} could not be run`, 'server_error');
+      }
+    }
+
+    // Approval decisions made on the R1 screen
+    socket.on('mcp_approval_response', async (data) => {
+      const { id, approved, remember = false } = data || {};
+      if (!mcpManager || typeof id !== 'string') {
+        return;
+      }
+
+      try {
+        await mcpManager.approvals.decide(deviceId, id, approved === true, { remember: remember === true, decidedBy: 'device' });
+      } catch (error) {
+        console.error('Error handling MCP approval response:', error);
+      }
+    });
+
+    // Shared completion path for full responses and finished chunked responses
+    async function handleDeviceResponse(data) {
       const { requestId, response, originalMessage, model, timestamp } = data;
 
       console.log(`Looking for pending request: ${requestId}`);
@@ -258,7 +478,10 @@ function setupSocketHandler(io, connectedR1s, pendingRequests, requestDeviceMap,
       // Only process responses with valid request IDs to prevent cross-contamination
       if (requestId && pendingRequests.has(requestId)) {
         console.log(`[OK] Found matching request, sending response to client`);
-        const { res, timeout, stream, response_format } = pendingRequests.get(requestId);
+        const { res, timeout, stream, response_format, tools, mcp, command, outputLimits, n = 1, formatter = openAIFormatter } = pendingRequests.get(requestId);
+
+        // Usage is counted against the full prompt that was sent to the device
+        const prompt = command ? command.data.message : originalMessage;
 
         // Verify this request was actually sent to this device
         const expectedDeviceId = requestDeviceMap.get(requestId);
@@ -267,141 +490,121 @@ function setupSocketHandler(io, connectedR1s, pendingRequests, requestDeviceMap,
           return;
         }
 
-        // Check if this is a follow-up response after MCP tool execution
-        const isMCPFollowUp = mcpToolExecutedRequests.has(requestId);
+        // Client-defined tools: hand tool calls back to the client instead of answering
+        const toolCalls = tools && typeof response === 'string' ? parseToolCalls(response, tools) : null;
+        if (toolCalls) {
+          console.log(`[OK] Tool call detected in response: ${toolCalls.map(call => call.function.name).join(', ')}`);
+          clearTimeout(timeout);
+          pendingRequests.delete(requestId);
+          requestDeviceMap.delete(requestId);
+
+          formatter.sendToolCalls(res, toolCalls, prompt, model, stream);
+          recordDeviceUsage(deviceId, prompt, JSON.stringify(toolCalls));
+          return;
+        }
+
+        // MCP tools: run the call on the server and ask the device again with the result
+        const mcpCall = mcp && mcpManager && mcp.steps.length < mcp.maxSteps ? parseMCPToolCall(response) : null;
+        if (mcpCall) {
+          await runMCPToolStep(requestId, mcpCall);
+          return;
+        }
 
-        // Check if the response contains an MCP tool call
         let finalResponse = response;
-        let isMCPToolCall = false;
-
-        try {
-          // Strip markdown code blocks if present
-          let cleanResponse = response.trim();
-          if (cleanResponse.startsWith('```json') && cleanResponse.endsWith('```')) {
-            cleanResponse = cleanResponse.slice(7, -3).trim(); // Remove ```json and ```
-          } else if (cleanResponse.startsWith('```') && cleanResponse.endsWith('```')) {
-            cleanResponse = cleanResponse.slice(3, -3).trim(); // Remove ``` and ```
-          }
 
-          // For JSON responses, validate the JSON format
-          if (response_format && response_format.type === 'json_object') {
-            try {
-              JSON.parse(cleanResponse);
-              finalResponse = cleanResponse; // Use the clean response
-              console.log(`[OK] Valid JSON response for json_object format`);
-            } catch (jsonError) {
-              console.log(`[OK] Invalid JSON response for json_object format, attempting conversion with Groq`);
-              
-              // Try to convert using Groq
-              const convertedJson = await convertToJsonWithGroq(cleanResponse, { requestId, model, originalMessage });
-              if (convertedJson) {
-                finalResponse = JSON.stringify(convertedJson);
-                console.log(`[OK] Successfully converted response to JSON`);
-              } else {
-                console.error(`[OK] Failed to convert response to JSON, sending error`);
-                clearTimeout(timeout);
-                pendingRequests.delete(requestId);
-                requestDeviceMap.delete(requestId);
-                
-                res.status(400).json({
-                  error: {
-                    message: 'Invalid JSON response from device and conversion failed',
-                    type: 'invalid_json_response'
-                  }
-                });
-                return;
-              }
-            }
+        // For JSON responses, validate the JSON (and schema) locally
+        if (isStructuredFormat(response_format)) {
+          const pendingRequest = pendingRequests.get(requestId);
+          const check = checkStructuredResponse(response, response_format, pendingRequest.schemaValidator);
+
+          if (check.valid) {
+            finalResponse = check.json; // Use the clean response
+            console.log(`[OK] Valid JSON response for ${response_format.type} format`);
           } else {
-            // Try to parse the response as JSON to check for mcp_tool_call
-            const parsedResponse = JSON.parse(cleanResponse);
-            if (parsedResponse && parsedResponse.mcp_tool_call) {
-              console.log(`[OK] MCP tool call detected in response`);
-              isMCPToolCall = true;
-
-              const { server: serverName, tool: toolName, arguments: toolArgs } = parsedResponse.mcp_tool_call;
-
-              if (mcpManager) {
-                try {
-                  // Execute the MCP tool
-                  const toolResult = await mcpManager.handleToolCall(deviceId, serverName, toolName, toolArgs || {});
-
-                  // Mark this request as having had an MCP tool executed
-                  mcpToolExecutedRequests.add(requestId);
-
-                  // Send the tool result back to the R1 device for final response generation
-                  socket.emit('mcp_tool_result', {
-                    requestId: requestId,
-                    serverName,
-                    toolName,
-                    result: toolResult,
-                    success: true,
-                    timestamp: new Date().toISOString()
-                  });
-
-                  // Don't send the response yet - wait for the R1 to generate the final response
-                  console.log(`[OK] MCP tool executed, waiting for R1 final response`);
-                  return;
-
-                } catch (toolError) {
-                  console.error(`[OK] MCP tool execution failed:`, toolError);
-
-                  // Send error back to R1 device
-                  socket.emit('mcp_tool_result', {
-                    requestId: requestId,
-                    serverName,
-                    toolName,
-                    error: toolError.message,
-                    success: false,
-                    timestamp: new Date().toISOString()
-                  });
-
-                  // Send error response to client
-                  clearTimeout(timeout);
-                  pendingRequests.delete(requestId);
-                  requestDeviceMap.delete(requestId);
-                  mcpToolExecutedRequests.delete(requestId);
-
-                  res.status(500).json({
-                    error: {
-                      message: `MCP tool execution failed: ${toolError.message}`,
-                      type: 'mcp_error'
-                    }
-                  });
-                  return;
+            const attempts = pendingRequest.structuredRetries || 0;
+
+            if (attempts < MAX_STRUCTURED_RETRIES && pendingRequest.command) {
+              // Ask the device to correct its reply, keeping the same request ID
+              pendingRequest.structuredRetries = attempts + 1;
+              pendingRequest.bufferedResponse = '';
+              console.log(`[OK] Invalid ${response_format.type} response, re-asking device (attempt ${attempts + 1}/${MAX_STRUCTURED_RETRIES})`);
+
+              const { command } = pendingRequest;
+              socket.emit('chat_completion', {
+                ...command,
+                data: {
+                  ...command.data,
+                  message: buildStructuredRetryPrompt(command.data.message, response, check.errors),
+                  timestamp: new Date().toISOString()
                 }
-              } else {
-                console.error(`[OK] MCP manager not available`);
-                finalResponse = "Sorry, MCP functionality is not available at this time.";
-              }
+              });
+              return;
             }
+
+            console.error(`[OK] Device response failed ${response_format.type} validation, sending error`);
+            clearTimeout(timeout);
+            pendingRequests.delete(requestId);
+            requestDeviceMap.delete(requestId);
+
+            formatter.sendError(res, 400, `Device response did not match the requested ${response_format.type === 'json_schema' ? 'JSON schema' : 'JSON format'} after ${attempts + 1} attempt(s): ${check.errors.join('; ')}`,
+              response_format.type === 'json_schema' ? 'json_schema_validation_failed' : 'invalid_json_response');
+            return;
           }
-        } catch (parseError) {
-          // Response is not JSON, use as-is
-          console.log(`📝 Response is not JSON, using as normal response`);
         }
 
-        // If this is not an MCP tool call, or if MCP execution failed, send the response
-        if (!isMCPToolCall) {
-          // If this is a follow-up response after MCP tool execution, clean up the tracking
-          if (isMCPFollowUp) {
-            mcpToolExecutedRequests.delete(requestId);
-            console.log(`[OK] Received final response after MCP tool execution`);
+        // Cut plain text at stop sequences / max_tokens; structured replies stay whole
+        let finishReason = 'stop';
+        let stopSequence = null;
+        if (outputLimits && !isStructuredFormat(response_format)) {
+          const limited = applyOutputLimits(finalResponse, outputLimits);
+          finalResponse = limited.text;
+          finishReason = limited.finishReason || 'stop';
+          stopSequence = limited.stopSequence;
+        }
+
+        // n > 1: collect this generation and ask the device for the next one
+        const pendingRequest = pendingRequests.get(requestId);
+        if (n > 1) {
+          pendingRequest.choices = [...(pendingRequest.choices || []), { text: finalResponse, finishReason }];
+
+          if (pendingRequest.choices.length < n) {
+            pendingRequest.bufferedResponse = '';
+            pendingRequest.structuredRetries = 0;
+            console.log(`[OK] Generation ${pendingRequest.choices.length}/${n} received, requesting the next one`);
+
+            socket.emit('chat_completion', {
+              ...command,
+              data: { ...command.data, timestamp: new Date().toISOString() }
+            });
+            return;
           }
+        }
 
-          // Clear timeout and remove from pending requests
-          clearTimeout(timeout);
-          pendingRequests.delete(requestId);
-          requestDeviceMap.delete(requestId);
-          console.log(`🗑️ Removed pending request, remaining: ${pendingRequests.size}`);
+        // Clear timeout and remove from pending requests
+        clearTimeout(timeout);
+        pendingRequests.delete(requestId);
+        requestDeviceMap.delete(requestId);
+        console.log(`🗑️ Removed pending request, remaining: ${pendingRequests.size}`);
+
+        if (n > 1) {
+          formatter.sendChoices(res, pendingRequest.choices, prompt, model);
+          recordDeviceUsage(deviceId, prompt, pendingRequest.choices.map(choice => choice.text).join(''));
+          return;
+        }
 
-          sendOpenAIResponse(res, finalResponse, originalMessage, model, stream);
+        if (mcp) {
+          const trace = formatMCPTrace(mcp);
+          formatter.sendResponse(res, finalResponse, prompt, model, stream, finishReason, { mcp_trace: trace }, stopSequence);
+          mcpManager?.log(deviceId, null, 'info', `Tool loop finished after ${trace.steps.length} step(s)`, { requestId, ...trace });
+        } else {
+          formatter.sendResponse(res, finalResponse, prompt, model, stream, finishReason, null, stopSequence);
         }
+        recordDeviceUsage(deviceId, prompt, finalResponse);
       }
       else {
         console.log(`[OK] No matching requests found for response`);
       }
-    });
+    }
 
     // Handle TTS response events from R1 devices
     socket.on('tts_response', (data) => {
@@ -515,6 +718,33 @@ function setupSocketHandler(io, connectedR1s, pendingRequests, requestDeviceMap,
       }
     });
 
+    // Photos taken for a magic_cam_capture that carried a request ID
+    socket.on('magic_cam_photo', (data) => {
+      const { requestId, imageData, mimeType } = data || {};
+
+      if (!requestId || !pendingRequests.has(requestId)) {
+        console.log(`[OK] No matching photo request found`);
+        return;
+      }
+
+      if (requestDeviceMap.get(requestId) !== deviceId) {
+        console.log(`[OK] Security violation: photo from wrong device`);
+        return;
+      }
+
+      const { res, timeout } = pendingRequests.get(requestId);
+      clearTimeout(timeout);
+      pendingRequests.delete(requestId);
+      requestDeviceMap.delete(requestId);
+
+      if (typeof imageData !== 'string' || imageData.length === 0) {
+        return res.status(502).json({ error: { message: 'No image data received from device', type: 'no_image_data' } });
+      }
+
+      console.log(`📸 Photo received for request ${requestId}`);
+      res.json(parsePhotoData(imageData, mimeType));
+    });
+
     // Handle error events from R1 devices
     socket.on('error', (data) => {
       console.error(`Error from device:`, data);
@@ -530,7 +760,7 @@ function setupSocketHandler(io, connectedR1s, pendingRequests, requestDeviceMap,
           return;
         }
 
-        const { res, timeout, isTTS } = pendingRequests.get(requestId);
+        const { res, timeout, isTTS, formatter = openAIFormatter } = pendingRequests.get(requestId);
 
         // Clear timeout and remove from pending requests
         clearTimeout(timeout);
@@ -547,12 +777,7 @@ function setupSocketHandler(io, connectedR1s, pendingRequests, requestDeviceMap,
           });
         } else {
           // Send error response
-          res.status(500).json({
-            error: {
-              message: error || 'Error from R1 device',
-              type: 'r1_error'
-            }
-          });
+          formatter.sendError(res, 500, error || 'Error from R1 device', 'r1_error');
         }
       }
     });
@@ -0,0 +1,158 @@
+/**
+ * @jest-environment node
+ */
+const request = require('supertest');
+const express = require('express');
+const { setupOpenAIRoutes } = require('../routes/openai');
+const { setupAnthropicRoutes } = require('../routes/anthropic');
+const { hashSecret } = require('../utils/secret-hash');
+const { createMockDeviceIdManager, setupMockSockets, answerWithChunks } = require('./device-test-setup');
+
+describe('Anthropic Messages API', () => {
+  // PINs are stored hashed
+  let pinHash;
+  beforeAll(async () => {
+    pinHash = await hashSecret('123456');
+  });
+
+  let app;
+  let mockDeviceIdManager;
+  let mockSocket;
+  let deviceReply;
+
+  beforeEach(async () => {
+    app = express();
+    app.use(express.json());
+
+    mockDeviceIdManager = createMockDeviceIdManager();
+    const { connectedR1s, pendingRequests, requestDeviceMap, connectDevice } = setupMockSockets(mockDeviceIdManager);
+
+    const { handleChatCompletion } = setupOpenAIRoutes(app, null, connectedR1s, pendingRequests, requestDeviceMap, mockDeviceIdManager, null);
+    setupAnthropicRoutes(app, handleChatCompletion);
+
+    // The device answers every chat_completion with the chunks in deviceReply
+    mockSocket = await connectDevice(answerWithChunks(() => deviceReply));
+  });
+
+  test('should return an Anthropic message and forward system prompt and images', async () => {
+    deviceReply = ['Hello ', 'there!'];
+
+    const response = await request(app)
+      .post('/test-device/v1/messages')
+      .set('x-test-request', 'true')
+      .send({
+        model: 'r1-llm',
+        max_tokens: 256,
+        system: 'You are terse.',
+        messages: [{
+          role: 'user',
+          content: [
+            { type: 'text', text: 'What is this?' },
+            { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'iVBORw0KGgo=' } }
+          ]
+        }]
+      });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual(expect.objectContaining({
+      type: 'message',
+      role: 'assistant',
+      content: [{ type: 'text', text: 'Hello there!' }],
+      stop_reason: 'end_turn'
+    }));
+
+    const command = mockSocket.emit.mock.calls.find(call => call[0] === 'chat_completion')[1];
+    expect(command.data.message).toContain('## SYSTEM INSTRUCTIONS\n\nYou are terse.');
+    expect(command.data.message).toContain('What is this?');
+    expect(command.data.imageBase64).toBe('iVBORw0KGgo=');
+  });
+
+  test('should stream message events', async () => {
+    deviceReply = ['Hello ', 'there!'];
+
+    const response = await request(app)
+      .post('/test-device/v1/messages')
+      .set('x-test-request', 'true')
+      .send({ model: 'r1-llm', max_tokens: 256, stream: true, messages: [{ role: 'user', content: 'Hi' }] });
+
+    expect(response.headers['content-type']).toContain('text/event-stream');
+
+    const events = response.text.trim().split('\n\n').map(block => block.split('\n')[0].replace('event: ', ''));
+    expect(events).toEqual([
+      'message_start',
+      'content_block_start',
+      'content_block_delta',
+      'content_block_delta',
+      'content_block_stop',
+      'message_delta',
+      'message_stop'
+    ]);
+    expect(response.text).toContain('"delta":{"type":"text_delta","text":"Hello "}');
+
+    const messageStart = JSON.parse(response.text.split('\n\n')[0].split('\n')[1].replace('data: ', ''));
+    expect(messageStart.message.usage.input_tokens).toBeGreaterThan(0);
+  });
+
+  test('should cut the reply at stop_sequences', async () => {
+    deviceReply = ['Hello there', ' END and more'];
+
+    const response = await request(app)
+      .post('/test-device/v1/messages')
+      .set('x-test-request', 'true')
+      .send({ model: 'r1-llm', max_tokens: 256, stop_sequences: ['END'], messages: [{ role: 'user', content: 'Hi' }] });
+
+    expect(response.status).toBe(200);
+    expect(response.body.content).toEqual([{ type: 'text', text: 'Hello there ' }]);
+    expect(response.body.stop_reason).toBe('stop_sequence');
+    expect(response.body.stop_sequence).toBe('END');
+  });
+
+  test('should report the matched stop sequence when streaming', async () => {
+    deviceReply = ['Hello there', ' STOP and more'];
+
+    const response = await request(app)
+      .post('/test-device/v1/messages')
+      .set('x-test-request', 'true')
+      .send({ model: 'r1-llm', max_tokens: 256, stream: true, stop_sequences: ['END', 'STOP'], messages: [{ role: 'user', content: 'Hi' }] });
+
+    const messageDelta = response.text.trim().split('\n\n')
+      .map(block => JSON.parse(block.split('\n')[1].replace('data: ', '')))
+      .find(event => event.type === 'message_delta');
+    expect(messageDelta.delta).toEqual({ stop_reason: 'stop_sequence', stop_sequence: 'STOP' });
+    expect(response.text).not.toContain('STOP and more');
+  });
+
+  test('should check the device PIN sent as x-api-key', async () => {
+    mockDeviceIdManager.getDeviceInfoFromDB.mockResolvedValue({ pin_code: pinHash });
+
+    const rejected = await request(app)
+      .post('/test-device/v1/messages')
+      .set('x-api-key', '000000')
+      .send({ model: 'r1-llm', max_tokens: 256, messages: [{ role: 'user', content: 'Hi' }] });
+
+    expect(rejected.status).toBe(401);
+    expect(rejected.body).toEqual({
+      type: 'error',
+      error: { type: 'authentication_error', message: 'Invalid PIN code' }
+    });
+
+    deviceReply = ['Welcome back'];
+    const accepted = await request(app)
+      .post('/test-device/v1/messages')
+      .set('x-api-key', '123456')
+      .set('x-test-request', 'true')
+      .send({ model: 'r1-llm', max_tokens: 256, messages: [{ role: 'user', content: 'Hi' }] });
+
+    expect(accepted.status).toBe(200);
+    expect(accepted.body.content[0].text).toBe('Welcome back');
+  });
+
+  test('should reject requests without messages', async () => {
+    const response = await request(app)
+      .post('/test-device/v1/messages')
+      .send({ model: 'r1-llm', max_tokens: 256 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.type).toBe('invalid_request_error');
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * @jest-environment node
+ */
+const request = require('supertest');
+const express = require('express');
+const { setupOpenAIRoutes } = require('../routes/openai');
+const { setupApiKeyRoutes } = require('../routes/api-keys');
+const { setupMagicCamRoutes } = require('../routes/magic-cam');
+const { verifySecret } = require('../utils/secret-hash');
+const { hashApiKey } = require('../utils/api-keys');
+const { createDatabaseDeviceIdManager, createTestDatabase, closeTestDatabase } = require('./device-test-setup');
+
+describe('Scoped API keys', () => {
+  let app;
+  let database;
+  let socket;
+
+  const PIN = '123456';
+
+  const createKey = (credential, body) => request(app)
+    .post('/test-device/keys')
+    .set('Authorization', `Bearer ${credential}`)
+    .send(body);
+
+  beforeEach(async () => {
+    database = await createTestDatabase(PIN);
+
+    app = express();
+    app.use(express.json());
+
+    socket = { id: 'socket123', emit: jest.fn() };
+    const connectedR1s = new Map([['test-device', socket]]);
+    const mockDeviceIdManager = createDatabaseDeviceIdManager(database);
+
+    const { requireScope } = setupOpenAIRoutes(app, null, connectedR1s, new Map(), new Map(), mockDeviceIdManager, null);
+    setupApiKeyRoutes(app, requireScope, database);
+    setupMagicCamRoutes(app, connectedR1s, requireScope);
+  });
+
+  afterEach(async () => {
+    await closeTestDatabase(database);
+  });
+
+  test('should issue the first key with the PIN and stop accepting the PIN afterwards', async () => {
+    expect((await request(app).get('/test-device/v1/models').set('Authorization', `Bearer ${PIN}`)).status).toBe(200);
+
+    const created = await createKey(PIN, { scopes: ['chat'], label: 'Open WebUI' });
+    expect(created.status).toBe(201);
+    expect(created.body).toEqual(expect.objectContaining({ object: 'api_key', scopes: ['chat'], label: 'Open WebUI', expires_at: null }));
+    expect(created.body.key).toMatch(/^r1k_[0-9a-f]{64}$/);
+    expect(created.body.key.startsWith(created.body.key_prefix)).toBe(true);
+
+    // Only the hash is stored
+    const row = await database.getApiKeyByHash(hashApiKey(created.body.key));
+    expect(row.key_hash).not.toBe(created.body.key);
+
+    expect((await request(app).get('/test-device/v1/models').set('Authorization', `Bearer ${created.body.key}`)).status).toBe(200);
+
+    const pinAfterKey = await request(app).get('/test-device/v1/models').set('Authorization', `Bearer ${PIN}`);
+    expect(pinAfterKey.status).toBe(401);
+    expect(pinAfterKey.body.error.message).toMatch(/API key required/);
+    expect((await createKey(PIN, { scopes: ['admin'] })).status).toBe(401);
+  });
+
+  test('should enforce scopes on every route', async () => {
+    const admin = (await createKey(PIN, { scopes: ['admin'] })).body.key;
+    const chat = (await createKey(admin, { scopes: ['chat'] })).body.key;
+    const camera = (await createKey(admin, { scopes: ['camera'] })).body.key;
+
+    const denied = await request(app).post('/test-device/magic-cam/start').set('Authorization', `Bearer ${chat}`).send({});
+    expect(denied.status).toBe(403);
+    expect(denied.body.error.type).toBe('permission_denied');
+    expect(socket.emit).not.toHaveBeenCalled();
+
+    expect((await request(app).post('/test-device/magic-cam/start').set('Authorization', `Bearer ${camera}`).send({})).status).toBe(200);
+    expect(socket.emit).toHaveBeenCalledWith('magic_cam_start', { facingMode: 'user' });
+
+    expect((await request(app).get('/test-device/v1/models').set('Authorization', `Bearer ${camera}`)).status).toBe(403);
+    expect((await request(app).get('/test-device/info').set('Authorization', `Bearer ${chat}`)).status).toBe(403);
+    expect((await request(app).get('/test-device/info').set('Authorization', `Bearer ${admin}`)).status).toBe(200);
+    expect((await request(app).get('/test-device/keys').set('Authorization', `Bearer ${chat}`)).status).toBe(403);
+
+    // Keys only work for their own device
+    await database.run(`INSERT INTO devices (device_id, pin_code) VALUES (?, ?)`, ['other-device', null]);
+    const foreign = await request(app).get('/other-device/v1/models').set('Authorization', `Bearer ${admin}`);
+    expect(foreign.status).toBe(401);
+  });
+
+  test('should list and revoke keys', async () => {
+    const admin = (await createKey(PIN, { scopes: ['admin'], label: 'owner' })).body.key;
+    const chat = await createKey(admin, { scopes: ['chat'], expires_at: new Date(Date.now() + 3600000).toISOString() });
+
+    const list = await request(app).get('/test-device/keys').set('Authorization', `Bearer ${admin}`);
+    expect(list.body.data.map(key => key.label)).toEqual(['owner', null]);
+    expect(list.body.data[0].last_used_at).not.toBeNull();
+    expect(list.body.data.some(key => 'key' in key || 'key_hash' in key)).toBe(false);
+
+    await database.createDevicePool('team', 'least_pending', 'hash');
+    await database.addDevicePoolMember('team', 'test-device');
+
+    const revoked = await request(app).delete(`/test-device/keys/${chat.body.id}`).set('Authorization', `Bearer ${admin}`);
+    expect(revoked.body).toEqual({ id: chat.body.id, object: 'api_key', revoked: true });
+    // Revoking a key also leaves the pools the device was added to
+    expect(await database.getDevicePoolMembers('team')).toEqual([]);
+    expect((await request(app).delete(`/test-device/keys/${chat.body.id}`).set('Authorization', `Bearer ${admin}`)).status).toBe(404);
+
+    const afterRevoke = await request(app).get('/test-device/v1/models').set('Authorization', `Bearer ${chat.body.key}`);
+    expect(afterRevoke.status).toBe(401);
+    expect(afterRevoke.body.error.message).toBe('Invalid API key');
+  });
+
+  test('should reject expired keys and fall back to the PIN when no key is active', async () => {
+    const created = await createKey(PIN, { scopes: ['chat'], expires_at: new Date(Date.now() + 3600000).toISOString() });
+    await database.run(`UPDATE api_keys SET expires_at = ? WHERE id = ?`, [new Date(Date.now() - 1000).toISOString(), created.body.id]);
+
+    const expired = await request(app).get('/test-device/v1/models').set('Authorization', `Bearer ${created.body.key}`);
+    expect(expired.status).toBe(401);
+    expect(expired.body.error.message).toBe('API key has expired');
+
+    expect((await request(app).get('/test-device/v1/models').set('Authorization', `Bearer ${PIN}`)).status).toBe(200);
+  });
+
+  test('should require an admin key for PIN management once keys exist', async () => {
+    const admin = (await createKey(PIN, { scopes: ['admin'] })).body.key;
+
+    const withPin = await request(app).post('/test-device/change-pin').send({ currentPin: PIN, newPin: '654321' });
+    expect(withPin.status).toBe(401);
+
+    const withKey = await request(app).post('/test-device/change-pin').set('Authorization', `Bearer ${admin}`).send({ newPin: '654321' });
+    expect(withKey.status).toBe(200);
+    expect(await verifySecret('654321', (await database.getDevice('test-device')).pin_code)).toBe(true);
+  });
+
+  test('should validate new keys', async () => {
+    expect((await createKey(PIN, { scopes: ['root'] })).body.error.param).toBe('scopes');
+    expect((await createKey(PIN, { scopes: [] })).body.error.param).toBe('scopes');
+    expect((await createKey(PIN, { scopes: ['chat'], expires_at: '2001-01-01T00:00:00Z' })).body.error.param).toBe('expires_at');
+    expect((await createKey(PIN, { scopes: ['chat'], label: 'x'.repeat(65) })).body.error.param).toBe('label');
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * @jest-environment node
+ */
+const request = require('supertest');
+const express = require('express');
+const { setupOpenAIRoutes } = require('../routes/openai');
+const { sendOpenAIResponse } = require('../utils/response-utils');
+const { createMockDeviceIdManager, createTestDatabase, closeTestDatabase } = require('./device-test-setup');
+
+describe('Request Timeouts and Async Jobs', () => {
+  let app;
+  let database;
+  let mockPendingRequests;
+  let mockSocket;
+
+  beforeEach(async () => {
+    app = express();
+    app.use(express.json());
+
+    database = await createTestDatabase();
+
+    const mockDeviceIdManager = createMockDeviceIdManager({ database });
+
+    const mockConnectedR1s = new Map();
+    mockPendingRequests = new Map();
+
+    mockSocket = { emit: jest.fn(), id: 'socket123', connected: true };
+    mockConnectedR1s.set('test-device', mockSocket);
+
+    setupOpenAIRoutes(app, null, mockConnectedR1s, mockPendingRequests, new Map(), mockDeviceIdManager, null);
+  });
+
+  afterEach(async () => {
+    await closeTestDatabase(database);
+  });
+
+  test('should honour a per-request timeout header', async () => {
+    const response = await request(app)
+      .post('/test-device/v1/chat/completions')
+      .set('X-Request-Timeout', '0.05')
+      .send({ messages: [{ role: 'user', content: 'Hello' }] });
+
+    expect(response.status).toBe(504);
+    expect(response.body.error.message).toContain('0.1 seconds');
+  });
+
+  test('should reject invalid timeouts', async () => {
+    const response = await request(app)
+      .post('/test-device/v1/chat/completions')
+      .send({ messages: [{ role: 'user', content: 'Hello' }], timeout: -1 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.param).toBe('timeout');
+    expect(mockSocket.emit).not.toHaveBeenCalled();
+  });
+
+  test('should accept async jobs and store the device reply for polling', async () => {
+    const accepted = await request(app)
+      .post('/test-device/v1/chat/completions')
+      .set('x-test-request', 'true')
+      .send({ messages: [{ role: 'user', content: 'Write a long story' }], async: true });
+
+    expect(accepted.status).toBe(202);
+    expect(accepted.body).toEqual(expect.objectContaining({ object: 'job', status: 'pending' }));
+    const jobId = accepted.body.id;
+
+    for (let i = 0; i < 50 && !mockPendingRequests.has(jobId); i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    const pending = await request(app).get(`/test-device/v1/jobs/${jobId}`);
+    expect(pending.body.status).toBe('pending');
+
+    // The device answers after the client is long gone
+    const { res } = mockPendingRequests.get(jobId);
+    mockPendingRequests.delete(jobId);
+    sendOpenAIResponse(res, 'Once upon a time...', 'Write a long story', 'r1-llm');
+
+    let job;
+    for (let i = 0; i < 50; i++) {
+      job = (await request(app).get(`/test-device/v1/jobs/${jobId}`)).body;
+      if (job.status !== 'pending') break;
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    expect(job.status).toBe('completed');
+    expect(job.result.choices[0].message.content).toBe('Once upon a time...');
+    expect(job.error).toBeNull();
+  });
+
+  test('should return 404 for jobs of other devices', async () => {
+    await database.savePendingRequest('req-other', 'other-device');
+
+    const response = await request(app).get('/test-device/v1/jobs/req-other');
+
+    expect(response.status).toBe(404);
+  });
+});
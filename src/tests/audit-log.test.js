@@ -0,0 +1,149 @@
+/**
+ * @jest-environment node
+ */
+const request = require('supertest');
+const express = require('express');
+const { setupOpenAIRoutes } = require('../routes/openai');
+const { setupAuditRoutes } = require('../routes/audit');
+const { DeviceIdManager } = require('../utils/device-id-manager');
+const { createDatabaseDeviceIdManager, createTestDatabase, closeTestDatabase } = require('./device-test-setup');
+
+describe('Security audit log', () => {
+  let app;
+  let database;
+
+  const PIN = '123456';
+
+  const getAudit = (query = {}, pin = PIN) => request(app).get('/test-device/audit').query(query).set('Authorization', `Bearer ${pin}`);
+
+  beforeEach(async () => {
+    database = await createTestDatabase(PIN);
+
+    app = express();
+    app.set('trust proxy', true);
+    app.use(express.json());
+
+    const mockDeviceIdManager = createDatabaseDeviceIdManager(database);
+
+    const { requireScope } = setupOpenAIRoutes(app, null, new Map(), new Map(), new Map(), mockDeviceIdManager, null);
+    setupAuditRoutes(app, requireScope, database);
+  });
+
+  afterEach(async () => {
+    await closeTestDatabase(database);
+  });
+
+  test('should record failed authentication and PIN changes with the client', async () => {
+    await request(app).get('/test-device/v1/models')
+      .set('Authorization', 'Bearer 000000')
+      .set('X-Forwarded-For', '203.0.113.7')
+      .set('User-Agent', 'curl/8.0');
+    await request(app).post('/test-device/change-pin').send({ currentPin: '111111', newPin: '654321' });
+    await request(app).post('/test-device/change-pin').set('User-Agent', 'R1 Control Panel').send({ currentPin: PIN, newPin: '654321' });
+
+    const audit = await getAudit({}, '654321');
+    expect(audit.status).toBe(200);
+    expect(audit.body.object).toBe('list');
+    expect(audit.body.data.map(event => [event.action, event.outcome])).toEqual([
+      ['pin.change', 'success'],
+      ['pin.change', 'failure'],
+      ['auth.failed', 'failure']
+    ]);
+
+    const failed = audit.body.data[2];
+    expect(failed).toEqual(expect.objectContaining({
+      object: 'audit_event',
+      ip: '203.0.113.7',
+      user_agent: 'curl/8.0',
+      details: expect.objectContaining({ credential: 'pin', scope: 'chat', status: 401, reason: 'Invalid PIN code' })
+    }));
+    expect(audit.body.data[0].user_agent).toBe('R1 Control Panel');
+  });
+
+  test('should filter and paginate events', async () => {
+    for (let i = 0; i < 3; i++) {
+      await database.saveAuditEvent({ deviceId: 'test-device', action: 'auth.failed', outcome: 'failure', ip: '198.51.100.1' });
+    }
+    await database.saveAuditEvent({ deviceId: 'test-device', action: 'phone.link', outcome: 'success' });
+    await database.saveAuditEvent({ deviceId: 'other-device', action: 'phone.link', outcome: 'success' });
+
+    const links = await getAudit({ action: 'phone.link' });
+    expect(links.body.data).toHaveLength(1);
+
+    const failures = await getAudit({ outcome: 'failure', ip: '198.51.100.1' });
+    expect(failures.body.data).toHaveLength(3);
+
+    const firstPage = await getAudit({ limit: 2 });
+    expect(firstPage.body.data).toHaveLength(2);
+    expect(firstPage.body.has_more).toBe(true);
+
+    const secondPage = await getAudit({ limit: 2, after: firstPage.body.last_id });
+    expect(secondPage.body.data).toHaveLength(2);
+    expect(secondPage.body.has_more).toBe(false);
+    expect(secondPage.body.first_id).toBeLessThan(firstPage.body.last_id);
+
+    const future = await getAudit({ since: new Date(Date.now() + 60000).toISOString() });
+    expect(future.body.data).toHaveLength(0);
+
+    expect((await getAudit({ action: 'everything' })).status).toBe(400);
+    expect((await getAudit({ limit: 1000 })).status).toBe(400);
+  });
+
+  test('should need the admin scope', async () => {
+    expect((await request(app).get('/test-device/audit')).status).toBe(401);
+
+    // The failed attempt to read the log is itself recorded
+    const audit = await getAudit({ action: 'auth.failed' });
+    expect(audit.body.data[0].details.scope).toBe('admin');
+  });
+
+  test('should not record failures for unknown devices', async () => {
+    expect((await request(app).get('/made-up-device/v1/models').set('Authorization', 'Bearer 000000')).status).toBe(401);
+    expect(await database.all(`SELECT * FROM audit_events`)).toEqual([]);
+  });
+
+  test('should keep only the newest events of a device', async () => {
+    const { AUDIT_MAX_FAILURES_PER_DEVICE } = require('../utils/audit-log');
+    const stale = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000).toISOString();
+    await database.run(`INSERT INTO audit_events (device_id, action, outcome, created_at) VALUES (?, ?, ?, ?)`, ['test-device', 'pin.change', 'success', stale]);
+    await database.saveAuditEvent({ deviceId: 'test-device', action: 'pin.change', outcome: 'success' });
+    for (let i = 0; i < AUDIT_MAX_FAILURES_PER_DEVICE; i++) {
+      await database.saveAuditEvent({ deviceId: 'test-device', action: 'auth.failed', outcome: 'failure' });
+    }
+
+    await request(app).get('/test-device/v1/models').set('Authorization', 'Bearer 000000');
+
+    const rows = await database.all(`SELECT id, outcome, created_at FROM audit_events WHERE device_id = ? ORDER BY id`, ['test-device']);
+    expect(rows.some(row => row.created_at === stale)).toBe(false);
+    // Failures are capped apart from the other events, which they cannot push out
+    expect(rows.filter(row => row.outcome === 'failure')).toHaveLength(AUDIT_MAX_FAILURES_PER_DEVICE);
+    expect(rows[0]).toEqual(expect.objectContaining({ id: 2, outcome: 'success' }));
+    expect(rows[1].id).toBe(4);
+  });
+
+  test('should not record attempts refused during a lockout', async () => {
+    for (let i = 0; i < 8; i++) {
+      await request(app).get('/test-device/v1/models').set('X-Forwarded-For', `203.0.113.${i}`).set('Authorization', 'Bearer 000000');
+    }
+
+    const events = await database.getAuditEvents('test-device', { limit: 50 });
+    expect(events.filter(event => event.action === 'auth.failed')).toHaveLength(5);
+    expect(events.filter(event => event.action === 'auth.lockout')).toHaveLength(1);
+  });
+
+  test('should record device reconnections with the device secret', async () => {
+    const deviceIdManager = new DeviceIdManager(database);
+    const registered = await deviceIdManager.registerDevice('socket-1');
+
+    // The secret used while the device is still connected is refused
+    await deviceIdManager.registerDevice('socket-2', null, registered.deviceSecret, 'Intruder', '198.51.100.9');
+    await deviceIdManager.unregisterDevice('socket-1');
+    await deviceIdManager.registerDevice('socket-3', null, registered.deviceSecret, 'R1', '192.0.2.10');
+
+    const events = await database.getAuditEvents(registered.deviceId, { actions: ['device.reconnect'] });
+    expect(events.map(event => [event.outcome, event.ip, event.user_agent])).toEqual([
+      ['success', '192.0.2.10', 'R1'],
+      ['failure', '198.51.100.9', 'Intruder']
+    ]);
+  });
+});
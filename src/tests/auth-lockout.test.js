@@ -0,0 +1,128 @@
+/**
+ * @jest-environment node
+ */
+const request = require('supertest');
+const express = require('express');
+const { setupOpenAIRoutes } = require('../routes/openai');
+const { hashSecret } = require('../utils/secret-hash');
+const { AuthThrottle } = require('../utils/auth-throttle');
+const { createDatabaseDeviceIdManager, createTestDatabase, closeTestDatabase } = require('./device-test-setup');
+
+describe('PIN brute-force protection', () => {
+  let app;
+  let database;
+  let socket;
+  let throttle;
+
+  const PIN = '123456';
+
+  const listModels = (deviceId, pin, ip = '203.0.113.1') => request(app)
+    .get(`/${deviceId}/v1/models`)
+    .set('X-Forwarded-For', ip)
+    .set('Authorization', `Bearer ${pin}`);
+
+  const flushEvents = () => new Promise(resolve => setImmediate(resolve));
+
+  beforeEach(async () => {
+    database = await createTestDatabase(PIN);
+    await database.run(`INSERT INTO devices (device_id, pin_code) VALUES (?, ?)`, ['other-device', await hashSecret(PIN)]);
+
+    app = express();
+    app.set('trust proxy', 1);
+    app.use(express.json());
+
+    socket = { id: 'socket123', emit: jest.fn() };
+    const connectedR1s = new Map([['test-device', socket]]);
+    const mockDeviceIdManager = createDatabaseDeviceIdManager(database);
+
+    throttle = new AuthThrottle({ maxFailures: 3, baseLockoutMs: 60000, maxLockoutMs: 180000, failureWindowMs: 600000 });
+    setupOpenAIRoutes(app, null, connectedR1s, new Map(), new Map(), mockDeviceIdManager, null, undefined, throttle);
+  });
+
+  afterEach(async () => {
+    await closeTestDatabase(database);
+  });
+
+  test('should lock a device out after repeated wrong PINs, even for the right PIN', async () => {
+    for (let i = 0; i < 3; i++) {
+      expect((await listModels('test-device', '000000', `203.0.113.${10 + i}`)).status).toBe(401);
+    }
+
+    const locked = await listModels('test-device', PIN);
+    expect(locked.status).toBe(429);
+    expect(locked.body.error.type).toBe('too_many_attempts');
+    expect(Number(locked.headers['retry-after'])).toBeGreaterThan(55);
+
+    // The PIN management routes are locked too
+    const changePin = await request(app).post('/test-device/change-pin').send({ currentPin: PIN, newPin: '654321' });
+    expect(changePin.status).toBe(429);
+
+    // Other devices are unaffected
+    expect((await listModels('other-device', PIN, '203.0.113.99')).status).toBe(200);
+  });
+
+  test('should lock out a client address guessing across devices', async () => {
+    await listModels('test-device', '000000', '198.51.100.7');
+    await listModels('other-device', '000000', '198.51.100.7');
+    await listModels('other-device', '111111', '198.51.100.7');
+
+    expect((await listModels('test-device', PIN, '198.51.100.7')).status).toBe(429);
+    expect((await listModels('test-device', PIN, '198.51.100.8')).status).toBe(200);
+  });
+
+  test('should lock out parallel guesses before their PINs are checked', async () => {
+    const statuses = await Promise.all(Array.from({ length: 20 }, (_, i) =>
+      listModels('test-device', String(100000 + i), `203.0.113.${100 + i}`).then(res => res.status)));
+
+    expect(statuses.filter(status => status === 401)).toHaveLength(3);
+    expect(statuses.filter(status => status === 429)).toHaveLength(17);
+    expect((await listModels('test-device', PIN)).status).toBe(429);
+  });
+
+  test('should double the lockout for each repeated lockout up to the maximum', () => {
+    let now = 1000000;
+    const durations = [];
+    for (let lockout = 0; lockout < 4; lockout++) {
+      let started = [];
+      for (let i = 0; i < 3; i++) {
+        started = throttle.recordFailure('test-device', null, now);
+      }
+      durations.push(started[0].durationMs);
+      // Guess again as soon as the lockout ends
+      now = started[0].lockedUntil + 1000;
+    }
+    expect(durations).toEqual([60000, 120000, 180000, 180000]);
+
+    // A quiet failure window forgets the failures and the backoff
+    expect(throttle.getDeviceStatus('test-device', now + 600000)).toEqual({ failedAttempts: 0, lockedUntil: null });
+    expect(throttle.recordFailure('test-device', null, now + 600000)).toEqual([]);
+  });
+
+  test('should notify the device and record an audit event on lockout', async () => {
+    for (let i = 0; i < 3; i++) {
+      await listModels('test-device', '000000', `203.0.113.${20 + i}`);
+    }
+    await flushEvents();
+
+    expect(socket.emit).toHaveBeenCalledWith('auth_lockout', expect.objectContaining({
+      target: 'device',
+      failedAttempts: 3,
+      durationSeconds: 60
+    }));
+
+    const events = await database.getSystemEvents('test-device');
+    expect(events).toHaveLength(1);
+    expect(events[0].event_type).toBe('auth_lockout');
+    expect(JSON.parse(events[0].data)).toEqual(expect.objectContaining({ target: 'device', failed_attempts: 3, duration_seconds: 60 }));
+  });
+
+  test('should expose the limits and lockout state in the device info', async () => {
+    await listModels('test-device', '000000');
+
+    const info = await request(app).get('/test-device/info').set('X-Forwarded-For', '203.0.113.50').set('Authorization', `Bearer ${PIN}`);
+    expect(info.status).toBe(200);
+    expect(info.body.authLimits).toEqual({ maxFailures: 3, lockoutSeconds: 60, maxLockoutSeconds: 180, failureWindowSeconds: 600 });
+    // The successful request above cleared the failure count
+    expect(info.body.authLockout).toEqual({ failedAttempts: 0, lockedUntil: null });
+  });
+});
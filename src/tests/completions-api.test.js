@@ -0,0 +1,121 @@
+/**
+ * @jest-environment node
+ */
+const request = require('supertest');
+const express = require('express');
+const { setupOpenAIRoutes } = require('../routes/openai');
+const { setupCompletionsRoutes } = require('../routes/completions');
+const { countTokens, setTokenizer } = require('../utils/token-usage');
+const { createMockDeviceIdManager, createTestDatabase, closeTestDatabase, setupMockSockets, answerWithChunks } = require('./device-test-setup');
+
+describe('Completions API and token usage', () => {
+  let app;
+  let database;
+  let mockSocket;
+  let deviceReply;
+
+  const getCommand = () => mockSocket.emit.mock.calls.find(call => call[0] === 'chat_completion')[1];
+
+  // Usage is recorded after the reply has been sent
+  const waitForUsage = () => new Promise(resolve => setTimeout(resolve, 20));
+
+  beforeEach(async () => {
+    database = await createTestDatabase();
+
+    app = express();
+    app.use(express.json());
+
+    const mockDeviceIdManager = createMockDeviceIdManager({ database });
+    const { connectedR1s, pendingRequests, requestDeviceMap, connectDevice } = setupMockSockets(mockDeviceIdManager);
+
+    const { handleChatCompletion } = setupOpenAIRoutes(app, null, connectedR1s, pendingRequests, requestDeviceMap, mockDeviceIdManager, null);
+    setupCompletionsRoutes(app, handleChatCompletion);
+
+    // The device answers every chat_completion with the chunks in deviceReply
+    mockSocket = await connectDevice(answerWithChunks(() => deviceReply));
+  });
+
+  afterEach(async () => {
+    setTokenizer();
+    await closeTestDatabase(database);
+  });
+
+  test('should count tokens with the bundled tokenizer and allow plugging in another', () => {
+    expect(countTokens('Hello there, how are you?')).toBe(7);
+    expect(countTokens('')).toBe(0);
+    expect(countTokens('<|endoftext|>')).toBeGreaterThan(0);
+
+    setTokenizer(text => text.split(' ').length);
+    expect(countTokens('one two three')).toBe(3);
+  });
+
+  test('should return a text_completion with estimated usage', async () => {
+    deviceReply = [' jumps over the lazy dog.'];
+
+    const response = await request(app)
+      .post('/test-device/v1/completions')
+      .set('x-test-request', 'true')
+      .send({ model: 'r1-llm', prompt: 'The quick brown fox', suffix: ' The end.', stop: ['\n'], echo: true });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual(expect.objectContaining({
+      object: 'text_completion',
+      choices: [{ text: 'The quick brown fox jumps over the lazy dog.', index: 0, logprobs: null, finish_reason: 'stop' }]
+    }));
+
+    const { data } = getCommand();
+    expect(data.message).toContain('Continue the text in the user message');
+    expect(data.message).toContain(' The end.');
+    expect(data.message).toContain('The quick brown fox');
+    expect(data.max_tokens).toBe(16);
+
+    // Prompt tokens cover the whole prompt sent to the device, not its character count
+    expect(response.body.usage).toEqual({
+      prompt_tokens: countTokens(data.message),
+      completion_tokens: countTokens(' jumps over the lazy dog.'),
+      total_tokens: countTokens(data.message) + countTokens(' jumps over the lazy dog.')
+    });
+    expect(response.body.usage.completion_tokens).toBeLessThan(' jumps over the lazy dog.'.length);
+  });
+
+  test('should stream text_completion chunks', async () => {
+    deviceReply = ['Once ', 'upon'];
+
+    const response = await request(app)
+      .post('/test-device/v1/completions')
+      .set('x-test-request', 'true')
+      .send({ prompt: ['Tell a story:'], stream: true });
+
+    const chunks = response.text.trim().split('\n\n');
+    expect(chunks[chunks.length - 1]).toBe('data: [DONE]');
+
+    const parsed = chunks.slice(0, -1).map(chunk => JSON.parse(chunk.replace('data: ', '')));
+    expect(parsed.map(chunk => chunk.choices[0].text)).toEqual(['Once ', 'upon', '']);
+    expect(parsed[2].choices[0].finish_reason).toBe('stop');
+  });
+
+  test('should reject token arrays and invalid stop sequences', async () => {
+    const tokens = await request(app).post('/test-device/v1/completions').send({ prompt: [1, 2, 3] });
+    expect(tokens.status).toBe(400);
+    expect(tokens.body.error.param).toBe('prompt');
+
+    const stop = await request(app).post('/test-device/v1/completions').send({ prompt: 'Hi', stop: ['a', 'b', 'c', 'd', 'e'] });
+    expect(stop.status).toBe(400);
+    expect(stop.body.error.param).toBe('stop');
+  });
+
+  test('should add usage to the device daily totals', async () => {
+    deviceReply = ['Sure.'];
+    await request(app).post('/test-device/v1/completions').set('x-test-request', 'true').send({ prompt: 'First' });
+    await request(app).post('/test-device/v1/completions').set('x-test-request', 'true').send({ prompt: 'Second', stream: true });
+    await waitForUsage();
+
+    const response = await request(app).get('/test-device/v1/usage');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveLength(1);
+    expect(response.body.total.requests).toBe(2);
+    expect(response.body.total.completion_tokens).toBe(2 * countTokens('Sure.'));
+    expect(response.body.data[0].date).toBe(new Date().toISOString().slice(0, 10));
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * @jest-environment node
+ */
+const request = require('supertest');
+const express = require('express');
+const { setupOpenAIRoutes } = require('../routes/openai');
+const { setupApiKeyRoutes } = require('../routes/api-keys');
+const { setupSessionRoutes } = require('../routes/sessions');
+const { hashSecret } = require('../utils/secret-hash');
+const { API_KEY_SCOPES } = require('../utils/api-keys');
+const { ACCESS_TOKEN_TTL_MS, getSessionSecret, signAccessToken } = require('../utils/session-tokens');
+const { createDatabaseDeviceIdManager, createTestDatabase, closeTestDatabase } = require('./device-test-setup');
+
+describe('Control panel sessions', () => {
+  let app;
+  let database;
+
+  const PIN = '123456';
+
+  const login = (body) => request(app).post('/test-device/session').send(body);
+  const getInfo = (token, deviceId = 'test-device') => request(app).get(`/${deviceId}/info`).set('Authorization', `Bearer ${token}`);
+
+  beforeEach(async () => {
+    database = await createTestDatabase(PIN);
+    await database.run(`INSERT INTO devices (device_id, pin_code) VALUES (?, ?)`, ['other-device', await hashSecret(PIN)]);
+
+    app = express();
+    app.use(express.json());
+
+    const connectedR1s = new Map([['test-device', { id: 'socket123', emit: jest.fn() }]]);
+    const mockDeviceIdManager = createDatabaseDeviceIdManager(database);
+
+    const { authenticateDevice, requireScope, sendAuthError } = setupOpenAIRoutes(app, null, connectedR1s, new Map(), new Map(), mockDeviceIdManager, null);
+    setupApiKeyRoutes(app, requireScope, database);
+    setupSessionRoutes(app, authenticateDevice, sendAuthError, database);
+  });
+
+  afterEach(async () => {
+    await closeTestDatabase(database);
+  });
+
+  test('should exchange the PIN for an access token and a refresh token', async () => {
+    expect((await login({ pin: '000000' })).status).toBe(401);
+
+    const session = await login({ pin: PIN });
+    expect(session.status).toBe(201);
+    expect(session.body).toEqual(expect.objectContaining({
+      object: 'session',
+      token_type: 'Bearer',
+      expires_in: ACCESS_TOKEN_TTL_MS / 1000,
+      scopes: API_KEY_SCOPES
+    }));
+    expect(session.body.access_token).toMatch(/^r1s_/);
+    expect(session.body.refresh_token).toMatch(/^r1r_[0-9a-f]{64}$/);
+
+    // Only the refresh token's hash is stored
+    const row = await database.getAuthSession(session.body.session_id);
+    expect(row.refresh_hash).not.toBe(session.body.refresh_token);
+    expect(row.auth_method).toBe('pin');
+
+    const info = await getInfo(session.body.access_token);
+    expect(info.status).toBe(200);
+    expect(info.body.deviceId).toBe('test-device');
+
+    // A refresh token is not an access token
+    expect((await getInfo(session.body.refresh_token)).status).toBe(401);
+  });
+
+  test('should rotate the refresh token and reject the old one', async () => {
+    const session = (await login({ pin: PIN })).body;
+
+    const refreshed = await request(app).post('/test-device/session/refresh').send({ refresh_token: session.refresh_token });
+    expect(refreshed.status).toBe(200);
+    expect(refreshed.body.session_id).toBe(session.session_id);
+    expect(refreshed.body.refresh_token).not.toBe(session.refresh_token);
+    expect((await getInfo(refreshed.body.access_token)).status).toBe(200);
+
+    const reused = await request(app).post('/test-device/session/refresh').send({ refresh_token: session.refresh_token });
+    expect(reused.status).toBe(401);
+
+    const wrongDevice = await request(app).post('/other-device/session/refresh').send({ refresh_token: refreshed.body.refresh_token });
+    expect(wrongDevice.status).toBe(401);
+  });
+
+  test('should revoke access and refresh tokens on logout', async () => {
+    const session = (await login({ pin: PIN })).body;
+
+    const loggedOut = await request(app).delete('/test-device/session').set('Authorization', `Bearer ${session.access_token}`);
+    expect(loggedOut.status).toBe(200);
+    expect(loggedOut.body).toEqual({ object: 'session', session_id: session.session_id, revoked: true });
+
+    const info = await getInfo(session.access_token);
+    expect(info.status).toBe(401);
+    expect(info.body.error.message).toBe('Session has been logged out');
+    expect((await request(app).post('/test-device/session/refresh').send({ refresh_token: session.refresh_token })).status).toBe(401);
+
+    // Logging out with the refresh token works too
+    const second = (await login({ pin: PIN })).body;
+    expect((await request(app).delete('/test-device/session').send({ refresh_token: second.refresh_token })).status).toBe(200);
+    expect((await getInfo(second.access_token)).status).toBe(401);
+  });
+
+  test('should reject tampered, expired and cross-device access tokens', async () => {
+    const session = (await login({ pin: PIN })).body;
+    const [payload, signature] = session.access_token.split('.');
+
+    const forgedPayload = Buffer.from(JSON.stringify({ sid: session.session_id, dev: 'other-device', exp: 9999999999 })).toString('base64url');
+    expect((await getInfo(`r1s_${forgedPayload}.${signature}`, 'other-device')).status).toBe(401);
+    expect((await getInfo(`${payload}.${signature.slice(0, -2)}xx`)).status).toBe(401);
+
+    // Signed for this device, used on another one
+    expect((await getInfo(session.access_token, 'other-device')).status).toBe(401);
+
+    const expired = signAccessToken(getSessionSecret(), { sessionId: session.session_id, deviceId: 'test-device' }, Date.now() - ACCESS_TOKEN_TTL_MS - 1000);
+    const expiredInfo = await getInfo(expired);
+    expect(expiredInfo.status).toBe(401);
+    expect(expiredInfo.body.error.message).toBe('Invalid or expired session token');
+  });
+
+  test('should keep the scopes of the API key used to log in', async () => {
+    const created = await request(app).post('/test-device/keys').set('Authorization', `Bearer ${PIN}`).send({ scopes: ['chat'] });
+    const session = await login({ api_key: created.body.key });
+    expect(session.status).toBe(201);
+    expect(session.body.scopes).toEqual(['chat']);
+
+    expect((await request(app).get('/test-device/v1/models').set('Authorization', `Bearer ${session.body.access_token}`)).status).toBe(200);
+    expect((await getInfo(session.body.access_token)).status).toBe(403);
+
+    // The PIN stops working once keys exist, for logging in as well
+    expect((await login({ pin: PIN })).status).toBe(401);
+  });
+});
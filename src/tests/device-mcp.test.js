@@ -0,0 +1,148 @@
+/**
+ * @jest-environment node
+ */
+const request = require('supertest');
+const express = require('express');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+const { setupOpenAIRoutes } = require('../routes/openai');
+const { setupAudioRoutes } = require('../routes/audio');
+const { setupDeviceMCPRoutes } = require('../routes/device-mcp');
+const { DeviceRequestQueue } = require('../utils/device-request-queue');
+const { generateApiKey, hashApiKey } = require('../utils/api-keys');
+const { createDatabaseDeviceIdManager, createTestDatabase, closeTestDatabase, getSocketHandler, setupMockSockets } = require('./device-test-setup');
+
+describe('R1 as an MCP server', () => {
+  const PIN = '123456';
+  const PHOTO = Buffer.from('jpeg-bytes').toString('base64');
+
+  let app;
+  let httpServer;
+  let database;
+  let socket;
+  let pendingRequests;
+  let clients;
+
+  const getHandler = (event) => getSocketHandler(socket, event);
+  const getCommands = (event) => socket.emit.mock.calls.filter(call => call[0] === event).map(call => call[1]);
+
+  // The device answers every command it gets
+  const deviceReply = (event, command) => {
+    if (event === 'chat_completion') {
+      setTimeout(() => getHandler('response')({ requestId: command.data.requestId, response: `You asked: ${command.data.originalMessage}` }), 5);
+    }
+    if (event === 'text_to_speech') {
+      setTimeout(() => getHandler('tts_response')({ requestId: command.data.requestId, audioData: Buffer.from('audio').toString('base64'), audioFormat: 'wav' }), 5);
+    }
+    if (event === 'magic_cam_capture' && command.requestId) {
+      setTimeout(() => getHandler('magic_cam_photo')({ requestId: command.requestId, imageData: `data:image/jpeg;base64,${PHOTO}` }), 5);
+    }
+  };
+
+  const connect = async (token) => {
+    const client = new Client({ name: 'test-client', version: '1.0.0' });
+    const url = new URL(`http://127.0.0.1:${httpServer.address().port}/test-device/mcp`);
+    await client.connect(new StreamableHTTPClientTransport(url, {
+      requestInit: { headers: { Authorization: `Bearer ${token}` } }
+    }));
+    clients.push(client);
+    return client;
+  };
+
+  beforeEach(async () => {
+    database = await createTestDatabase(PIN);
+
+    app = express();
+    app.use(express.json());
+
+    const requestQueue = new DeviceRequestQueue();
+    const mockDeviceIdManager = createDatabaseDeviceIdManager(database);
+    const sockets = setupMockSockets(mockDeviceIdManager);
+    const { connectedR1s, requestDeviceMap } = sockets;
+    pendingRequests = sockets.pendingRequests;
+
+    const { handleChatCompletion, authenticateDevice, sendAuthError } = setupOpenAIRoutes(app, null, connectedR1s, pendingRequests, requestDeviceMap, mockDeviceIdManager, null, requestQueue);
+    const { handleTextToSpeech } = setupAudioRoutes(app, null, connectedR1s, pendingRequests, requestDeviceMap, mockDeviceIdManager, null, requestQueue);
+    setupDeviceMCPRoutes(app, handleChatCompletion, handleTextToSpeech, authenticateDevice, sendAuthError, connectedR1s, pendingRequests, requestDeviceMap);
+
+    socket = await sockets.connectDevice(deviceReply);
+
+    clients = [];
+    httpServer = await new Promise(resolve => {
+      const server = app.listen(0, '127.0.0.1', () => resolve(server));
+    });
+  });
+
+  afterEach(async () => {
+    await Promise.all(clients.map(client => client.close()));
+    httpServer.closeAllConnections();
+    await new Promise(resolve => httpServer.close(resolve));
+    await closeTestDatabase(database);
+  });
+
+  test('should list the tools the credential has scopes for', async () => {
+    const withPin = await connect(PIN);
+    const { tools } = await withPin.listTools();
+    expect(tools.map(tool => tool.name)).toEqual(['ask_r1', 'speak_text', 'capture_photo', 'camera_switch']);
+    expect(tools[0].inputSchema.required).toEqual(['prompt']);
+
+    // Once a key exists the PIN no longer works, and keys only see their scopes
+    const key = generateApiKey();
+    await database.createApiKey('test-device', hashApiKey(key), key.substring(0, 12), ['camera']);
+    const withKey = await connect(key);
+    expect((await withKey.listTools()).tools.map(tool => tool.name)).toEqual(['capture_photo', 'camera_switch']);
+
+    const denied = await withKey.callTool({ name: 'ask_r1', arguments: { prompt: 'Hi' } });
+    expect(denied.isError).toBe(true);
+
+    const anonymous = await request(app).post('/test-device/mcp').send({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+    expect(anonymous.status).toBe(401);
+    expect((await request(app).get('/test-device/mcp')).status).toBe(405);
+  });
+
+  test('should ask the R1 and speak text through its request handlers', async () => {
+    const client = await connect(PIN);
+
+    const answer = await client.callTool({ name: 'ask_r1', arguments: { prompt: 'What time is it?' } });
+    expect(answer.content).toEqual([{ type: 'text', text: 'You asked: What time is it?' }]);
+    expect(getCommands('chat_completion')).toHaveLength(1);
+
+    const spoken = await client.callTool({ name: 'speak_text', arguments: { text: 'Hello there', voice: 'nova' } });
+    expect(spoken.content).toEqual([
+      { type: 'text', text: 'Spoken on the R1' },
+      { type: 'audio', data: Buffer.from('audio').toString('base64'), mimeType: 'audio/wav' }
+    ]);
+    expect(getCommands('text_to_speech')[0].data).toEqual(expect.objectContaining({ text: 'Hello there', voice: 'nova' }));
+    expect(pendingRequests.size).toBe(0);
+  });
+
+  test('should return the photo taken for the capture request and switch cameras', async () => {
+    const client = await connect(PIN);
+
+    const photo = await client.callTool({ name: 'capture_photo', arguments: { width: 480 } });
+    expect(photo.content).toEqual([{ type: 'image', data: PHOTO, mimeType: 'image/jpeg' }]);
+
+    const [capture] = getCommands('magic_cam_capture');
+    expect(capture).toEqual({ width: 480, height: 282, requestId: expect.stringMatching(/^photo-/) });
+    expect(pendingRequests.has(capture.requestId)).toBe(false);
+
+    const switched = await client.callTool({ name: 'camera_switch', arguments: {} });
+    expect(switched.content[0].text).toBe('Camera switched');
+    expect(getCommands('magic_cam_switch')).toEqual([{}]);
+  });
+
+  test('should report device errors and ignore photos for other requests', async () => {
+    socket.emit.mockImplementation((event, command) => {
+      if (event === 'magic_cam_capture') {
+        getHandler('magic_cam_photo')({ requestId: 'photo-unknown', imageData: PHOTO });
+        setTimeout(() => getHandler('error')({ requestId: command.requestId, error: 'Camera is busy' }), 5);
+      }
+    });
+    const client = await connect(PIN);
+
+    const result = await client.callTool({ name: 'capture_photo', arguments: {} });
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toBe('Camera is busy (HTTP 500)');
+    expect(pendingRequests.size).toBe(0);
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * @jest-environment node
+ */
+const request = require('supertest');
+const express = require('express');
+const { setupOpenAIRoutes } = require('../routes/openai');
+const { setupPoolRoutes } = require('../routes/pools');
+const { DeviceRequestQueue } = require('../utils/device-request-queue');
+const { DevicePoolRouter } = require('../utils/device-pools');
+const { hashSecret } = require('../utils/secret-hash');
+const { createMockDeviceIdManager, createTestDatabase, closeTestDatabase, getSocketHandler, setupMockSockets } = require('./device-test-setup');
+
+describe('Device pools', () => {
+  // PINs are stored hashed
+  let pinHash;
+  beforeAll(async () => {
+    pinHash = await hashSecret('123456');
+  });
+
+  let app;
+  let database;
+  let connectSocket;
+  let sockets;
+  let poolKey;
+
+  const getCommands = (deviceId) => sockets[deviceId].emit.mock.calls.filter(call => call[0] === 'chat_completion').map(call => call[1]);
+
+  const waitFor = async (condition) => {
+    for (let i = 0; i < 100 && !condition(); i++) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    expect(condition()).toBe(true);
+  };
+
+  const connectDevice = async (deviceId) => {
+    sockets[deviceId] = await connectSocket(undefined, deviceId);
+  };
+
+  const reply = (deviceId, response) => {
+    const commands = getCommands(deviceId);
+    const { requestId } = commands[commands.length - 1].data;
+    return getSocketHandler(sockets[deviceId], 'response')({ requestId, response });
+  };
+
+  const chat = (content) => request(app)
+    .post('/pool-team/v1/chat/completions')
+    .set('Authorization', `Bearer ${poolKey}`)
+    .set('x-test-request', 'true')
+    .send({ messages: [{ role: 'user', content }] });
+
+  beforeEach(async () => {
+    database = await createTestDatabase();
+
+    app = express();
+    app.use(express.json());
+    const poolRoutes = express.Router();
+    app.use(poolRoutes);
+
+    const requestQueue = new DeviceRequestQueue();
+    const mockDeviceIdManager = createMockDeviceIdManager({
+      database,
+      getDeviceInfoFromDB: jest.fn(async (deviceId) => (deviceId === 'missing' ? null : { pin_code: deviceId === 'device-b' ? pinHash : null }))
+    });
+    const mockSockets = setupMockSockets(mockDeviceIdManager);
+    const { connectedR1s, pendingRequests, requestDeviceMap } = mockSockets;
+    connectSocket = mockSockets.connectDevice;
+    const { handleChatCompletion, authenticateDevice, requireScope } = setupOpenAIRoutes(app, null, connectedR1s, pendingRequests, requestDeviceMap, mockDeviceIdManager, null, requestQueue);
+    setupPoolRoutes(poolRoutes, handleChatCompletion, authenticateDevice, requireScope, database, new DevicePoolRouter(connectedR1s, requestQueue));
+
+    sockets = {};
+    await connectDevice('device-a');
+    await connectDevice('device-b');
+
+    const created = await request(app).post('/pools').send({ name: 'team' });
+    poolKey = created.body.key;
+
+    await request(app).post('/pools/team/members').set('Authorization', `Bearer ${poolKey}`).send({ device_id: 'device-a' });
+    await request(app).post('/pools/team/members').set('Authorization', `Bearer ${poolKey}`).send({ device_id: 'device-b', pin: '123456' });
+  });
+
+  afterEach(async () => {
+    await closeTestDatabase(database);
+  });
+
+  test('should manage pools and check keys and device PINs', async () => {
+    const info = await request(app).get('/pools/team').set('Authorization', `Bearer ${poolKey}`);
+    expect(info.status).toBe(200);
+    expect(info.body).toEqual(expect.objectContaining({ name: 'team', strategy: 'least_pending' }));
+    expect(info.body.members).toEqual([
+      { device_id: 'device-a', connected: true, pending_requests: 0 },
+      { device_id: 'device-b', connected: true, pending_requests: 0 }
+    ]);
+
+    // The key is stored hashed
+    expect((await database.getDevicePool('team')).key_hash).not.toBe(poolKey);
+
+    expect((await request(app).get('/pools/team').set('Authorization', 'Bearer wrong')).status).toBe(401);
+    expect((await request(app).post('/pools').send({ name: 'team' })).status).toBe(409);
+    expect((await request(app).post('/pools').send({ name: 'x', strategy: 'random' })).status).toBe(400);
+
+    const wrongPin = await request(app).post('/pools/team/members').set('Authorization', `Bearer ${poolKey}`).send({ device_id: 'device-b', pin: '000000' });
+    expect(wrongPin.status).toBe(403);
+
+    const removed = await request(app).delete('/pools/team/members/device-a').set('Authorization', `Bearer ${poolKey}`);
+    expect(removed.body.members.map(member => member.device_id)).toEqual(['device-b']);
+  });
+
+  test('should let the device owner list and leave its pools', async () => {
+    expect((await request(app).get('/device-b/pools')).status).toBe(401);
+
+    const listed = await request(app).get('/device-b/pools').set('Authorization', 'Bearer 123456');
+    expect(listed.body).toEqual({ device_id: 'device-b', pools: [{ name: 'team', strategy: 'least_pending', added_at: expect.any(String) }] });
+
+    const left = await request(app).delete('/device-b/pools/team').set('Authorization', 'Bearer 123456');
+    expect(left.body.pools).toEqual([]);
+    expect(await database.getDevicePoolMembers('team')).toEqual(['device-a']);
+    expect((await request(app).delete('/device-b/pools/team').set('Authorization', 'Bearer 123456')).status).toBe(404);
+  });
+
+  test('should drop a device from its pools when its PIN changes', async () => {
+    const changed = await request(app).post('/device-b/change-pin').send({ currentPin: '123456', newPin: '654321' });
+    expect(changed.status).toBe(200);
+
+    expect(await database.getDevicePoolMembers('team')).toEqual(['device-a']);
+  });
+
+  test('should send requests to the member with the fewest pending requests', async () => {
+    const first = chat('First').then(response => response);
+    await waitFor(() => getCommands('device-a').length === 1);
+
+    // device-a is busy, so the next request goes to device-b
+    const second = chat('Second').then(response => response);
+    await waitFor(() => getCommands('device-b').length === 1);
+
+    await reply('device-b', 'From B');
+    await reply('device-a', 'From A');
+
+    expect((await first).body.choices[0].message.content).toBe('From A');
+    expect((await second).body.choices[0].message.content).toBe('From B');
+  });
+
+  test('should rotate through members with round_robin', async () => {
+    await request(app).patch('/pools/team').set('Authorization', `Bearer ${poolKey}`).send({ strategy: 'round_robin' });
+
+    const order = ['device-a', 'device-b', 'device-a'];
+    for (const [index, deviceId] of order.entries()) {
+      const pending = chat('Hi').then(response => response);
+      await waitFor(() => getCommands('device-a').length + getCommands('device-b').length === index + 1);
+      await reply(deviceId, `From ${deviceId}`);
+      expect((await pending).body.choices[0].message.content).toBe(`From ${deviceId}`);
+    }
+  });
+
+  test('should fail over to another member when the device disconnects', async () => {
+    const pending = chat('Hello').then(response => response);
+    await waitFor(() => getCommands('device-a').length === 1);
+
+    getSocketHandler(sockets['device-a'], 'disconnect')();
+    await waitFor(() => getCommands('device-b').length === 1);
+
+    const resent = getCommands('device-b')[0];
+    expect(resent.data.requestId).toBe(getCommands('device-a')[0].data.requestId);
+
+    await reply('device-b', 'Answered by B');
+    const response = await pending;
+    expect(response.status).toBe(200);
+    expect(response.body.choices[0].message.content).toBe('Answered by B');
+  });
+
+  test('should return 503 when no member is connected', async () => {
+    getSocketHandler(sockets['device-a'], 'disconnect')();
+    getSocketHandler(sockets['device-b'], 'disconnect')();
+
+    const response = await chat('Anyone?');
+    expect(response.status).toBe(503);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * @jest-environment node
+ */
+const request = require('supertest');
+const express = require('express');
+const { setupOpenAIRoutes } = require('../routes/openai');
+const { DeviceRequestQueue } = require('../utils/device-request-queue');
+const { createMockDeviceIdManager } = require('./device-test-setup');
+
+describe('Device Request Queue', () => {
+  test('should serve interactive requests before batch requests', async () => {
+    const queue = new DeviceRequestQueue({ maxDepth: 5, maxWaitMs: 1000 });
+    const order = [];
+
+    const first = queue.enqueue('test-device', 'text');
+    const batch = queue.enqueue('test-device', 'text', { priority: 'batch' });
+    const interactive = queue.enqueue('test-device', 'text', { priority: 'interactive' });
+
+    expect(first.position).toBe(0);
+    expect(batch.position).toBe(1);
+    expect(interactive.position).toBe(1);
+
+    batch.ready.then(() => order.push('batch'));
+    interactive.ready.then(() => order.push('interactive'));
+
+    first.release();
+    await interactive.ready;
+    interactive.release();
+    await batch.ready;
+
+    expect(order).toEqual(['interactive', 'batch']);
+    expect(queue.getStats()).toEqual(expect.objectContaining({ active: 1, queued: 0 }));
+  });
+
+  test('should keep text and TTS channels independent', () => {
+    const queue = new DeviceRequestQueue({ maxDepth: 5, maxWaitMs: 1000 });
+
+    expect(queue.enqueue('test-device', 'text').position).toBe(0);
+    expect(queue.enqueue('test-device', 'tts').position).toBe(0);
+  });
+
+  test('should reject when the queue is full and time out waiting requests', async () => {
+    const queue = new DeviceRequestQueue({ maxDepth: 1, maxWaitMs: 20 });
+
+    queue.enqueue('test-device', 'text');
+    const waiting = queue.enqueue('test-device', 'text');
+
+    expect(queue.enqueue('test-device', 'text')).toBeNull();
+    expect(queue.getDepth('test-device')).toBe(1);
+
+    await expect(waiting.ready).rejects.toMatchObject({ code: 'QUEUE_TIMEOUT' });
+    expect(queue.getDepth('test-device')).toBe(0);
+  });
+
+  test('should queue a second chat completion until the first one finishes', async () => {
+    const app = express();
+    app.use(express.json());
+
+    const mockDeviceIdManager = createMockDeviceIdManager();
+    const mockConnectedR1s = new Map();
+    const mockPendingRequests = new Map();
+    const mockSocket = { emit: jest.fn(), id: 'socket123', connected: true };
+    mockConnectedR1s.set('test-device', mockSocket);
+
+    const queue = new DeviceRequestQueue({ maxDepth: 5, maxWaitMs: 5000 });
+    setupOpenAIRoutes(app, null, mockConnectedR1s, mockPendingRequests, new Map(), mockDeviceIdManager, null, queue);
+
+    // Answer each command the device receives after a short delay
+    mockSocket.emit.mockImplementation((event, command) => {
+      setTimeout(() => {
+        const { res } = mockPendingRequests.get(command.data.requestId);
+        mockPendingRequests.delete(command.data.requestId);
+        res.status(200).json({ reply: command.data.originalMessage });
+      }, 30);
+    });
+
+    const send = (content) => request(app)
+      .post('/test-device/v1/chat/completions')
+      .set('x-test-request', 'true')
+      .send({ messages: [{ role: 'user', content }] });
+
+    const [first, second] = await Promise.all([send('first'), send('second')]);
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(200);
+    expect(first.headers['x-queue-position']).toBe('0');
+    expect(second.headers['x-queue-position']).toBe('1');
+    expect(mockSocket.emit.mock.calls.map(call => call[1].data.originalMessage)).toEqual(['first', 'second']);
+    expect(queue.getStats().active).toBe(0);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Shared setup for tests that talk to a mocked R1 device: the device ID
+ * manager, an in-memory database and mock sockets connected through the
+ * socket handler
+ */
+
+const { setupSocketHandler } = require('../socket/socket-handler');
+const { DatabaseManager } = require('../utils/database');
+const { hashSecret } = require('../utils/secret-hash');
+
+// Device ID manager for a device without a PIN; overrides replace single members
+function createMockDeviceIdManager(overrides = {}) {
+  return {
+    registerDevice: jest.fn().mockResolvedValue({ deviceId: 'test-device', pinCode: null, isReconnection: false }),
+    unregisterDevice: jest.fn(),
+    hasDevice: jest.fn().mockReturnValue(true),
+    getDeviceInfoFromDB: jest.fn().mockResolvedValue({ pin_code: null }),
+    deviceIds: new Map(),
+    ...overrides
+  };
+}
+
+// Device ID manager that looks devices up in a real database
+function createDatabaseDeviceIdManager(database, overrides = {}) {
+  return createMockDeviceIdManager({
+    database,
+    getDeviceInfoFromDB: (deviceId) => database.getDevice(deviceId),
+    ...overrides
+  });
+}
+
+// In-memory database; with a PIN, test-device is stored with the PIN hashed
+async function createTestDatabase(pin = null) {
+  const database = new DatabaseManager(':memory:');
+  await database.init();
+  if (pin) {
+    await database.run(`INSERT INTO devices (device_id, pin_code) VALUES (?, ?)`, ['test-device', await hashSecret(pin)]);
+  }
+  return database;
+}
+
+function closeTestDatabase(database) {
+  return new Promise(resolve => database.db.close(resolve));
+}
+
+// Handler the socket handler registered for an event on a mock socket
+function getSocketHandler(socket, event) {
+  return socket.on.mock.calls.find(call => call[0] === event)[1];
+}
+
+// Set up the socket handler with fresh request maps. connectDevice() connects a
+// mock socket whose emit calls emit(event, command, socket); with a deviceId the
+// device manager registers the socket under that ID.
+function setupMockSockets(deviceIdManager, mcpManager = null) {
+  const io = { on: jest.fn() };
+  const connectedR1s = new Map();
+  const pendingRequests = new Map();
+  const requestDeviceMap = new Map();
+
+  setupSocketHandler(io, connectedR1s, pendingRequests, requestDeviceMap,
+    new Map(), new Map(), new Map(), new Map(), deviceIdManager, mcpManager);
+
+  const connectDevice = async (emit = () => {}, deviceId = null) => {
+    const socket = {
+      id: deviceId ? `socket-${deviceId}` : 'socket123',
+      connected: true,
+      handshake: { headers: {}, address: '127.0.0.1' },
+      on: jest.fn(),
+      emit: jest.fn((event, command) => emit(event, command, socket))
+    };
+    if (deviceId) {
+      deviceIdManager.registerDevice.mockResolvedValueOnce({ deviceId, pinCode: null, isReconnection: false });
+    }
+    await io.on.mock.calls.find(call => call[0] === 'connection')[1](socket);
+    return socket;
+  };
+
+  return { io, connectedR1s, pendingRequests, requestDeviceMap, connectDevice };
+}
+
+// emit for a device that answers every chat_completion with the chunks
+// returned by nextReply()
+function answerWithChunks(nextReply) {
+  return (event, command, socket) => {
+    if (event !== 'chat_completion') return;
+    const { requestId } = command.data;
+    const chunks = nextReply();
+    setTimeout(async () => {
+      for (const delta of chunks) {
+        getSocketHandler(socket, 'response_chunk')({ requestId, delta });
+      }
+      await getSocketHandler(socket, 'response_done')({ requestId });
+    }, 10);
+  };
+}
+
+module.exports = {
+  createMockDeviceIdManager,
+  createDatabaseDeviceIdManager,
+  createTestDatabase,
+  closeTestDatabase,
+  getSocketHandler,
+  setupMockSockets,
+  answerWithChunks
+};
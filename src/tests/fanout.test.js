@@ -0,0 +1,171 @@
+/**
+ * @jest-environment node
+ */
+const request = require('supertest');
+const express = require('express');
+const { setupOpenAIRoutes } = require('../routes/openai');
+const { setupAudioRoutes } = require('../routes/audio');
+const { setupFanoutRoutes } = require('../routes/fanout');
+const { DeviceRequestQueue } = require('../utils/device-request-queue');
+const { hashSecret } = require('../utils/secret-hash');
+const { createMockDeviceIdManager, createTestDatabase, closeTestDatabase, getSocketHandler, setupMockSockets } = require('./device-test-setup');
+
+describe('Fan-out', () => {
+  // PINs are stored hashed
+  let pinHash;
+  beforeAll(async () => {
+    pinHash = await hashSecret('123456');
+  });
+
+  let app;
+  let database;
+  let connectSocket;
+  let sockets;
+
+  const getCommands = (deviceId, event = 'chat_completion') => sockets[deviceId].emit.mock.calls.filter(call => call[0] === event).map(call => call[1]);
+
+  // Devices answer chat commands after the given delay; null means never
+  const connectDevice = async (deviceId, replyDelay) => {
+    sockets[deviceId] = await connectSocket((event, command, socket) => {
+      if (replyDelay === null) return;
+      if (event === 'chat_completion') {
+        setTimeout(() => getSocketHandler(socket, 'response')({ requestId: command.data.requestId, response: `Hello from ${deviceId}` }), replyDelay);
+      }
+      if (event === 'text_to_speech') {
+        setTimeout(() => getSocketHandler(socket, 'tts_response')({ requestId: command.data.requestId, audioData: Buffer.from('audio').toString('base64'), audioFormat: 'mp3' }), replyDelay);
+      }
+    }, deviceId);
+  };
+
+  beforeEach(async () => {
+    database = await createTestDatabase();
+
+    app = express();
+    app.use(express.json());
+
+    const requestQueue = new DeviceRequestQueue();
+    const mockDeviceIdManager = createMockDeviceIdManager({
+      getDeviceInfoFromDB: jest.fn(async (deviceId) => ({ pin_code: deviceId === 'locked' ? pinHash : null }))
+    });
+    const mockSockets = setupMockSockets(mockDeviceIdManager);
+    const { connectedR1s, pendingRequests, requestDeviceMap } = mockSockets;
+    connectSocket = mockSockets.connectDevice;
+    const { handleChatCompletion, authenticateDevice, sendAuthError } = setupOpenAIRoutes(app, null, connectedR1s, pendingRequests, requestDeviceMap, mockDeviceIdManager, null, requestQueue);
+    const { handleTextToSpeech } = setupAudioRoutes(app, null, connectedR1s, pendingRequests, requestDeviceMap, mockDeviceIdManager, null, requestQueue);
+    setupFanoutRoutes(app, handleChatCompletion, handleTextToSpeech, authenticateDevice, sendAuthError, connectedR1s, database);
+
+    sockets = {};
+    await connectDevice('fast', 5);
+    await connectDevice('slow', 40);
+    await connectDevice('silent', null);
+    await connectDevice('locked', 5);
+  });
+
+  afterEach(async () => {
+    await closeTestDatabase(database);
+  });
+
+  test('should collect chat results and cancel devices that miss the deadline', async () => {
+    const response = await request(app)
+      .post('/fanout')
+      .send({
+        command: 'chat_completion',
+        devices: ['fast', 'silent', 'locked'],
+        params: { messages: [{ role: 'user', content: 'Status?' }] },
+        timeout: 0.3
+      });
+
+    expect(response.status).toBe(200);
+    expect(response.body.summary).toEqual({ total: 3, succeeded: 1, failed: 1, timed_out: 1 });
+
+    const [fast, silent, locked] = response.body.results;
+    expect(fast).toEqual(expect.objectContaining({ device_id: 'fast', status: 'ok', http_status: 200 }));
+    expect(fast.result.choices[0].message.content).toBe('Hello from fast');
+    expect(silent).toEqual(expect.objectContaining({ device_id: 'silent', status: 'timeout' }));
+    expect(locked).toEqual(expect.objectContaining({ status: 'error', http_status: 401 }));
+    // Failed results do not confirm the device
+    expect(locked.device_id).toBeUndefined();
+
+    expect(sockets.silent.emit).toHaveBeenCalledWith('cancel_request', expect.objectContaining({ reason: 'client_disconnected' }));
+    expect(getCommands('locked')).toHaveLength(0);
+  });
+
+  test('should report when a locked-out device can be tried again', async () => {
+    for (let i = 0; i < 5; i++) {
+      await request(app).get('/locked/tags').set('Authorization', 'Bearer 000000');
+    }
+
+    const tags = await request(app).get('/locked/tags').set('Authorization', 'Bearer 123456');
+    expect(tags.status).toBe(429);
+    expect(Number(tags.headers['retry-after'])).toBeGreaterThan(0);
+
+    const response = await request(app)
+      .post('/fanout')
+      .send({ command: 'magic_cam_switch', devices: ['locked'], pins: { locked: '123456' } });
+    expect(response.body.results[0]).toEqual(expect.objectContaining({ status: 'error', http_status: 429, retry_after: expect.any(Number) }));
+  });
+
+  test('should target the tagged devices the request has credentials for', async () => {
+    expect((await request(app).put('/locked/tags').send({ tags: ['lab'] })).status).toBe(401);
+    await request(app).put('/locked/tags').set('Authorization', 'Bearer 123456').send({ tags: ['lab', 'lab'] });
+    await request(app).put('/fast/tags').send({ tags: ['lab', 'kitchen'] });
+    await request(app).put('/slow/tags').send({ tags: ['lab'] });
+
+    const tags = await request(app).get('/fast/tags');
+    expect(tags.body.tags).toEqual(['kitchen', 'lab']);
+
+    const response = await request(app)
+      .post('/fanout')
+      .send({ command: 'magic_cam_capture', tag: 'lab', params: { width: 320 }, pins: { locked: '123456', fast: '' } });
+
+    expect(response.body.results.map(result => result.device_id)).toEqual(['locked', 'fast']);
+    expect(response.body.summary.succeeded).toBe(2);
+    expect(getCommands('fast', 'magic_cam_capture')).toEqual([{ width: 320, height: 282 }]);
+    expect(getCommands('locked', 'magic_cam_capture')).toHaveLength(1);
+    expect(getCommands('slow', 'magic_cam_capture')).toHaveLength(0);
+
+    // Without credentials a tag reveals and reaches nothing, not even devices without a PIN
+    const anonymous = await request(app).post('/fanout').send({ command: 'magic_cam_stop', tag: 'lab' });
+    expect(anonymous.status).toBe(404);
+    expect(JSON.stringify(anonymous.body)).not.toMatch(/fast|slow|locked/);
+    expect(getCommands('fast', 'magic_cam_stop')).toHaveLength(0);
+
+    const wrongPin = await request(app).post('/fanout').send({ command: 'magic_cam_stop', tag: 'lab', pins: { locked: '000000' } });
+    expect(wrongPin.body.results).toEqual([expect.objectContaining({ status: 'error', http_status: 401 })]);
+    expect(wrongPin.body.results[0].device_id).toBeUndefined();
+
+    const empty = await request(app).post('/fanout').send({ command: 'magic_cam_stop', tag: 'garage' });
+    expect(empty.status).toBe(404);
+  });
+
+  test('should stream each result as it arrives', async () => {
+    const response = await request(app)
+      .post('/fanout')
+      .send({ command: 'text_to_speech', devices: ['slow', 'fast'], params: { input: 'Hello' }, stream: true });
+
+    expect(response.headers['content-type']).toMatch(/text\/event-stream/);
+    const events = response.text.trim().split('\n\n').map(chunk => chunk.replace('data: ', ''));
+    expect(events[events.length - 1]).toBe('[DONE]');
+
+    const parsed = events.slice(0, -1).map(event => JSON.parse(event));
+    expect(parsed.map(event => event.device_id || event.object)).toEqual(['fast', 'slow', 'fanout']);
+    expect(parsed[0].result).toEqual({ content_type: 'audio/mpeg', audio: Buffer.from('audio').toString('base64') });
+    expect(parsed[2].summary.succeeded).toBe(2);
+  });
+
+  test('should validate the request', async () => {
+    const cases = [
+      [{ command: 'reboot', devices: ['fast'] }, 'command'],
+      [{ command: 'magic_cam_stop', devices: ['fast'], tag: 'lab' }, 'devices'],
+      [{ command: 'magic_cam_stop' }, 'devices'],
+      [{ command: 'chat_completion', devices: ['fast'], params: { messages: [{ role: 'user', content: 'Hi' }], stream: true } }, 'params.stream'],
+      [{ command: 'text_to_speech', devices: ['fast'] }, 'params.input']
+    ];
+
+    for (const [body, param] of cases) {
+      const response = await request(app).post('/fanout').send(body);
+      expect(response.status).toBe(400);
+      expect(response.body.error.param).toBe(param);
+    }
+  });
+});
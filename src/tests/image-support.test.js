@@ -1,3 +1,7 @@
+/**
+ * @jest-environment node
+ */
+const http = require('http');
 const request = require('supertest');
 const express = require('express');
 const { setupOpenAIRoutes } = require('../routes/openai');
@@ -159,4 +163,152 @@ describe('Image Support in Chat Completions', () => {
       }
     }, 100);
   });
-});
\ No newline at end of file
+
+  test('should map OpenAI content-part arrays to text and imageBase64', (done) => {
+    mockDeviceIdManager.hasDevice.mockReturnValue(true);
+    mockDeviceIdManager.getDeviceInfoFromDB.mockResolvedValue({ pin_code: null });
+    mockMcpManager.getDeviceTools.mockResolvedValue([]);
+
+    const mockSocket = {
+      emit: jest.fn(),
+      id: 'socket123',
+      connected: true
+    };
+    mockConnectedR1s.set('test-device', mockSocket);
+
+    const firstImage = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+    const secondImage = '/9j/4AAQSkZJRgABAQAAAQABAAD/2wBDAAgGBgcGBQgHBwcJCQgKDBQNDAsLDBkSEw8UHR8eHR';
+
+    request(app)
+      .post('/test-device/v1/chat/completions')
+      .set('x-test-request', 'true')
+      .send({
+        messages: [{
+          role: 'user',
+          content: [
+            { type: 'text', text: 'Compare these images' },
+            { type: 'image_url', image_url: { url: `data:image/png;base64,${firstImage}` } },
+            { type: 'image_url', image_url: { url: `data:image/jpeg;base64,${secondImage}`, detail: 'low' } }
+          ]
+        }],
+        model: 'r1-command'
+      })
+      .end((err, response) => {
+        if (err) return done(err);
+
+        expect(response.status).toBe(200);
+
+        const { data } = mockSocket.emit.mock.calls[0][1];
+        expect(data.message).toBe('Compare these images');
+        expect(data.originalMessage).toBe('Compare these images');
+        expect(data.imageBase64).toBe(firstImage);
+        expect(data.images).toEqual([firstImage, secondImage]);
+
+        done();
+      });
+
+    setTimeout(() => {
+      const requestId = mockSocket.emit.mock.calls[0][1].data.requestId;
+      if (mockPendingRequests.has(requestId)) {
+        const { res } = mockPendingRequests.get(requestId);
+        res.status(200).json({ choices: [{ message: { content: 'Mock response' } }] });
+      }
+    }, 100);
+  });
+
+  describe('http images and audio parts', () => {
+    const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64');
+    let imageServer;
+    let baseUrl;
+    let mockSocket;
+
+    beforeEach(async () => {
+      imageServer = http.createServer((req, res) => {
+        if (req.url === '/photo.png') {
+          res.writeHead(200, { 'Content-Type': 'image/png' });
+          res.end(PNG);
+        } else if (req.url === '/large.png') {
+          // No Content-Length, so the size is only known while reading
+          res.writeHead(200, { 'Content-Type': 'image/png' });
+          res.write(Buffer.alloc(1024));
+          res.end(Buffer.alloc(1024));
+        } else if (req.url === '/slow.png') {
+          res.writeHead(200, { 'Content-Type': 'image/png' });
+          setTimeout(() => res.end(PNG), 500);
+        } else {
+          res.writeHead(200, { 'Content-Type': 'text/html' });
+          res.end('<html></html>');
+        }
+      });
+      await new Promise(resolve => imageServer.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${imageServer.address().port}`;
+
+      mockDeviceIdManager.hasDevice.mockReturnValue(true);
+      mockDeviceIdManager.getDeviceInfoFromDB.mockResolvedValue({ pin_code: null });
+      mockMcpManager.getDeviceTools.mockResolvedValue([]);
+      mockSocket = { emit: jest.fn(), id: 'socket123', connected: true };
+      mockConnectedR1s.set('test-device', mockSocket);
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => imageServer.close(resolve));
+    });
+
+    // Send the completion and answer it once it reaches the device
+    const complete = async (content) => {
+      const response = request(app)
+        .post('/test-device/v1/chat/completions')
+        .set('x-test-request', 'true')
+        .send({ messages: [{ role: 'user', content }] })
+        .then(result => result);
+
+      for (let i = 0; i < 100 && mockSocket.emit.mock.calls.length === 0; i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      const command = mockSocket.emit.mock.calls[0]?.[1];
+      if (command) {
+        mockPendingRequests.get(command.data.requestId).res.status(200).json({ choices: [{ message: { content: 'Mock response' } }] });
+      }
+      return { response: await response, command };
+    };
+
+    test('should download http images and forward input_audio', async () => {
+      const { response, command } = await complete([
+        { type: 'text', text: 'What do you see and hear?' },
+        { type: 'image_url', image_url: { url: `${baseUrl}/photo.png` } },
+        { type: 'image_url', image_url: `${baseUrl}/page.html` },
+        { type: 'input_audio', input_audio: { data: 'UklGRg==', format: 'mp3' } }
+      ]);
+
+      expect(response.status).toBe(200);
+      // The HTML page is not an image and is left out, leaving a single image
+      expect(command.data.imageBase64).toBe(PNG.toString('base64'));
+      expect(command.data.images).toBeUndefined();
+      expect(command.data.inputAudio).toEqual({ data: 'UklGRg==', format: 'mp3' });
+      expect(command.data.message).toBe('What do you see and hear?');
+    });
+
+    test('should skip images that are too large or too slow', async () => {
+      const { resolveImages } = require('../utils/message-content');
+
+      const images = await resolveImages([
+        { url: `${baseUrl}/large.png` },
+        { url: `${baseUrl}/slow.png` },
+        { url: `${baseUrl}/photo.png` }
+      ], { maxBytes: 1500, timeoutMs: 100 });
+
+      expect(images).toEqual([PNG.toString('base64')]);
+    });
+
+    test('should reject messages with too many images', async () => {
+      const { MAX_MESSAGE_IMAGES } = require('../utils/message-content');
+      const images = Array.from({ length: MAX_MESSAGE_IMAGES + 1 }, () => ({ type: 'image_url', image_url: { url: `${baseUrl}/photo.png` } }));
+
+      const { response, command } = await complete(images);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.param).toBe('messages');
+      expect(command).toBeUndefined();
+    });
+  });
+});
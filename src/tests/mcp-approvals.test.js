@@ -0,0 +1,237 @@
+/**
+ * @jest-environment node
+ */
+const request = require('supertest');
+const express = require('express');
+const { setupOpenAIRoutes } = require('../routes/openai');
+const { setupMCPRoutes } = require('../routes/mcp');
+const { MCPManager } = require('../utils/mcp-manager');
+const { createDatabaseDeviceIdManager, createTestDatabase, closeTestDatabase, getSocketHandler, setupMockSockets } = require('./device-test-setup');
+
+describe('MCP tool approvals', () => {
+  let app;
+  let database;
+  let mcpManager;
+  let mockPendingRequests;
+  let mockRequestDeviceMap;
+  let mockSocket;
+  let responseHandler;
+
+  const PIN = '123456';
+  // Shorter than the approval timeout, so waiting for a decision outlasts it
+  const REQUEST_TIMEOUT_MS = 300;
+
+  const api = (method, path) => request(app)[method](`/test-device/mcp${path}`).set('Authorization', `Bearer ${PIN}`);
+  const toolCall = JSON.stringify({ mcp_tool_call: { server: 'files', tool: 'delete', arguments: { path: '/tmp/a' } } });
+
+  const createMockRes = () => ({
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn()
+  });
+
+  // Set up like a chat completion with MCP tools, including its request timeout
+  const addPendingRequest = (requestId, res, autoApprove = false) => {
+    const onCancel = () => mcpManager.approvals.cancelRequest(requestId);
+    const onTimeout = () => {
+      mockPendingRequests.delete(requestId);
+      mockRequestDeviceMap.delete(requestId);
+      onCancel();
+      res.status(504).json({ error: { message: 'Request timeout', type: 'timeout' } });
+    };
+    mockPendingRequests.set(requestId, {
+      res,
+      stream: false,
+      timeout: setTimeout(onTimeout, REQUEST_TIMEOUT_MS),
+      timeoutMs: REQUEST_TIMEOUT_MS,
+      onTimeout,
+      onCancel,
+      mcp: { tools: [{ server: 'files', name: 'delete', autoApprove }], steps: [], maxSteps: 5 },
+      command: { type: 'chat_completion', data: { message: 'Delete /tmp/a', requestId } }
+    });
+    mockRequestDeviceMap.set(requestId, 'test-device');
+  };
+
+  const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  // Wait until the device was asked to approve the call
+  const waitForApproval = async () => {
+    for (let i = 0; i < 50; i++) {
+      const event = mockSocket.emit.mock.calls.find(call => call[0] === 'mcp_approval_request');
+      if (event) return event[1];
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error('No approval requested');
+  };
+
+  beforeEach(async () => {
+    database = await createTestDatabase(PIN);
+
+    mcpManager = new MCPManager(database, { approvalTimeoutMs: 1000 });
+    jest.spyOn(mcpManager, 'handleToolCall').mockResolvedValue({ content: [{ type: 'text', text: 'deleted' }] });
+
+    app = express();
+    app.use(express.json());
+
+    const mockDeviceIdManager = createDatabaseDeviceIdManager(database);
+    const sockets = setupMockSockets(mockDeviceIdManager, mcpManager);
+
+    mockPendingRequests = sockets.pendingRequests;
+    mockRequestDeviceMap = sockets.requestDeviceMap;
+    const { requireScope } = setupOpenAIRoutes(app, null, new Map(), mockPendingRequests, mockRequestDeviceMap, mockDeviceIdManager, mcpManager);
+    setupMCPRoutes(app, requireScope, database, mcpManager);
+
+    mockSocket = await sockets.connectDevice();
+    responseHandler = getSocketHandler(mockSocket, 'response');
+  });
+
+  afterEach(async () => {
+    for (const pendingRequest of mockPendingRequests.values()) {
+      clearTimeout(pendingRequest.timeout);
+    }
+    await closeTestDatabase(database);
+  });
+
+  test('should run auto-approved tools without asking', async () => {
+    addPendingRequest('req-1', createMockRes(), true);
+
+    await responseHandler({ requestId: 'req-1', response: toolCall });
+
+    expect(mcpManager.handleToolCall).toHaveBeenCalled();
+    expect(mockSocket.emit).not.toHaveBeenCalledWith('mcp_approval_request', expect.anything());
+    expect(mockPendingRequests.get('req-1').mcp.steps[0].approval).toBe('auto_approved');
+  });
+
+  test('should pause the tool call until it is approved in the control panel', async () => {
+    const res = createMockRes();
+    addPendingRequest('req-2', res);
+
+    const handled = responseHandler({ requestId: 'req-2', response: toolCall });
+    const approval = await waitForApproval();
+    expect(approval).toEqual(expect.objectContaining({ object: 'mcp_approval', request_id: 'req-2', server: 'files', tool: 'delete', arguments: { path: '/tmp/a' } }));
+    expect(mcpManager.handleToolCall).not.toHaveBeenCalled();
+
+    const listed = await api('get', '/approvals');
+    expect(listed.body.approvals.map(item => item.id)).toEqual([approval.id]);
+
+    // The request does not time out while the call waits for a decision
+    await wait(REQUEST_TIMEOUT_MS + 100);
+    expect(res.status).not.toHaveBeenCalled();
+    expect(mockPendingRequests.has('req-2')).toBe(true);
+
+    const approved = await api('post', `/approvals/${approval.id}/approve`).send({});
+    expect(approved.status).toBe(200);
+    expect(approved.body.approved).toBe(true);
+    await handled;
+
+    expect(mcpManager.handleToolCall).toHaveBeenCalledWith('test-device', 'files', 'delete', { path: '/tmp/a' });
+    expect(mockSocket.emit).toHaveBeenCalledWith('mcp_approval_resolved', { id: approval.id, approved: true, reason: 'approved' });
+    expect(mockSocket.emit).toHaveBeenCalledWith('chat_completion', expect.anything());
+
+    await responseHandler({ requestId: 'req-2', response: 'Deleted.' });
+    expect(res.json.mock.calls[0][0].mcp_trace.steps[0].approval).toBe('approved');
+
+    expect((await api('post', `/approvals/${approval.id}/deny`).send({})).status).toBe(404);
+    const logs = await database.getMCPLogs('test-device', 'files', 10);
+    expect(logs.map(log => log.message)).toEqual(expect.arrayContaining(['Approval requested for delete', 'Tool delete approved']));
+  });
+
+  test('should abort the completion when the call is denied or not answered', async () => {
+    const deniedRes = createMockRes();
+    addPendingRequest('req-3', deniedRes);
+    const handled = responseHandler({ requestId: 'req-3', response: toolCall });
+    const approval = await waitForApproval();
+    await api('post', `/approvals/${approval.id}/deny`).send({});
+    await handled;
+
+    expect(deniedRes.status).toHaveBeenCalledWith(403);
+    expect(deniedRes.json.mock.calls[0][0].error.type).toBe('mcp_tool_denied');
+    expect(mockPendingRequests.has('req-3')).toBe(false);
+
+    const timedOutRes = createMockRes();
+    addPendingRequest('req-4', timedOutRes);
+    await responseHandler({ requestId: 'req-4', response: toolCall });
+
+    expect(timedOutRes.status).toHaveBeenCalledWith(504);
+    expect(timedOutRes.json.mock.calls[0][0].error.type).toBe('mcp_approval_timeout');
+    expect(mcpManager.handleToolCall).not.toHaveBeenCalled();
+    expect(mcpManager.approvals.list('test-device')).toHaveLength(0);
+  });
+
+  test('should drop waiting approvals when the request is cancelled', async () => {
+    const res = createMockRes();
+    addPendingRequest('req-7', res);
+    const handled = responseHandler({ requestId: 'req-7', response: toolCall });
+    const approval = await waitForApproval();
+
+    const cancelled = await request(app).delete('/test-device/v1/requests/req-7').set('Authorization', `Bearer ${PIN}`);
+    expect(cancelled.body.cancelled).toBe(true);
+    await handled;
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(mcpManager.approvals.list('test-device')).toHaveLength(0);
+    expect(mockSocket.emit).toHaveBeenCalledWith('mcp_approval_resolved', { id: approval.id, approved: false, reason: 'cancelled' });
+    expect(mcpManager.handleToolCall).not.toHaveBeenCalled();
+    expect((await api('post', `/approvals/${approval.id}/approve`).send({})).status).toBe(404);
+  });
+
+  test('should time out the request again once the call is approved', async () => {
+    const res = createMockRes();
+    addPendingRequest('req-8', res);
+    const handled = responseHandler({ requestId: 'req-8', response: toolCall });
+    const approval = await waitForApproval();
+    await api('post', `/approvals/${approval.id}/approve`).send({});
+    await handled;
+
+    // The device never answers the follow-up prompt
+    await wait(REQUEST_TIMEOUT_MS + 100);
+    expect(res.status).toHaveBeenCalledWith(504);
+    expect(res.json.mock.calls[0][0].error.type).toBe('timeout');
+    expect(mockPendingRequests.has('req-8')).toBe(false);
+  });
+
+  test('should fail the request, not the server, when the approval lookup fails', async () => {
+    jest.spyOn(database, 'getMCPToolDecision').mockRejectedValueOnce(new Error('SQLITE_BUSY: database is locked'));
+    const res = createMockRes();
+    addPendingRequest('req-9', res);
+
+    await expect(responseHandler({ requestId: 'req-9', response: toolCall })).resolves.toBeUndefined();
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.json.mock.calls[0][0].error.type).toBe('server_error');
+    expect(mockPendingRequests.has('req-9')).toBe(false);
+    expect(mockRequestDeviceMap.has('req-9')).toBe(false);
+    expect(mcpManager.handleToolCall).not.toHaveBeenCalled();
+  });
+
+  test('should remember decisions made on the device', async () => {
+    addPendingRequest('req-5', createMockRes());
+    const handled = responseHandler({ requestId: 'req-5', response: toolCall });
+    const approval = await waitForApproval();
+
+    const approvalHandler = mockSocket.on.mock.calls.find(call => call[0] === 'mcp_approval_response')[1];
+    await approvalHandler({ id: approval.id, approved: true, remember: true });
+    await handled;
+    expect((await database.getMCPToolDecision('test-device', 'files', 'delete')).decision).toBe('allow');
+
+    // The next call goes through without asking
+    mockSocket.emit.mockClear();
+    addPendingRequest('req-6', createMockRes());
+    await responseHandler({ requestId: 'req-6', response: toolCall });
+    expect(mockSocket.emit).not.toHaveBeenCalledWith('mcp_approval_request', expect.anything());
+    expect(mockPendingRequests.get('req-6').mcp.steps[0].approval).toBe('remembered');
+
+    // Forgetting the decision asks again
+    expect((await api('delete', '/servers/files/tools/delete/decision')).status).toBe(200);
+    expect((await api('delete', '/servers/files/tools/delete/decision')).status).toBe(404);
+    expect(await database.getMCPToolDecision('test-device', 'files', 'delete')).toBeUndefined();
+  });
+
+  test('should hide tools with a remembered denial from the device', async () => {
+    await database.saveMCPServer('test-device', 'files', { url: 'http://127.0.0.1:1/mcp', type: 'http' });
+    jest.spyOn(mcpManager, 'getServerTools').mockResolvedValue([{ name: 'read' }, { name: 'delete' }]);
+    await database.saveMCPToolDecision('test-device', 'files', 'delete', 'deny');
+
+    const tools = await mcpManager.getDeviceTools('test-device');
+    expect(tools.map(tool => tool.name)).toEqual(['read']);
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * @jest-environment node
+ */
+const request = require('supertest');
+const express = require('express');
+const { z } = require('zod');
+const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { setupOpenAIRoutes } = require('../routes/openai');
+const { setupMCPRoutes } = require('../routes/mcp');
+const { MCPManager } = require('../utils/mcp-manager');
+const { createDatabaseDeviceIdManager, createTestDatabase, closeTestDatabase } = require('./device-test-setup');
+
+// A stateless Streamable HTTP MCP server standing in for the remote
+function startRemoteServer() {
+  const remote = express();
+  remote.use(express.json());
+
+  remote.post('/mcp', async (req, res) => {
+    const server = new McpServer({ name: 'test-remote', version: '1.0.0' });
+    server.registerTool('add', {
+      description: 'Add two numbers',
+      inputSchema: { a: z.number(), b: z.number() }
+    }, async ({ a, b }) => ({ content: [{ type: 'text', text: String(a + b) }] }));
+    server.registerTool('fail', { description: 'Always reports an error' }, async () => ({
+      content: [{ type: 'text', text: 'Something went wrong' }],
+      isError: true
+    }));
+
+    const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: undefined });
+    res.on('close', () => {
+      transport.close();
+      server.close();
+    });
+    await server.connect(transport);
+    await transport.handleRequest(req, res, req.body);
+  });
+  remote.all('/mcp', (req, res) => res.status(405).end());
+
+  return new Promise(resolve => {
+    const httpServer = remote.listen(0, '127.0.0.1', () => resolve(httpServer));
+  });
+}
+
+describe('MCP server routes', () => {
+  let app;
+  let database;
+  let mcpManager;
+  let remoteServer;
+  let remoteUrl;
+
+  const PIN = '123456';
+
+  const api = (method, path) => request(app)[method](`/test-device/mcp${path}`).set('Authorization', `Bearer ${PIN}`);
+  const register = (config = {}) => api('post', '/servers').send({
+    serverName: 'calc',
+    config: { url: remoteUrl, autoApprove: ['add'], headers: { 'X-Api-Key': 'secret' }, description: 'Test calculator', ...config }
+  });
+
+  beforeAll(async () => {
+    remoteServer = await startRemoteServer();
+    remoteUrl = `http://127.0.0.1:${remoteServer.address().port}/mcp`;
+  });
+
+  afterAll(async () => {
+    remoteServer.closeAllConnections();
+    await new Promise(resolve => remoteServer.close(resolve));
+  });
+
+  beforeEach(async () => {
+    database = await createTestDatabase(PIN);
+
+    app = express();
+    app.use(express.json());
+
+    const mockDeviceIdManager = createDatabaseDeviceIdManager(database);
+
+    mcpManager = new MCPManager(database, { requestTimeoutMs: 5000 });
+    const { requireScope } = setupOpenAIRoutes(app, null, new Map(), new Map(), new Map(), mockDeviceIdManager, mcpManager);
+    setupMCPRoutes(app, requireScope, database, mcpManager);
+  });
+
+  afterEach(async () => {
+    await mcpManager.shutdown();
+    await closeTestDatabase(database);
+  });
+
+  test('should register a server, list its tools and call one', async () => {
+    const created = await register();
+    expect(created.status).toBe(201);
+    expect(created.body).toEqual(expect.objectContaining({
+      name: 'calc',
+      url: remoteUrl,
+      headers: ['X-Api-Key'],
+      enabled: true,
+      auto_approve: ['add'],
+      connected: false
+    }));
+
+    const tools = await api('get', '/servers/calc/tools');
+    expect(tools.status).toBe(200);
+    expect(tools.body.tools.map(tool => [tool.name, tool.auto_approve])).toEqual([['add', true], ['fail', false]]);
+    expect(tools.body.tools[0].input_schema.properties).toHaveProperty('a');
+
+    const call = await api('post', '/servers/calc/tools/add/call').send({ arguments: { a: 2, b: 3 } });
+    expect(call.status).toBe(200);
+    expect(call.body.result.content).toEqual([{ type: 'text', text: '5' }]);
+
+    const failed = await api('post', '/servers/calc/tools/fail/call').send({});
+    expect(failed.status).toBe(200);
+    expect(failed.body.result.isError).toBe(true);
+
+    const servers = await api('get', '/servers');
+    expect(servers.body.servers).toHaveLength(1);
+    expect(servers.body.servers[0].connected).toBe(true);
+
+    const details = await api('get', '/servers/calc');
+    expect(details.body.tools.find(tool => tool.name === 'add').usage_count).toBe(1);
+
+    const sessions = await database.getMCPSessions('test-device');
+    expect(sessions).toHaveLength(1);
+
+    const logs = await api('get', '/logs').query({ serverName: 'calc' });
+    expect(logs.body.logs.map(log => log.message)).toEqual(expect.arrayContaining([
+      'Server registered',
+      'Connected with 2 tool(s)',
+      'Called add',
+      'Called fail'
+    ]));
+    expect(logs.body.logs.find(log => log.message === 'Called fail').level).toBe('warn');
+  });
+
+  test('should keep tool usage when the server is updated and reconnected', async () => {
+    await register();
+    await api('post', '/servers/calc/tools/add/call').send({ arguments: { a: 1, b: 1 } });
+
+    const updated = await register({ description: 'Renamed' });
+    expect(updated.status).toBe(200);
+    expect(updated.body.connected).toBe(false);
+    expect((await database.getMCPSessions('test-device'))).toHaveLength(0);
+
+    await api('get', '/servers/calc/tools');
+    const details = await api('get', '/servers/calc');
+    expect(details.body.description).toBe('Renamed');
+    expect(details.body.tools).toHaveLength(2);
+    expect(details.body.tools.find(tool => tool.name === 'add').usage_count).toBe(1);
+  });
+
+  test('should report disabled, unknown and unreachable servers', async () => {
+    expect((await api('post', '/servers').send({ serverName: 'bad name', config: { url: remoteUrl } })).status).toBe(400);
+    expect((await api('post', '/servers').send({ serverName: 'calc', config: { url: 'file:///etc/passwd' } })).status).toBe(400);
+
+    await register();
+    expect((await api('post', '/servers/calc/tools/missing/call').send({})).status).toBe(404);
+    expect((await api('post', '/servers/calc/tools/add/call').send({ arguments: [1, 2] })).status).toBe(400);
+
+    const disabled = await api('post', '/servers/calc/toggle').send({ enabled: false });
+    expect(disabled.body.enabled).toBe(false);
+    expect((await api('post', '/servers/calc/tools/add/call').send({ arguments: { a: 1, b: 2 } })).status).toBe(409);
+
+    expect((await api('get', '/servers/other/tools')).status).toBe(404);
+
+    await register({ url: 'http://127.0.0.1:1/mcp' });
+    const unreachable = await api('get', '/servers/calc/tools');
+    expect(unreachable.status).toBe(502);
+    expect(unreachable.body.error.type).toBe('mcp_error');
+  });
+
+  test('should back off from an unreachable server until it is changed', async () => {
+    await register({ url: 'http://127.0.0.1:1/mcp' });
+    expect((await api('get', '/servers/calc/tools')).status).toBe(502);
+
+    // The next attempt fails straight away without connecting
+    const connect = jest.spyOn(mcpManager, 'connect');
+    const skipped = await api('get', '/servers/calc/tools');
+    expect(skipped.status).toBe(502);
+    expect(skipped.body.error.message).toMatch(/is unavailable, retrying in \d+s/);
+    expect(connect).not.toHaveBeenCalled();
+    expect(await mcpManager.getDeviceTools('test-device')).toEqual([]);
+
+    // Fixing the server clears the backoff
+    await register();
+    expect((await api('get', '/servers/calc/tools')).status).toBe(200);
+    expect(connect).toHaveBeenCalledTimes(1);
+  });
+
+  test('should connect to the servers of a device in parallel', async () => {
+    await register();
+    await database.saveMCPServer('test-device', 'other', { url: remoteUrl, type: 'http' });
+
+    const waiting = [];
+    jest.spyOn(mcpManager, 'getServerTools').mockImplementation((deviceId, serverName) => new Promise(resolve => {
+      waiting.push(() => resolve([{ name: `${serverName}-tool` }]));
+    }));
+
+    const listed = mcpManager.getDeviceTools('test-device');
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(waiting).toHaveLength(2);
+
+    waiting.reverse().forEach(finish => finish());
+    expect((await listed).map(tool => tool.name)).toEqual(['calc-tool', 'other-tool']);
+  });
+
+  test('should delete a server with its tools and need the admin scope', async () => {
+    expect((await request(app).get('/test-device/mcp/servers')).status).toBe(401);
+
+    await register();
+    await api('get', '/servers/calc/tools');
+    const { id } = await database.getMCPServer('test-device', 'calc');
+
+    const deleted = await api('delete', '/servers/calc');
+    expect(deleted.body).toEqual({ name: 'calc', deleted: true });
+    expect(await database.getMCPTools(id)).toHaveLength(0);
+    expect((await api('get', '/servers/calc')).status).toBe(404);
+    expect((await api('delete', '/servers/calc')).status).toBe(404);
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * @jest-environment node
+ */
+const request = require('supertest');
+const express = require('express');
+const { setupOpenAIRoutes } = require('../routes/openai');
+const { parseMCPToolCall, buildMCPToolInstructions } = require('../utils/mcp-tool-loop');
+const { createMockDeviceIdManager, getSocketHandler, setupMockSockets } = require('./device-test-setup');
+
+describe('MCP tool loop', () => {
+  const addTool = {
+    server: 'calc',
+    name: 'add',
+    description: 'Add two numbers',
+    inputSchema: { type: 'object', properties: { a: { type: 'number' }, b: { type: 'number' } } },
+    autoApprove: true
+  };
+
+  const toolCall = (args) => JSON.stringify({ mcp_tool_call: { server: 'calc', tool: 'add', arguments: args } });
+
+  let mockMcpManager;
+
+  beforeEach(() => {
+    mockMcpManager = {
+      getDeviceTools: jest.fn().mockResolvedValue([addTool]),
+      handleToolCall: jest.fn(async (deviceId, serverName, toolName, args) => ({
+        content: [{ type: 'text', text: String(args.a + args.b) }]
+      })),
+      log: jest.fn().mockResolvedValue(),
+      approvals: {
+        authorize: jest.fn().mockResolvedValue({ approved: true, reason: 'auto_approved' })
+      }
+    };
+  });
+
+  test('parseMCPToolCall should read calls and ignore plain text', () => {
+    expect(parseMCPToolCall('```json\n{"mcp_tool_call": {"server": "calc", "tool": "add", "arguments": "{\\"a\\": 1}"}}\n```'))
+      .toEqual({ server: 'calc', tool: 'add', arguments: { a: 1 } });
+    expect(parseMCPToolCall('{"tool_calls": []}')).toBeNull();
+    expect(parseMCPToolCall('The answer is 5.')).toBeNull();
+  });
+
+  describe('prompt', () => {
+    let app;
+    let mockSocket;
+    let mockPendingRequests;
+
+    beforeEach(() => {
+      app = express();
+      app.use(express.json());
+
+      const mockDeviceIdManager = createMockDeviceIdManager();
+
+      mockSocket = { emit: jest.fn(), id: 'socket123', connected: true };
+      mockPendingRequests = new Map();
+      setupOpenAIRoutes(app, null, new Map([['test-device', mockSocket]]), mockPendingRequests, new Map(), mockDeviceIdManager, mockMcpManager);
+    });
+
+    // Answer the request as soon as the device was asked, keeping what it was sent
+    const sendChat = (body) => {
+      let sent = null;
+      mockSocket.emit.mockImplementation((event, command) => {
+        const pendingRequest = mockPendingRequests.get(command.data.requestId);
+        sent = { message: command.data.message, mcp: pendingRequest.mcp };
+        pendingRequest.res.status(200).json({ ok: true });
+      });
+
+      return request(app)
+        .post('/test-device/v1/chat/completions')
+        .set('x-test-request', 'true')
+        .send({ messages: [{ role: 'user', content: 'What is 2 + 3?' }], ...body })
+        .then(() => sent);
+    };
+
+    test('should describe the device MCP tools to the device', async () => {
+      const sent = await sendChat({});
+
+      expect(mockMcpManager.getDeviceTools).toHaveBeenCalledWith('test-device');
+      expect(sent.message).toContain(buildMCPToolInstructions([addTool]));
+      expect(sent.mcp).toEqual({ tools: [addTool], steps: [], maxSteps: 5 });
+    });
+
+    test('should leave MCP tools out when opted out or with client tools', async () => {
+      const optedOut = await sendChat({ mcp: false });
+      expect(optedOut.message).not.toContain('MCP TOOLS');
+      expect(optedOut.mcp).toBeUndefined();
+
+      const withClientTools = await sendChat({ tools: [{ type: 'function', function: { name: 'get_weather' } }] });
+      expect(withClientTools.message).not.toContain('MCP TOOLS');
+      expect(mockMcpManager.getDeviceTools).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('device responses', () => {
+    let mockPendingRequests;
+    let mockRequestDeviceMap;
+    let mockSocket;
+    let responseHandler;
+
+    const createMockRes = () => ({
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    });
+
+    const addPendingRequest = (requestId, res, maxSteps = 5) => {
+      mockPendingRequests.set(requestId, {
+        res,
+        stream: false,
+        mcp: { tools: [addTool], steps: [], maxSteps },
+        command: { type: 'chat_completion', data: { message: 'What is 2 + 3?', requestId } }
+      });
+      mockRequestDeviceMap.set(requestId, 'test-device');
+    };
+
+    const lastPrompt = () => mockSocket.emit.mock.calls.filter(call => call[0] === 'chat_completion').pop()[1].data.message;
+
+    beforeEach(async () => {
+      const mockSockets = setupMockSockets(createMockDeviceIdManager(), mockMcpManager);
+      mockPendingRequests = mockSockets.pendingRequests;
+      mockRequestDeviceMap = mockSockets.requestDeviceMap;
+
+      mockSocket = await mockSockets.connectDevice();
+      responseHandler = getSocketHandler(mockSocket, 'response');
+    });
+
+    test('should run tool calls and return the trace with the final answer', async () => {
+      const res = createMockRes();
+      addPendingRequest('req-1', res);
+
+      await responseHandler({ requestId: 'req-1', response: toolCall({ a: 2, b: 3 }) });
+
+      expect(mockMcpManager.handleToolCall).toHaveBeenCalledWith('test-device', 'calc', 'add', { a: 2, b: 3 });
+      expect(res.json).not.toHaveBeenCalled();
+      expect(lastPrompt()).toContain('What is 2 + 3?');
+      expect(lastPrompt()).toContain('1. calc.add({"a":2,"b":3}) returned:\n5');
+
+      await responseHandler({ requestId: 'req-1', response: 'The answer is 5.' });
+
+      const body = res.json.mock.calls[0][0];
+      expect(body.choices[0].message.content).toBe('The answer is 5.');
+      expect(body.mcp_trace).toEqual({
+        steps: [{
+          step: 1,
+          server: 'calc',
+          tool: 'add',
+          arguments: { a: 2, b: 3 },
+          latency_ms: expect.any(Number),
+          result_size: expect.any(Number),
+          is_error: false,
+          approval: 'auto_approved'
+        }],
+        max_steps: 5,
+        max_steps_reached: false
+      });
+      expect(mockMcpManager.log).toHaveBeenCalledWith('test-device', null, 'info', 'Tool loop finished after 1 step(s)',
+        expect.objectContaining({ requestId: 'req-1', steps: body.mcp_trace.steps }));
+      expect(mockPendingRequests.has('req-1')).toBe(false);
+    });
+
+    test('should give the device the full timeout again after each tool step', async () => {
+      jest.useFakeTimers();
+      try {
+        const res = createMockRes();
+        const onTimeout = jest.fn();
+        addPendingRequest('req-3', res);
+        Object.assign(mockPendingRequests.get('req-3'), { timeout: setTimeout(onTimeout, 1000), onTimeout, timeoutMs: 1000 });
+
+        jest.advanceTimersByTime(800);
+        await responseHandler({ requestId: 'req-3', response: toolCall({ a: 2, b: 3 }) });
+        jest.advanceTimersByTime(800);
+        expect(onTimeout).not.toHaveBeenCalled();
+
+        jest.advanceTimersByTime(200);
+        expect(onTimeout).toHaveBeenCalledTimes(1);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test('should feed tool errors back and stop calling tools at the step limit', async () => {
+      mockMcpManager.handleToolCall.mockRejectedValueOnce(new Error('MCP server calc is disabled'));
+      const res = createMockRes();
+      addPendingRequest('req-2', res, 2);
+
+      await responseHandler({ requestId: 'req-2', response: toolCall({ a: 1, b: 1 }) });
+      expect(lastPrompt()).toContain('1. calc.add({"a":1,"b":1}) failed:\nError: MCP server calc is disabled');
+
+      await responseHandler({ requestId: 'req-2', response: toolCall({ a: 1, b: 1 }) });
+      expect(lastPrompt()).toContain('You have used all 2 tool calls');
+
+      // A third call is not run; the reply is returned as it is
+      await responseHandler({ requestId: 'req-2', response: toolCall({ a: 2, b: 2 }) });
+      expect(mockMcpManager.handleToolCall).toHaveBeenCalledTimes(2);
+
+      const body = res.json.mock.calls[0][0];
+      expect(body.mcp_trace.max_steps_reached).toBe(true);
+      expect(body.mcp_trace.steps.map(step => [step.is_error, step.error])).toEqual([
+        [true, 'MCP server calc is disabled'],
+        [false, undefined]
+      ]);
+    });
+  });
+});
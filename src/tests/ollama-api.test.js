@@ -0,0 +1,102 @@
+/**
+ * @jest-environment node
+ */
+const request = require('supertest');
+const express = require('express');
+const { setupOpenAIRoutes } = require('../routes/openai');
+const { setupOllamaRoutes } = require('../routes/ollama');
+const { createMockDeviceIdManager, setupMockSockets, answerWithChunks } = require('./device-test-setup');
+
+describe('Ollama API', () => {
+  let app;
+  let mockDeviceIdManager;
+  let mockSocket;
+  let deviceReply;
+
+  const getCommand = () => mockSocket.emit.mock.calls.find(call => call[0] === 'chat_completion')[1];
+
+  beforeEach(async () => {
+    app = express();
+    app.use(express.json());
+
+    mockDeviceIdManager = createMockDeviceIdManager();
+    const { connectedR1s, pendingRequests, requestDeviceMap, connectDevice } = setupMockSockets(mockDeviceIdManager);
+
+    const { handleChatCompletion, authenticateDevice } = setupOpenAIRoutes(app, null, connectedR1s, pendingRequests, requestDeviceMap, mockDeviceIdManager, null);
+    setupOllamaRoutes(app, handleChatCompletion, authenticateDevice);
+
+    // The device answers every chat_completion with the chunks in deviceReply
+    mockSocket = await connectDevice(answerWithChunks(() => deviceReply));
+  });
+
+  test('should stream /api/chat as NDJSON by default', async () => {
+    deviceReply = ['Hello ', 'there!'];
+
+    const response = await request(app)
+      .post('/test-device/api/chat')
+      .set('x-test-request', 'true')
+      .send({
+        model: 'r1-llm:latest',
+        messages: [{ role: 'user', content: 'What is this?', images: ['iVBORw0KGgo='] }]
+      });
+
+    expect(response.headers['content-type']).toContain('application/x-ndjson');
+
+    const lines = response.text.trim().split('\n').map(line => JSON.parse(line));
+    expect(lines.map(line => line.message.content)).toEqual(['Hello ', 'there!', '']);
+    expect(lines.map(line => line.done)).toEqual([false, false, true]);
+    expect(lines[2].done_reason).toBe('stop');
+    expect(lines[2].prompt_eval_count).toBeGreaterThan(0);
+    expect(lines[2].eval_count).toBeGreaterThan(0);
+
+    expect(getCommand().data.imageBase64).toBe('iVBORw0KGgo=');
+  });
+
+  test('should answer /api/generate with a single JSON object when stream is false', async () => {
+    deviceReply = ['{"answer": 42}'];
+
+    const response = await request(app)
+      .post('/test-device/api/generate')
+      .set('x-test-request', 'true')
+      .send({ model: 'r1-llm:latest', system: 'Be precise.', prompt: 'Meaning of life?', format: 'json', stream: false });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual(expect.objectContaining({
+      model: 'r1-llm:latest',
+      response: '{"answer": 42}',
+      done: true
+    }));
+
+    const { message } = getCommand().data;
+    expect(message).toContain('## SYSTEM INSTRUCTIONS\n\nBe precise.');
+    expect(message).toContain('Respond with ONLY a valid JSON object');
+  });
+
+  test('should return Ollama tool calls with object arguments', async () => {
+    deviceReply = ['{"tool_calls": [{"name": "get_weather", "arguments": {"city": "Paris"}}]}'];
+
+    const response = await request(app)
+      .post('/test-device/api/chat')
+      .set('x-test-request', 'true')
+      .send({
+        stream: false,
+        messages: [{ role: 'user', content: 'Weather in Paris?' }],
+        tools: [{ type: 'function', function: { name: 'get_weather', parameters: { type: 'object' } } }]
+      });
+
+    expect(response.body.message.tool_calls).toEqual([
+      { function: { name: 'get_weather', arguments: { city: 'Paris' } } }
+    ]);
+  });
+
+  test('should list the device model on /api/tags and check the PIN', async () => {
+    const tags = await request(app).get('/test-device/api/tags');
+    expect(tags.status).toBe(200);
+    expect(tags.body.models[0].name).toBe('r1-llm:latest');
+
+    mockDeviceIdManager.getDeviceInfoFromDB.mockResolvedValue({ pin_code: '123456' });
+    const rejected = await request(app).get('/test-device/api/tags');
+    expect(rejected.status).toBe(401);
+    expect(typeof rejected.body.error).toBe('string');
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * @jest-environment node
+ */
+const request = require('supertest');
+const express = require('express');
+const { setupOpenAIRoutes } = require('../routes/openai');
+const { applyOutputLimits, createStreamLimiter, resolveOutputLimits } = require('../utils/output-limits');
+const { countTokens, setTokenizer } = require('../utils/token-usage');
+const { createMockDeviceIdManager, setupMockSockets, answerWithChunks } = require('./device-test-setup');
+
+describe('Output limits', () => {
+  test('should cut text at the earliest stop sequence and at max_tokens', () => {
+    expect(applyOutputLimits('one. two. END three', resolveOutputLimits(['END', 'two'], null)))
+      .toEqual({ text: 'one. ', finishReason: 'stop', stopSequence: 'two' });
+
+    const long = 'The quick brown fox jumps over the lazy dog again and again.';
+    const { text, finishReason } = applyOutputLimits(long, resolveOutputLimits(null, 5));
+    expect(finishReason).toBe('length');
+    expect(countTokens(text)).toBe(5);
+    expect(long.startsWith(text)).toBe(true);
+
+    expect(applyOutputLimits('short', resolveOutputLimits('\n', 100))).toEqual({ text: 'short', finishReason: null, stopSequence: null });
+  });
+
+  test('should hold back streamed text that may start a stop sequence', () => {
+    const limiter = createStreamLimiter(resolveOutputLimits('###', null));
+
+    expect(limiter.push('Hello #')).toEqual({ text: 'Hello', finishReason: null, stopSequence: null });
+    expect(limiter.push('# world')).toEqual({ text: ' ## wor', finishReason: null, stopSequence: null });
+    expect(limiter.push('!')).toEqual({ text: 'l', finishReason: null, stopSequence: null });
+    expect(limiter.flush()).toBe('d!');
+
+    const stopped = createStreamLimiter(resolveOutputLimits('###', null));
+    expect(stopped.push('Answer #')).toEqual({ text: 'Answer', finishReason: null, stopSequence: null });
+    expect(stopped.push('## ignored')).toEqual({ text: ' ', finishReason: 'stop', stopSequence: '###' });
+  });
+
+  test('should only count and scan new text for each streamed chunk', () => {
+    const counted = [];
+    setTokenizer(text => {
+      counted.push(text.length);
+      return Math.ceil(text.length / 4);
+    });
+
+    try {
+      const limiter = createStreamLimiter(resolveOutputLimits('###', 1000));
+      let output = '';
+      for (let i = 0; i < 200; i++) {
+        output += limiter.push('abcdefgh').text;
+      }
+      expect(output.length).toBe(200 * 8 - 2);
+      expect(Math.max(...counted)).toBeLessThanOrEqual(10);
+
+      // Past the limit the whole text is counted and cut
+      let last;
+      for (let i = 0; i < 400 && !last?.finishReason; i++) {
+        last = limiter.push('abcdefgh');
+        output += last.text;
+      }
+      expect(last.finishReason).toBe('length');
+      expect(output.length).toBe(4000);
+    } finally {
+      setTokenizer();
+    }
+  });
+});
+
+describe('Chat completions with stop, max_tokens and n', () => {
+  let app;
+  let mockSocket;
+  let deviceReplies;
+
+  const getCommands = () => mockSocket.emit.mock.calls.filter(call => call[0] === 'chat_completion');
+
+  beforeEach(async () => {
+    app = express();
+    app.use(express.json());
+
+    const mockDeviceIdManager = createMockDeviceIdManager();
+    const { connectedR1s, pendingRequests, requestDeviceMap, connectDevice } = setupMockSockets(mockDeviceIdManager);
+    setupOpenAIRoutes(app, null, connectedR1s, pendingRequests, requestDeviceMap, mockDeviceIdManager, null);
+
+    // Each chat_completion is answered with the next chunk list in deviceReplies
+    mockSocket = await connectDevice(answerWithChunks(() => deviceReplies.shift()));
+  });
+
+  test('should truncate at a stop sequence with finish_reason stop', async () => {
+    deviceReplies = [['1. Apples\n2. Pears\n', '3. Plums']];
+
+    const response = await request(app)
+      .post('/test-device/v1/chat/completions')
+      .set('x-test-request', 'true')
+      .send({ messages: [{ role: 'user', content: 'List fruit' }], stop: '\n2.' });
+
+    expect(response.body.choices[0].message.content).toBe('1. Apples');
+    expect(response.body.choices[0].finish_reason).toBe('stop');
+  });
+
+  test('should truncate at max_tokens with finish_reason length', async () => {
+    deviceReplies = [['The quick brown fox jumps over the lazy dog again and again.']];
+
+    const response = await request(app)
+      .post('/test-device/v1/chat/completions')
+      .set('x-test-request', 'true')
+      .send({ messages: [{ role: 'user', content: 'Tell me' }], max_tokens: 4 });
+
+    expect(response.body.choices[0].message.content).toBe('The quick brown fox');
+    expect(response.body.choices[0].finish_reason).toBe('length');
+    expect(response.body.usage.completion_tokens).toBe(4);
+  });
+
+  test('should end a stream at a stop sequence split across chunks and cancel the device', async () => {
+    deviceReplies = [['Hello wor', 'ld STO', 'P and more']];
+
+    const response = await request(app)
+      .post('/test-device/v1/chat/completions')
+      .set('x-test-request', 'true')
+      .send({ messages: [{ role: 'user', content: 'Hi' }], stream: true, stop: ['STOP'] });
+
+    const chunks = response.text.trim().split('\n\n')
+      .filter(chunk => chunk !== 'data: [DONE]')
+      .map(chunk => JSON.parse(chunk.replace('data: ', '')));
+    const content = chunks.map(chunk => chunk.choices[0].delta.content || '').join('');
+
+    expect(content).toBe('Hello world ');
+    expect(chunks[chunks.length - 1].choices[0].finish_reason).toBe('stop');
+    expect(mockSocket.emit).toHaveBeenCalledWith('cancel_request', expect.objectContaining({ reason: 'stop_sequence' }));
+  });
+
+  test('should return n choices from sequential generations', async () => {
+    deviceReplies = [['Red'], ['Blue'], ['Green']];
+
+    const response = await request(app)
+      .post('/test-device/v1/chat/completions')
+      .set('x-test-request', 'true')
+      .send({ messages: [{ role: 'user', content: 'Pick a colour' }], n: 3 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.choices.map(choice => [choice.index, choice.message.content])).toEqual([
+      [0, 'Red'], [1, 'Blue'], [2, 'Green']
+    ]);
+    expect(getCommands()).toHaveLength(3);
+    expect(new Set(getCommands().map(call => call[1].data.requestId)).size).toBe(1);
+  });
+
+  test('should reject invalid limits', async () => {
+    const badN = await request(app)
+      .post('/test-device/v1/chat/completions')
+      .send({ messages: [{ role: 'user', content: 'Hi' }], n: 2, stream: true });
+    expect(badN.status).toBe(400);
+    expect(badN.body.error.param).toBe('n');
+
+    const badStop = await request(app)
+      .post('/test-device/v1/chat/completions')
+      .send({ messages: [{ role: 'user', content: 'Hi' }], stop: [''] });
+    expect(badStop.status).toBe(400);
+    expect(badStop.body.error.param).toBe('stop');
+
+    expect(getCommands()).toHaveLength(0);
+  });
+});
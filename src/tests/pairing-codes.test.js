@@ -0,0 +1,112 @@
+/**
+ * @jest-environment node
+ */
+const request = require('supertest');
+const express = require('express');
+const { setupOpenAIRoutes } = require('../routes/openai');
+const { setupPairingRoutes } = require('../routes/pairing');
+const { AuthThrottle } = require('../utils/auth-throttle');
+const { hashPairingCode } = require('../utils/pairing-codes');
+const { createDatabaseDeviceIdManager, createTestDatabase, closeTestDatabase, getSocketHandler, setupMockSockets } = require('./device-test-setup');
+
+describe('Device pairing codes', () => {
+  let app;
+  let database;
+  let socket;
+
+  // Ask for a code the way the device does and return what it was sent
+  const requestCode = async () => {
+    await getSocketHandler(socket, 'request_pairing_code')();
+    const sent = socket.emit.mock.calls.filter(call => call[0] === 'pairing_code');
+    return sent[sent.length - 1][1];
+  };
+
+  const pair = (body) => request(app).post('/pair').send(body);
+
+  beforeEach(async () => {
+    database = await createTestDatabase('123456');
+
+    app = express();
+    app.use(express.json());
+
+    const mockDeviceIdManager = createDatabaseDeviceIdManager(database, { registerDevice: jest.fn().mockResolvedValue({ deviceId: 'test-device', pinCode: null, pinEnabled: true, isReconnection: true }) });
+    const { connectedR1s, connectDevice } = setupMockSockets(mockDeviceIdManager);
+
+    const { sendAuthError } = setupOpenAIRoutes(app, null, connectedR1s, new Map(), new Map(), mockDeviceIdManager, null);
+    setupPairingRoutes(app, sendAuthError, database, connectedR1s, new AuthThrottle({ maxFailures: 3 }));
+
+    socket = await connectDevice();
+  });
+
+  afterEach(async () => {
+    await closeTestDatabase(database);
+  });
+
+  test('should redeem a code once for a control panel session', async () => {
+    const issued = await requestCode();
+    expect(issued.code).toMatch(/^[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+    expect(issued.expiresIn).toBe(300);
+
+    // Only a hash is stored
+    const row = await database.get(`SELECT * FROM pairing_codes`);
+    expect(row.code_hash).toBe(hashPairingCode(issued.code));
+
+    const paired = await pair({ code: issued.code.toLowerCase().replace('-', ' ') });
+    expect(paired.status).toBe(201);
+    expect(paired.body).toEqual(expect.objectContaining({ object: 'pairing', device_id: 'test-device' }));
+    expect(paired.body.session.access_token).toMatch(/^r1s_/);
+    expect(socket.emit).toHaveBeenCalledWith('paired', expect.objectContaining({ credential: 'session' }));
+
+    const info = await request(app).get('/test-device/info').set('Authorization', `Bearer ${paired.body.session.access_token}`);
+    expect(info.status).toBe(200);
+
+    const reused = await pair({ code: issued.code });
+    expect(reused.status).toBe(401);
+
+    const events = await database.getSystemEvents('test-device');
+    expect(events.map(event => event.event_type).sort()).toEqual(['pairing_code_issued', 'pairing_code_redeemed']);
+  });
+
+  test('should issue an API key and validate the request before using the code', async () => {
+    const { code } = await requestCode();
+
+    expect((await pair({ code, credential: 'api_key', scopes: ['everything'] })).status).toBe(400);
+
+    const paired = await pair({ code, credential: 'api_key', scopes: ['chat'], label: 'Open WebUI' });
+    expect(paired.status).toBe(201);
+    expect(paired.body.api_key).toEqual(expect.objectContaining({ object: 'api_key', scopes: ['chat'], label: 'Open WebUI' }));
+
+    const models = await request(app).get('/test-device/v1/models').set('Authorization', `Bearer ${paired.body.api_key.key}`);
+    expect(models.status).toBe(200);
+  });
+
+  test('should reject expired and replaced codes', async () => {
+    const first = await requestCode();
+    const second = await requestCode();
+
+    // A new code replaces the previous one
+    expect((await pair({ code: first.code })).status).toBe(401);
+
+    await database.run(`UPDATE pairing_codes SET expires_at = ? WHERE code_hash = ?`, [new Date(Date.now() - 1000).toISOString(), hashPairingCode(second.code)]);
+    expect((await pair({ code: second.code })).status).toBe(401);
+  });
+
+  test('should lock out an address that keeps guessing', async () => {
+    const { code } = await requestCode();
+
+    for (let i = 0; i < 3; i++) {
+      expect((await pair({ code: 'AAAA-AAAA' })).status).toBe(401);
+    }
+
+    const locked = await pair({ code });
+    expect(locked.status).toBe(429);
+    expect(locked.headers['retry-after']).toBeDefined();
+  });
+
+  test('should lock out parallel guesses before their codes are looked up', async () => {
+    const statuses = await Promise.all(Array.from({ length: 10 }, () => pair({ code: 'AAAA-AAAA' }).then(res => res.status)));
+
+    expect(statuses.filter(status => status === 401)).toHaveLength(3);
+    expect(statuses.filter(status => status === 429)).toHaveLength(7);
+  });
+});
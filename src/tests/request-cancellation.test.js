@@ -0,0 +1,102 @@
+/**
+ * @jest-environment node
+ */
+const http = require('http');
+const request = require('supertest');
+const express = require('express');
+const { setupOpenAIRoutes } = require('../routes/openai');
+const { createMockDeviceIdManager } = require('./device-test-setup');
+
+describe('Request Cancellation', () => {
+  let app;
+  let mockConnectedR1s;
+  let mockPendingRequests;
+  let mockRequestDeviceMap;
+  let mockSocket;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+
+    const mockDeviceIdManager = createMockDeviceIdManager();
+
+    mockConnectedR1s = new Map();
+    mockPendingRequests = new Map();
+    mockRequestDeviceMap = new Map();
+
+    mockSocket = { emit: jest.fn(), id: 'socket123', connected: true };
+    mockConnectedR1s.set('test-device', mockSocket);
+
+    setupOpenAIRoutes(app, null, mockConnectedR1s, mockPendingRequests, mockRequestDeviceMap, mockDeviceIdManager, null);
+  });
+
+  const waitForDispatch = async () => {
+    for (let i = 0; i < 50 && !mockSocket.emit.mock.calls.some(call => call[0] === 'chat_completion'); i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    return mockSocket.emit.mock.calls.find(call => call[0] === 'chat_completion')[1].data.requestId;
+  };
+
+  test('should cancel an in-flight request by ID', async () => {
+    const pendingCall = request(app)
+      .post('/test-device/v1/chat/completions')
+      .set('x-test-request', 'true')
+      .send({ messages: [{ role: 'user', content: 'Write a long story' }] })
+      .then(response => response);
+
+    const requestId = await waitForDispatch();
+
+    const cancelResponse = await request(app).delete(`/test-device/v1/requests/${requestId}`);
+    expect(cancelResponse.status).toBe(200);
+    expect(cancelResponse.body).toEqual({ id: requestId, object: 'request', cancelled: true, status: 'in_progress' });
+
+    const original = await pendingCall;
+    expect(original.status).toBe(409);
+    expect(original.headers['x-request-id']).toBe(requestId);
+    expect(original.body.error.type).toBe('request_cancelled');
+
+    expect(mockPendingRequests.has(requestId)).toBe(false);
+    expect(mockRequestDeviceMap.has(requestId)).toBe(false);
+    expect(mockSocket.emit).toHaveBeenCalledWith('cancel_request', expect.objectContaining({
+      requestId,
+      reason: 'cancelled_by_client'
+    }));
+  });
+
+  test('should return 404 for unknown requests', async () => {
+    const response = await request(app).delete('/test-device/v1/requests/req-unknown');
+
+    expect(response.status).toBe(404);
+    expect(response.body.error.type).toBe('not_found');
+  });
+
+  test('should cancel device work when the HTTP client disconnects', async () => {
+    const server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, resolve));
+
+    const clientReq = http.request({
+      port: server.address().port,
+      method: 'POST',
+      path: '/test-device/v1/chat/completions',
+      headers: { 'Content-Type': 'application/json', 'x-test-request': 'true' }
+    });
+    clientReq.on('error', () => {});
+    clientReq.end(JSON.stringify({ messages: [{ role: 'user', content: 'Hello' }] }));
+
+    const requestId = await waitForDispatch();
+    expect(mockPendingRequests.has(requestId)).toBe(true);
+
+    clientReq.destroy();
+    for (let i = 0; i < 50 && mockPendingRequests.has(requestId); i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    expect(mockPendingRequests.has(requestId)).toBe(false);
+    expect(mockSocket.emit).toHaveBeenCalledWith('cancel_request', expect.objectContaining({
+      requestId,
+      reason: 'client_disconnected'
+    }));
+
+    await new Promise(resolve => server.close(resolve));
+  });
+});
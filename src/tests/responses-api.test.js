@@ -0,0 +1,164 @@
+/**
+ * @jest-environment node
+ */
+const request = require('supertest');
+const express = require('express');
+const { setupOpenAIRoutes } = require('../routes/openai');
+const { setupResponsesRoutes } = require('../routes/responses');
+const { hashSecret } = require('../utils/secret-hash');
+const { createMockDeviceIdManager, createTestDatabase, closeTestDatabase, setupMockSockets, answerWithChunks } = require('./device-test-setup');
+
+describe('OpenAI Responses API', () => {
+  let app;
+  let database;
+  let mockDeviceIdManager;
+  let mockSocket;
+  let deviceReply;
+
+  const getCommands = () => mockSocket.emit.mock.calls.filter(call => call[0] === 'chat_completion').map(call => call[1]);
+
+  beforeEach(async () => {
+    database = await createTestDatabase();
+
+    app = express();
+    app.use(express.json());
+
+    mockDeviceIdManager = createMockDeviceIdManager();
+    const { connectedR1s, pendingRequests, requestDeviceMap, connectDevice } = setupMockSockets(mockDeviceIdManager);
+
+    const { handleChatCompletion, authenticateDevice } = setupOpenAIRoutes(app, null, connectedR1s, pendingRequests, requestDeviceMap, mockDeviceIdManager, null);
+    setupResponsesRoutes(app, handleChatCompletion, authenticateDevice, database);
+
+    // The device answers every chat_completion with the chunks in deviceReply
+    mockSocket = await connectDevice(answerWithChunks(() => deviceReply));
+  });
+
+  afterEach(async () => {
+    await closeTestDatabase(database);
+  });
+
+  test('should return a response object and rebuild context from previous_response_id', async () => {
+    deviceReply = ['Nice to meet you, Ada.'];
+    const first = await request(app)
+      .post('/test-device/v1/responses')
+      .set('x-test-request', 'true')
+      .send({ model: 'r1-llm', instructions: 'Be friendly.', input: 'My name is Ada.' });
+
+    expect(first.status).toBe(200);
+    expect(first.body).toEqual(expect.objectContaining({
+      object: 'response',
+      status: 'completed',
+      output_text: 'Nice to meet you, Ada.',
+      previous_response_id: null
+    }));
+    expect(first.body.id).toMatch(/^resp_/);
+    expect(first.body.output[0].content).toEqual([{ type: 'output_text', text: 'Nice to meet you, Ada.', annotations: [] }]);
+
+    deviceReply = ['Your name is Ada.'];
+    const second = await request(app)
+      .post('/test-device/v1/responses')
+      .set('x-test-request', 'true')
+      .send({
+        model: 'r1-llm',
+        previous_response_id: first.body.id,
+        input: [{ role: 'user', content: [{ type: 'input_text', text: 'What is my name?' }] }]
+      });
+
+    expect(second.status).toBe(200);
+    expect(second.body.previous_response_id).toBe(first.body.id);
+
+    const { message } = getCommands()[1].data;
+    expect(message).toContain('My name is Ada.');
+    expect(message).toContain('Nice to meet you, Ada.');
+    expect(message).toContain('What is my name?');
+    // Instructions belong to the response they were sent with
+    expect(message).not.toContain('Be friendly.');
+
+    const chain = await database.getConversationChain(second.body.id, 'test-device');
+    expect(chain.map(row => [row.role, row.content])).toEqual([
+      ['user', 'My name is Ada.'],
+      ['assistant', 'Nice to meet you, Ada.'],
+      ['user', 'What is my name?'],
+      ['assistant', 'Your name is Ada.']
+    ]);
+  });
+
+  test('should stream response events and store the streamed text', async () => {
+    deviceReply = ['Hello ', 'there!'];
+
+    const response = await request(app)
+      .post('/test-device/v1/responses')
+      .set('x-test-request', 'true')
+      .send({ model: 'r1-llm', input: 'Hi', stream: true });
+
+    expect(response.headers['content-type']).toContain('text/event-stream');
+
+    const events = response.text.trim().split('\n\n').map(block => block.split('\n')[0].replace('event: ', ''));
+    expect(events).toEqual([
+      'response.created',
+      'response.output_item.added',
+      'response.content_part.added',
+      'response.output_text.delta',
+      'response.output_text.delta',
+      'response.output_text.done',
+      'response.content_part.done',
+      'response.output_item.done',
+      'response.completed'
+    ]);
+
+    const created = JSON.parse(response.text.split('\n\n')[0].split('\n')[1].replace('data: ', ''));
+
+    const chain = await database.getConversationChain(created.response.id, 'test-device');
+    expect(chain.map(row => row.content)).toEqual(['Hi', 'Hello there!']);
+  });
+
+  test('should not store responses when store is false', async () => {
+    deviceReply = ['Forgotten'];
+
+    const response = await request(app)
+      .post('/test-device/v1/responses')
+      .set('x-test-request', 'true')
+      .send({ input: 'Hi', store: false });
+
+    expect(await database.getConversationChain(response.body.id, 'test-device')).toBeNull();
+  });
+
+  test('should return 404 for unknown or foreign previous responses', async () => {
+    await database.saveMessage('resp_other', 'other-device', 'user', 'Secret');
+
+    for (const previousId of ['resp_missing', 'resp_other']) {
+      const response = await request(app)
+        .post('/test-device/v1/responses')
+        .send({ input: 'Hi', previous_response_id: previousId });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error.param).toBe('previous_response_id');
+    }
+    expect(getCommands()).toHaveLength(0);
+  });
+
+  test('should check the device PIN before reading history', async () => {
+    mockDeviceIdManager.getDeviceInfoFromDB.mockResolvedValue({ pin_code: '123456' });
+
+    const response = await request(app)
+      .post('/test-device/v1/responses')
+      .send({ input: 'Hi', previous_response_id: 'resp_missing' });
+
+    expect(response.status).toBe(401);
+    expect(response.body.error.message).toBe('PIN code required. Use Authorization: Bearer <pin-code>');
+  });
+
+  test('should check the device PIN only once per request', async () => {
+    mockDeviceIdManager.getDeviceInfoFromDB.mockResolvedValue({ pin_code: await hashSecret('123456') });
+    deviceReply = ['Hello'];
+
+    const response = await request(app)
+      .post('/test-device/v1/responses')
+      .set('Authorization', 'Bearer 123456')
+      .set('x-test-request', 'true')
+      .send({ input: 'Hi' });
+
+    expect(response.status).toBe(200);
+    expect(mockDeviceIdManager.getDeviceInfoFromDB).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * @jest-environment node
+ */
+const request = require('supertest');
+const express = require('express');
+const twilio = require('twilio');
+const { setupOpenAIRoutes } = require('../routes/openai');
+const { setupDebugRoutes } = require('../routes/debug');
+const { setupTwilioRoutes } = require('../routes/twilio');
+const { createDatabaseDeviceIdManager, createTestDatabase, closeTestDatabase } = require('./device-test-setup');
+
+describe('Authentication on device-side routes', () => {
+  let app;
+  let database;
+  let socket;
+  let debugDataStore;
+  let originalAuthToken;
+
+  const PIN = '123456';
+
+  beforeEach(async () => {
+    originalAuthToken = process.env.TWILIO_AUTH_TOKEN;
+    delete process.env.TWILIO_AUTH_TOKEN;
+
+    database = await createTestDatabase(PIN);
+
+    app = express();
+    app.use(express.json());
+
+    socket = { id: 'socket123', emit: jest.fn() };
+    const connectedR1s = new Map([['test-device', socket]]);
+    const mockDeviceIdManager = createDatabaseDeviceIdManager(database);
+
+    debugDataStore = new Map();
+    const { requireScope } = setupOpenAIRoutes(app, null, connectedR1s, new Map(), new Map(), mockDeviceIdManager, null);
+    setupDebugRoutes(app, connectedR1s, new Map(), new Map(), debugDataStore, new Map());
+    setupTwilioRoutes(app, null, connectedR1s, new Map(), new Map(), database, requireScope);
+  });
+
+  afterEach(async () => {
+    if (originalAuthToken === undefined) {
+      delete process.env.TWILIO_AUTH_TOKEN;
+    } else {
+      process.env.TWILIO_AUTH_TOKEN = originalAuthToken;
+    }
+    await closeTestDatabase(database);
+  });
+
+  test('should only accept debug data from the device socket itself', async () => {
+    const event = { deviceId: 'test-device', event: { type: 'button' } };
+
+    expect((await request(app).post('/debug/hardware-event').send(event)).status).toBe(403);
+    expect((await request(app).post('/debug/hardware-event').set('X-Device-Socket', 'other-socket').send(event)).status).toBe(403);
+    expect((await request(app).post('/debug/hardware-event').set('X-Device-Socket', 'socket123').send({ ...event, deviceId: 'offline' })).status).toBe(403);
+    expect(debugDataStore.has('test-device')).toBe(false);
+
+    const stored = await request(app).post('/debug/hardware-event').set('X-Device-Socket', 'socket123').send(event);
+    expect(stored.status).toBe(200);
+    expect(debugDataStore.get('test-device').hardware).toHaveLength(1);
+  });
+
+  test('should require the device admin scope to verify a phone link', async () => {
+    await database.run(
+      `INSERT INTO phone_links (phone_number, device_id, verification_code) VALUES (?, ?, ?)`,
+      ['+15550100', 'test-device', '424242']
+    );
+    const body = { phoneNumber: '+15550100', verificationCode: '424242' };
+
+    expect((await request(app).post('/verify-phone').send(body)).status).toBe(401);
+    expect((await request(app).post('/verify-phone').set('Authorization', 'Bearer 000000').send(body)).status).toBe(401);
+
+    const verified = await request(app).post('/verify-phone').set('Authorization', `Bearer ${PIN}`).send(body);
+    expect(verified.status).toBe(200);
+    expect((await database.getPhoneLink('+15550100')).verified).toBe(1);
+  });
+
+  test('should reject SMS webhooks without a valid Twilio signature', async () => {
+    const params = { From: '+15550100', Body: 'Hello' };
+
+    expect((await request(app).post('/sms-webhook').type('form').send(params)).status).toBe(503);
+
+    process.env.TWILIO_AUTH_TOKEN = 'test-auth-token';
+    const unsigned = await request(app).post('/sms-webhook').type('form').send(params);
+    expect(unsigned.status).toBe(403);
+
+    const forged = await request(app).post('/sms-webhook').type('form').set('X-Twilio-Signature', 'forged').send(params);
+    expect(forged.status).toBe(403);
+
+    // Signed but from an unlinked number: accepted and ignored
+    const server = app.listen(0);
+    try {
+      const url = `http://127.0.0.1:${server.address().port}/sms-webhook`;
+      const signature = twilio.getExpectedTwilioSignature('test-auth-token', url, params);
+      const signed = await request(url).post('').type('form').set('X-Twilio-Signature', signature).send(params);
+      expect(signed.status).toBe(200);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+    expect(socket.emit).not.toHaveBeenCalled();
+  });
+});
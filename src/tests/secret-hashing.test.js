@@ -0,0 +1,99 @@
+/**
+ * @jest-environment node
+ */
+const request = require('supertest');
+const express = require('express');
+const { setupOpenAIRoutes } = require('../routes/openai');
+const { DeviceIdManager } = require('../utils/device-id-manager');
+const { hashSecret, verifySecret, isHashedSecret } = require('../utils/secret-hash');
+const { createDatabaseDeviceIdManager, createTestDatabase, closeTestDatabase } = require('./device-test-setup');
+
+describe('Hashed PINs and device secrets', () => {
+  let database;
+  let deviceIdManager;
+
+  beforeEach(async () => {
+    database = await createTestDatabase();
+    deviceIdManager = new DeviceIdManager(database);
+  });
+
+  afterEach(async () => {
+    await closeTestDatabase(database);
+  });
+
+  test('should salt hashes and verify them', async () => {
+    const first = await hashSecret('123456');
+    const second = await hashSecret('123456');
+
+    expect(first).toMatch(/^scrypt\$[0-9a-f]{32}\$[0-9a-f]{64}$/);
+    expect(first).not.toBe(second);
+    expect(await verifySecret('123456', first)).toBe(true);
+    expect(await verifySecret('123457', first)).toBe(false);
+    expect(await verifySecret('123456', '123456')).toBe(false);
+    expect(await verifySecret(undefined, first)).toBe(false);
+  });
+
+  test('should hash plaintext PINs and secrets left by older versions', async () => {
+    await database.run(
+      `INSERT INTO devices (device_id, pin_code, device_secret, last_seen) VALUES (?, ?, ?, CURRENT_TIMESTAMP)`,
+      ['old-device', '123456', 'old-secret']
+    );
+
+    await database.runMigrations();
+
+    const row = await database.getDevice('old-device');
+    expect(isHashedSecret(row.pin_code)).toBe(true);
+    expect(isHashedSecret(row.device_secret)).toBe(true);
+    expect(await verifySecret('123456', row.pin_code)).toBe(true);
+
+    const cutoff = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
+    expect((await database.getDeviceBySecret('old-secret', cutoff)).device_id).toBe('old-device');
+    expect(await database.getDeviceBySecret('wrong-secret', cutoff)).toBeNull();
+  });
+
+  test('should only reveal a PIN when it is generated', async () => {
+    const registered = await deviceIdManager.registerDevice('socket-1');
+    expect(registered.pinCode).toMatch(/^\d{6}$/);
+    expect(registered.pinEnabled).toBe(true);
+    expect(registered.deviceSecret).toMatch(/^[A-Za-z0-9_-]{32}$/);
+
+    const row = await database.getDevice(registered.deviceId);
+    expect(row.pin_code).not.toContain(registered.pinCode);
+    expect(row.device_secret).not.toContain(registered.deviceSecret);
+    expect(await verifySecret(registered.pinCode, row.pin_code)).toBe(true);
+
+    // Reconnecting with the secret keeps the PIN but cannot send it again
+    await deviceIdManager.unregisterDevice('socket-1');
+    const reconnected = await deviceIdManager.registerDevice('socket-2', null, registered.deviceSecret);
+    expect(reconnected).toEqual(expect.objectContaining({ deviceId: registered.deviceId, isReconnection: true, pinCode: null, pinEnabled: true }));
+
+    const newPin = await deviceIdManager.resetDevicePin(registered.deviceId);
+    const afterReset = await database.getDevice(registered.deviceId);
+    expect(await verifySecret(newPin, afterReset.pin_code)).toBe(true);
+    expect(await verifySecret(registered.pinCode, afterReset.pin_code)).toBe(false);
+  });
+
+  test('should redact the PIN from device info and send changes to the device socket only', async () => {
+    await database.run(`INSERT INTO devices (device_id, pin_code) VALUES (?, ?)`, ['test-device', await hashSecret('123456')]);
+
+    const app = express();
+    app.use(express.json());
+    const socket = { id: 'socket123', emit: jest.fn() };
+    const mockDeviceIdManager = createDatabaseDeviceIdManager(database);
+    setupOpenAIRoutes(app, null, new Map([['test-device', socket]]), new Map(), new Map(), mockDeviceIdManager, null);
+
+    const info = await request(app).get('/test-device/info').set('Authorization', 'Bearer 123456');
+    expect(info.status).toBe(200);
+    expect(info.body.pinEnabled).toBe(true);
+    expect(info.body).not.toHaveProperty('pinCode');
+    expect(JSON.stringify(info.body)).not.toContain('scrypt');
+
+    const changed = await request(app).post('/test-device/change-pin').send({ currentPin: '123456', newPin: '654321' });
+    expect(changed.status).toBe(200);
+    expect(changed.body).not.toHaveProperty('pinCode');
+    expect(socket.emit).toHaveBeenCalledWith('pin_updated', expect.objectContaining({ pinCode: '654321', pinEnabled: true }));
+
+    expect((await request(app).get('/test-device/v1/models').set('Authorization', 'Bearer 654321')).status).toBe(200);
+    expect((await request(app).get('/test-device/v1/models').set('Authorization', 'Bearer 123456')).status).toBe(401);
+  });
+});
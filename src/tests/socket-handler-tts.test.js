@@ -51,7 +51,7 @@ describe('Socket Handler TTS Response Tests', () => {
     require('../utils/response-utils').sendOpenAIResponse = jest.fn();
   });
 
-  test('should handle TTS response with base64 audio data', () => {
+  test('should handle TTS response with base64 audio data', async () => {
     // Setup socket handler
     setupSocketHandler(
       mockIo,
@@ -89,7 +89,7 @@ describe('Socket Handler TTS Response Tests', () => {
     });
 
     // Call connection handler
-    connectionHandler(mockSocket);
+    await connectionHandler(mockSocket);
 
     // Find the tts_response handler
     const ttsResponseHandler = mockSocket.on.mock.calls.find(call => call[0] === 'tts_response')[1];
@@ -128,7 +128,7 @@ describe('Socket Handler TTS Response Tests', () => {
     expect(mockRequestDeviceMap.has('tts-123')).toBe(false);
   });
 
-  test('should handle TTS response with binary audio data', () => {
+  test('should handle TTS response with binary audio data', async () => {
     // Setup socket handler
     setupSocketHandler(
       mockIo,
@@ -166,7 +166,7 @@ describe('Socket Handler TTS Response Tests', () => {
     });
 
     // Call connection handler
-    connectionHandler(mockSocket);
+    await connectionHandler(mockSocket);
 
     // Find the tts_response handler
     const ttsResponseHandler = mockSocket.on.mock.calls.find(call => call[0] === 'tts_response')[1];
@@ -202,7 +202,7 @@ describe('Socket Handler TTS Response Tests', () => {
     expect(mockRes.send).toHaveBeenCalledWith(binaryData);
   });
 
-  test('should handle TTS response with missing audio data', () => {
+  test('should handle TTS response with missing audio data', async () => {
     // Setup socket handler
     setupSocketHandler(
       mockIo,
@@ -240,7 +240,7 @@ describe('Socket Handler TTS Response Tests', () => {
     });
 
     // Call connection handler
-    connectionHandler(mockSocket);
+    await connectionHandler(mockSocket);
 
     // Find the tts_response handler
     const ttsResponseHandler = mockSocket.on.mock.calls.find(call => call[0] === 'tts_response')[1];
@@ -278,7 +278,7 @@ describe('Socket Handler TTS Response Tests', () => {
     });
   });
 
-  test('should reject TTS response from wrong device', () => {
+  test('should reject TTS response from wrong device', async () => {
     // Setup socket handler
     setupSocketHandler(
       mockIo,
@@ -316,7 +316,7 @@ describe('Socket Handler TTS Response Tests', () => {
     });
 
     // Call connection handler
-    connectionHandler(mockSocket);
+    await connectionHandler(mockSocket);
 
     // Find the tts_response handler
     const ttsResponseHandler = mockSocket.on.mock.calls.find(call => call[0] === 'tts_response')[1];
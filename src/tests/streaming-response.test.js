@@ -0,0 +1,109 @@
+/**
+ * @jest-environment node
+ */
+const { createOpenAIStream } = require('../utils/response-utils');
+const { createMockDeviceIdManager, getSocketHandler, setupMockSockets } = require('./device-test-setup');
+
+describe('Streaming Chat Responses', () => {
+  let mockPendingRequests;
+  let mockRequestDeviceMap;
+  let mockSocket;
+
+  const createMockRes = () => ({
+    headersSent: false,
+    writableEnded: false,
+    chunks: [],
+    setHeader: jest.fn(),
+    write: jest.fn(function (chunk) {
+      this.headersSent = true;
+      this.chunks.push(chunk);
+    }),
+    end: jest.fn(function () {
+      this.writableEnded = true;
+    }),
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn()
+  });
+
+  const parseChunks = (res) => res.chunks
+    .map(chunk => chunk.replace(/^data: /, '').trim())
+    .filter(chunk => chunk !== '[DONE]')
+    .map(chunk => JSON.parse(chunk));
+
+  const getHandler = (event) => getSocketHandler(mockSocket, event);
+
+  beforeEach(async () => {
+    const mockSockets = setupMockSockets(createMockDeviceIdManager({
+      registerDevice: jest.fn().mockResolvedValue({ deviceId: 'test-device', pinCode: null, deviceSecret: 'secret', isReconnection: false })
+    }));
+    mockPendingRequests = mockSockets.pendingRequests;
+    mockRequestDeviceMap = mockSockets.requestDeviceMap;
+
+    mockSocket = await mockSockets.connectDevice();
+  });
+
+  test('createOpenAIStream only writes headers once output arrives', () => {
+    const res = createMockRes();
+    const writer = createOpenAIStream(res, 'r1-command');
+
+    expect(writer.started).toBe(false);
+    expect(res.setHeader).not.toHaveBeenCalled();
+
+    writer.write('Hello');
+    writer.finish();
+
+    const chunks = parseChunks(res);
+    expect(chunks[0].choices[0].delta).toEqual({ role: 'assistant' });
+    expect(chunks[1].choices[0].delta).toEqual({ content: 'Hello' });
+    expect(chunks[2].choices[0].finish_reason).toBe('stop');
+    expect(res.chunks[res.chunks.length - 1]).toBe('data: [DONE]\n\n');
+    expect(res.end).toHaveBeenCalled();
+  });
+
+  test('should pipe response_chunk deltas to the SSE client as they arrive', async () => {
+    const res = createMockRes();
+    mockPendingRequests.set('req-1', { res, stream: true, streamWriter: createOpenAIStream(res, 'r1-command') });
+    mockRequestDeviceMap.set('req-1', 'test-device');
+
+    getHandler('response_chunk')({ requestId: 'req-1', delta: 'Hello ' });
+    expect(parseChunks(res).map(chunk => chunk.choices[0].delta.content)).toEqual([undefined, 'Hello ']);
+
+    getHandler('response_chunk')({ requestId: 'req-1', delta: 'world' });
+    await getHandler('response_done')({ requestId: 'req-1', response: 'Hello world' });
+
+    const contents = parseChunks(res).map(chunk => chunk.choices[0].delta.content).filter(Boolean);
+    expect(contents).toEqual(['Hello ', 'world']);
+    expect(res.end).toHaveBeenCalled();
+    expect(mockPendingRequests.has('req-1')).toBe(false);
+    expect(mockRequestDeviceMap.has('req-1')).toBe(false);
+  });
+
+  test('should ignore chunks from a different device', () => {
+    const res = createMockRes();
+    mockPendingRequests.set('req-2', { res, stream: true, streamWriter: createOpenAIStream(res, 'r1-command') });
+    mockRequestDeviceMap.set('req-2', 'other-device');
+
+    getHandler('response_chunk')({ requestId: 'req-2', delta: 'Injected' });
+
+    expect(res.write).not.toHaveBeenCalled();
+    expect(mockPendingRequests.has('req-2')).toBe(true);
+  });
+
+  test('should assemble chunks into a normal response for non-streaming requests', async () => {
+    const res = createMockRes();
+    mockPendingRequests.set('req-3', { res, stream: false, streamWriter: null });
+    mockRequestDeviceMap.set('req-3', 'test-device');
+
+    getHandler('response_chunk')({ requestId: 'req-3', delta: 'Hello ' });
+    getHandler('response_chunk')({ requestId: 'req-3', delta: 'world' });
+    await getHandler('response_done')({ requestId: 'req-3' });
+
+    expect(res.write).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      object: 'chat.completion',
+      choices: [expect.objectContaining({
+        message: { role: 'assistant', content: 'Hello world' }
+      })]
+    }));
+  });
+});
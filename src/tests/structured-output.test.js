@@ -0,0 +1,121 @@
+/**
+ * @jest-environment node
+ */
+const { prepareResponseFormat, MAX_STRUCTURED_RETRIES } = require('../utils/structured-output');
+const { createMockDeviceIdManager, getSocketHandler, setupMockSockets } = require('./device-test-setup');
+
+describe('Structured Outputs', () => {
+  const responseFormat = {
+    type: 'json_schema',
+    json_schema: {
+      name: 'weather',
+      schema: {
+        type: 'object',
+        properties: { city: { type: 'string' }, temp: { type: 'number' } },
+        required: ['city', 'temp']
+      }
+    }
+  };
+
+  let mockPendingRequests;
+  let mockRequestDeviceMap;
+  let mockSocket;
+  let responseHandler;
+
+  const createMockRes = () => ({
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn()
+  });
+
+  const addPendingRequest = (requestId, res) => {
+    const { validator } = prepareResponseFormat(responseFormat);
+    mockPendingRequests.set(requestId, {
+      res,
+      stream: false,
+      response_format: responseFormat,
+      schemaValidator: validator,
+      command: { type: 'chat_completion', data: { message: 'Weather in Paris?', requestId } }
+    });
+    mockRequestDeviceMap.set(requestId, 'test-device');
+  };
+
+  beforeEach(async () => {
+    const mockSockets = setupMockSockets(createMockDeviceIdManager());
+    mockPendingRequests = mockSockets.pendingRequests;
+    mockRequestDeviceMap = mockSockets.requestDeviceMap;
+
+    mockSocket = await mockSockets.connectDevice();
+    responseHandler = getSocketHandler(mockSocket, 'response');
+  });
+
+  test('prepareResponseFormat should reject schemas that do not compile', () => {
+    expect(prepareResponseFormat({ type: 'json_schema', json_schema: { schema: { type: 'nope' } } }).error).toMatch(/Invalid JSON schema/);
+    expect(prepareResponseFormat({ type: 'json_schema' }).error).toBeDefined();
+    expect(prepareResponseFormat({ type: 'json_object' }).validator).toBeNull();
+  });
+
+  test('prepareResponseFormat should compile the same $id for every request', () => {
+    const responseFormat = { type: 'json_schema', json_schema: { schema: { $id: 'https://example.com/person', type: 'object', required: ['name'] } } };
+
+    const first = prepareResponseFormat(responseFormat);
+    const second = prepareResponseFormat(responseFormat);
+    expect(first.error).toBeUndefined();
+    expect(second.error).toBeUndefined();
+    expect(second.validator({ name: 'Ada' })).toBe(true);
+    expect(second.validator({})).toBe(false);
+    // The same schema is compiled once
+    expect(second.validator).toBe(first.validator);
+
+    // Another schema may reuse the $id
+    const other = prepareResponseFormat({ type: 'json_schema', json_schema: { schema: { $id: 'https://example.com/person', type: 'object', required: ['age'] } } });
+    expect(other.error).toBeUndefined();
+    expect(other.validator({ age: 36 })).toBe(true);
+    expect(other.validator({ name: 'Ada' })).toBe(false);
+    expect(first.validator({ name: 'Ada' })).toBe(true);
+  });
+
+  test('should return a reply that matches the schema', async () => {
+    const res = createMockRes();
+    addPendingRequest('req-1', res);
+
+    await responseHandler({ requestId: 'req-1', response: '```json\n{"city": "Paris", "temp": 21}\n```' });
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      choices: [expect.objectContaining({
+        message: { role: 'assistant', content: '{"city": "Paris", "temp": 21}' }
+      })]
+    }));
+    expect(mockSocket.emit).not.toHaveBeenCalledWith('chat_completion', expect.anything());
+  });
+
+  test('should re-ask the device with the validation errors', async () => {
+    const res = createMockRes();
+    addPendingRequest('req-2', res);
+
+    await responseHandler({ requestId: 'req-2', response: '{"city": "Paris"}' });
+
+    expect(res.json).not.toHaveBeenCalled();
+    expect(mockPendingRequests.has('req-2')).toBe(true);
+
+    const [event, command] = mockSocket.emit.mock.calls.find(call => call[0] === 'chat_completion');
+    expect(event).toBe('chat_completion');
+    expect(command.data.requestId).toBe('req-2');
+    expect(command.data.message).toContain('Weather in Paris?');
+    expect(command.data.message).toContain("must have required property 'temp'");
+  });
+
+  test('should fail with a typed error once retries are exhausted', async () => {
+    const res = createMockRes();
+    addPendingRequest('req-3', res);
+
+    for (let attempt = 0; attempt <= MAX_STRUCTURED_RETRIES; attempt++) {
+      await responseHandler({ requestId: 'req-3', response: 'It is 21 degrees in Paris.' });
+    }
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({
+      error: expect.objectContaining({ type: 'json_schema_validation_failed' })
+    });
+    expect(mockPendingRequests.has('req-3')).toBe(false);
+  });
+});
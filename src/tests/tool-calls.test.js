@@ -0,0 +1,117 @@
+/**
+ * @jest-environment node
+ */
+const request = require('supertest');
+const express = require('express');
+const { setupOpenAIRoutes } = require('../routes/openai');
+const { parseToolCalls, buildToolInstructions } = require('../utils/tool-call-utils');
+const { createMockDeviceIdManager } = require('./device-test-setup');
+
+describe('Chat Completion Tool Calls', () => {
+  const weatherTool = {
+    type: 'function',
+    function: {
+      name: 'get_weather',
+      description: 'Get the weather for a city',
+      parameters: { type: 'object', properties: { city: { type: 'string' } } }
+    }
+  };
+
+  let app;
+  let mockDeviceIdManager;
+  let mockConnectedR1s;
+  let mockPendingRequests;
+  let mockRequestDeviceMap;
+  let mockSocket;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+
+    mockDeviceIdManager = createMockDeviceIdManager();
+
+    mockConnectedR1s = new Map();
+    mockPendingRequests = new Map();
+    mockRequestDeviceMap = new Map();
+
+    mockSocket = { emit: jest.fn(), id: 'socket123', connected: true };
+    mockConnectedR1s.set('test-device', mockSocket);
+
+    setupOpenAIRoutes(app, null, mockConnectedR1s, mockPendingRequests, mockRequestDeviceMap, mockDeviceIdManager, null);
+  });
+
+  const resolvePendingRequest = () => setTimeout(() => {
+    const requestId = mockSocket.emit.mock.calls[0][1].data.requestId;
+    const { res } = mockPendingRequests.get(requestId);
+    res.status(200).json({ ok: true });
+  }, 50);
+
+  test('parseToolCalls should map device JSON to OpenAI tool_calls', () => {
+    const toolCalls = parseToolCalls('```json\n{"tool_calls": [{"name": "get_weather", "arguments": {"city": "Paris"}}]}\n```', [weatherTool]);
+
+    expect(toolCalls).toHaveLength(1);
+    expect(toolCalls[0]).toEqual({
+      id: expect.stringMatching(/^call_/),
+      type: 'function',
+      function: { name: 'get_weather', arguments: '{"city":"Paris"}' }
+    });
+  });
+
+  test('parseToolCalls should ignore plain text and unknown tools', () => {
+    expect(parseToolCalls('It is sunny in Paris.', [weatherTool])).toBeNull();
+    expect(parseToolCalls('{"tool_calls": [{"name": "delete_files", "arguments": {}}]}', [weatherTool])).toBeNull();
+  });
+
+  test('should describe tools to the device and render tool results in history', (done) => {
+    request(app)
+      .post('/test-device/v1/chat/completions')
+      .set('x-test-request', 'true')
+      .send({
+        model: 'r1-command',
+        tools: [weatherTool],
+        messages: [
+          { role: 'user', content: 'Weather in Paris?' },
+          { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }] },
+          { role: 'tool', tool_call_id: 'call_1', content: '{"temp": 21}' }
+        ]
+      })
+      .end((err) => {
+        if (err) return done(err);
+
+        const { message } = mockSocket.emit.mock.calls[0][1].data;
+        expect(message).toContain('Assistant called tools: get_weather({"city":"Paris"}) [id: call_1]');
+        expect(message).toContain('Tool result [id: call_1]: {"temp": 21}');
+        expect(message).toContain(buildToolInstructions([weatherTool]));
+        done();
+      });
+
+    resolvePendingRequest();
+  });
+
+  test('should reject malformed tool definitions', async () => {
+    const response = await request(app)
+      .post('/test-device/v1/chat/completions')
+      .send({ messages: [{ role: 'user', content: 'Hi' }], tools: [{ type: 'function' }] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.param).toBe('tools');
+    expect(mockSocket.emit).not.toHaveBeenCalled();
+  });
+
+  test('should not offer tools when tool_choice is none', (done) => {
+    request(app)
+      .post('/test-device/v1/chat/completions')
+      .set('x-test-request', 'true')
+      .send({ messages: [{ role: 'user', content: 'Hi' }], tools: [weatherTool], tool_choice: 'none' })
+      .end((err) => {
+        if (err) return done(err);
+
+        const requestId = mockSocket.emit.mock.calls[0][1].data.requestId;
+        expect(mockSocket.emit.mock.calls[0][1].data.message).not.toContain('AVAILABLE TOOLS');
+        expect(requestId).toBeDefined();
+        done();
+      });
+
+    resolvePendingRequest();
+  });
+});
@@ -1,3 +1,6 @@
+/**
+ * @jest-environment node
+ */
 const request = require('supertest');
 const express = require('express');
 const { setupAudioRoutes } = require('../routes/audio');
@@ -0,0 +1,226 @@
+// Utility functions for the Anthropic Messages API dialect
+// Requests are translated to the OpenAI chat shape so they share the device
+// dispatch path; replies are written back as Anthropic messages / SSE events.
+
+const { countTokens } = require('./token-usage');
+
+// Validate a Messages API request body; returns an error message or null
+function validateMessagesRequest(body) {
+  if (!body || !Array.isArray(body.messages) || body.messages.length === 0) {
+    return 'messages must be a non-empty array';
+  }
+
+  for (const message of body.messages) {
+    if (!message || (message.role !== 'user' && message.role !== 'assistant')) {
+      return 'Each message must have role "user" or "assistant"';
+    }
+  }
+
+  return null;
+}
+
+// Convert an Anthropic content block to an OpenAI content part
+function toOpenAIContentPart(block) {
+  if (block.type === 'text') {
+    return { type: 'text', text: block.text };
+  }
+
+  if (block.type === 'image' && block.source) {
+    const url = block.source.type === 'base64'
+      ? `data:${block.source.media_type};base64,${block.source.data}`
+      : block.source.url;
+    return url ? { type: 'image_url', image_url: { url } } : null;
+  }
+
+  // Other block types (documents, tool_use, ...) are not supported by the device
+  return null;
+}
+
+function toOpenAIContent(content) {
+  if (typeof content === 'string' || !Array.isArray(content)) {
+    return content;
+  }
+  return content.map(toOpenAIContentPart).filter(Boolean);
+}
+
+// Translate a Messages API request body to an OpenAI chat completion body
+function toOpenAIChatRequest(body) {
+  const messages = [];
+
+  if (body.system) {
+    const system = Array.isArray(body.system)
+      ? body.system.filter(block => block.type === 'text').map(block => block.text).join('\n')
+      : body.system;
+    messages.push({ role: 'system', content: system });
+  }
+
+  for (const message of body.messages) {
+    messages.push({ role: message.role, content: toOpenAIContent(message.content) });
+  }
+
+  return {
+    model: body.model,
+    messages,
+    ...(body.max_tokens !== undefined && { max_tokens: body.max_tokens }),
+    ...(body.temperature !== undefined && { temperature: body.temperature }),
+    ...(body.stop_sequences !== undefined && { stop: body.stop_sequences }),
+    ...(body.timeout !== undefined && { timeout: body.timeout }),
+    stream: body.stream === true
+  };
+}
+
+// Estimated usage, counted the same way as the OpenAI responses
+function buildUsage(originalMessage, response) {
+  return {
+    input_tokens: countTokens(originalMessage),
+    output_tokens: countTokens(response)
+  };
+}
+
+const STOP_REASONS = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  tool_calls: 'tool_use'
+};
+
+// A stop ends the turn unless one of the request's stop_sequences was matched
+function toStopFields(finishReason, stopSequence) {
+  if (stopSequence) {
+    return { stop_reason: 'stop_sequence', stop_sequence: stopSequence };
+  }
+  return { stop_reason: STOP_REASONS[finishReason] || 'end_turn', stop_sequence: null };
+}
+
+const ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  403: 'permission_error',
+  404: 'not_found_error',
+  409: 'invalid_request_error',
+  429: 'rate_limit_error',
+  503: 'overloaded_error'
+};
+
+// Create an SSE writer for Messages API stream events. Like the OpenAI stream,
+// nothing is written until the first delta so early failures can still be
+// answered with a JSON error. originalMessage is the prompt counted as input.
+function createAnthropicStream(clientRes, model, originalMessage = '') {
+  const id = `msg_${Date.now()}${Math.random().toString(36).substr(2, 8)}`;
+  let started = false;
+  let finished = false;
+  let content = '';
+
+  const writeEvent = (event, data) => {
+    clientRes.write(`event: ${event}\ndata: ${JSON.stringify({ type: event, ...data })}\n\n`);
+  };
+
+  const start = () => {
+    if (started) return;
+    started = true;
+
+    clientRes.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    clientRes.setHeader('Cache-Control', 'no-cache');
+    clientRes.setHeader('Connection', 'keep-alive');
+    if (typeof clientRes.flushHeaders === 'function') {
+      clientRes.flushHeaders();
+    }
+
+    writeEvent('message_start', {
+      message: {
+        id,
+        type: 'message',
+        role: 'assistant',
+        content: [],
+        model: model || 'r1-llm',
+        stop_reason: null,
+        stop_sequence: null,
+        usage: { input_tokens: countTokens(originalMessage), output_tokens: 0 }
+      }
+    });
+    writeEvent('content_block_start', { index: 0, content_block: { type: 'text', text: '' } });
+  };
+
+  return {
+    get started() { return started; },
+    get finished() { return finished; },
+    get content() { return content; },
+
+    write(delta) {
+      if (finished || !delta) return;
+      start();
+      content += delta;
+      writeEvent('content_block_delta', { index: 0, delta: { type: 'text_delta', text: delta } });
+    },
+
+    // extensions are accepted for the shared writer interface; only the
+    // matched stopSequence is reported
+    finish(reason = 'stop', extensions = null, stopSequence = null) {
+      if (finished) return;
+      start();
+      finished = true;
+      writeEvent('content_block_stop', { index: 0 });
+      writeEvent('message_delta', {
+        delta: toStopFields(reason, stopSequence),
+        usage: { output_tokens: countTokens(content) }
+      });
+      writeEvent('message_stop', {});
+      clientRes.end();
+    }
+  };
+}
+
+function sendAnthropicResponse(clientRes, response, originalMessage, model, stream = false, finishReason = 'stop', extensions = null, stopSequence = null) {
+  const text = response || 'No response from R1';
+
+  if (stream) {
+    const writer = createAnthropicStream(clientRes, model, originalMessage);
+    writer.write(text);
+    writer.finish(finishReason, extensions, stopSequence);
+  } else {
+    clientRes.json({
+      id: `msg_${Date.now()}${Math.random().toString(36).substr(2, 8)}`,
+      type: 'message',
+      role: 'assistant',
+      model: model || 'r1-llm',
+      content: [{ type: 'text', text }],
+      ...toStopFields(finishReason, stopSequence),
+      usage: buildUsage(originalMessage, response)
+    });
+  }
+
+  console.log(`📤 Sending ${stream ? 'streaming' : 'normal'} Anthropic response to client:`, text.substring(0, 100));
+}
+
+// Errors use the Anthropic error envelope; once a stream has started they are
+// sent as an in-band `error` event
+function sendAnthropicError(clientRes, status, message, type, param = null) {
+  const error = {
+    type: 'error',
+    error: { type: ERROR_TYPES[status] || 'api_error', message: param ? `${param}: ${message}` : message }
+  };
+
+  if (clientRes.headersSent) {
+    if (!clientRes.writableEnded) {
+      clientRes.write(`event: error\ndata: ${JSON.stringify(error)}\n\n`);
+      clientRes.end();
+    }
+    return;
+  }
+
+  clientRes.status(status).json(error);
+}
+
+const anthropicFormatter = {
+  createStream: createAnthropicStream,
+  sendResponse: sendAnthropicResponse,
+  sendError: sendAnthropicError
+};
+
+module.exports = {
+  validateMessagesRequest,
+  toOpenAIChatRequest,
+  createAnthropicStream,
+  sendAnthropicResponse,
+  sendAnthropicError,
+  anthropicFormatter
+};
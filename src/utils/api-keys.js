@@ -0,0 +1,82 @@
+// Per-device API keys
+// Keys are shown once when created; the database keeps a SHA-256 hash, the
+// scopes, an optional label and expiry. `admin` covers every other scope.
+
+const crypto = require('crypto');
+
+const API_KEY_SCOPES = ['chat', 'tts', 'camera', 'admin'];
+const API_KEY_PREFIX = 'r1k_';
+const MAX_LABEL_LENGTH = 64;
+
+function generateApiKey() {
+  return `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+}
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// API keys are told apart from PINs by their prefix
+function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+}
+
+function keyHasScope(scopes, scope) {
+  return scopes.includes(scope) || scopes.includes('admin');
+}
+
+function isKeyExpired(row, now = new Date()) {
+  return Boolean(row.expires_at) && new Date(row.expires_at) <= now;
+}
+
+// Validate a key creation request; returns { message, param } or null
+function validateApiKeyRequest(body) {
+  const { scopes, label, expires_at: expiresAt } = body || {};
+
+  if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => API_KEY_SCOPES.includes(scope))) {
+    return { message: `scopes must be a non-empty array of: ${API_KEY_SCOPES.join(', ')}`, param: 'scopes' };
+  }
+
+  if (label !== undefined && label !== null && (typeof label !== 'string' || label.length > MAX_LABEL_LENGTH)) {
+    return { message: `label must be a string of at most ${MAX_LABEL_LENGTH} characters`, param: 'label' };
+  }
+
+  if (expiresAt !== undefined && expiresAt !== null) {
+    const date = new Date(expiresAt);
+    if (typeof expiresAt !== 'string' || Number.isNaN(date.getTime())) {
+      return { message: 'expires_at must be an ISO 8601 date', param: 'expires_at' };
+    }
+    if (date <= new Date()) {
+      return { message: 'expires_at must be in the future', param: 'expires_at' };
+    }
+  }
+
+  return null;
+}
+
+// Render an api_keys row for the API (never includes the hash)
+function formatApiKey(row) {
+  return {
+    id: row.id,
+    object: 'api_key',
+    key_prefix: row.key_prefix,
+    label: row.label || null,
+    scopes: row.scopes.split(','),
+    created_at: row.created_at,
+    expires_at: row.expires_at || null,
+    last_used_at: row.last_used_at || null,
+    revoked_at: row.revoked_at || null
+  };
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  API_KEY_PREFIX,
+  generateApiKey,
+  hashApiKey,
+  isApiKey,
+  keyHasScope,
+  isKeyExpired,
+  validateApiKeyRequest,
+  formatApiKey
+};
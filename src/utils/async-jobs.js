@@ -0,0 +1,110 @@
+// Async chat completion jobs
+// In async mode the client gets a 202 with a job ID right away. The device
+// reply is written to a recorder that stands in for the HTTP response and
+// stores the outcome in the pending_requests table for later polling.
+// Fan-out and the R1 MCP server use the same recorder to collect replies.
+
+const { EventEmitter } = require('events');
+
+// Async mode is requested with `"async": true` or `Prefer: respond-async`
+function wantsAsyncResponse(req) {
+  const prefer = req.headers.prefer || '';
+  return req.body?.async === true || /respond-async/i.test(prefer);
+}
+
+// Minimal stand-in for an Express response that captures one reply.
+// `result` resolves with { statusCode, headers, body } once a handler answers;
+// abort() gives up on the reply, which cancels the queued or in-flight device
+// request through the handler's 'close' listeners.
+function createResultRecorder() {
+  const recorder = new EventEmitter();
+  const headers = {};
+  let statusCode = 200;
+  let settle;
+
+  recorder.result = new Promise(resolve => {
+    settle = resolve;
+  });
+  recorder.headersSent = false;
+  recorder.writableEnded = false;
+  recorder.writableFinished = false;
+  recorder.destroyed = false;
+
+  recorder.status = (code) => {
+    statusCode = code;
+    return recorder;
+  };
+
+  recorder.setHeader = (name, value) => {
+    headers[name.toLowerCase()] = value;
+  };
+
+  recorder.getHeader = (name) => headers[name.toLowerCase()];
+
+  const finish = (body) => {
+    if (recorder.writableEnded || recorder.destroyed) {
+      return recorder;
+    }
+    recorder.headersSent = true;
+    recorder.writableEnded = true;
+    recorder.writableFinished = true;
+    settle({ statusCode, headers, body });
+    recorder.emit('finish');
+    return recorder;
+  };
+
+  recorder.json = finish;
+  recorder.send = finish;
+
+  recorder.abort = () => {
+    if (recorder.writableEnded || recorder.destroyed) {
+      return;
+    }
+    recorder.destroyed = true;
+    recorder.emit('close');
+  };
+
+  return recorder;
+}
+
+// A recorder that persists the job result
+function createJobRecorder(requestId, database, onComplete = null) {
+  const recorder = createResultRecorder();
+
+  recorder.result.then(({ statusCode, body }) => {
+    const failed = statusCode >= 400;
+    database.completePendingRequest(requestId, failed ? null : body, failed ? (body.error || body) : null)
+      .then(() => console.log(`💾 Job ${requestId} ${failed ? 'failed' : 'completed'}`))
+      .catch(error => console.error(`Failed to save result for job ${requestId}:`, error));
+
+    if (onComplete) {
+      onComplete();
+    }
+  });
+
+  return recorder;
+}
+
+// Render a pending_requests row as a job object
+function formatJob(row) {
+  const parse = (value) => {
+    if (!value) return null;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  };
+
+  return {
+    id: row.request_id,
+    object: 'job',
+    status: row.status,
+    created_at: row.created_at,
+    completed_at: row.completed_at || null,
+    result: parse(row.result),
+    error: parse(row.error)
+  };
+}
+
+module.exports = { wantsAsyncResponse, createResultRecorder, createJobRecorder, formatJob };
@@ -0,0 +1,130 @@
+// Security audit log
+// Structured records of security-relevant actions (PIN changes, failed
+// authentication, phone links, device reconnections, ...) kept in the
+// audit_events table and read back through GET /{deviceId}/audit.
+
+const AUDIT_ACTIONS = [
+  'auth.failed',
+  'auth.lockout',
+  'pin.enable',
+  'pin.change',
+  'pin.disable',
+  'pin.reset',
+  'phone.link',
+  'phone.verify',
+  'phone.unlink',
+  'device.reconnect',
+  'api_key.create',
+  'api_key.revoke',
+  'session.login',
+  'session.logout',
+  'pairing.redeem'
+];
+const AUDIT_OUTCOMES = ['success', 'failure'];
+
+const DEFAULT_AUDIT_PAGE_SIZE = 50;
+const MAX_AUDIT_PAGE_SIZE = 200;
+
+// Retention per device, applied whenever an event is written, so repeated
+// failures cannot grow the table without bound. Failures have their own cap:
+// anyone can cause them, and they must not push out the device's other events.
+const AUDIT_MAX_EVENTS_PER_DEVICE = parseInt(process.env.AUDIT_MAX_EVENTS_PER_DEVICE || '1000', 10);
+const AUDIT_MAX_FAILURES_PER_DEVICE = parseInt(process.env.AUDIT_MAX_FAILURES_PER_DEVICE || '500', 10);
+const AUDIT_RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS || '90', 10);
+
+// Who made an HTTP request
+function getRequestClient(req) {
+  return { ip: req.ip || null, userAgent: req.headers?.['user-agent'] || null };
+}
+
+// Who is on the other end of a socket
+function getSocketClient(socket) {
+  const handshake = socket.handshake || {};
+  return { ip: handshake.address || null, userAgent: handshake.headers?.['user-agent'] || null };
+}
+
+// Never throws: a failed audit write must not fail the action itself
+async function recordAuditEvent(database, { deviceId, action, outcome = 'success', client = {}, details = null }) {
+  if (!database) return;
+  try {
+    await database.saveAuditEvent({ deviceId, action, outcome, ip: client.ip || null, userAgent: client.userAgent || null, details });
+    await database.pruneAuditEvents(deviceId, AUDIT_MAX_EVENTS_PER_DEVICE, AUDIT_RETENTION_DAYS, AUDIT_MAX_FAILURES_PER_DEVICE);
+  } catch (error) {
+    console.warn(`Failed to save audit event ${action}:`, error.message);
+  }
+}
+
+// Parse GET /{deviceId}/audit query parameters; returns { filters } or { error: { message, param } }
+function parseAuditQuery(query) {
+  const filters = {};
+
+  if (query.action !== undefined) {
+    const actions = String(query.action).split(',').map(action => action.trim()).filter(Boolean);
+    if (actions.length === 0 || !actions.every(action => AUDIT_ACTIONS.includes(action))) {
+      return { error: { message: `action must be a comma-separated list of: ${AUDIT_ACTIONS.join(', ')}`, param: 'action' } };
+    }
+    filters.actions = actions;
+  }
+
+  if (query.outcome !== undefined) {
+    if (!AUDIT_OUTCOMES.includes(query.outcome)) {
+      return { error: { message: `outcome must be one of: ${AUDIT_OUTCOMES.join(', ')}`, param: 'outcome' } };
+    }
+    filters.outcome = query.outcome;
+  }
+
+  if (query.ip !== undefined) {
+    filters.ip = String(query.ip);
+  }
+
+  for (const param of ['since', 'until']) {
+    if (query[param] !== undefined) {
+      const date = new Date(query[param]);
+      if (Number.isNaN(date.getTime())) {
+        return { error: { message: `${param} must be an ISO 8601 date`, param } };
+      }
+      filters[param] = date.toISOString();
+    }
+  }
+
+  if (query.after !== undefined) {
+    const after = Number(query.after);
+    if (!Number.isInteger(after) || after < 1) {
+      return { error: { message: 'after must be an event id', param: 'after' } };
+    }
+    filters.after = after;
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_AUDIT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_AUDIT_PAGE_SIZE) {
+    return { error: { message: `limit must be an integer between 1 and ${MAX_AUDIT_PAGE_SIZE}`, param: 'limit' } };
+  }
+  filters.limit = limit;
+
+  return { filters };
+}
+
+function formatAuditEvent(row) {
+  return {
+    id: row.id,
+    object: 'audit_event',
+    action: row.action,
+    outcome: row.outcome,
+    ip: row.ip,
+    user_agent: row.user_agent,
+    details: row.details ? JSON.parse(row.details) : null,
+    created_at: row.created_at
+  };
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  AUDIT_OUTCOMES,
+  AUDIT_MAX_EVENTS_PER_DEVICE,
+  AUDIT_MAX_FAILURES_PER_DEVICE,
+  getRequestClient,
+  getSocketClient,
+  recordAuditEvent,
+  parseAuditQuery,
+  formatAuditEvent
+};
@@ -0,0 +1,131 @@
+// Brute-force protection for PIN authentication
+// Failed PIN attempts are counted per device and per client IP (pairing codes,
+// which do not name a device, only per IP). After
+// `maxFailures` failures within `failureWindowMs` that device or IP is locked
+// out; each further lockout doubles in length up to `maxLockoutMs`.
+// Checking a PIN takes time (it is hashed), so an attempt is counted from
+// begin() to end(): attempts still being checked count towards the limit, and
+// parallel guesses cannot all pass check() before the first failure is recorded.
+
+class AuthThrottle {
+  constructor(options = {}) {
+    this.maxFailures = options.maxFailures ?? parseInt(process.env.AUTH_MAX_FAILURES || '5', 10);
+    this.baseLockoutMs = options.baseLockoutMs ?? parseInt(process.env.AUTH_LOCKOUT_MS || '60000', 10);
+    this.maxLockoutMs = options.maxLockoutMs ?? parseInt(process.env.AUTH_MAX_LOCKOUT_MS || '3600000', 10);
+    this.failureWindowMs = options.failureWindowMs ?? parseInt(process.env.AUTH_FAILURE_WINDOW_MS || '900000', 10);
+    this.entries = new Map(); // "device:<id>" / "ip:<address>" -> { failures, lockouts, lockedUntil, lastFailureAt }
+    this.inFlight = new Map(); // "device:<id>" / "ip:<address>" -> attempts being checked
+  }
+
+  keys(deviceId, ip) {
+    return [['device', deviceId ? `device:${deviceId}` : null], ['ip', ip ? `ip:${ip}` : null]];
+  }
+
+  getEntry(key, now) {
+    let entry = this.entries.get(key);
+    // Forget failures (and past lockouts) after a quiet window
+    if (entry && entry.lockedUntil <= now && now - entry.lastFailureAt > this.failureWindowMs) {
+      this.entries.delete(key);
+      entry = null;
+    }
+    return entry;
+  }
+
+  // Returns { locked: false } or { locked: true, target: 'device' | 'ip', retryAfterMs }.
+  // Also locked while the attempts being checked could use up the remaining failures.
+  check(deviceId, ip, now = Date.now()) {
+    for (const [target, key] of this.keys(deviceId, ip)) {
+      if (!key) continue;
+
+      const entry = this.getEntry(key, now);
+      if (entry && entry.lockedUntil > now) {
+        return { locked: true, target, retryAfterMs: entry.lockedUntil - now };
+      }
+      if ((entry ? entry.failures : 0) + (this.inFlight.get(key) || 0) >= this.maxFailures) {
+        return { locked: true, target, retryAfterMs: 1000 };
+      }
+    }
+    return { locked: false };
+  }
+
+  // Count an attempt as being checked until end() is called for it
+  begin(deviceId, ip) {
+    for (const [, key] of this.keys(deviceId, ip)) {
+      if (key) this.inFlight.set(key, (this.inFlight.get(key) || 0) + 1);
+    }
+  }
+
+  end(deviceId, ip) {
+    for (const [, key] of this.keys(deviceId, ip)) {
+      const count = key && this.inFlight.get(key);
+      if (count > 1) {
+        this.inFlight.set(key, count - 1);
+      } else if (count) {
+        this.inFlight.delete(key);
+      }
+    }
+  }
+
+  // Count a failed attempt; returns the lockouts it started
+  // ([{ target, failures, lockouts, durationMs, lockedUntil }])
+  recordFailure(deviceId, ip, now = Date.now()) {
+    this.prune(now);
+
+    const started = [];
+    for (const [target, key] of this.keys(deviceId, ip)) {
+      if (!key) continue;
+
+      const entry = this.getEntry(key, now) || { failures: 0, lockouts: 0, lockedUntil: 0, lastFailureAt: 0 };
+      entry.failures++;
+      entry.lastFailureAt = now;
+
+      if (entry.failures >= this.maxFailures) {
+        entry.lockouts++;
+        const durationMs = Math.min(this.baseLockoutMs * 2 ** (entry.lockouts - 1), this.maxLockoutMs);
+        entry.lockedUntil = now + durationMs;
+        started.push({ target, failures: entry.failures, lockouts: entry.lockouts, durationMs, lockedUntil: entry.lockedUntil });
+        entry.failures = 0;
+      }
+
+      this.entries.set(key, entry);
+    }
+    return started;
+  }
+
+  // A correct PIN clears the failure count (earlier lockouts still count towards backoff)
+  recordSuccess(deviceId, ip) {
+    for (const [, key] of this.keys(deviceId, ip)) {
+      const entry = key && this.entries.get(key);
+      if (entry) {
+        entry.failures = 0;
+      }
+    }
+  }
+
+  // Failed attempts and lockout of one device, for the device info endpoint
+  getDeviceStatus(deviceId, now = Date.now()) {
+    const entry = this.getEntry(`device:${deviceId}`, now);
+    return {
+      failedAttempts: entry ? entry.failures : 0,
+      lockedUntil: entry && entry.lockedUntil > now ? new Date(entry.lockedUntil).toISOString() : null
+    };
+  }
+
+  getLimits() {
+    return {
+      maxFailures: this.maxFailures,
+      lockoutSeconds: this.baseLockoutMs / 1000,
+      maxLockoutSeconds: this.maxLockoutMs / 1000,
+      failureWindowSeconds: this.failureWindowMs / 1000
+    };
+  }
+
+  // Drop entries that are neither locked nor within the failure window
+  prune(now = Date.now()) {
+    for (const key of this.entries.keys()) {
+      this.getEntry(key, now);
+    }
+  }
+}
+
+module.exports = { AuthThrottle };
@@ -0,0 +1,171 @@
+// Utility functions for the legacy OpenAI Completions API (/v1/completions)
+// A prompt (and optional suffix) is turned into a chat request asking the
+// device to continue the text; replies are written back as text_completion
+// objects or SSE chunks.
+
+const { estimateUsage } = require('./token-usage');
+const { sendOpenAIError } = require('./response-utils');
+const { validateStop } = require('./output-limits');
+
+// OpenAI's default for the legacy endpoint
+const DEFAULT_COMPLETION_MAX_TOKENS = 16;
+
+// The prompt may be a string or a one-element array of strings
+function resolvePrompt(prompt) {
+  if (typeof prompt === 'string') {
+    return prompt;
+  }
+  if (Array.isArray(prompt) && prompt.length === 1 && typeof prompt[0] === 'string') {
+    return prompt[0];
+  }
+  return null;
+}
+
+// Validate a /v1/completions body; returns { message, param } or null
+function validateCompletionRequest(body) {
+  if (!body || body.prompt === undefined) {
+    return { message: 'prompt is required', param: 'prompt' };
+  }
+  if (resolvePrompt(body.prompt) === null) {
+    return { message: 'prompt must be a string or an array with a single string (token arrays and batches are not supported)', param: 'prompt' };
+  }
+  if (body.suffix !== undefined && body.suffix !== null && typeof body.suffix !== 'string') {
+    return { message: 'suffix must be a string', param: 'suffix' };
+  }
+
+  const stopError = validateStop(body.stop);
+  if (stopError) {
+    return { message: stopError, param: 'stop' };
+  }
+
+  return null;
+}
+
+// Instructions that turn the chat device into a text completer
+function buildCompletionInstructions(suffix) {
+  let instructions = 'Continue the text in the user message. Reply with ONLY the continuation: do not repeat the text, add commentary or wrap it in quotes.';
+  if (suffix) {
+    instructions += ` The continuation will be followed by this text, so it must lead into it naturally:\n\n${suffix}`;
+  }
+  return instructions;
+}
+
+// Translate a /v1/completions body to an OpenAI chat completion body
+function toOpenAIChatRequest(body) {
+  return {
+    model: body.model,
+    messages: [
+      { role: 'system', content: buildCompletionInstructions(body.suffix) },
+      { role: 'user', content: resolvePrompt(body.prompt) }
+    ],
+    max_tokens: body.max_tokens !== undefined && body.max_tokens !== null ? body.max_tokens : DEFAULT_COMPLETION_MAX_TOKENS,
+    ...(body.temperature !== undefined && { temperature: body.temperature }),
+    ...(body.stop !== undefined && body.stop !== null && { stop: body.stop }),
+    ...(body.n !== undefined && { n: body.n }),
+    ...(body.timeout !== undefined && { timeout: body.timeout }),
+    stream: body.stream === true
+  };
+}
+
+// Build the formatter for one /v1/completions request. With `echo` the prompt
+// is returned in front of the completion.
+function createCompletionsFormatter({ prompt = '', echo = false } = {}) {
+  const id = `cmpl-${Date.now()}${Math.random().toString(36).substr(2, 8)}`;
+  const created = Math.floor(Date.now() / 1000);
+  const prefix = echo ? prompt : '';
+
+  const buildChoice = (text, finishReason) => ({ text, index: 0, logprobs: null, finish_reason: finishReason });
+
+  // Same lazy-header behaviour as the chat completion stream
+  const createStream = (clientRes, model) => {
+    let started = false;
+    let finished = false;
+    let content = '';
+
+    const writeChunk = (text, finishReason = null) => {
+      const chunk = { id, object: 'text_completion', created, model: model || 'r1-llm', choices: [buildChoice(text, finishReason)] };
+      clientRes.write(`data: ${JSON.stringify(chunk)}\n\n`);
+    };
+
+    const start = () => {
+      if (started) return;
+      started = true;
+
+      clientRes.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+      clientRes.setHeader('Cache-Control', 'no-cache');
+      clientRes.setHeader('Connection', 'keep-alive');
+      if (typeof clientRes.flushHeaders === 'function') {
+        clientRes.flushHeaders();
+      }
+
+      if (prefix) {
+        writeChunk(prefix);
+      }
+    };
+
+    return {
+      get started() { return started; },
+      get finished() { return finished; },
+      get content() { return content; },
+
+      write(delta) {
+        if (finished || !delta) return;
+        start();
+        content += delta;
+        writeChunk(delta);
+      },
+
+      finish(reason = 'stop') {
+        if (finished) return;
+        start();
+        finished = true;
+        writeChunk('', reason === 'length' ? 'length' : 'stop');
+        clientRes.write(`data: [DONE]\n\n`);
+        clientRes.end();
+      }
+    };
+  };
+
+  const sendResponse = (clientRes, response, originalMessage, model, stream = false, finishReason = 'stop') => {
+    const text = response || '';
+
+    if (stream) {
+      const writer = createStream(clientRes, model);
+      writer.write(text);
+      writer.finish(finishReason);
+    } else {
+      clientRes.json({
+        id,
+        object: 'text_completion',
+        created,
+        model: model || 'r1-llm',
+        choices: [buildChoice(`${prefix}${text}`, finishReason)],
+        usage: estimateUsage(originalMessage, text)
+      });
+    }
+
+    console.log(`📤 Sending ${stream ? 'streaming' : 'normal'} text completion to client:`, text.substring(0, 100));
+  };
+
+  // Generations of an n > 1 request
+  const sendChoices = (clientRes, choices, originalMessage, model) => {
+    clientRes.json({
+      id,
+      object: 'text_completion',
+      created,
+      model: model || 'r1-llm',
+      choices: choices.map((choice, index) => ({ ...buildChoice(`${prefix}${choice.text}`, choice.finishReason), index })),
+      usage: estimateUsage(originalMessage, choices.map(choice => choice.text).join(''))
+    });
+  };
+
+  return { createStream, sendResponse, sendChoices, sendError: sendOpenAIError };
+}
+
+module.exports = {
+  DEFAULT_COMPLETION_MAX_TOKENS,
+  resolvePrompt,
+  validateCompletionRequest,
+  toOpenAIChatRequest,
+  createCompletionsFormatter
+};
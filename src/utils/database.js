@@ -1,6 +1,7 @@
 // SQLite database manager for persistent storage
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { isHashedSecret, hashSecret, verifySecret, secretLookupKey } = require('./secret-hash');
 
 class DatabaseManager {
   constructor(dbPath = null) {
@@ -48,16 +49,96 @@ class DatabaseManager {
         device_id TEXT,
         role TEXT NOT NULL,
         content TEXT NOT NULL,
+        previous_session_id TEXT,
         timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
       )`,
 
+      `CREATE TABLE IF NOT EXISTS device_pools (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        pool_name TEXT UNIQUE NOT NULL,
+        strategy TEXT DEFAULT 'least_pending',
+        key_hash TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS device_pool_members (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        pool_name TEXT NOT NULL,
+        device_id TEXT NOT NULL,
+        added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(pool_name, device_id)
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS api_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        device_id TEXT NOT NULL,
+        key_hash TEXT UNIQUE NOT NULL,
+        key_prefix TEXT NOT NULL,
+        label TEXT,
+        scopes TEXT NOT NULL,
+        expires_at DATETIME,
+        last_used_at DATETIME,
+        revoked_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS auth_sessions (
+        id TEXT PRIMARY KEY,
+        device_id TEXT NOT NULL,
+        refresh_hash TEXT UNIQUE NOT NULL,
+        scopes TEXT NOT NULL,
+        auth_method TEXT,
+        expires_at DATETIME NOT NULL,
+        refreshed_at DATETIME,
+        revoked_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS audit_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        device_id TEXT,
+        action TEXT NOT NULL,
+        outcome TEXT NOT NULL,
+        ip TEXT,
+        user_agent TEXT,
+        details TEXT,
+        created_at TEXT NOT NULL
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS pairing_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        device_id TEXT NOT NULL,
+        code_hash TEXT UNIQUE NOT NULL,
+        expires_at DATETIME NOT NULL,
+        redeemed_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS device_tags (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        device_id TEXT NOT NULL,
+        tag TEXT NOT NULL,
+        UNIQUE(device_id, tag)
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS token_usage (
+        device_id TEXT NOT NULL,
+        date TEXT NOT NULL,
+        requests INTEGER DEFAULT 0,
+        prompt_tokens INTEGER DEFAULT 0,
+        completion_tokens INTEGER DEFAULT 0,
+        PRIMARY KEY(device_id, date)
+      )`,
+
       `CREATE TABLE IF NOT EXISTS pending_requests (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         request_id TEXT UNIQUE NOT NULL,
         device_id TEXT,
         status TEXT DEFAULT 'pending',
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        completed_at DATETIME
+        completed_at DATETIME,
+        result TEXT,
+        error TEXT
       )`,
 
       `CREATE TABLE IF NOT EXISTS debug_logs (
@@ -126,6 +207,16 @@ class DatabaseManager {
         timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
       )`,
 
+      `CREATE TABLE IF NOT EXISTS mcp_tool_decisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        device_id TEXT NOT NULL,
+        server_name TEXT NOT NULL,
+        tool_name TEXT NOT NULL,
+        decision TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        UNIQUE(device_id, server_name, tool_name)
+      )`,
+
       `CREATE TABLE IF NOT EXISTS phone_links (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         device_id TEXT NOT NULL,
@@ -141,6 +232,7 @@ class DatabaseManager {
     for (const sql of tables) {
       await this.run(sql);
     }
+    await this.run(`CREATE INDEX IF NOT EXISTS idx_audit_events_device ON audit_events (device_id, id)`);
 
     // Run migrations for existing databases
     await this.runMigrations();
@@ -168,6 +260,16 @@ class DatabaseManager {
         console.log('device_secret column added successfully');
       }
 
+      // Device secrets are found by a lookup key and verified against a salted hash
+      if (!tableInfo.some(column => column.name === 'device_secret_lookup')) {
+        console.log('Adding device_secret_lookup column to devices table...');
+        await this.run(`ALTER TABLE devices ADD COLUMN device_secret_lookup TEXT`);
+        console.log('device_secret_lookup column added successfully');
+      }
+      await this.run(`CREATE INDEX IF NOT EXISTS idx_devices_secret_lookup ON devices (device_secret_lookup)`);
+
+      await this.hashPlaintextDeviceSecrets();
+
       // Check if config column exists in mcp_servers table
       const mcpTableInfo = await this.all("PRAGMA table_info(mcp_servers)");
       const hasConfigColumn = mcpTableInfo.some(column => column.name === 'config');
@@ -177,11 +279,52 @@ class DatabaseManager {
         await this.run(`ALTER TABLE mcp_servers ADD COLUMN config TEXT`);
         console.log('config column added successfully');
       }
+
+      // Async jobs store their outcome on the pending request row
+      const pendingTableInfo = await this.all("PRAGMA table_info(pending_requests)");
+      if (!pendingTableInfo.some(column => column.name === 'result')) {
+        console.log('Adding result and error columns to pending_requests table...');
+        await this.run(`ALTER TABLE pending_requests ADD COLUMN result TEXT`);
+        await this.run(`ALTER TABLE pending_requests ADD COLUMN error TEXT`);
+        console.log('result and error columns added successfully');
+      }
+
+      // Responses API turns point at the turn they continue
+      const conversationsTableInfo = await this.all("PRAGMA table_info(conversations)");
+      if (!conversationsTableInfo.some(column => column.name === 'previous_session_id')) {
+        console.log('Adding previous_session_id column to conversations table...');
+        await this.run(`ALTER TABLE conversations ADD COLUMN previous_session_id TEXT`);
+        console.log('previous_session_id column added successfully');
+      }
     } catch (error) {
       console.warn('Migration check failed:', error);
     }
   }
 
+  // PINs and device secrets used to be stored in plaintext; hash any left over
+  async hashPlaintextDeviceSecrets() {
+    const rows = await this.all(`
+      SELECT device_id, pin_code, device_secret FROM devices
+      WHERE (pin_code IS NOT NULL AND pin_code != '' AND pin_code NOT LIKE 'scrypt$%')
+         OR (device_secret IS NOT NULL AND device_secret NOT LIKE 'scrypt$%')
+    `);
+    if (rows.length === 0) return;
+
+    console.log(`Hashing PINs and secrets of ${rows.length} devices...`);
+    for (const row of rows) {
+      if (row.pin_code && !isHashedSecret(row.pin_code)) {
+        await this.run(`UPDATE devices SET pin_code = ? WHERE device_id = ?`, [await hashSecret(row.pin_code), row.device_id]);
+      }
+      if (row.device_secret && !isHashedSecret(row.device_secret)) {
+        await this.run(
+          `UPDATE devices SET device_secret = ?, device_secret_lookup = ? WHERE device_id = ?`,
+          [await hashSecret(row.device_secret), secretLookupKey(row.device_secret), row.device_id]
+        );
+      }
+    }
+    console.log('Device PINs and secrets hashed successfully');
+  }
+
   // Run a SQL query
   run(sql, params = []) {
     return new Promise((resolve, reject) => {
@@ -234,25 +377,48 @@ class DatabaseManager {
   }
 
   // Device management methods
+  // PINs and device secrets are passed in plaintext and only their salted hashes are stored
   async saveDevice(deviceId, socketId = null, userAgent = null, ipAddress = null, pinCode = null) {
     const sql = `
       INSERT OR REPLACE INTO devices (device_id, socket_id, last_seen, user_agent, ip_address, pin_code)
       VALUES (?, ?, CURRENT_TIMESTAMP, ?, ?, ?)
     `;
-    await this.run(sql, [deviceId, socketId, userAgent, ipAddress, pinCode]);
+    await this.run(sql, [deviceId, socketId, userAgent, ipAddress, pinCode ? await hashSecret(pinCode) : null]);
   }
 
   async saveDeviceWithSecret(deviceId, socketId = null, userAgent = null, ipAddress = null, pinCode = null, deviceSecret = null) {
     const sql = `
-      INSERT OR REPLACE INTO devices (device_id, socket_id, last_seen, user_agent, ip_address, pin_code, device_secret)
-      VALUES (?, ?, CURRENT_TIMESTAMP, ?, ?, ?, ?)
+      INSERT OR REPLACE INTO devices (device_id, socket_id, last_seen, user_agent, ip_address, pin_code, device_secret, device_secret_lookup)
+      VALUES (?, ?, CURRENT_TIMESTAMP, ?, ?, ?, ?, ?)
     `;
-    await this.run(sql, [deviceId, socketId, userAgent, ipAddress, pinCode, deviceSecret]);
+    await this.run(sql, [
+      deviceId,
+      socketId,
+      userAgent,
+      ipAddress,
+      pinCode ? await hashSecret(pinCode) : null,
+      deviceSecret ? await hashSecret(deviceSecret) : null,
+      deviceSecret ? secretLookupKey(deviceSecret) : null
+    ]);
   }
 
   async updateDevicePin(deviceId, pinCode) {
     const sql = `UPDATE devices SET pin_code = ? WHERE device_id = ?`;
-    await this.run(sql, [pinCode, deviceId]);
+    await this.run(sql, [await hashSecret(pinCode), deviceId]);
+  }
+
+  // Most recently seen device (since `seenAfter`) whose secret matches
+  async getDeviceBySecret(deviceSecret, seenAfter) {
+    const rows = await this.all(
+      `SELECT * FROM devices WHERE device_secret_lookup = ? AND last_seen > ? ORDER BY last_seen DESC`,
+      [secretLookupKey(deviceSecret), seenAfter]
+    );
+    for (const row of rows) {
+      if (await verifySecret(deviceSecret, row.device_secret)) {
+        return row;
+      }
+    }
+    return null;
   }
 
   async disableDevicePin(deviceId) {
@@ -281,12 +447,12 @@ class DatabaseManager {
   }
 
   // Conversation management
-  async saveMessage(sessionId, deviceId, role, content) {
+  async saveMessage(sessionId, deviceId, role, content, previousSessionId = null) {
     const sql = `
-      INSERT INTO conversations (session_id, device_id, role, content)
-      VALUES (?, ?, ?, ?)
+      INSERT INTO conversations (session_id, device_id, role, content, previous_session_id)
+      VALUES (?, ?, ?, ?, ?)
     `;
-    await this.run(sql, [sessionId, deviceId, role, content]);
+    await this.run(sql, [sessionId, deviceId, role, content, previousSessionId]);
   }
 
   async getConversationHistory(sessionId, limit = 50) {
@@ -300,6 +466,265 @@ class DatabaseManager {
     return rows.reverse(); // Return in chronological order
   }
 
+  // Messages of a session and the sessions it continues (via previous_session_id),
+  // oldest first. Returns null if the session does not exist for this device.
+  async getConversationChain(sessionId, deviceId, maxSessions = 50) {
+    const sessions = [];
+    let currentId = sessionId;
+
+    while (currentId && sessions.length < maxSessions) {
+      const rows = await this.all(
+        `SELECT * FROM conversations WHERE session_id = ? AND device_id = ? ORDER BY id ASC`,
+        [currentId, deviceId]
+      );
+      if (rows.length === 0) break;
+
+      sessions.unshift(rows);
+      currentId = rows[0].previous_session_id;
+    }
+
+    if (sessions.length === 0) {
+      return null;
+    }
+    return sessions.flat();
+  }
+
+  // Device pools
+  async createDevicePool(poolName, strategy, keyHash) {
+    const sql = `INSERT INTO device_pools (pool_name, strategy, key_hash) VALUES (?, ?, ?)`;
+    await this.run(sql, [poolName, strategy, keyHash]);
+  }
+
+  async getDevicePool(poolName) {
+    return await this.get(`SELECT * FROM device_pools WHERE pool_name = ?`, [poolName]);
+  }
+
+  async updateDevicePoolStrategy(poolName, strategy) {
+    await this.run(`UPDATE device_pools SET strategy = ? WHERE pool_name = ?`, [strategy, poolName]);
+  }
+
+  async deleteDevicePool(poolName) {
+    await this.run(`DELETE FROM device_pool_members WHERE pool_name = ?`, [poolName]);
+    await this.run(`DELETE FROM device_pools WHERE pool_name = ?`, [poolName]);
+  }
+
+  async addDevicePoolMember(poolName, deviceId) {
+    const sql = `INSERT OR IGNORE INTO device_pool_members (pool_name, device_id) VALUES (?, ?)`;
+    await this.run(sql, [poolName, deviceId]);
+  }
+
+  async removeDevicePoolMember(poolName, deviceId) {
+    const result = await this.run(`DELETE FROM device_pool_members WHERE pool_name = ? AND device_id = ?`, [poolName, deviceId]);
+    return result.changes > 0;
+  }
+
+  // A device's credentials changed: it has to be added to its pools again
+  async removeDeviceFromPools(deviceId) {
+    const result = await this.run(`DELETE FROM device_pool_members WHERE device_id = ?`, [deviceId]);
+    return result.changes;
+  }
+
+  async getDevicePoolsOfMember(deviceId) {
+    const sql = `
+      SELECT p.pool_name, p.strategy, m.added_at
+      FROM device_pool_members m JOIN device_pools p ON p.pool_name = m.pool_name
+      WHERE m.device_id = ?
+      ORDER BY m.id ASC
+    `;
+    return await this.all(sql, [deviceId]);
+  }
+
+  // Member device IDs in the order they were added
+  async getDevicePoolMembers(poolName) {
+    const rows = await this.all(`SELECT device_id FROM device_pool_members WHERE pool_name = ? ORDER BY id ASC`, [poolName]);
+    return rows.map(row => row.device_id);
+  }
+
+  // API keys; scopes are stored comma-separated, dates as ISO 8601 strings
+  async createApiKey(deviceId, keyHash, keyPrefix, scopes, label = null, expiresAt = null) {
+    const sql = `INSERT INTO api_keys (device_id, key_hash, key_prefix, scopes, label, expires_at) VALUES (?, ?, ?, ?, ?, ?)`;
+    const result = await this.run(sql, [deviceId, keyHash, keyPrefix, scopes.join(','), label, expiresAt]);
+    return await this.get(`SELECT * FROM api_keys WHERE id = ?`, [result.id]);
+  }
+
+  async getApiKeyByHash(keyHash) {
+    return await this.get(`SELECT * FROM api_keys WHERE key_hash = ?`, [keyHash]);
+  }
+
+  async getApiKeys(deviceId) {
+    return await this.all(`SELECT * FROM api_keys WHERE device_id = ? ORDER BY id ASC`, [deviceId]);
+  }
+
+  // Keys that are neither revoked nor expired
+  async countActiveApiKeys(deviceId) {
+    const sql = `
+      SELECT COUNT(*) AS count FROM api_keys
+      WHERE device_id = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > ?)
+    `;
+    const row = await this.get(sql, [deviceId, new Date().toISOString()]);
+    return row.count;
+  }
+
+  async touchApiKey(id) {
+    await this.run(`UPDATE api_keys SET last_used_at = ? WHERE id = ?`, [new Date().toISOString(), id]);
+  }
+
+  async revokeApiKey(deviceId, id) {
+    const sql = `UPDATE api_keys SET revoked_at = ? WHERE device_id = ? AND id = ? AND revoked_at IS NULL`;
+    const result = await this.run(sql, [new Date().toISOString(), deviceId, id]);
+    return result.changes > 0;
+  }
+
+  // Control panel sessions
+  async createAuthSession(id, deviceId, refreshHash, scopes, authMethod, expiresAt) {
+    const sql = `INSERT INTO auth_sessions (id, device_id, refresh_hash, scopes, auth_method, expires_at) VALUES (?, ?, ?, ?, ?, ?)`;
+    await this.run(sql, [id, deviceId, refreshHash, scopes.join(','), authMethod, expiresAt]);
+    return await this.getAuthSession(id);
+  }
+
+  async getAuthSession(id) {
+    return await this.get(`SELECT * FROM auth_sessions WHERE id = ?`, [id]);
+  }
+
+  async getAuthSessionByRefreshHash(refreshHash) {
+    return await this.get(`SELECT * FROM auth_sessions WHERE refresh_hash = ?`, [refreshHash]);
+  }
+
+  // Swap in a new refresh token; false when the old one was already used or revoked
+  async rotateAuthSession(id, oldRefreshHash, newRefreshHash, expiresAt) {
+    const sql = `
+      UPDATE auth_sessions SET refresh_hash = ?, expires_at = ?, refreshed_at = ?
+      WHERE id = ? AND refresh_hash = ? AND revoked_at IS NULL
+    `;
+    const result = await this.run(sql, [newRefreshHash, expiresAt, new Date().toISOString(), id, oldRefreshHash]);
+    return result.changes > 0;
+  }
+
+  async revokeAuthSession(deviceId, id) {
+    const sql = `UPDATE auth_sessions SET revoked_at = ? WHERE device_id = ? AND id = ? AND revoked_at IS NULL`;
+    const result = await this.run(sql, [new Date().toISOString(), deviceId, id]);
+    return result.changes > 0;
+  }
+
+  // Security audit log (created_at is an ISO timestamp so it can be compared with query dates)
+  async saveAuditEvent({ deviceId, action, outcome, ip = null, userAgent = null, details = null }) {
+    const sql = `
+      INSERT INTO audit_events (device_id, action, outcome, ip, user_agent, details, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
+    await this.run(sql, [deviceId, action, outcome, ip, userAgent, details ? JSON.stringify(details) : null, new Date().toISOString()]);
+  }
+
+  // Drop a device's audit events older than maxAgeDays, and all but its newest maxEvents
+  // Failures are capped on their own, so they cannot push out other events
+  async pruneAuditEvents(deviceId, maxEvents, maxAgeDays, maxFailures = maxEvents) {
+    const cutoff = new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000).toISOString();
+    const sql = `
+      DELETE FROM audit_events
+      WHERE device_id = ?
+      AND (
+        created_at < ?
+        OR (outcome = 'failure' AND id <= (SELECT id FROM audit_events WHERE device_id = ? AND outcome = 'failure' ORDER BY id DESC LIMIT 1 OFFSET ?))
+        OR (outcome != 'failure' AND id <= (SELECT id FROM audit_events WHERE device_id = ? AND outcome != 'failure' ORDER BY id DESC LIMIT 1 OFFSET ?))
+      )
+    `;
+    const result = await this.run(sql, [deviceId, cutoff, deviceId, maxFailures, deviceId, maxEvents]);
+    return result.changes;
+  }
+
+  // Newest first; `after` continues from the last id of the previous page
+  async getAuditEvents(deviceId, { actions, outcome, ip, since, until, after, limit = 50 } = {}) {
+    const conditions = ['device_id = ?'];
+    const params = [deviceId];
+
+    if (actions) {
+      conditions.push(`action IN (${actions.map(() => '?').join(', ')})`);
+      params.push(...actions);
+    }
+    if (outcome) {
+      conditions.push('outcome = ?');
+      params.push(outcome);
+    }
+    if (ip) {
+      conditions.push('ip = ?');
+      params.push(ip);
+    }
+    if (since) {
+      conditions.push('created_at >= ?');
+      params.push(since);
+    }
+    if (until) {
+      conditions.push('created_at < ?');
+      params.push(until);
+    }
+    if (after) {
+      conditions.push('id < ?');
+      params.push(after);
+    }
+
+    const sql = `SELECT * FROM audit_events WHERE ${conditions.join(' AND ')} ORDER BY id DESC LIMIT ?`;
+    return await this.all(sql, [...params, limit]);
+  }
+
+  // Pairing codes
+  async createPairingCode(deviceId, codeHash, expiresAt) {
+    const now = new Date().toISOString();
+    // Only the newest code of a device can be redeemed
+    await this.run(`UPDATE pairing_codes SET expires_at = ? WHERE device_id = ? AND redeemed_at IS NULL AND expires_at > ?`, [now, deviceId, now]);
+    const result = await this.run(`INSERT INTO pairing_codes (device_id, code_hash, expires_at) VALUES (?, ?, ?)`, [deviceId, codeHash, expiresAt]);
+    return await this.get(`SELECT * FROM pairing_codes WHERE id = ?`, [result.id]);
+  }
+
+  // Mark a code as used; returns its row, or null when it is unknown, used or expired
+  async redeemPairingCode(codeHash) {
+    const now = new Date().toISOString();
+    const sql = `UPDATE pairing_codes SET redeemed_at = ? WHERE code_hash = ? AND redeemed_at IS NULL AND expires_at > ?`;
+    const result = await this.run(sql, [now, codeHash, now]);
+    if (result.changes === 0) return null;
+    return await this.get(`SELECT * FROM pairing_codes WHERE code_hash = ?`, [codeHash]);
+  }
+
+  // Device tags (fan-out targets)
+  async setDeviceTags(deviceId, tags) {
+    await this.run(`DELETE FROM device_tags WHERE device_id = ?`, [deviceId]);
+    for (const tag of tags) {
+      await this.run(`INSERT OR IGNORE INTO device_tags (device_id, tag) VALUES (?, ?)`, [deviceId, tag]);
+    }
+  }
+
+  async getDeviceTags(deviceId) {
+    const rows = await this.all(`SELECT tag FROM device_tags WHERE device_id = ? ORDER BY tag ASC`, [deviceId]);
+    return rows.map(row => row.tag);
+  }
+
+  async getDevicesByTag(tag) {
+    const rows = await this.all(`SELECT device_id FROM device_tags WHERE tag = ? ORDER BY id ASC`, [tag]);
+    return rows.map(row => row.device_id);
+  }
+
+  // Token usage, summed per device per (UTC) day
+  async recordTokenUsage(deviceId, promptTokens, completionTokens) {
+    const sql = `
+      INSERT INTO token_usage (device_id, date, requests, prompt_tokens, completion_tokens)
+      VALUES (?, date('now'), 1, ?, ?)
+      ON CONFLICT(device_id, date) DO UPDATE SET
+        requests = requests + 1,
+        prompt_tokens = prompt_tokens + excluded.prompt_tokens,
+        completion_tokens = completion_tokens + excluded.completion_tokens
+    `;
+    await this.run(sql, [deviceId, promptTokens, completionTokens]);
+  }
+
+  async getTokenUsage(deviceId, days = 30) {
+    const sql = `
+      SELECT date, requests, prompt_tokens, completion_tokens
+      FROM token_usage
+      WHERE device_id = ? AND date > date('now', ?)
+      ORDER BY date DESC
+    `;
+    return await this.all(sql, [deviceId, `-${days} days`]);
+  }
+
   // Pending requests management
   async savePendingRequest(requestId, deviceId) {
     const sql = `
@@ -309,13 +734,18 @@ class DatabaseManager {
     await this.run(sql, [requestId, deviceId]);
   }
 
-  async completePendingRequest(requestId) {
+  async completePendingRequest(requestId, result = null, error = null) {
     const sql = `
       UPDATE pending_requests
-      SET status = 'completed', completed_at = CURRENT_TIMESTAMP
+      SET status = ?, result = ?, error = ?, completed_at = CURRENT_TIMESTAMP
       WHERE request_id = ?
     `;
-    await this.run(sql, [requestId]);
+    await this.run(sql, [
+      error ? 'failed' : 'completed',
+      result !== null ? JSON.stringify(result) : null,
+      error ? JSON.stringify(error) : null,
+      requestId
+    ]);
   }
 
   async getPendingRequest(requestId) {
@@ -407,10 +837,16 @@ class DatabaseManager {
   // MCP Server management
   async saveMCPServer(deviceId, serverName, config) {
     const sql = `
-      INSERT OR REPLACE INTO mcp_servers 
+      INSERT INTO mcp_servers
       (device_id, server_name, server_type, command, args, env, enabled, auto_approve, config, description, updated_at)
       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(device_id, server_name) DO UPDATE SET
+        server_type = excluded.server_type, command = excluded.command, args = excluded.args, env = excluded.env,
+        enabled = excluded.enabled, auto_approve = excluded.auto_approve, config = excluded.config,
+        description = excluded.description, updated_at = CURRENT_TIMESTAMP
     `;
+    // Upsert rather than REPLACE so the row keeps its id and its mcp_tools
+    const autoApprove = config.autoApprove || config.capabilities?.tools?.autoApprove;
     const args = [
       deviceId,
       serverName,
@@ -419,7 +855,7 @@ class DatabaseManager {
       config.args ? JSON.stringify(config.args) : null,
       config.env ? JSON.stringify(config.env) : null,
       config.enabled !== false ? 1 : 0,
-      config.capabilities?.tools?.autoApprove ? JSON.stringify(config.capabilities.tools.autoApprove) : null,
+      autoApprove ? JSON.stringify(autoApprove) : null,
       JSON.stringify(config), // Store full config
       config.description || null
     ];
@@ -437,6 +873,9 @@ class DatabaseManager {
   }
 
   async deleteMCPServer(deviceId, serverName) {
+    // Foreign keys are not enforced, so remove the server's tools and decisions explicitly
+    await this.run(`DELETE FROM mcp_tools WHERE server_id IN (SELECT id FROM mcp_servers WHERE device_id = ? AND server_name = ?)`, [deviceId, serverName]);
+    await this.run(`DELETE FROM mcp_tool_decisions WHERE device_id = ? AND server_name = ?`, [deviceId, serverName]);
     const sql = `DELETE FROM mcp_servers WHERE device_id = ? AND server_name = ?`;
     return await this.run(sql, [deviceId, serverName]);
   }
@@ -460,11 +899,56 @@ class DatabaseManager {
     return await this.all(sql, [serverId]);
   }
 
+  // Make the stored tools of a server match a tools/list result, keeping usage counts
+  async syncMCPTools(serverId, tools) {
+    for (const tool of tools) {
+      const updated = await this.run(
+        `UPDATE mcp_tools SET tool_description = ?, tool_schema = ? WHERE server_id = ? AND tool_name = ?`,
+        [tool.description || null, JSON.stringify(tool.inputSchema || {}), serverId, tool.name]
+      );
+      if (updated.changes === 0) {
+        await this.saveMCPTool(serverId, tool.name, tool.description || null, tool.inputSchema || {});
+      }
+    }
+
+    const names = tools.map(tool => tool.name);
+    await this.run(
+      `DELETE FROM mcp_tools WHERE server_id = ? AND tool_name NOT IN (${names.map(() => '?').join(', ')})`,
+      [serverId, ...names]
+    );
+    return await this.getMCPTools(serverId);
+  }
+
   async updateMCPToolUsage(toolId) {
     const sql = `UPDATE mcp_tools SET usage_count = usage_count + 1, last_used = CURRENT_TIMESTAMP WHERE id = ?`;
     return await this.run(sql, [toolId]);
   }
 
+  // Remembered approval decisions ('allow' / 'deny') for MCP tools
+  async saveMCPToolDecision(deviceId, serverName, toolName, decision) {
+    const sql = `
+      INSERT INTO mcp_tool_decisions (device_id, server_name, tool_name, decision, created_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(device_id, server_name, tool_name) DO UPDATE SET decision = excluded.decision, created_at = excluded.created_at
+    `;
+    return await this.run(sql, [deviceId, serverName, toolName, decision, new Date().toISOString()]);
+  }
+
+  async getMCPToolDecision(deviceId, serverName, toolName) {
+    const sql = `SELECT * FROM mcp_tool_decisions WHERE device_id = ? AND server_name = ? AND tool_name = ?`;
+    return await this.get(sql, [deviceId, serverName, toolName]);
+  }
+
+  async getMCPToolDecisions(deviceId) {
+    const sql = `SELECT * FROM mcp_tool_decisions WHERE device_id = ? ORDER BY server_name, tool_name`;
+    return await this.all(sql, [deviceId]);
+  }
+
+  async deleteMCPToolDecision(deviceId, serverName, toolName) {
+    const sql = `DELETE FROM mcp_tool_decisions WHERE device_id = ? AND server_name = ? AND tool_name = ?`;
+    return await this.run(sql, [deviceId, serverName, toolName]);
+  }
+
   // MCP Sessions management
   async createMCPSession(deviceId, serverName, sessionId) {
     const sql = `
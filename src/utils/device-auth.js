@@ -0,0 +1,280 @@
+// Device authentication shared by the route modules
+// A request is authorized by an API key with the needed scope. Until a device
+// has its first API key, the legacy credentials still work: its PIN (or no
+// credential at all when the PIN is disabled) grants every scope, which is
+// how the first key is issued. Once a key exists the PIN is no longer accepted.
+// Wrong PINs count towards per-device and per-IP lockouts (see AuthThrottle).
+// Failed attempts and lockouts are written to the audit log.
+// Control panel session tokens carry the scopes of the credentials they were
+// issued for (see session-tokens.js).
+
+const { API_KEY_SCOPES, hashApiKey, isApiKey, keyHasScope, isKeyExpired } = require('./api-keys');
+const { AuthThrottle } = require('./auth-throttle');
+const { verifySecret } = require('./secret-hash');
+const { getSessionSecret, isSessionToken, verifyAccessToken } = require('./session-tokens');
+const { getRequestClient, recordAuditEvent } = require('./audit-log');
+
+function getBearerToken(authHeader) {
+  return authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
+}
+
+// What kind of credential a bearer token is, for the audit log
+function credentialType(token) {
+  if (!token) return 'none';
+  if (isSessionToken(token)) return 'session';
+  if (isApiKey(token)) return 'api_key';
+  return 'pin';
+}
+
+// Error type for an authentication failure status
+function authErrorType(status) {
+  if (status === 403) return 'permission_denied';
+  if (status === 429) return 'too_many_attempts';
+  return 'authentication_failed';
+}
+
+function createDeviceAuth(deviceIdManager, {
+  connectedR1s = new Map(),
+  throttle = new AuthThrottle(),
+  database = deviceIdManager.database,
+  sessionSecret = getSessionSecret()
+} = {}) {
+  // Tell the device and write an audit event when a lockout starts
+  function reportLockout(deviceId, client, lockout) {
+    const durationSeconds = Math.round(lockout.durationMs / 1000);
+    console.log(`🔒 PIN lockout by ${lockout.target} for ${durationSeconds}s after ${lockout.failures} failed attempts`);
+
+    const socket = connectedR1s.get(deviceId);
+    if (socket) {
+      socket.emit('auth_lockout', {
+        target: lockout.target,
+        failedAttempts: lockout.failures,
+        durationSeconds,
+        lockedUntil: new Date(lockout.lockedUntil).toISOString(),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    recordAuditEvent(database, {
+      deviceId,
+      action: 'auth.lockout',
+      outcome: 'failure',
+      client,
+      details: { target: lockout.target, failed_attempts: lockout.failures, duration_seconds: durationSeconds }
+    });
+
+    if (database) {
+      database.saveSystemEvent('auth_lockout', deviceId, {
+        target: lockout.target,
+        ip: client.ip,
+        failed_attempts: lockout.failures,
+        lockouts: lockout.lockouts,
+        duration_seconds: durationSeconds,
+        locked_until: new Date(lockout.lockedUntil).toISOString()
+      }).catch(error => console.warn('Failed to save lockout event:', error.message));
+    }
+  }
+
+  // Check a PIN against the device's hashed PIN, refusing while the device or IP
+  // is locked out. Returns { ok: true } or { ok: false, error, status, retryAfter? }
+  async function verifyPin(deviceId, deviceInfo, pin, client = {}) {
+    const { ip = null } = client;
+    const lock = throttle.check(deviceId, ip);
+    if (lock.locked) {
+      const retryAfter = Math.ceil(lock.retryAfterMs / 1000);
+      return { ok: false, error: `Too many failed PIN attempts. Try again in ${retryAfter} seconds`, status: 429, retryAfter };
+    }
+
+    // Counted from before the hash is checked, so parallel guesses see each other
+    throttle.begin(deviceId, ip);
+    let valid;
+    try {
+      valid = await verifySecret(pin, deviceInfo.pin_code);
+    } finally {
+      throttle.end(deviceId, ip);
+    }
+
+    if (!valid) {
+      throttle.recordFailure(deviceId, ip).forEach(lockout => reportLockout(deviceId, client, lockout));
+      return { ok: false, error: 'Invalid PIN code', status: 401 };
+    }
+
+    throttle.recordSuccess(deviceId, ip);
+    return { ok: true };
+  }
+
+  async function hasActiveApiKeys(deviceId) {
+    if (!database) return false;
+    return (await database.countActiveApiKeys(deviceId)) > 0;
+  }
+
+  // Returns { authenticated, method, scopes } or { authenticated: false, error, status, retryAfter? }.
+  // A null scope accepts any valid credential. `client` is { ip, userAgent } (see getRequestClient).
+  async function authenticateDevice(deviceId, authHeader, scope = 'chat', client = {}) {
+    // Check if device exists and get PIN status. Failures for unknown devices
+    // are not audited: anyone can make up device IDs to fill the log.
+    const deviceInfo = await deviceIdManager.getDeviceInfoFromDB(deviceId);
+    if (!deviceInfo) {
+      return { authenticated: false, error: 'Device not found', status: 401 };
+    }
+
+    const token = getBearerToken(authHeader);
+    const result = await checkCredentials(deviceId, deviceInfo, token, scope, client);
+    // Attempts refused during a lockout are not recorded one by one; the
+    // auth.lockout event already covers them
+    if (!result.authenticated && result.status !== 429) {
+      await recordAuditEvent(database, {
+        deviceId,
+        action: 'auth.failed',
+        outcome: 'failure',
+        client,
+        details: { credential: credentialType(token), scope, status: result.status, reason: result.error }
+      });
+    }
+    return result;
+  }
+
+  async function checkCredentials(deviceId, deviceInfo, token, scope, client) {
+
+    if (isSessionToken(token)) {
+      const claims = verifyAccessToken(sessionSecret, token);
+      if (!claims || claims.deviceId !== deviceId) {
+        return { authenticated: false, error: 'Invalid or expired session token', status: 401 };
+      }
+
+      const session = database ? await database.getAuthSession(claims.sessionId) : null;
+      if (!session || session.revoked_at) {
+        return { authenticated: false, error: 'Session has been logged out', status: 401 };
+      }
+
+      const scopes = session.scopes.split(',');
+      if (scope && !keyHasScope(scopes, scope)) {
+        return { authenticated: false, error: `Session does not have the ${scope} scope`, status: 403 };
+      }
+
+      return { authenticated: true, method: 'session', sessionId: session.id, scopes };
+    }
+
+    if (isApiKey(token)) {
+      const key = database ? await database.getApiKeyByHash(hashApiKey(token)) : null;
+      if (!key || key.device_id !== deviceId || key.revoked_at) {
+        return { authenticated: false, error: 'Invalid API key', status: 401 };
+      }
+      if (isKeyExpired(key)) {
+        return { authenticated: false, error: 'API key has expired', status: 401 };
+      }
+
+      const scopes = key.scopes.split(',');
+      if (scope && !keyHasScope(scopes, scope)) {
+        return { authenticated: false, error: `API key does not have the ${scope} scope`, status: 403 };
+      }
+
+      database.touchApiKey(key.id).catch(error => console.warn('Failed to update API key last use:', error.message));
+      return { authenticated: true, method: 'api_key', keyId: key.id, scopes };
+    }
+
+    if (await hasActiveApiKeys(deviceId)) {
+      return { authenticated: false, error: 'API key required. Use Authorization: Bearer <api-key>', status: 401 };
+    }
+
+    // If PIN is disabled (null or empty), allow access without authentication
+    if (!deviceInfo.pin_code) {
+      return { authenticated: true, method: 'none', scopes: API_KEY_SCOPES };
+    }
+
+    // PIN is enabled, require authentication
+    if (!token) {
+      return { authenticated: false, error: 'PIN code required. Use Authorization: Bearer <pin-code>', status: 401 };
+    }
+
+    const pinCheck = await verifyPin(deviceId, deviceInfo, token, client);
+    if (!pinCheck.ok) {
+      return { authenticated: false, error: pinCheck.error, status: pinCheck.status, retryAfter: pinCheck.retryAfter };
+    }
+
+    return { authenticated: true, method: 'pin', scopes: API_KEY_SCOPES };
+  }
+
+  function sendAuthError(res, authResult) {
+    const status = authResult.status || 401;
+    if (authResult.retryAfter) {
+      res.setHeader('Retry-After', String(authResult.retryAfter));
+    }
+    res.status(status).json({
+      error: {
+        message: authResult.error,
+        type: authErrorType(status)
+      }
+    });
+  }
+
+  // Express middleware that requires `scope` for the device the request targets.
+  // `getDeviceId` may be async; a null device ID is answered with 400.
+  function requireScope(scope, getDeviceId = req => req.params.deviceId) {
+    return async (req, res, next) => {
+      try {
+        const deviceId = await getDeviceId(req);
+        if (!deviceId) {
+          return res.status(400).json({ error: { message: 'deviceId is required', type: 'validation_error' } });
+        }
+
+        const authResult = await authenticateDevice(deviceId, req.headers.authorization, scope, getRequestClient(req));
+        if (!authResult.authenticated) {
+          return sendAuthError(res, authResult);
+        }
+
+        req.auth = { deviceId, ...authResult };
+        next();
+      } catch (error) {
+        console.error('Error authenticating request:', error);
+        res.status(500).json({ error: { message: 'Internal server error', type: 'server_error' } });
+      }
+    };
+  }
+
+  // For the PIN management routes, which check the PIN themselves: once the
+  // device has an API key they also need an admin key
+  async function requireAdminKeyIfIssued(req, res, next) {
+    const { deviceId } = req.params;
+    try {
+      if (!(await hasActiveApiKeys(deviceId))) {
+        return next();
+      }
+
+      const authResult = await authenticateDevice(deviceId, req.headers.authorization, 'admin', getRequestClient(req));
+      if (!authResult.authenticated) {
+        return sendAuthError(res, authResult);
+      }
+
+      req.auth = { deviceId, ...authResult };
+      next();
+    } catch (error) {
+      console.error('Error authenticating request:', error);
+      res.status(500).json({ error: { message: 'Internal server error', type: 'server_error' } });
+    }
+  }
+
+  return { authenticateDevice, verifyPin, requireScope, requireAdminKeyIfIssued, sendAuthError, throttle };
+}
+
+// Express middleware for data a device posts about itself (debug ingest): the
+// request must carry the ID of the socket the device is connected with in
+// X-Device-Socket. Only the device knows it, so nobody else can post as it.
+function requireDeviceSocket(connectedR1s, getDeviceId = req => req.body?.deviceId) {
+  return (req, res, next) => {
+    const deviceId = getDeviceId(req);
+    if (!deviceId) {
+      return res.status(400).json({ error: { message: 'deviceId is required', type: 'validation_error' } });
+    }
+
+    const socket = connectedR1s.get(deviceId);
+    const socketId = req.get('x-device-socket');
+    if (!socket || !socketId || socket.id !== socketId) {
+      return res.status(403).json({ error: { message: 'Only the connected device can post its own data', type: 'permission_denied' } });
+    }
+
+    next();
+  };
+}
+
+module.exports = { createDeviceAuth, requireDeviceSocket, getBearerToken, authErrorType };
@@ -1,6 +1,9 @@
 // Device ID management utility
 // Generates short, memorable device IDs for R1 devices
 
+const crypto = require('crypto');
+const { recordAuditEvent } = require('./audit-log');
+
 const adjectives = [
   'red', 'blue', 'green', 'yellow', 'purple', 'orange', 'pink', 'gray',
   'quick', 'slow', 'fast', 'lazy', 'brave', 'calm', 'wild', 'cool',
@@ -64,18 +67,12 @@ class DeviceIdManager {
 
   // Generate a 6-digit PIN code
   generatePinCode() {
-    return Math.floor(100000 + Math.random() * 900000).toString();
+    return crypto.randomInt(100000, 1000000).toString();
   }
 
   // Generate a secure device secret for cookie-based identification
   generateDeviceSecret() {
-    // Generate a cryptographically secure random string
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-    let result = '';
-    for (let i = 0; i < 32; i++) {
-      result += chars.charAt(Math.floor(Math.random() * chars.length));
-    }
-    return result;
+    return crypto.randomBytes(24).toString('base64url');
   }
 
   // Get or create a persistent device ID using device secret from cookie
@@ -91,24 +88,31 @@ class DeviceIdManager {
         // Look for device with matching secret within last 365 days
         const cutoff = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000).toISOString();
 
-        const existingDevice = await this.database.get(
-          `SELECT * FROM devices WHERE device_secret = ? AND last_seen > ? ORDER BY last_seen DESC LIMIT 1`,
-          [deviceSecret, cutoff]
-        );
+        const existingDevice = await this.database.getDeviceBySecret(deviceSecret, cutoff);
 
         if (existingDevice) {
           // Check if this device is currently connected to prevent duplicates
           const isCurrentlyConnected = this.deviceIds.has(existingDevice.device_id);
 
+          const client = { ip: ipAddress, userAgent };
+
           if (!isCurrentlyConnected) {
             this.persistentIds.set(socketId, existingDevice.device_id);
             console.log(`[OK] Device reconnected via secret`);
+            await recordAuditEvent(this.database, { deviceId: existingDevice.device_id, action: 'device.reconnect', client });
             return { deviceId: existingDevice.device_id, isReconnection: true };
           } else {
             console.log(`[OK] Device ${existingDevice.device_id} with secret already connected, creating new ID for security`);
+            await recordAuditEvent(this.database, {
+              deviceId: existingDevice.device_id,
+              action: 'device.reconnect',
+              outcome: 'failure',
+              client,
+              details: { reason: 'Device secret used while the device is connected' }
+            });
           }
         } else {
-          console.log(`� No exicsting device found for secret: ${deviceSecret.substring(0, 8)}...`);
+          console.log(`🔍 No existing device found for secret`);
         }
 
       } catch (error) {
@@ -187,13 +191,13 @@ class DeviceIdManager {
     console.log(`📱 Updated deviceIds map for socket: ${socketId}`)
 
     // Check if device already exists in database and has a PIN
-    let pinCode = null;
+    let pinEnabled = false;
     if (this.database) {
       try {
         const existingDevice = await this.database.getDevice(deviceId);
         if (existingDevice) {
-          pinCode = existingDevice.pin_code;
-          console.log(`📌 Found existing device in database with PIN: ${pinCode ? 'set' : 'none'}`);
+          pinEnabled = Boolean(existingDevice.pin_code);
+          console.log(`📌 Found existing device in database with PIN: ${pinEnabled ? 'set' : 'none'}`);
         } else {
           console.log(`📌 Device not found in database, will create new entry`);
         }
@@ -202,9 +206,12 @@ class DeviceIdManager {
       }
     }
 
-    // Generate new PIN code only if enabled and no existing PIN
-    if (enablePin && !pinCode) {
+    // Generate new PIN code only if enabled and no existing PIN. Only a hash of
+    // the PIN is stored, so this is the only time the plaintext is known.
+    let pinCode = null;
+    if (enablePin && !pinEnabled) {
       pinCode = this.generatePinCode();
+      pinEnabled = true;
       console.log(`🔢 Generated new PIN for device`);
     }
 
@@ -219,6 +226,9 @@ class DeviceIdManager {
             `UPDATE devices SET socket_id = ?, last_seen = CURRENT_TIMESTAMP, user_agent = ?, ip_address = ? WHERE device_id = ?`,
             [socketId, userAgent, ipAddress, deviceId]
           );
+          if (pinCode) {
+            await this.database.updateDevicePin(deviceId, pinCode);
+          }
           console.log(`📱 Updated existing device`);
         } else {
           // Insert new device with device secret
@@ -231,16 +241,28 @@ class DeviceIdManager {
       }
     }
 
-    const pinMessage = pinCode ? `, PIN: ${pinCode}` : ', PIN disabled';
+    const pinMessage = pinEnabled ? ', PIN enabled' : ', PIN disabled';
     console.log(`📱 Device registered (socket: ${socketId}${pinMessage})`);
     return { 
       deviceId, 
       pinCode, 
+      pinEnabled,
       deviceSecret: newDeviceSecret, 
       isReconnection 
     };
   }
 
+  // Replace a device's PIN with a new random one and return it. Used when the
+  // device itself has lost its PIN, which the server cannot recover.
+  async resetDevicePin(deviceId) {
+    const pinCode = this.generatePinCode();
+    if (this.database) {
+      await this.database.updateDevicePin(deviceId, pinCode);
+    }
+    console.log(`🔢 Reset PIN for device`);
+    return pinCode;
+  }
+
   // Unregister a device (on disconnect)
   async unregisterDevice(socketId) {
     const deviceId = this.persistentIds.get(socketId);
@@ -293,10 +315,7 @@ class DeviceIdManager {
 
     try {
       const cutoff = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000).toISOString();
-      const existingDevice = await this.database.get(
-        `SELECT * FROM devices WHERE device_secret = ? AND last_seen > ? ORDER BY last_seen DESC LIMIT 1`,
-        [deviceSecret, cutoff]
-      );
+      const existingDevice = await this.database.getDeviceBySecret(deviceSecret, cutoff);
 
       if (existingDevice) {
         return {
@@ -0,0 +1,118 @@
+// Each R1 as an MCP server
+// MCP clients reach a device at /{deviceId}/mcp over Streamable HTTP (stateless:
+// a fresh server per POST). The tools run the device's socket commands through
+// the same handlers as the HTTP API, so each call has its own request ID, queue
+// slot and timeout. Only the tools the credential has the scope for are listed.
+
+const { z } = require('zod');
+const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
+const { keyHasScope } = require('./api-keys');
+const { version } = require('../../package.json');
+
+const DEVICE_MCP_TOOL_SCOPES = {
+  ask_r1: 'chat',
+  speak_text: 'tts',
+  capture_photo: 'camera',
+  camera_switch: 'camera'
+};
+
+function toolText(text, isError = false) {
+  return { content: [{ type: 'text', text }], ...(isError && { isError: true }) };
+}
+
+// A failed handler reply ({ statusCode, body }) as a tool error
+function outcomeError(outcome, fallback) {
+  const error = outcome.body?.error || outcome.body;
+  const message = typeof error === 'string' ? error : error?.message;
+  return toolText(`${message || fallback} (HTTP ${outcome.statusCode})`, true);
+}
+
+// `handlers` run one command on the device and resolve to the recorded reply
+// ({ statusCode, headers, body }, see createResultRecorder in async-jobs.js); `signal` aborts it
+// when the MCP client cancels the call.
+function createDeviceMCPServer(deviceId, scopes, handlers) {
+  const server = new McpServer({ name: `r1-${deviceId}`, version });
+  const allowed = name => keyHasScope(scopes, DEVICE_MCP_TOOL_SCOPES[name]);
+
+  if (allowed('ask_r1')) {
+    server.registerTool('ask_r1', {
+      title: 'Ask the R1',
+      description: 'Send a prompt to the Rabbit R1 assistant and return its answer',
+      inputSchema: {
+        prompt: z.string().min(1).describe('What to ask the R1'),
+        system: z.string().optional().describe('Optional system instructions')
+      }
+    }, async (args, { signal }) => {
+      const outcome = await handlers.askR1(args, signal);
+      if (outcome.statusCode >= 400) {
+        return outcomeError(outcome, 'The R1 did not answer');
+      }
+      return toolText(outcome.body.choices?.[0]?.message?.content ?? '');
+    });
+  }
+
+  if (allowed('speak_text')) {
+    server.registerTool('speak_text', {
+      title: 'Speak on the R1',
+      description: 'Speak text aloud on the Rabbit R1 and return the audio',
+      inputSchema: {
+        text: z.string().min(1).describe('Text to speak'),
+        voice: z.string().optional().describe('Voice name, for example alloy or nova')
+      }
+    }, async (args, { signal }) => {
+      const outcome = await handlers.speakText(args, signal);
+      if (outcome.statusCode >= 400) {
+        return outcomeError(outcome, 'The R1 could not speak the text');
+      }
+
+      const content = [{ type: 'text', text: 'Spoken on the R1' }];
+      if (Buffer.isBuffer(outcome.body) && outcome.body.length > 0) {
+        content.push({ type: 'audio', data: outcome.body.toString('base64'), mimeType: outcome.headers['content-type'] || 'audio/mpeg' });
+      }
+      return { content };
+    });
+  }
+
+  if (allowed('capture_photo')) {
+    server.registerTool('capture_photo', {
+      title: 'Take a photo',
+      description: 'Take a photo with the Rabbit R1 camera',
+      inputSchema: {
+        width: z.number().int().positive().max(1920).optional().describe('Photo width in pixels (default 240)'),
+        height: z.number().int().positive().max(1920).optional().describe('Photo height in pixels (default 282)')
+      }
+    }, async (args, { signal }) => {
+      const outcome = await handlers.capturePhoto(args, signal);
+      if (outcome.statusCode >= 400) {
+        return outcomeError(outcome, 'The R1 did not take a photo');
+      }
+      return { content: [{ type: 'image', data: outcome.body.image, mimeType: outcome.body.mime_type }] };
+    });
+  }
+
+  if (allowed('camera_switch')) {
+    server.registerTool('camera_switch', {
+      title: 'Switch camera',
+      description: 'Switch the Rabbit R1 between its front and back camera'
+    }, async () => {
+      const outcome = await handlers.switchCamera();
+      if (outcome.statusCode >= 400) {
+        return outcomeError(outcome, 'The camera could not be switched');
+      }
+      return toolText('Camera switched');
+    });
+  }
+
+  return server;
+}
+
+// Split a data URL (or bare base64) from the device into { image, mime_type }
+function parsePhotoData(imageData, mimeType) {
+  const match = /^data:([^;,]+);base64,(.*)$/s.exec(imageData);
+  if (match) {
+    return { image: match[2], mime_type: match[1] };
+  }
+  return { image: imageData, mime_type: mimeType || 'image/jpeg' };
+}
+
+module.exports = { DEVICE_MCP_TOOL_SCOPES, createDeviceMCPServer, parsePhotoData };
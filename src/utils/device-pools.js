@@ -0,0 +1,103 @@
+// Named pools of R1 devices that share chat traffic
+// Pools and their members are stored in SQLite; DevicePoolRouter picks the
+// member that should handle the next request.
+
+const crypto = require('crypto');
+
+const POOL_STRATEGIES = ['least_pending', 'round_robin'];
+const POOL_NAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_-]{0,62}$/;
+
+// Validate a pool name; returns an error message or null
+function validatePoolName(name) {
+  if (typeof name !== 'string' || !POOL_NAME_PATTERN.test(name)) {
+    return 'Pool name must be 1-63 letters, digits, "-" or "_" and start with a letter or digit';
+  }
+  return null;
+}
+
+// Validate a routing strategy; returns an error message or null
+function validatePoolStrategy(strategy) {
+  if (!POOL_STRATEGIES.includes(strategy)) {
+    return `strategy must be one of: ${POOL_STRATEGIES.join(', ')}`;
+  }
+  return null;
+}
+
+// Pool keys are only shown once; the database keeps a SHA-256 hash
+function generatePoolKey() {
+  return `pool_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function hashPoolKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function verifyPoolKey(key, keyHash) {
+  if (typeof key !== 'string' || typeof keyHash !== 'string') {
+    return false;
+  }
+  const provided = Buffer.from(hashPoolKey(key), 'hex');
+  const expected = Buffer.from(keyHash, 'hex');
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+class DevicePoolRouter {
+  constructor(connectedR1s, requestQueue) {
+    this.connectedR1s = connectedR1s;
+    this.requestQueue = requestQueue;
+    // Round-robin position per pool
+    this.cursors = new Map();
+  }
+
+  // Pending text requests (running + queued) for a device
+  getPending(deviceId) {
+    return this.requestQueue.getPending(deviceId, 'text');
+  }
+
+  // Pick the member for the next request, skipping disconnected devices and
+  // the ones in `exclude`. Idle members are preferred; when every member is
+  // busy the one with the fewest pending requests is used. Returns null when
+  // no member is connected.
+  select(poolName, members, strategy = 'least_pending', exclude = new Set()) {
+    const candidates = members.filter(deviceId => !exclude.has(deviceId) && this.connectedR1s.has(deviceId));
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    if (strategy === 'round_robin') {
+      const idle = candidates.filter(deviceId => this.getPending(deviceId) === 0);
+      if (idle.length > 0) {
+        const cursor = this.cursors.get(poolName) || 0;
+        // Walk the full member list so the rotation is stable while members come and go
+        for (let offset = 0; offset < members.length; offset++) {
+          const deviceId = members[(cursor + offset) % members.length];
+          if (idle.includes(deviceId)) {
+            this.cursors.set(poolName, (cursor + offset + 1) % members.length);
+            return deviceId;
+          }
+        }
+      }
+    }
+
+    return candidates.reduce((best, deviceId) => (this.getPending(deviceId) < this.getPending(best) ? deviceId : best));
+  }
+
+  // Connection and load of each member, for the pool info endpoint
+  describeMembers(members) {
+    return members.map(deviceId => ({
+      device_id: deviceId,
+      connected: this.connectedR1s.has(deviceId),
+      pending_requests: this.getPending(deviceId)
+    }));
+  }
+}
+
+module.exports = {
+  POOL_STRATEGIES,
+  validatePoolName,
+  validatePoolStrategy,
+  generatePoolKey,
+  hashPoolKey,
+  verifyPoolKey,
+  DevicePoolRouter
+};
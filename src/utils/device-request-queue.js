@@ -0,0 +1,168 @@
+// Per-device request queue
+// An R1 can only work on one request of each kind at a time, so further
+// requests wait in a bounded FIFO queue instead of being rejected.
+// Interactive requests are always served before batch requests.
+
+const PRIORITIES = ['interactive', 'batch'];
+
+class DeviceRequestQueue {
+  constructor(options = {}) {
+    this.maxDepth = options.maxDepth ?? parseInt(process.env.DEVICE_QUEUE_MAX_DEPTH || '10', 10);
+    this.maxWaitMs = options.maxWaitMs ?? parseInt(process.env.DEVICE_QUEUE_MAX_WAIT_MS || '60000', 10);
+    this.queues = new Map(); // "deviceId:channel" -> { active, interactive: [], batch: [] }
+  }
+
+  // Normalize a client supplied priority (header or body) to a lane name
+  static resolvePriority(value) {
+    const priority = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    return PRIORITIES.includes(priority) ? priority : 'interactive';
+  }
+
+  getQueue(deviceId, channel) {
+    const key = `${deviceId}:${channel}`;
+    if (!this.queues.has(key)) {
+      this.queues.set(key, { deviceId, active: null, interactive: [], batch: [] });
+    }
+    return this.queues.get(key);
+  }
+
+  // Ask for the device slot on a channel ('text', 'tts').
+  // Returns null when the queue is full, otherwise a ticket
+  // { position, ready, release } where `position` is the number of requests
+  // ahead of this one and `ready` resolves once the slot is granted.
+  // `ready` rejects with error.code QUEUE_TIMEOUT or CANCELLED.
+  // The slot is released when `res` closes or `release()` is called.
+  enqueue(deviceId, channel, { priority = 'interactive', res = null, requestId = null } = {}) {
+    const queue = this.getQueue(deviceId, channel);
+    const lane = DeviceRequestQueue.resolvePriority(priority);
+
+    const entry = { lane, requestId, released: false, timer: null };
+    entry.ready = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+    // Avoid unhandled rejections when the caller stops listening (client gone)
+    entry.ready.catch(() => {});
+
+    const ticket = {
+      position: 0,
+      ready: entry.ready,
+      release: () => this.release(queue, entry)
+    };
+
+    if (!queue.active) {
+      queue.active = entry;
+      entry.resolve();
+    } else {
+      if (queue.interactive.length + queue.batch.length >= this.maxDepth) {
+        return null;
+      }
+
+      queue[lane].push(entry);
+      ticket.position = lane === 'interactive'
+        ? queue.interactive.length
+        : queue.interactive.length + queue.batch.length;
+
+      entry.timer = setTimeout(() => {
+        this.removeQueued(queue, entry);
+        const error = new Error(`Request waited more than ${this.maxWaitMs / 1000} seconds in the device queue`);
+        error.code = 'QUEUE_TIMEOUT';
+        entry.reject(error);
+      }, this.maxWaitMs);
+    }
+
+    if (res && typeof res.on === 'function') {
+      res.on('close', ticket.release);
+      res.on('finish', ticket.release);
+    }
+
+    return ticket;
+  }
+
+  removeQueued(queue, entry) {
+    const lane = queue[entry.lane];
+    const index = lane.indexOf(entry);
+    if (index !== -1) {
+      lane.splice(index, 1);
+    }
+  }
+
+  release(queue, entry) {
+    if (entry.released) return;
+    entry.released = true;
+    clearTimeout(entry.timer);
+
+    if (queue.active !== entry) {
+      // Still waiting (e.g. the client disconnected) - just leave the queue
+      this.removeQueued(queue, entry);
+      const error = new Error('Request was cancelled while queued');
+      error.code = 'CANCELLED';
+      entry.reject(error);
+      return;
+    }
+
+    const next = queue.interactive.shift() || queue.batch.shift() || null;
+    queue.active = next;
+    if (next) {
+      clearTimeout(next.timer);
+      next.resolve();
+    }
+  }
+
+  // Cancel a request that is still waiting for a device; returns true if found
+  cancel(deviceId, requestId) {
+    for (const queue of this.queues.values()) {
+      if (queue.deviceId !== deviceId) continue;
+
+      const entry = [...queue.interactive, ...queue.batch].find(queued => queued.requestId === requestId);
+      if (entry) {
+        this.release(queue, entry);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Number of requests waiting for a device (all channels)
+  getDepth(deviceId) {
+    let depth = 0;
+    for (const queue of this.queues.values()) {
+      if (queue.deviceId === deviceId) {
+        depth += queue.interactive.length + queue.batch.length;
+      }
+    }
+    return depth;
+  }
+
+  // Requests running or waiting on one channel of a device
+  getPending(deviceId, channel) {
+    const queue = this.queues.get(`${deviceId}:${channel}`);
+    if (!queue) {
+      return 0;
+    }
+    return (queue.active ? 1 : 0) + queue.interactive.length + queue.batch.length;
+  }
+
+  // Aggregate numbers for /health (no device IDs)
+  getStats() {
+    const stats = { active: 0, queued: 0, interactive: 0, batch: 0, maxDeviceDepth: 0 };
+    const depthByDevice = new Map();
+
+    for (const queue of this.queues.values()) {
+      const depth = queue.interactive.length + queue.batch.length;
+      if (queue.active) stats.active++;
+      stats.queued += depth;
+      stats.interactive += queue.interactive.length;
+      stats.batch += queue.batch.length;
+      depthByDevice.set(queue.deviceId, (depthByDevice.get(queue.deviceId) || 0) + depth);
+    }
+
+    for (const depth of depthByDevice.values()) {
+      stats.maxDeviceDepth = Math.max(stats.maxDeviceDepth, depth);
+    }
+
+    return { ...stats, maxDepth: this.maxDepth, maxWaitMs: this.maxWaitMs };
+  }
+}
+
+module.exports = { DeviceRequestQueue };
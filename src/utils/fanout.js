@@ -0,0 +1,147 @@
+// Fan-out of one command to many devices
+// Each device's reply is captured by a recorder that stands in for the HTTP
+// response (see createResultRecorder in async-jobs.js), so chat and TTS
+// commands run through their normal handlers (auth, queueing, cancellation)
+// and the results are gathered afterwards.
+
+const FANOUT_COMMANDS = [
+  'chat_completion',
+  'text_to_speech',
+  'magic_cam_start',
+  'magic_cam_stop',
+  'magic_cam_capture',
+  'magic_cam_switch'
+];
+const MAX_FANOUT_DEVICES = parseInt(process.env.MAX_FANOUT_DEVICES || '50', 10);
+const MAX_DEVICE_TAGS = 20;
+const TAG_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_.-]{0,31}$/;
+
+// Validate a list of device tags; returns an error message or null
+function validateTags(tags) {
+  if (!Array.isArray(tags) || tags.length > MAX_DEVICE_TAGS) {
+    return `tags must be an array of at most ${MAX_DEVICE_TAGS} tags`;
+  }
+  if (!tags.every(tag => typeof tag === 'string' && TAG_PATTERN.test(tag))) {
+    return 'Tags must be 1-32 letters, digits, ".", "-" or "_" and start with a letter or digit';
+  }
+  return null;
+}
+
+// Validate a fan-out request body; returns { message, param } or null
+function validateFanoutRequest(body) {
+  const { command, devices, tag, params, pins } = body || {};
+
+  if (!FANOUT_COMMANDS.includes(command)) {
+    return { message: `command must be one of: ${FANOUT_COMMANDS.join(', ')}`, param: 'command' };
+  }
+
+  if ((devices === undefined) === (tag === undefined)) {
+    return { message: 'Send either devices or tag', param: 'devices' };
+  }
+  if (devices !== undefined) {
+    if (!Array.isArray(devices) || devices.length === 0 || !devices.every(deviceId => typeof deviceId === 'string' && deviceId.length > 0)) {
+      return { message: 'devices must be a non-empty array of device IDs', param: 'devices' };
+    }
+    if (new Set(devices).size > MAX_FANOUT_DEVICES) {
+      return { message: `At most ${MAX_FANOUT_DEVICES} devices can be targeted at once`, param: 'devices' };
+    }
+  }
+  if (tag !== undefined && (typeof tag !== 'string' || !TAG_PATTERN.test(tag))) {
+    return { message: 'tag must be a valid device tag', param: 'tag' };
+  }
+
+  if (params !== undefined && (typeof params !== 'object' || params === null || Array.isArray(params))) {
+    return { message: 'params must be an object', param: 'params' };
+  }
+  if (pins !== undefined && (typeof pins !== 'object' || pins === null || Array.isArray(pins))) {
+    return { message: 'pins must be an object mapping device IDs to PINs', param: 'pins' };
+  }
+
+  if (command === 'chat_completion') {
+    if (!Array.isArray(params?.messages) || params.messages.length === 0) {
+      return { message: 'params.messages is required for chat_completion', param: 'params.messages' };
+    }
+    if (params.stream === true) {
+      return { message: 'Fan-out chat completions cannot stream tokens; use stream: true on the fan-out request to stream per-device results', param: 'params.stream' };
+    }
+  }
+  if (command === 'text_to_speech' && !params?.input) {
+    return { message: 'params.input is required for text_to_speech', param: 'params.input' };
+  }
+
+  return null;
+}
+
+// Socket payload for a magic-cam command, with the same defaults as the magic-cam routes
+function buildMagicCamPayload(command, params = {}) {
+  if (command === 'magic_cam_start') {
+    return { facingMode: params.facingMode || 'user' };
+  }
+  if (command === 'magic_cam_capture') {
+    return { width: params.width || 240, height: params.height || 282 };
+  }
+  return {};
+}
+
+// Render a recorded reply as a per-device fan-out result. Failed results leave
+// the device ID out, so a fan-out does not confirm devices the caller could not use.
+function formatFanoutResult(deviceId, outcome, durationMs) {
+  const result = { device_id: deviceId, duration_ms: durationMs };
+
+  if (!outcome) {
+    return {
+      ...result,
+      status: 'timeout',
+      error: { message: 'Device did not answer before the fan-out deadline', type: 'timeout' }
+    };
+  }
+
+  const { statusCode, headers, body } = outcome;
+  result.http_status = statusCode;
+
+  if (statusCode >= 400) {
+    const error = body?.error || body;
+    const timedOut = statusCode === 504;
+    if (!timedOut) {
+      delete result.device_id;
+    }
+    return {
+      ...result,
+      status: timedOut ? 'timeout' : 'error',
+      error: typeof error === 'string' ? { message: error, type: 'error' } : error,
+      // A locked-out device says when to try again
+      ...(headers['retry-after'] && { retry_after: Number(headers['retry-after']) })
+    };
+  }
+
+  // TTS replies are binary audio
+  if (Buffer.isBuffer(body)) {
+    return {
+      ...result,
+      status: 'ok',
+      result: { content_type: headers['content-type'] || null, audio: body.toString('base64') }
+    };
+  }
+
+  return { ...result, status: 'ok', result: body };
+}
+
+// Counts of each result status for the fan-out summary
+function summarizeFanoutResults(results) {
+  return {
+    total: results.length,
+    succeeded: results.filter(result => result.status === 'ok').length,
+    failed: results.filter(result => result.status === 'error').length,
+    timed_out: results.filter(result => result.status === 'timeout').length
+  };
+}
+
+module.exports = {
+  FANOUT_COMMANDS,
+  MAX_FANOUT_DEVICES,
+  validateTags,
+  validateFanoutRequest,
+  buildMagicCamPayload,
+  formatFanoutResult,
+  summarizeFanoutResults
+};
@@ -0,0 +1,22 @@
+// JSON replies from the device LLM
+// Models often wrap JSON in a markdown code block (```json ... ```); the fence
+// is removed before parsing.
+
+// The reply text without a surrounding code fence
+function stripCodeFence(text) {
+  const cleanText = (text || '').trim();
+  if (cleanText.startsWith('```json') && cleanText.endsWith('```')) {
+    return cleanText.slice(7, -3).trim();
+  }
+  if (cleanText.startsWith('```') && cleanText.endsWith('```')) {
+    return cleanText.slice(3, -3).trim();
+  }
+  return cleanText;
+}
+
+// Parse a device reply as JSON; throws like JSON.parse when it is not JSON
+function parseJSONReply(text) {
+  return JSON.parse(stripCodeFence(text));
+}
+
+module.exports = { stripCodeFence, parseJSONReply };
@@ -0,0 +1,126 @@
+// Human approval of MCP tool calls made during a chat completion
+// Tools on a server's auto-approve list run straight away. For any other tool
+// the call waits until someone approves or denies it (control panel or R1
+// screen) or `timeoutMs` passes. A decision can be remembered for the tool,
+// which answers later calls without asking (mcp_tool_decisions).
+
+const crypto = require('crypto');
+
+class MCPApprovals {
+  constructor(database, options = {}) {
+    this.database = database;
+    this.timeoutMs = options.timeoutMs ?? parseInt(process.env.MCP_APPROVAL_TIMEOUT_MS || '30000', 10);
+    this.log = options.log || (async () => {});
+    this.pending = new Map(); // approvalId -> { id, deviceId, requestId, server, tool, arguments, createdAt, expiresAt, resolve, timer }
+  }
+
+  // Resolves to { approved, reason, approvalId? }; reason is auto_approved,
+  // remembered, approved, denied, timeout or cancelled. `onRequest` is told about a new
+  // approval so it can be shown on the device.
+  async authorize(deviceId, requestId, call, { autoApprove = false, onRequest = null } = {}) {
+    if (autoApprove) {
+      return { approved: true, reason: 'auto_approved' };
+    }
+
+    const remembered = await this.database.getMCPToolDecision(deviceId, call.server, call.tool);
+    if (remembered) {
+      return { approved: remembered.decision === 'allow', reason: 'remembered' };
+    }
+
+    const now = Date.now();
+    const approval = {
+      id: `mcpa_${crypto.randomBytes(12).toString('hex')}`,
+      deviceId,
+      requestId,
+      server: call.server,
+      tool: call.tool,
+      arguments: call.arguments,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.timeoutMs).toISOString()
+    };
+
+    const result = new Promise(resolve => {
+      approval.resolve = resolve;
+    });
+    approval.timer = setTimeout(() => {
+      this.settle(approval, false, 'timeout', 'timeout');
+    }, this.timeoutMs);
+    this.pending.set(approval.id, approval);
+
+    await this.log(deviceId, call.server, 'info', `Approval requested for ${call.tool}`, {
+      approvalId: approval.id,
+      requestId,
+      tool: call.tool,
+      arguments: call.arguments
+    });
+    console.log(`✋ MCP tool ${call.server}.${call.tool} is waiting for approval`);
+
+    if (onRequest) {
+      onRequest(approval);
+    }
+
+    return result;
+  }
+
+  // Approve or deny a pending call of this device; returns the approval or null
+  async decide(deviceId, approvalId, approved, { remember = false, decidedBy = 'control_panel' } = {}) {
+    const approval = this.pending.get(approvalId);
+    if (!approval || approval.deviceId !== deviceId) {
+      return null;
+    }
+
+    if (remember) {
+      await this.database.saveMCPToolDecision(deviceId, approval.server, approval.tool, approved ? 'allow' : 'deny');
+    }
+
+    this.settle(approval, approved, approved ? 'approved' : 'denied', decidedBy, remember);
+    return approval;
+  }
+
+  settle(approval, approved, reason, decidedBy, remember = false) {
+    if (!this.pending.delete(approval.id)) return;
+    clearTimeout(approval.timer);
+
+    this.log(approval.deviceId, approval.server, approved ? 'info' : 'warn', `Tool ${approval.tool} ${reason === 'timeout' ? 'approval timed out' : reason}`, {
+      approvalId: approval.id,
+      requestId: approval.requestId,
+      tool: approval.tool,
+      decision: reason,
+      decidedBy,
+      remember
+    });
+    console.log(`✋ MCP tool ${approval.server}.${approval.tool} ${reason}`);
+
+    approval.resolve({ approved, reason, approvalId: approval.id });
+  }
+
+  // Deny the calls still waiting for a chat completion that timed out or was
+  // cancelled, so they leave the approval list straight away
+  cancelRequest(requestId) {
+    for (const approval of [...this.pending.values()]) {
+      if (approval.requestId === requestId) {
+        this.settle(approval, false, 'cancelled', 'system');
+      }
+    }
+  }
+
+  list(deviceId) {
+    return [...this.pending.values()].filter(approval => approval.deviceId === deviceId);
+  }
+}
+
+// Render a pending approval for the API and the device
+function formatApproval(approval) {
+  return {
+    id: approval.id,
+    object: 'mcp_approval',
+    request_id: approval.requestId,
+    server: approval.server,
+    tool: approval.tool,
+    arguments: approval.arguments,
+    created_at: approval.createdAt,
+    expires_at: approval.expiresAt
+  };
+}
+
+module.exports = { MCPApprovals, formatApproval };
@@ -0,0 +1,332 @@
+// Per-device MCP (Model Context Protocol) client connections
+// Each device registers remote MCP servers (mcp_servers) reached over Streamable
+// HTTP. Connections are opened on first use and shared until the server is
+// changed, disabled or deleted, or the device disconnects. A server that cannot
+// be reached is not tried again until its backoff (doubling up to a limit) has
+// passed, so an unreachable server does not slow down every chat request.
+// Discovered tools are mirrored into mcp_tools, connections into mcp_sessions
+// and activity into mcp_logs.
+
+const crypto = require('crypto');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+const { version } = require('../../package.json');
+const { MCPApprovals } = require('./mcp-approvals');
+
+const MCP_SERVER_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_DESCRIPTION_LENGTH = 256;
+
+function mcpError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function parseJSON(text, fallback) {
+  try {
+    return text ? JSON.parse(text) : fallback;
+  } catch (error) {
+    return fallback;
+  }
+}
+
+function getServerConfig(row) {
+  return parseJSON(row.config, {});
+}
+
+function getAutoApprove(row) {
+  return parseJSON(row.auto_approve, []);
+}
+
+// Validate a POST /{deviceId}/mcp/servers body; returns { message, param } or null
+function validateMCPServerRequest(body) {
+  const { serverName, config } = body || {};
+
+  if (typeof serverName !== 'string' || !MCP_SERVER_NAME_PATTERN.test(serverName)) {
+    return { message: 'serverName must be 1-64 letters, digits, hyphens or underscores', param: 'serverName' };
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return { message: 'config must be an object', param: 'config' };
+  }
+
+  let url;
+  try {
+    url = new URL(config.url);
+  } catch (error) {
+    url = null;
+  }
+  if (!url || !['http:', 'https:'].includes(url.protocol)) {
+    return { message: 'config.url must be an http(s) URL of a Streamable HTTP MCP server', param: 'config.url' };
+  }
+
+  const { autoApprove, headers, description } = config;
+  if (autoApprove !== undefined && (!Array.isArray(autoApprove) || !autoApprove.every(name => typeof name === 'string'))) {
+    return { message: 'config.autoApprove must be an array of tool names', param: 'config.autoApprove' };
+  }
+
+  if (headers !== undefined && (!headers || typeof headers !== 'object' || Array.isArray(headers) ||
+      !Object.values(headers).every(value => typeof value === 'string'))) {
+    return { message: 'config.headers must be an object of header strings', param: 'config.headers' };
+  }
+
+  if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+    return { message: `config.description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`, param: 'config.description' };
+  }
+
+  return null;
+}
+
+// Render an mcp_servers row for the API; header values (often credentials) are left out
+function formatMCPServer(row, connected = false) {
+  const config = getServerConfig(row);
+  return {
+    name: row.server_name,
+    description: row.description,
+    url: config.url || null,
+    headers: Object.keys(config.headers || {}),
+    enabled: Boolean(row.enabled),
+    auto_approve: getAutoApprove(row),
+    connected,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+class MCPManager {
+  constructor(database, options = {}) {
+    this.database = database;
+    this.requestTimeoutMs = options.requestTimeoutMs ?? parseInt(process.env.MCP_REQUEST_TIMEOUT_MS || '30000', 10);
+    this.retryBackoffMs = options.retryBackoffMs ?? parseInt(process.env.MCP_RETRY_BACKOFF_MS || '5000', 10);
+    this.maxRetryBackoffMs = options.maxRetryBackoffMs ?? parseInt(process.env.MCP_MAX_RETRY_BACKOFF_MS || '300000', 10);
+    this.connections = new Map(); // deviceId -> Map(serverName -> { promise, connection })
+    this.failures = new Map(); // `${deviceId}/${serverName}` -> { retryAt, backoffMs }
+    this.approvals = new MCPApprovals(database, {
+      timeoutMs: options.approvalTimeoutMs,
+      log: (...args) => this.log(...args)
+    });
+  }
+
+  isConnected(deviceId, serverName) {
+    return Boolean(this.connections.get(deviceId)?.get(serverName)?.connection);
+  }
+
+  // Connect on first use; concurrent callers share the same attempt.
+  // Resolves to { client, transport, sessionId, serverId, tools, toolIds }.
+  initializeServer(deviceId, serverName) {
+    const failureKey = `${deviceId}/${serverName}`;
+    const failure = this.failures.get(failureKey);
+    if (failure && Date.now() < failure.retryAt) {
+      const retryIn = Math.ceil((failure.retryAt - Date.now()) / 1000);
+      return Promise.reject(mcpError(`MCP server ${serverName} is unavailable, retrying in ${retryIn}s`, 'MCP_SERVER_UNAVAILABLE'));
+    }
+
+    let servers = this.connections.get(deviceId);
+    if (!servers) {
+      servers = new Map();
+      this.connections.set(deviceId, servers);
+    }
+
+    let entry = servers.get(serverName);
+    if (!entry) {
+      entry = { promise: null, connection: null };
+      entry.promise = this.connect(deviceId, serverName, entry)
+        .then(connection => {
+          entry.connection = connection;
+          this.failures.delete(failureKey);
+          return connection;
+        })
+        .catch(error => {
+          this.forget(deviceId, serverName, entry);
+          if (error.code === 'MCP_CONNECTION_FAILED') {
+            const backoffMs = failure ? Math.min(failure.backoffMs * 2, this.maxRetryBackoffMs) : this.retryBackoffMs;
+            this.failures.set(failureKey, { retryAt: Date.now() + backoffMs, backoffMs });
+          }
+          throw error;
+        });
+      servers.set(serverName, entry);
+    }
+    return entry.promise;
+  }
+
+  async connect(deviceId, serverName, entry) {
+    const row = await this.database.getMCPServer(deviceId, serverName);
+    if (!row) {
+      throw mcpError(`MCP server ${serverName} not found`, 'MCP_SERVER_NOT_FOUND');
+    }
+    if (!row.enabled) {
+      throw mcpError(`MCP server ${serverName} is disabled`, 'MCP_SERVER_DISABLED');
+    }
+
+    const config = getServerConfig(row);
+    const transport = new StreamableHTTPClientTransport(new URL(config.url), {
+      requestInit: { headers: config.headers || {} }
+    });
+    const client = new Client({ name: 'r-api', version });
+
+    let tools;
+    try {
+      await client.connect(transport, { timeout: this.requestTimeoutMs });
+      tools = await this.listRemoteTools(client);
+    } catch (error) {
+      await client.close().catch(() => {});
+      await this.log(deviceId, serverName, 'error', `Connection failed: ${error.message}`, { url: config.url });
+      throw mcpError(`Could not connect to MCP server ${serverName}: ${error.message}`, 'MCP_CONNECTION_FAILED');
+    }
+
+    // Drop the connection if the remote end goes away; the next call reconnects
+    client.onclose = () => this.forget(deviceId, serverName, entry);
+
+    // Stateless servers do not hand out a session ID
+    const sessionId = transport.sessionId || `local-${crypto.randomUUID()}`;
+    await this.database.createMCPSession(deviceId, serverName, sessionId);
+
+    const toolRows = await this.database.syncMCPTools(row.id, tools);
+    await this.log(deviceId, serverName, 'info', `Connected with ${tools.length} tool(s)`, { sessionId, protocolVersion: transport.protocolVersion });
+    console.log(`🔌 MCP server ${serverName} connected (${tools.length} tools)`);
+
+    return {
+      client,
+      transport,
+      sessionId,
+      serverId: row.id,
+      tools,
+      toolIds: new Map(toolRows.map(toolRow => [toolRow.tool_name, toolRow.id]))
+    };
+  }
+
+  async listRemoteTools(client) {
+    const tools = [];
+    let cursor;
+    do {
+      const page = await client.listTools(cursor ? { cursor } : undefined, { timeout: this.requestTimeoutMs });
+      tools.push(...page.tools);
+      cursor = page.nextCursor;
+    } while (cursor);
+    return tools;
+  }
+
+  forget(deviceId, serverName, entry) {
+    const servers = this.connections.get(deviceId);
+    if (servers && servers.get(serverName) === entry) {
+      servers.delete(serverName);
+      if (servers.size === 0) {
+        this.connections.delete(deviceId);
+      }
+    }
+  }
+
+  async getServerTools(deviceId, serverName) {
+    const connection = await this.initializeServer(deviceId, serverName);
+    return connection.tools;
+  }
+
+  // Tools of every enabled server of a device, connecting to the servers in
+  // parallel; servers that cannot be reached and tools with a remembered
+  // denial are skipped
+  async getDeviceTools(deviceId) {
+    const rows = await this.database.getMCPServers(deviceId);
+    const denied = new Set((await this.database.getMCPToolDecisions(deviceId))
+      .filter(decision => decision.decision === 'deny')
+      .map(decision => `${decision.server_name}/${decision.tool_name}`));
+
+    const serverTools = await Promise.all(rows.filter(server => server.enabled).map(async (row) => {
+      try {
+        const tools = await this.getServerTools(deviceId, row.server_name);
+        const autoApprove = getAutoApprove(row);
+        return tools
+          .filter(tool => !denied.has(`${row.server_name}/${tool.name}`))
+          .map(tool => ({ server: row.server_name, ...tool, autoApprove: autoApprove.includes(tool.name) }));
+      } catch (error) {
+        console.warn(`MCP server ${row.server_name} unavailable:`, error.message);
+        return [];
+      }
+    }));
+
+    return serverTools.flat();
+  }
+
+  // Call a tool; resolves to the MCP CallToolResult ({ content, isError, structuredContent })
+  async handleToolCall(deviceId, serverName, toolName, args = {}) {
+    const connection = await this.initializeServer(deviceId, serverName);
+    if (!connection.tools.some(tool => tool.name === toolName)) {
+      throw mcpError(`Tool ${toolName} not found on MCP server ${serverName}`, 'MCP_TOOL_NOT_FOUND');
+    }
+
+    const startedAt = Date.now();
+    let result;
+    try {
+      result = await connection.client.callTool({ name: toolName, arguments: args }, undefined, { timeout: this.requestTimeoutMs });
+    } catch (error) {
+      await this.log(deviceId, serverName, 'error', `Tool ${toolName} failed: ${error.message}`, { tool: toolName, durationMs: Date.now() - startedAt });
+      throw mcpError(`MCP tool ${toolName} failed: ${error.message}`, 'MCP_TOOL_FAILED');
+    }
+
+    const durationMs = Date.now() - startedAt;
+    await this.log(deviceId, serverName, result.isError ? 'warn' : 'info', `Called ${toolName}`, { tool: toolName, durationMs, isError: Boolean(result.isError) });
+
+    try {
+      await this.database.updateMCPSessionActivity(connection.sessionId);
+      if (connection.toolIds.has(toolName)) {
+        await this.database.updateMCPToolUsage(connection.toolIds.get(toolName));
+      }
+    } catch (error) {
+      console.warn('Failed to record MCP tool usage:', error.message);
+    }
+
+    return result;
+  }
+
+  async shutdownServer(deviceId, serverName) {
+    // A changed, disabled or deleted server starts over without a backoff
+    this.failures.delete(`${deviceId}/${serverName}`);
+
+    const entry = this.connections.get(deviceId)?.get(serverName);
+    if (!entry) return;
+    this.forget(deviceId, serverName, entry);
+
+    const connection = await entry.promise.catch(() => null);
+    if (!connection) return;
+
+    connection.client.onclose = undefined;
+    try {
+      await connection.transport.terminateSession();
+    } catch (error) {
+      // Servers may not support explicit termination (405); closing is enough
+    }
+    await connection.client.close().catch(() => {});
+
+    try {
+      await this.database.closeMCPSession(connection.sessionId);
+    } catch (error) {
+      console.warn('Failed to close MCP session record:', error.message);
+    }
+    await this.log(deviceId, serverName, 'info', 'Disconnected', { sessionId: connection.sessionId });
+  }
+
+  async shutdownDeviceServers(deviceId) {
+    const servers = this.connections.get(deviceId);
+    if (!servers) return;
+    await Promise.all([...servers.keys()].map(serverName => this.shutdownServer(deviceId, serverName)));
+  }
+
+  async shutdown() {
+    await Promise.all([...this.connections.keys()].map(deviceId => this.shutdownDeviceServers(deviceId)));
+  }
+
+  // Never throws: logging must not fail the MCP operation itself
+  async log(deviceId, serverName, level, message, metadata = null) {
+    try {
+      await this.database.saveMCPLog(deviceId, serverName, level, message, metadata);
+    } catch (error) {
+      console.warn('Failed to save MCP log:', error.message);
+    }
+  }
+}
+
+module.exports = {
+  MCPManager,
+  validateMCPServerRequest,
+  formatMCPServer,
+  getAutoApprove
+};
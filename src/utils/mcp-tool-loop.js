@@ -0,0 +1,146 @@
+// Server-side MCP tool loop for chat completions
+// The tools of a device's enabled MCP servers are described in the prompt. When
+// the device answers with an mcp_tool_call, the server runs the call and asks
+// the device again with the result appended, until the device gives a plain
+// answer or `maxSteps` calls have been made. The steps form the request's trace.
+
+const { parseJSONReply } = require('./json-reply');
+
+const MCP_MAX_STEPS = parseInt(process.env.MCP_MAX_STEPS || '5', 10);
+const MAX_RESULT_CHARS = 4000;
+
+// Build the prompt block that describes the device's MCP tools
+function buildMCPToolInstructions(tools) {
+  let instructions = '## MCP TOOLS\n\n';
+  for (const tool of tools) {
+    instructions += `- ${tool.server}.${tool.name}${tool.description ? `: ${tool.description}` : ''}\n`;
+    if (tool.inputSchema) {
+      instructions += `  Parameters (JSON Schema): ${JSON.stringify(tool.inputSchema)}\n`;
+    }
+  }
+
+  instructions += '\nTo call a tool, respond with ONLY a JSON object in this exact format and nothing else:\n';
+  instructions += '{"mcp_tool_call": {"server": "server_name", "tool": "tool_name", "arguments": {"param": "value"}}}\n';
+  instructions += '\nThe result will be sent back to you. If no tool is needed, answer the user normally in plain text.';
+
+  return instructions;
+}
+
+// Parse an mcp_tool_call out of a device reply; returns { server, tool, arguments } or null
+function parseMCPToolCall(text) {
+  if (typeof text !== 'string') {
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = parseJSONReply(text);
+  } catch (error) {
+    return null;
+  }
+
+  const call = parsed && parsed.mcp_tool_call;
+  if (!call || typeof call.server !== 'string' || typeof call.tool !== 'string') {
+    return null;
+  }
+
+  let args = call.arguments;
+  if (typeof args === 'string') {
+    try {
+      args = JSON.parse(args);
+    } catch (error) {
+      args = null;
+    }
+  }
+
+  return {
+    server: call.server,
+    tool: call.tool,
+    arguments: args && typeof args === 'object' && !Array.isArray(args) ? args : {}
+  };
+}
+
+// Text the device gets back for a CallToolResult
+function toolResultToText(result) {
+  const parts = (result.content || []).map(part => {
+    if (part.type === 'text') return part.text;
+    if (part.type === 'resource') return part.resource?.text ?? `[resource ${part.resource?.uri}]`;
+    if (part.type === 'resource_link') return `[resource ${part.uri}]`;
+    return `[${part.type}]`;
+  });
+
+  if (parts.length === 0 && result.structuredContent) {
+    parts.push(JSON.stringify(result.structuredContent));
+  }
+
+  const text = parts.join('\n');
+  return text.length > MAX_RESULT_CHARS ? `${text.substring(0, MAX_RESULT_CHARS)}... [truncated]` : text;
+}
+
+// Run one call; failures become an error result for the device rather than failing the request
+async function runMCPToolCall(mcpManager, deviceId, call, step) {
+  const startedAt = Date.now();
+  const record = { step, server: call.server, tool: call.tool, arguments: call.arguments };
+
+  try {
+    const result = await mcpManager.handleToolCall(deviceId, call.server, call.tool, call.arguments);
+    return {
+      ...record,
+      latencyMs: Date.now() - startedAt,
+      resultSize: JSON.stringify(result).length,
+      isError: Boolean(result.isError),
+      output: toolResultToText(result)
+    };
+  } catch (error) {
+    return {
+      ...record,
+      latencyMs: Date.now() - startedAt,
+      resultSize: 0,
+      isError: true,
+      error: error.message,
+      output: `Error: ${error.message}`
+    };
+  }
+}
+
+// The original prompt plus every result so far
+function buildMCPFollowUpPrompt(message, steps, maxSteps) {
+  let prompt = `${message}\n\n## MCP TOOL RESULTS\n\n`;
+  for (const step of steps) {
+    prompt += `${step.step}. ${step.server}.${step.tool}(${JSON.stringify(step.arguments)})${step.isError ? ' failed' : ' returned'}:\n${step.output}\n\n`;
+  }
+
+  prompt += steps.length >= maxSteps
+    ? `You have used all ${maxSteps} tool calls. Answer the user now in plain text without calling any tool.`
+    : 'Use these results to answer the user. To call another tool, respond with the JSON format above; otherwise answer in plain text.';
+
+  return prompt;
+}
+
+// The mcp_trace extension field of a response
+function formatMCPTrace(loop) {
+  return {
+    steps: loop.steps.map(step => ({
+      step: step.step,
+      server: step.server,
+      tool: step.tool,
+      arguments: step.arguments,
+      latency_ms: step.latencyMs,
+      result_size: step.resultSize,
+      is_error: step.isError,
+      ...(step.error && { error: step.error }),
+      ...(step.approval && { approval: step.approval })
+    })),
+    max_steps: loop.maxSteps,
+    max_steps_reached: loop.steps.length >= loop.maxSteps
+  };
+}
+
+module.exports = {
+  MCP_MAX_STEPS,
+  buildMCPToolInstructions,
+  parseMCPToolCall,
+  runMCPToolCall,
+  buildMCPFollowUpPrompt,
+  formatMCPTrace
+};
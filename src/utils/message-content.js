@@ -0,0 +1,132 @@
+// Utility functions for OpenAI message content
+// Content is either a plain string or an array of content parts
+// ({type: "text"}, {type: "image_url"}, {type: "input_audio"}).
+
+// Limits for the images of one message; http images are downloaded before
+// the request is sent to the device
+const MAX_MESSAGE_IMAGES = parseInt(process.env.MAX_MESSAGE_IMAGES || '10', 10);
+const IMAGE_FETCH_TIMEOUT_MS = parseInt(process.env.IMAGE_FETCH_TIMEOUT_MS || '10000', 10);
+const MAX_IMAGE_BYTES = parseInt(process.env.MAX_IMAGE_BYTES || String(10 * 1024 * 1024), 10);
+
+// Split a data URL into its MIME type and base64 payload
+function parseDataUrl(url) {
+  const match = /^data:([^;,]+)?(?:;[^,]*)?;base64,(.*)$/s.exec(url || '');
+  if (!match) {
+    return null;
+  }
+  return { mimeType: match[1] || 'application/octet-stream', base64: match[2] };
+}
+
+// Flatten message content to the text the device LLM should read
+function contentToText(content) {
+  if (content === null || content === undefined) {
+    return '';
+  }
+
+  if (typeof content === 'string') {
+    return content;
+  }
+
+  if (Array.isArray(content)) {
+    return content
+      .filter(part => part && part.type === 'text' && typeof part.text === 'string')
+      .map(part => part.text)
+      .join('\n');
+  }
+
+  return String(content);
+}
+
+// Collect the text, images and audio attached to a message's content
+function extractContentParts(content) {
+  const images = [];
+  const audio = [];
+
+  if (Array.isArray(content)) {
+    for (const part of content) {
+      if (!part) continue;
+
+      if (part.type === 'image_url') {
+        // image_url may be {url, detail} or, from some clients, a bare string
+        const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+        if (!url) continue;
+
+        const dataUrl = parseDataUrl(url);
+        images.push(dataUrl ? { base64: dataUrl.base64, mimeType: dataUrl.mimeType } : { url });
+      } else if (part.type === 'input_audio' && part.input_audio?.data) {
+        audio.push({ data: part.input_audio.data, format: part.input_audio.format || 'wav' });
+      }
+    }
+  }
+
+  return { text: contentToText(content), images, audio };
+}
+
+// Download an http(s) image and return it base64 encoded, giving up after
+// timeoutMs or once the body grows past maxBytes
+async function fetchImageAsBase64(imageUrl, { timeoutMs = IMAGE_FETCH_TIMEOUT_MS, maxBytes = MAX_IMAGE_BYTES } = {}) {
+  const response = await fetch(imageUrl, { signal: AbortSignal.timeout(timeoutMs) });
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch image: ${response.status} ${response.statusText}`);
+  }
+
+  const contentType = response.headers.get('content-type');
+  if (!contentType || !contentType.startsWith('image/')) {
+    throw new Error(`URL does not point to a valid image: ${contentType}`);
+  }
+
+  if (Number(response.headers.get('content-length')) > maxBytes) {
+    throw new Error(`Image is larger than ${maxBytes} bytes`);
+  }
+
+  // Content-Length may be missing or wrong, so count while reading
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      throw new Error(`Image is larger than ${maxBytes} bytes`);
+    }
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks).toString('base64');
+}
+
+// Resolve image sources ({base64} or {url}) to base64 strings, skipping any
+// URL that cannot be fetched rather than failing the whole request. URLs are
+// fetched in parallel; `options` overrides the fetch limits.
+async function resolveImages(images, options = {}) {
+  const resolved = await Promise.all(images.map(async (image) => {
+    if (image.base64) {
+      return image.base64;
+    }
+
+    const dataUrl = parseDataUrl(image.url);
+    if (dataUrl) {
+      return dataUrl.base64;
+    }
+
+    console.log(`[OK] Image URL detected, converting to base64: ${image.url}`);
+    try {
+      const base64 = await fetchImageAsBase64(image.url, options);
+      console.log(`[OK] Successfully converted image URL to base64 (${base64.length} chars)`);
+      return base64;
+    } catch (error) {
+      console.error(`[OK] Failed to convert image URL to base64:`, error.message);
+      console.log(`[OK] Continuing request without this image`);
+      return null;
+    }
+  }));
+
+  return resolved.filter(Boolean);
+}
+
+module.exports = {
+  MAX_MESSAGE_IMAGES,
+  parseDataUrl,
+  contentToText,
+  extractContentParts,
+  resolveImages
+};
@@ -0,0 +1,250 @@
+// Utility functions for the Ollama API dialect
+// /api/chat and /api/generate requests are translated to the OpenAI chat shape
+// so they share the device dispatch path; replies are written back as Ollama
+// JSON objects or NDJSON streams.
+
+const { countTokens } = require('./token-usage');
+
+const OLLAMA_MODEL = 'r1-llm:latest';
+
+// Convert an Ollama message (content + optional base64 images) to an OpenAI message
+function toOpenAIMessage(message) {
+  const images = Array.isArray(message.images) ? message.images : [];
+
+  // Ollama tool call arguments are objects; OpenAI history expects JSON strings
+  const toolCalls = Array.isArray(message.tool_calls) && message.tool_calls.map(call => ({
+    ...call,
+    function: {
+      name: call.function?.name,
+      arguments: typeof call.function?.arguments === 'string' ? call.function.arguments : JSON.stringify(call.function?.arguments || {})
+    }
+  }));
+
+  if (images.length === 0) {
+    return { role: message.role, content: message.content, ...(toolCalls && { tool_calls: toolCalls }) };
+  }
+
+  return {
+    role: message.role,
+    content: [
+      { type: 'text', text: message.content || '' },
+      ...images.map(data => ({ type: 'image_url', image_url: { url: `data:image/jpeg;base64,${data}` } }))
+    ]
+  };
+}
+
+// Ollama `format` is either "json" or a JSON schema object
+function toResponseFormat(format) {
+  if (format === 'json') {
+    return { type: 'json_object' };
+  }
+  if (format && typeof format === 'object') {
+    return { type: 'json_schema', json_schema: { name: 'ollama_format', schema: format } };
+  }
+  return undefined;
+}
+
+// Fields shared by /api/chat and /api/generate
+function toOpenAIOptions(body) {
+  const options = body.options || {};
+  return {
+    model: body.model || OLLAMA_MODEL,
+    // Ollama streams unless told otherwise
+    stream: body.stream !== false,
+    ...(options.temperature !== undefined && { temperature: options.temperature }),
+    ...(options.num_predict !== undefined && options.num_predict > 0 && { max_tokens: options.num_predict }),
+    ...(toResponseFormat(body.format) && { response_format: toResponseFormat(body.format) })
+  };
+}
+
+// Translate an /api/chat body to an OpenAI chat completion body
+function chatToOpenAIRequest(body) {
+  return {
+    ...toOpenAIOptions(body),
+    messages: body.messages.map(toOpenAIMessage),
+    ...(Array.isArray(body.tools) && body.tools.length > 0 && { tools: body.tools })
+  };
+}
+
+// Translate an /api/generate body to an OpenAI chat completion body
+function generateToOpenAIRequest(body) {
+  const messages = [];
+  if (body.system) {
+    messages.push({ role: 'system', content: body.system });
+  }
+  messages.push(toOpenAIMessage({ role: 'user', content: body.prompt, images: body.images }));
+
+  return { ...toOpenAIOptions(body), messages };
+}
+
+// Validate an /api/chat or /api/generate body; returns an error message or null
+function validateOllamaRequest(body, kind) {
+  if (!body) {
+    return 'request body is required';
+  }
+  if (kind === 'chat' && (!Array.isArray(body.messages) || body.messages.length === 0)) {
+    return 'messages must be a non-empty array';
+  }
+  if (kind === 'generate' && typeof body.prompt !== 'string') {
+    return 'prompt is required';
+  }
+  return null;
+}
+
+// Build a formatter for /api/chat ('chat') or /api/generate ('generate') replies
+function createOllamaFormatter(kind) {
+  // Text goes in message.content for chat and in response for generate
+  const withText = (text) => (kind === 'chat'
+    ? { message: { role: 'assistant', content: text } }
+    : { response: text });
+
+  const doneFields = (originalMessage, response, reason = 'stop') => ({
+    done: true,
+    done_reason: reason === 'length' ? 'length' : 'stop',
+    prompt_eval_count: countTokens(originalMessage),
+    eval_count: countTokens(response)
+  });
+
+  // originalMessage is the prompt counted in the final line's prompt_eval_count
+  const createStream = (clientRes, model, originalMessage = null) => {
+    let started = false;
+    let finished = false;
+    let content = '';
+
+    const writeLine = (data) => {
+      clientRes.write(`${JSON.stringify({ model: model || OLLAMA_MODEL, created_at: new Date().toISOString(), ...data })}\n`);
+    };
+
+    const start = () => {
+      if (started) return;
+      started = true;
+      clientRes.setHeader('Content-Type', 'application/x-ndjson');
+      clientRes.setHeader('Cache-Control', 'no-cache');
+      if (typeof clientRes.flushHeaders === 'function') {
+        clientRes.flushHeaders();
+      }
+    };
+
+    return {
+      get started() { return started; },
+      get finished() { return finished; },
+      get content() { return content; },
+
+      write(delta) {
+        if (finished || !delta) return;
+        start();
+        content += delta;
+        writeLine({ ...withText(delta), done: false });
+      },
+
+      writeToolCalls(toolCalls) {
+        if (finished) return;
+        start();
+        writeLine({ message: { role: 'assistant', content: '', tool_calls: toOllamaToolCalls(toolCalls) }, done: false });
+      },
+
+      finish(reason = 'stop') {
+        if (finished) return;
+        start();
+        finished = true;
+        writeLine({ ...withText(''), ...doneFields(originalMessage, content, reason) });
+        clientRes.end();
+      }
+    };
+  };
+
+  const sendResponse = (clientRes, response, originalMessage, model, stream = false, finishReason = 'stop') => {
+    const text = response || 'No response from R1';
+
+    if (stream) {
+      const writer = createStream(clientRes, model, originalMessage);
+      writer.write(text);
+      writer.finish(finishReason);
+    } else {
+      clientRes.json({
+        model: model || OLLAMA_MODEL,
+        created_at: new Date().toISOString(),
+        ...withText(text),
+        ...doneFields(originalMessage, response, finishReason)
+      });
+    }
+
+    console.log(`📤 Sending ${stream ? 'streaming' : 'normal'} Ollama ${kind} response to client:`, text.substring(0, 100));
+  };
+
+  const sendToolCalls = (clientRes, toolCalls, originalMessage, model, stream = false) => {
+    if (stream) {
+      const writer = createStream(clientRes, model, originalMessage);
+      writer.writeToolCalls(toolCalls);
+      writer.finish('stop');
+      return;
+    }
+
+    clientRes.json({
+      model: model || OLLAMA_MODEL,
+      created_at: new Date().toISOString(),
+      message: { role: 'assistant', content: '', tool_calls: toOllamaToolCalls(toolCalls) },
+      ...doneFields(originalMessage, JSON.stringify(toolCalls))
+    });
+  };
+
+  return { createStream, sendResponse, sendToolCalls, sendError: sendOllamaError };
+}
+
+// Ollama tool calls carry the arguments as an object rather than a JSON string
+function toOllamaToolCalls(toolCalls) {
+  return toolCalls.map(call => {
+    let args = call.function.arguments;
+    try {
+      args = JSON.parse(args);
+    } catch (error) {
+      // Keep the raw string if the device produced invalid JSON
+    }
+    return { function: { name: call.function.name, arguments: args } };
+  });
+}
+
+// Ollama errors are a bare {"error": "..."}; mid-stream they are an NDJSON line
+function sendOllamaError(clientRes, status, message) {
+  if (clientRes.headersSent) {
+    if (!clientRes.writableEnded) {
+      clientRes.write(`${JSON.stringify({ error: message })}\n`);
+      clientRes.end();
+    }
+    return;
+  }
+
+  clientRes.status(status).json({ error: message });
+}
+
+// Model list for /api/tags
+function buildTagsResponse() {
+  return {
+    models: [
+      {
+        name: OLLAMA_MODEL,
+        model: OLLAMA_MODEL,
+        modified_at: new Date().toISOString(),
+        size: 0,
+        digest: '',
+        details: {
+          format: 'r1',
+          family: 'rabbit-r1',
+          families: ['rabbit-r1'],
+          parameter_size: 'unknown',
+          quantization_level: 'unknown'
+        }
+      }
+    ]
+  };
+}
+
+module.exports = {
+  OLLAMA_MODEL,
+  validateOllamaRequest,
+  chatToOpenAIRequest,
+  generateToOpenAIRequest,
+  createOllamaFormatter,
+  sendOllamaError,
+  buildTagsResponse
+};
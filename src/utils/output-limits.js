@@ -0,0 +1,178 @@
+// Stop sequences, max_tokens and n, enforced on the server
+// The device cannot honour these parameters itself, so its output is cut at the
+// first stop sequence or at the estimated max_tokens boundary, and n > 1 is
+// served by asking the device for several generations in a row.
+
+const { countTokens } = require('./token-usage');
+
+const MAX_STOP_SEQUENCES = 4;
+const MAX_CHOICES = 8;
+
+// Validate `stop` (string or array of strings); returns an error message or null
+function validateStop(stop) {
+  if (stop === undefined || stop === null) {
+    return null;
+  }
+  const sequences = Array.isArray(stop) ? stop : [stop];
+  if (sequences.length > MAX_STOP_SEQUENCES || sequences.some(sequence => typeof sequence !== 'string' || sequence.length === 0)) {
+    return `stop must be a string or an array of up to ${MAX_STOP_SEQUENCES} non-empty strings`;
+  }
+  return null;
+}
+
+// Validate `n`; returns an error message or null
+function validateChoiceCount(n) {
+  if (n === undefined || n === null) {
+    return null;
+  }
+  if (!Number.isInteger(n) || n < 1 || n > MAX_CHOICES) {
+    return `n must be an integer between 1 and ${MAX_CHOICES}`;
+  }
+  return null;
+}
+
+// Validate an explicit max_tokens; returns an error message or null
+function validateMaxTokens(maxTokens) {
+  if (maxTokens === undefined || maxTokens === null) {
+    return null;
+  }
+  if (!Number.isInteger(maxTokens) || maxTokens < 1) {
+    return 'max_tokens must be a positive integer';
+  }
+  return null;
+}
+
+// Limits for a request, or null when there is nothing to enforce
+function resolveOutputLimits(stop, maxTokens) {
+  const sequences = stop === undefined || stop === null ? [] : [].concat(stop);
+  const limit = Number.isInteger(maxTokens) ? maxTokens : null;
+
+  if (sequences.length === 0 && limit === null) {
+    return null;
+  }
+  return { stop: sequences, maxTokens: limit };
+}
+
+// Longest prefix of text that fits in maxTokens
+function truncateToTokens(text, maxTokens) {
+  let low = 0;
+  let high = text.length;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (countTokens(text.slice(0, mid)) <= maxTokens) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return text.slice(0, low);
+}
+
+// The earliest stop sequence in text and its index, or null
+function findStop(text, sequences) {
+  let stop = null;
+  for (const sequence of sequences) {
+    const index = text.indexOf(sequence);
+    if (index !== -1 && (stop === null || index < stop.index)) {
+      stop = { index, sequence };
+    }
+  }
+  return stop;
+}
+
+// Apply limits to a complete text. finishReason is "stop" when a stop sequence
+// was found, "length" when max_tokens was reached, and null otherwise;
+// stopSequence is the sequence that ended the text.
+function applyOutputLimits(text, limits) {
+  if (!limits || typeof text !== 'string') {
+    return { text, finishReason: null, stopSequence: null };
+  }
+
+  let result = text;
+  let finishReason = null;
+  let stopSequence = null;
+
+  const stop = findStop(result, limits.stop);
+  if (stop) {
+    result = result.slice(0, stop.index);
+    finishReason = 'stop';
+    stopSequence = stop.sequence;
+  }
+
+  if (limits.maxTokens !== null && countTokens(result) > limits.maxTokens) {
+    result = truncateToTokens(result, limits.maxTokens);
+    finishReason = 'length';
+    stopSequence = null;
+  }
+
+  return { text: result, finishReason, stopSequence };
+}
+
+// Apply limits to streamed output. The last few characters are held back so a
+// stop sequence split across chunks is never forwarded to the client. Each
+// chunk only scans the held tail plus the new delta, and tokens are kept as a
+// running count; the whole text is counted only once the limit looks reached.
+function createStreamLimiter(limits) {
+  const holdback = limits.stop.reduce((longest, sequence) => Math.max(longest, sequence.length - 1), 0);
+  let released = '';
+  let releasedTokens = 0;
+  let held = '';
+
+  return {
+    // Returns the text that can be forwarded, and a finishReason (plus the
+    // matched stopSequence) once output must end
+    push(delta) {
+      let pending = held + delta;
+      let finishReason = null;
+      let stopSequence = null;
+
+      // Released text never contains a stop sequence, so one can only end in pending
+      const stop = findStop(pending, limits.stop);
+      if (stop) {
+        pending = pending.slice(0, stop.index);
+        finishReason = 'stop';
+        stopSequence = stop.sequence;
+      }
+
+      // Counts of separate chunks can add up to more than the joined text, so
+      // the running count only decides when to count exactly
+      if (limits.maxTokens !== null && releasedTokens + countTokens(pending) > limits.maxTokens) {
+        const text = released + pending;
+        if (countTokens(text) > limits.maxTokens) {
+          const truncated = truncateToTokens(text, limits.maxTokens);
+          const remaining = truncated.length > released.length ? truncated.slice(released.length) : '';
+          released = truncated;
+          held = '';
+          return { text: remaining, finishReason: 'length', stopSequence: null };
+        }
+        releasedTokens = countTokens(released);
+      }
+
+      const releaseLength = finishReason ? pending.length : Math.max(0, pending.length - holdback);
+      const text = pending.slice(0, releaseLength);
+      released += text;
+      releasedTokens += countTokens(text);
+      held = pending.slice(releaseLength);
+      return { text, finishReason, stopSequence };
+    },
+
+    // Text still held back when the device finishes on its own
+    flush() {
+      const text = held;
+      released += held;
+      held = '';
+      return text;
+    }
+  };
+}
+
+module.exports = {
+  MAX_STOP_SEQUENCES,
+  MAX_CHOICES,
+  validateStop,
+  validateChoiceCount,
+  validateMaxTokens,
+  resolveOutputLimits,
+  applyOutputLimits,
+  createStreamLimiter
+};
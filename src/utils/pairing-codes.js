@@ -0,0 +1,37 @@
+// Device pairing codes
+// The device asks for a code over its socket and shows it (as text and as a QR
+// code). Whoever reads it off the screen redeems it once, before it expires,
+// for a control panel session or an API key. Only a SHA-256 hash is stored.
+
+const crypto = require('crypto');
+
+// No 0/O, 1/I/L so codes can be typed from the screen
+const PAIRING_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const PAIRING_CODE_LENGTH = 8;
+const PAIRING_CODE_TTL_MS = parseInt(process.env.PAIRING_CODE_TTL_MS || '300000', 10); // 5 minutes
+
+// Shown as "ABCD-EFGH"
+function generatePairingCode() {
+  let code = '';
+  for (let i = 0; i < PAIRING_CODE_LENGTH; i++) {
+    code += PAIRING_CODE_ALPHABET[crypto.randomInt(PAIRING_CODE_ALPHABET.length)];
+  }
+  return `${code.substring(0, 4)}-${code.substring(4)}`;
+}
+
+// Accept lower case and any separators
+function normalizePairingCode(code) {
+  return typeof code === 'string' ? code.toUpperCase().replace(/[^A-Z0-9]/g, '') : '';
+}
+
+function hashPairingCode(code) {
+  return crypto.createHash('sha256').update(normalizePairingCode(code)).digest('hex');
+}
+
+module.exports = {
+  PAIRING_CODE_LENGTH,
+  PAIRING_CODE_TTL_MS,
+  generatePairingCode,
+  normalizePairingCode,
+  hashPairingCode
+};
@@ -0,0 +1,47 @@
+// Cancellation of in-flight device requests
+// Drops the request from the shared maps and tells the device to stop working on it.
+
+// Cancel a pending request; returns the removed pending entry or null.
+// An entry's `onCancel` runs once it is removed (MCP approvals use it).
+function cancelPendingRequest(requestId, reason, connectedR1s, pendingRequests, requestDeviceMap) {
+  const pending = pendingRequests.get(requestId);
+  if (!pending) {
+    return null;
+  }
+
+  clearTimeout(pending.timeout);
+  pendingRequests.delete(requestId);
+  if (pending.onCancel) {
+    pending.onCancel();
+  }
+
+  const deviceId = requestDeviceMap.get(requestId);
+  requestDeviceMap.delete(requestId);
+
+  const socket = deviceId ? connectedR1s.get(deviceId) : null;
+  if (socket) {
+    socket.emit('cancel_request', {
+      requestId,
+      reason,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  console.log(`🛑 Cancelled request ${requestId} (${reason}), remaining: ${pendingRequests.size}`);
+  return pending;
+}
+
+// Cancel the request when its HTTP client disconnects before the response is complete
+function cancelOnClientDisconnect(res, requestId, connectedR1s, pendingRequests, requestDeviceMap) {
+  if (!res || typeof res.on !== 'function') {
+    return;
+  }
+
+  res.on('close', () => {
+    if (!res.writableFinished && pendingRequests.has(requestId)) {
+      cancelPendingRequest(requestId, 'client_disconnected', connectedR1s, pendingRequests, requestDeviceMap);
+    }
+  });
+}
+
+module.exports = { cancelPendingRequest, cancelOnClientDisconnect };
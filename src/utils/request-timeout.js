@@ -0,0 +1,45 @@
+// Per-request timeouts for device requests
+// Clients may ask for a longer (or shorter) wait with the X-Request-Timeout
+// header or a `timeout` body field, both in seconds; the server caps the value.
+
+const DEFAULT_REQUEST_TIMEOUT_MS = parseInt(process.env.REQUEST_TIMEOUT_MS || '30000', 10);
+const MAX_REQUEST_TIMEOUT_MS = parseInt(process.env.MAX_REQUEST_TIMEOUT_MS || '600000', 10);
+
+// Resolve the timeout for a request; returns { timeoutMs } or { error }
+function resolveRequestTimeout(req, defaultMs = DEFAULT_REQUEST_TIMEOUT_MS) {
+  const requested = req.headers['x-request-timeout'] ?? req.body?.timeout;
+
+  if (requested === undefined || requested === null || requested === '') {
+    return { timeoutMs: Math.min(defaultMs, MAX_REQUEST_TIMEOUT_MS) };
+  }
+
+  const seconds = Number(requested);
+  if (!Number.isFinite(seconds) || seconds <= 0) {
+    return { error: 'timeout must be a positive number of seconds' };
+  }
+
+  return { timeoutMs: Math.min(Math.round(seconds * 1000), MAX_REQUEST_TIMEOUT_MS) };
+}
+
+// Start a pending request's wait for the device over, for example after an MCP
+// tool step when the device has to answer the prompt again. Only entries that
+// keep their `onTimeout` handler and `timeoutMs` can be restarted.
+function restartRequestTimeout(pendingRequest) {
+  if (!pendingRequest.onTimeout) {
+    return;
+  }
+  clearTimeout(pendingRequest.timeout);
+  pendingRequest.timeout = setTimeout(pendingRequest.onTimeout, pendingRequest.timeoutMs);
+}
+
+function formatTimeout(timeoutMs) {
+  return `${Math.round(timeoutMs / 100) / 10} seconds`;
+}
+
+module.exports = {
+  DEFAULT_REQUEST_TIMEOUT_MS,
+  MAX_REQUEST_TIMEOUT_MS,
+  resolveRequestTimeout,
+  restartRequestTimeout,
+  formatTimeout
+};
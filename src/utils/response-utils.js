@@ -1,77 +1,108 @@
 // Utility functions for handling OpenAI-compatible responses
 
-function sendOpenAIResponse(clientRes, response, originalMessage, model, stream = false) {
-  if (stream) {
-    // Set headers for SSE
-    clientRes.setHeader('Content-Type', 'text/plain; charset=utf-8');
-    clientRes.setHeader('Cache-Control', 'no-cache');
-    clientRes.setHeader('Connection', 'keep-alive');
+const { estimateUsage } = require('./token-usage');
 
-    const id = `chatcmpl-${Date.now()}`;
-    const created = Math.floor(Date.now() / 1000);
+// Create an SSE writer for chat.completion.chunk events. Headers and the role
+// chunk are only written once the first delta arrives, so a request that fails
+// before any output can still be answered with a normal JSON error.
+function createOpenAIStream(clientRes, model) {
+  const id = `chatcmpl-${Date.now()}`;
+  const created = Math.floor(Date.now() / 1000);
+  let started = false;
+  let finished = false;
+  let content = '';
 
-    // Send role chunk first
-    const roleChunk = {
+  const writeChunk = (delta, finishReason = null, extensions = null) => {
+    const chunk = {
       id,
       object: 'chat.completion.chunk',
       created,
       model: model || 'r1-llm',
       choices: [{
         index: 0,
-        delta: {
-          role: 'assistant'
-        },
-        finish_reason: null
-      }]
-    };
-    clientRes.write(`data: ${JSON.stringify(roleChunk)}\n\n`);
-
-    // Split content into words and send progressively
-    const content = response || 'No response from R1';
-    const words = content.split(' ');
-    let wordIndex = 0;
-
-    const sendNextWord = () => {
-      if (wordIndex < words.length) {
-        const word = words[wordIndex] + (wordIndex < words.length - 1 ? ' ' : '');
-        const contentChunk = {
-          id,
-          object: 'chat.completion.chunk',
-          created,
-          model: model || 'r1-llm',
-          choices: [{
-            index: 0,
-            delta: {
-              content: word
-            },
-            finish_reason: null
-          }]
-        };
-        clientRes.write(`data: ${JSON.stringify(contentChunk)}\n\n`);
-        wordIndex++;
-        // Send next word after a small delay to simulate streaming
-        setTimeout(sendNextWord, 50); // 50ms delay between words
-      } else {
-        // Send finish chunk
-        const finishChunk = {
-          id,
-          object: 'chat.completion.chunk',
-          created,
-          model: model || 'r1-llm',
-          choices: [{
-            index: 0,
-            delta: {},
-            finish_reason: 'stop'
-          }]
-        };
-        clientRes.write(`data: ${JSON.stringify(finishChunk)}\n\n`);
-        clientRes.write(`data: [DONE]\n\n`);
-        clientRes.end();
-      }
+        delta,
+        finish_reason: finishReason
+      }],
+      ...extensions
     };
+    clientRes.write(`data: ${JSON.stringify(chunk)}\n\n`);
+  };
 
-    // Start sending words after role
-    setTimeout(sendNextWord, 100);
+  const start = () => {
+    if (started) return;
+    started = true;
+
+    // Set headers for SSE
+    clientRes.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    clientRes.setHeader('Cache-Control', 'no-cache');
+    clientRes.setHeader('Connection', 'keep-alive');
+    if (typeof clientRes.flushHeaders === 'function') {
+      clientRes.flushHeaders();
+    }
+
+    // Send role chunk first
+    writeChunk({ role: 'assistant' });
+  };
+
+  return {
+    get started() {
+      return started;
+    },
+    get finished() {
+      return finished;
+    },
+    get content() {
+      return content;
+    },
+    write(delta) {
+      if (finished || !delta) return;
+      start();
+      content += delta;
+      writeChunk({ content: delta });
+    },
+    writeToolCalls(toolCalls) {
+      if (finished || !toolCalls || toolCalls.length === 0) return;
+      start();
+      toolCalls.forEach((toolCall, index) => {
+        writeChunk({ tool_calls: [{ index, ...toolCall }] });
+      });
+    },
+    // Extension fields (e.g. mcp_trace) go on the final chunk
+    finish(finishReason = 'stop', extensions = null) {
+      if (finished) return;
+      start();
+      finished = true;
+      writeChunk({}, finishReason, extensions);
+      clientRes.write(`data: [DONE]\n\n`);
+      clientRes.end();
+    }
+  };
+}
+
+// Send an error to the client, falling back to an in-band SSE error event when
+// a stream has already started and the status line can no longer change
+function sendOpenAIError(clientRes, status, message, type, param = null) {
+  const error = { error: { message, type, ...(param && { param }) } };
+
+  if (clientRes.headersSent) {
+    if (!clientRes.writableEnded) {
+      clientRes.write(`data: ${JSON.stringify(error)}\n\n`);
+      clientRes.write(`data: [DONE]\n\n`);
+      clientRes.end();
+    }
+    return;
+  }
+
+  clientRes.status(status).json(error);
+}
+
+// `extensions` are extra top-level fields such as the mcp_trace of a tool loop
+function sendOpenAIResponse(clientRes, response, originalMessage, model, stream = false, finishReason = 'stop', extensions = null) {
+  if (stream) {
+    // The device answered in one piece, so send it as a single content delta
+    const writer = createOpenAIStream(clientRes, model);
+    writer.write(response || 'No response from R1');
+    writer.finish(finishReason, extensions);
   } else {
     const openaiResponse = {
       id: `chatcmpl-${Date.now()}`,
@@ -84,13 +115,10 @@ function sendOpenAIResponse(clientRes, response, originalMessage, model, stream
           role: 'assistant',
           content: response || 'No response from R1'
         },
-        finish_reason: 'stop'
+        finish_reason: finishReason
       }],
-      usage: {
-        prompt_tokens: originalMessage ? originalMessage.length : 0,
-        completion_tokens: response ? response.length : 0,
-        total_tokens: (originalMessage ? originalMessage.length : 0) + (response ? response.length : 0)
-      }
+      usage: estimateUsage(originalMessage, response),
+      ...extensions
     };
 
     clientRes.json(openaiResponse);
@@ -99,4 +127,65 @@ function sendOpenAIResponse(clientRes, response, originalMessage, model, stream
   console.log(`📤 Sending ${stream ? 'streaming' : 'normal'} OpenAI response to client:`, (response || 'No response from R1').substring(0, 100));
 }
 
-module.exports = { sendOpenAIResponse };
+// Send tool calls parsed from the device reply in OpenAI function-calling form
+function sendOpenAIToolCallResponse(clientRes, toolCalls, originalMessage, model, stream = false) {
+  if (stream) {
+    const writer = createOpenAIStream(clientRes, model);
+    writer.writeToolCalls(toolCalls);
+    writer.finish('tool_calls');
+  } else {
+    clientRes.json({
+      id: `chatcmpl-${Date.now()}`,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: model || 'r1-llm',
+      choices: [{
+        index: 0,
+        message: {
+          role: 'assistant',
+          content: null,
+          tool_calls: toolCalls
+        },
+        finish_reason: 'tool_calls'
+      }],
+      usage: estimateUsage(originalMessage, JSON.stringify(toolCalls))
+    });
+  }
+
+  console.log(`📤 Sending ${stream ? 'streaming' : 'normal'} tool call response to client:`, toolCalls.map(call => call.function.name).join(', '));
+}
+
+// Send the generations of an n > 1 request as separate choices
+function sendOpenAIChoicesResponse(clientRes, choices, originalMessage, model) {
+  clientRes.json({
+    id: `chatcmpl-${Date.now()}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: model || 'r1-llm',
+    choices: choices.map((choice, index) => ({
+      index,
+      message: {
+        role: 'assistant',
+        content: choice.text
+      },
+      finish_reason: choice.finishReason
+    })),
+    usage: estimateUsage(originalMessage, choices.map(choice => choice.text).join(''))
+  });
+
+  console.log(`📤 Sending ${choices.length} choices to client`);
+}
+
+// Output format for requests that came in through the OpenAI API. Other API
+// dialects (e.g. Anthropic Messages) provide a formatter with the same methods,
+// which is stored on the pending request so replies are written in the
+// format the client asked in.
+const openAIFormatter = {
+  createStream: createOpenAIStream,
+  sendResponse: sendOpenAIResponse,
+  sendToolCalls: sendOpenAIToolCallResponse,
+  sendChoices: sendOpenAIChoicesResponse,
+  sendError: sendOpenAIError
+};
+
+module.exports = { sendOpenAIResponse, sendOpenAIToolCallResponse, sendOpenAIChoicesResponse, createOpenAIStream, sendOpenAIError, openAIFormatter };
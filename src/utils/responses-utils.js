@@ -0,0 +1,272 @@
+// Utility functions for the OpenAI Responses API dialect
+// Requests (plus any history rebuilt from previous_response_id) are translated
+// to the OpenAI chat shape so they share the device dispatch path; replies are
+// written back as Response objects or `response.*` SSE events.
+
+const { estimateUsage } = require('./token-usage');
+
+// How many previous turns are rebuilt from previous_response_id
+const MAX_RESPONSE_CHAIN_TURNS = 50;
+
+function generateResponseId() {
+  return `resp_${Date.now()}${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Validate a /v1/responses body; returns an error message or null
+function validateResponsesRequest(body) {
+  if (!body) {
+    return 'Request body is required';
+  }
+
+  const { input } = body;
+  if (typeof input === 'string') {
+    return input.length > 0 ? null : 'input must not be empty';
+  }
+  if (!Array.isArray(input) || input.length === 0) {
+    return 'input must be a string or a non-empty array of input items';
+  }
+
+  for (const item of input) {
+    if (!item || (item.type && item.type !== 'message')) {
+      return `Unsupported input item type: ${item && item.type}`;
+    }
+    if (!['user', 'assistant', 'system', 'developer'].includes(item.role)) {
+      return 'Each input message must have role "user", "assistant", "system" or "developer"';
+    }
+  }
+
+  if (body.previous_response_id !== undefined && typeof body.previous_response_id !== 'string') {
+    return 'previous_response_id must be a string';
+  }
+
+  return null;
+}
+
+// Normalize `input` to a list of { role, content } messages
+function toInputMessages(input) {
+  if (typeof input === 'string') {
+    return [{ role: 'user', content: input }];
+  }
+  return input.map(item => ({ role: item.role, content: item.content }));
+}
+
+// Convert a Responses content part to an OpenAI chat content part
+function toOpenAIContentPart(part) {
+  if (part.type === 'input_text' || part.type === 'output_text') {
+    return { type: 'text', text: part.text };
+  }
+  if (part.type === 'input_image' && part.image_url) {
+    return { type: 'image_url', image_url: { url: part.image_url } };
+  }
+
+  // Files and other part types are not supported by the device
+  return null;
+}
+
+function toOpenAIContent(content) {
+  if (!Array.isArray(content)) {
+    return content;
+  }
+  return content.map(toOpenAIContentPart).filter(Boolean);
+}
+
+// `text.format` uses the flattened json_schema shape
+function toResponseFormat(text) {
+  const format = text && text.format;
+  if (!format || format.type === 'text') {
+    return undefined;
+  }
+  if (format.type === 'json_schema') {
+    return { type: 'json_schema', json_schema: { name: format.name, schema: format.schema, strict: format.strict } };
+  }
+  return { type: format.type };
+}
+
+// Translate a /v1/responses body to an OpenAI chat completion body. `history`
+// holds the stored messages of the previous responses, oldest first.
+function toOpenAIChatRequest(body, history = []) {
+  const messages = [];
+
+  // Instructions only apply to the current response, they are not carried over
+  if (body.instructions) {
+    messages.push({ role: 'system', content: body.instructions });
+  }
+
+  for (const row of history) {
+    messages.push({ role: row.role, content: row.content });
+  }
+
+  for (const message of toInputMessages(body.input)) {
+    const role = message.role === 'developer' ? 'system' : message.role;
+    messages.push({ role, content: toOpenAIContent(message.content) });
+  }
+
+  return {
+    model: body.model,
+    messages,
+    ...(body.max_output_tokens !== undefined && { max_tokens: body.max_output_tokens }),
+    ...(body.temperature !== undefined && { temperature: body.temperature }),
+    ...(body.timeout !== undefined && { timeout: body.timeout }),
+    ...(toResponseFormat(body.text) && { response_format: toResponseFormat(body.text) }),
+    stream: body.stream === true
+  };
+}
+
+const ERROR_CODES = {
+  401: 'invalid_api_key',
+  404: 'not_found',
+  429: 'rate_limit_exceeded',
+  503: 'server_error'
+};
+
+// Build the formatter for one /v1/responses request. `onComplete(text)` is
+// called once the assistant output is known so the route can store the turn;
+// the response is only completed after that, so a client continuing from it
+// with previous_response_id always finds the stored turn.
+function createResponsesFormatter({ responseId, previousResponseId = null, instructions = null, onComplete = () => {} }) {
+  const messageId = `msg_${responseId.slice('resp_'.length)}`;
+  const createdAt = Math.floor(Date.now() / 1000);
+  let sequenceNumber = 0;
+
+  const buildMessage = (text, status = 'completed') => ({
+    type: 'message',
+    id: messageId,
+    status,
+    role: 'assistant',
+    content: text === null ? [] : [{ type: 'output_text', text, annotations: [] }]
+  });
+
+  // Estimated usage, counted the same way as the OpenAI responses
+  const buildUsage = (originalMessage, text) => {
+    const usage = estimateUsage(originalMessage, text);
+    return { input_tokens: usage.prompt_tokens, output_tokens: usage.completion_tokens, total_tokens: usage.total_tokens };
+  };
+
+  const buildResponse = (model, status, output, usage = null) => ({
+    id: responseId,
+    object: 'response',
+    created_at: createdAt,
+    status,
+    model: model || 'r1-llm',
+    instructions,
+    previous_response_id: previousResponseId,
+    output,
+    output_text: output.map(item => (item.content || []).map(part => part.text).join('')).join(''),
+    incomplete_details: status === 'incomplete' ? { reason: 'max_output_tokens' } : null,
+    error: null,
+    usage
+  });
+
+  const complete = async (text) => {
+    try {
+      await onComplete(text);
+    } catch (error) {
+      console.error(`Failed to store response ${responseId}:`, error);
+    }
+  };
+
+  // Nothing is written until the first delta so early failures can still be
+  // answered with a JSON error
+  const createStream = (clientRes, model) => {
+    let started = false;
+    let finished = false;
+    let content = '';
+
+    const writeEvent = (event, data) => {
+      clientRes.write(`event: ${event}\ndata: ${JSON.stringify({ type: event, sequence_number: sequenceNumber++, ...data })}\n\n`);
+    };
+
+    const location = { item_id: messageId, output_index: 0, content_index: 0 };
+
+    const start = () => {
+      if (started) return;
+      started = true;
+
+      clientRes.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+      clientRes.setHeader('Cache-Control', 'no-cache');
+      clientRes.setHeader('Connection', 'keep-alive');
+      if (typeof clientRes.flushHeaders === 'function') {
+        clientRes.flushHeaders();
+      }
+
+      writeEvent('response.created', { response: buildResponse(model, 'in_progress', []) });
+      writeEvent('response.output_item.added', { output_index: 0, item: buildMessage(null, 'in_progress') });
+      writeEvent('response.content_part.added', { ...location, part: { type: 'output_text', text: '', annotations: [] } });
+    };
+
+    return {
+      get started() { return started; },
+      get finished() { return finished; },
+      get content() { return content; },
+
+      write(delta) {
+        if (finished || !delta) return;
+        start();
+        content += delta;
+        writeEvent('response.output_text.delta', { ...location, delta });
+      },
+
+      finish(reason = 'stop') {
+        if (finished) return;
+        start();
+        finished = true;
+
+        return complete(content).then(() => {
+          const status = reason === 'length' ? 'incomplete' : 'completed';
+          const message = buildMessage(content, status);
+          writeEvent('response.output_text.done', { ...location, text: content });
+          writeEvent('response.content_part.done', { ...location, part: message.content[0] });
+          writeEvent('response.output_item.done', { output_index: 0, item: message });
+          writeEvent(status === 'incomplete' ? 'response.incomplete' : 'response.completed', {
+            response: buildResponse(model, status, [message], buildUsage(null, content))
+          });
+          clientRes.end();
+        });
+      }
+    };
+  };
+
+  const sendResponse = (clientRes, response, originalMessage, model, stream = false, finishReason = 'stop') => {
+    const text = response || 'No response from R1';
+
+    if (stream) {
+      const writer = createStream(clientRes, model);
+      writer.write(text);
+      writer.finish(finishReason);
+    } else {
+      const status = finishReason === 'length' ? 'incomplete' : 'completed';
+      complete(text).then(() => {
+        clientRes.json(buildResponse(model, status, [buildMessage(text, status)], buildUsage(originalMessage, text)));
+      });
+    }
+
+    console.log(`📤 Sending ${stream ? 'streaming' : 'normal'} Responses API response to client:`, text.substring(0, 100));
+  };
+
+  // Errors use the OpenAI error envelope; once a stream has started they are
+  // sent as an in-band `error` event
+  const sendError = (clientRes, status, message, type, param = null) => {
+    if (clientRes.headersSent) {
+      if (!clientRes.writableEnded) {
+        const event = { type: 'error', sequence_number: sequenceNumber++, code: type || ERROR_CODES[status] || null, message, param };
+        clientRes.write(`event: error\ndata: ${JSON.stringify(event)}\n\n`);
+        clientRes.end();
+      }
+      return;
+    }
+
+    clientRes.status(status).json({ error: { message, type, param, code: ERROR_CODES[status] || null } });
+  };
+
+  return { createStream, sendResponse, sendError };
+}
+
+module.exports = {
+  MAX_RESPONSE_CHAIN_TURNS,
+  generateResponseId,
+  validateResponsesRequest,
+  toInputMessages,
+  toOpenAIContent,
+  toOpenAIChatRequest,
+  createResponsesFormatter
+};
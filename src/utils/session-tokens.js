@@ -0,0 +1,121 @@
+// Control panel sessions
+// Logging in exchanges the device credentials for a short-lived access token
+// ("r1s_<payload>.<signature>", HMAC-SHA256 signed with the server's session
+// secret) and a refresh token ("r1r_<random>", stored as a SHA-256 hash).
+// Refreshing rotates the refresh token; logging out revokes the session, which
+// also ends its access tokens.
+
+const crypto = require('crypto');
+
+const SESSION_TOKEN_PREFIX = 'r1s_';
+const REFRESH_TOKEN_PREFIX = 'r1r_';
+const ACCESS_TOKEN_TTL_MS = parseInt(process.env.SESSION_ACCESS_TTL_MS || '900000', 10); // 15 minutes
+const REFRESH_TOKEN_TTL_MS = parseInt(process.env.SESSION_REFRESH_TTL_MS || '604800000', 10); // 7 days
+
+let sessionSecret = null;
+
+// SESSION_SECRET, or a random secret for this process (sessions then end on restart)
+function getSessionSecret() {
+  if (!sessionSecret) {
+    sessionSecret = process.env.SESSION_SECRET || null;
+    if (!sessionSecret) {
+      console.warn('[WARN] SESSION_SECRET is not set; control panel sessions will end when the server restarts');
+      sessionSecret = crypto.randomBytes(32).toString('hex');
+    }
+  }
+  return sessionSecret;
+}
+
+function sign(secret, data) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+function generateSessionId() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+function generateRefreshToken() {
+  return `${REFRESH_TOKEN_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+}
+
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function isSessionToken(token) {
+  return typeof token === 'string' && token.startsWith(SESSION_TOKEN_PREFIX);
+}
+
+function signAccessToken(secret, { sessionId, deviceId }, now = Date.now()) {
+  const payload = Buffer.from(JSON.stringify({
+    sid: sessionId,
+    dev: deviceId,
+    exp: Math.floor((now + ACCESS_TOKEN_TTL_MS) / 1000)
+  })).toString('base64url');
+  return `${SESSION_TOKEN_PREFIX}${payload}.${sign(secret, payload)}`;
+}
+
+// Returns { sessionId, deviceId } for a valid, unexpired token, otherwise null
+function verifyAccessToken(secret, token, now = Date.now()) {
+  if (!isSessionToken(token)) return null;
+
+  const [payload, signature] = token.substring(SESSION_TOKEN_PREFIX.length).split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(secret, payload));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  try {
+    const { sid, dev, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!sid || !dev || !(exp * 1000 > now)) return null;
+    return { sessionId: sid, deviceId: dev };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Start a session and return it in the API's response format
+async function issueSession(database, secret, { deviceId, scopes, authMethod }) {
+  const refreshToken = generateRefreshToken();
+  const session = await database.createAuthSession(
+    generateSessionId(),
+    deviceId,
+    hashRefreshToken(refreshToken),
+    scopes,
+    authMethod,
+    new Date(Date.now() + REFRESH_TOKEN_TTL_MS).toISOString()
+  );
+  return formatSession(secret, session, refreshToken);
+}
+
+function formatSession(secret, session, refreshToken) {
+  return {
+    object: 'session',
+    session_id: session.id,
+    token_type: 'Bearer',
+    access_token: signAccessToken(secret, { sessionId: session.id, deviceId: session.device_id }),
+    expires_in: Math.floor(ACCESS_TOKEN_TTL_MS / 1000),
+    refresh_token: refreshToken,
+    refresh_expires_at: session.expires_at,
+    scopes: session.scopes.split(',')
+  };
+}
+
+module.exports = {
+  SESSION_TOKEN_PREFIX,
+  REFRESH_TOKEN_PREFIX,
+  ACCESS_TOKEN_TTL_MS,
+  REFRESH_TOKEN_TTL_MS,
+  getSessionSecret,
+  generateSessionId,
+  generateRefreshToken,
+  hashRefreshToken,
+  isSessionToken,
+  signAccessToken,
+  verifyAccessToken,
+  issueSession,
+  formatSession
+};
@@ -0,0 +1,136 @@
+// Utility functions for response_format structured outputs (json_object / json_schema)
+// Device replies are validated locally; failed validations are re-asked on the device.
+const Ajv = require('ajv');
+const { stripCodeFence } = require('./json-reply');
+
+// Number of times the device is asked to correct an invalid structured reply
+const MAX_STRUCTURED_RETRIES = parseInt(process.env.STRUCTURED_OUTPUT_MAX_RETRIES || '2', 10);
+
+// One Ajv for every request, with the compiled validators cached by schema
+// text so repeated schemas are not compiled again. The cache is bounded, and
+// evicted schemas are removed from Ajv too so it does not grow either.
+const MAX_CACHED_VALIDATORS = 100;
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validatorCache = new Map(); // schema JSON -> { schema, validator }, oldest first
+
+function compileSchema(schema) {
+  const key = JSON.stringify(schema);
+  const cached = validatorCache.get(key);
+  if (cached) {
+    validatorCache.delete(key);
+    validatorCache.set(key, cached);
+    return cached.validator;
+  }
+
+  // Ajv registers a schema under its $id; a different schema may reuse the $id
+  if (typeof schema.$id === 'string') {
+    ajv.removeSchema(schema.$id);
+  }
+
+  let validator;
+  try {
+    validator = ajv.compile(schema);
+  } catch (error) {
+    ajv.removeSchema(schema);
+    throw error;
+  }
+
+  validatorCache.set(key, { schema, validator });
+  if (validatorCache.size > MAX_CACHED_VALIDATORS) {
+    const [oldestKey, oldest] = validatorCache.entries().next().value;
+    validatorCache.delete(oldestKey);
+    ajv.removeSchema(oldest.schema);
+  }
+  return validator;
+}
+
+function isStructuredFormat(responseFormat) {
+  return !!responseFormat && (responseFormat.type === 'json_object' || responseFormat.type === 'json_schema');
+}
+
+// Validate a response_format request field and compile its schema;
+// returns { error } or { validator } (validator is null for json_object)
+function prepareResponseFormat(responseFormat) {
+  if (!responseFormat || responseFormat.type === 'text' || responseFormat.type === 'json_object') {
+    return { validator: null };
+  }
+
+  if (responseFormat.type !== 'json_schema') {
+    return { error: `Unsupported response_format type: ${responseFormat.type}` };
+  }
+
+  const jsonSchema = responseFormat.json_schema;
+  if (!jsonSchema || typeof jsonSchema.schema !== 'object' || jsonSchema.schema === null) {
+    return { error: 'response_format.json_schema.schema must be a JSON Schema object' };
+  }
+
+  try {
+    return { validator: compileSchema(jsonSchema.schema) };
+  } catch (error) {
+    return { error: `Invalid JSON schema: ${error.message}` };
+  }
+}
+
+// Build the instruction appended to the device prompt
+function buildStructuredOutputInstructions(responseFormat) {
+  if (responseFormat.type === 'json_schema') {
+    const { name, description, schema } = responseFormat.json_schema;
+    let instructions = 'IMPORTANT: Respond with ONLY a valid JSON object that conforms to the following JSON Schema. Do not include any other text, markdown, or explanation.';
+    if (name) {
+      instructions += `\nSchema name: ${name}`;
+    }
+    if (description) {
+      instructions += `\nSchema description: ${description}`;
+    }
+    instructions += `\nJSON Schema: ${JSON.stringify(schema)}`;
+    return instructions;
+  }
+
+  return 'IMPORTANT: Respond with ONLY a valid JSON object. Do not include any other text, markdown, or explanation.';
+}
+
+// Parse and validate a device reply; returns { valid, json, errors }
+function checkStructuredResponse(text, responseFormat, validator) {
+  const cleanText = stripCodeFence(text);
+  let parsed;
+  try {
+    parsed = JSON.parse(cleanText);
+  } catch (error) {
+    return { valid: false, errors: [`Response is not valid JSON: ${error.message}`] };
+  }
+
+  if (responseFormat.type === 'json_object' && (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed))) {
+    return { valid: false, errors: ['Response must be a JSON object'] };
+  }
+
+  if (validator && !validator(parsed)) {
+    const errors = validator.errors.map(error => `${error.instancePath || '/'} ${error.message}`);
+    return { valid: false, errors };
+  }
+
+  return { valid: true, json: cleanText, errors: [] };
+}
+
+// Build the follow-up prompt asking the device to fix its previous reply
+function buildStructuredRetryPrompt(originalPrompt, previousResponse, errors) {
+  return `${originalPrompt}
+
+## CORRECTION REQUIRED
+
+Your previous response was rejected:
+${previousResponse}
+
+Validation errors:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Respond again with ONLY the corrected JSON.`;
+}
+
+module.exports = {
+  MAX_STRUCTURED_RETRIES,
+  isStructuredFormat,
+  prepareResponseFormat,
+  buildStructuredOutputInstructions,
+  checkStructuredResponse,
+  buildStructuredRetryPrompt
+};
@@ -0,0 +1,64 @@
+// Token usage estimates for API responses
+// The device does not report token counts, so usage is estimated locally with
+// a BPE tokenizer (gpt-tokenizer bundles its encodings, no network needed).
+// Another tokenizer can be plugged in with setTokenizer(text => count).
+
+// Rough fallback when the tokenizer rejects the input: ~4 characters per token
+function estimateByLength(text) {
+  return Math.ceil(text.length / 4);
+}
+
+// The encoder is loaded on first use, so modules that only import this file
+// (the socket handler, TTS routes) do not load the encodings or need TextDecoder
+let countBpeTokens = null;
+
+function defaultTokenizer(text) {
+  if (!countBpeTokens) {
+    countBpeTokens = require('gpt-tokenizer').countTokens;
+  }
+
+  try {
+    return countBpeTokens(text);
+  } catch (error) {
+    // Special token markers (e.g. <|endoftext|>) in user text are rejected by the encoder
+    return estimateByLength(text);
+  }
+}
+
+let tokenizer = defaultTokenizer;
+
+// Replace the tokenizer; pass nothing to restore the bundled one
+function setTokenizer(fn = defaultTokenizer) {
+  tokenizer = fn;
+}
+
+function countTokens(text) {
+  if (text === null || text === undefined || text === '') {
+    return 0;
+  }
+  return tokenizer(typeof text === 'string' ? text : JSON.stringify(text));
+}
+
+// OpenAI-style usage object for a prompt / completion pair
+function estimateUsage(prompt, completion) {
+  const promptTokens = countTokens(prompt);
+  const completionTokens = countTokens(completion);
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens
+  };
+}
+
+// Add a request's usage to the device's daily totals; failures are only logged
+// so accounting never breaks a response
+function recordUsage(database, deviceId, usage) {
+  if (!database || !deviceId) {
+    return Promise.resolve();
+  }
+
+  return database.recordTokenUsage(deviceId, usage.prompt_tokens, usage.completion_tokens)
+    .catch(error => console.error('Failed to record token usage:', error));
+}
+
+module.exports = { setTokenizer, countTokens, estimateUsage, recordUsage };
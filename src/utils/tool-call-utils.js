@@ -0,0 +1,152 @@
+// Utility functions for OpenAI tools / function calling on top of the device LLM
+// The R1 has no native function calling, so tool definitions are described in
+// the prompt and tool calls are parsed back out of the text reply.
+
+const { contentToText } = require('./message-content');
+const { parseJSONReply } = require('./json-reply');
+
+// Validate the `tools` array of a chat completion request; returns an error message or null
+function validateTools(tools) {
+  if (!Array.isArray(tools)) {
+    return 'tools must be an array';
+  }
+
+  for (const tool of tools) {
+    if (!tool || tool.type !== 'function' || !tool.function || typeof tool.function.name !== 'string' || !tool.function.name) {
+      return 'Each tool must have type "function" and a function.name';
+    }
+  }
+
+  return null;
+}
+
+// Resolve which tools the device may call for a given tool_choice
+function resolveToolChoice(tools, toolChoice) {
+  if (!tools || tools.length === 0 || toolChoice === 'none') {
+    return { tools: [], required: false };
+  }
+
+  if (toolChoice && typeof toolChoice === 'object' && toolChoice.function?.name) {
+    const forced = tools.filter(tool => tool.function.name === toolChoice.function.name);
+    return { tools: forced, required: forced.length > 0 };
+  }
+
+  return { tools, required: toolChoice === 'required' };
+}
+
+// Build the prompt block that describes the available tools to the device LLM
+function buildToolInstructions(tools, required = false) {
+  if (!tools || tools.length === 0) {
+    return '';
+  }
+
+  let instructions = '## AVAILABLE TOOLS\n\n';
+  for (const tool of tools) {
+    const { name, description, parameters } = tool.function;
+    instructions += `- ${name}${description ? `: ${description}` : ''}\n`;
+    if (parameters) {
+      instructions += `  Parameters (JSON Schema): ${JSON.stringify(parameters)}\n`;
+    }
+  }
+
+  instructions += '\nTo call one or more tools, respond with ONLY a JSON object in this exact format and nothing else:\n';
+  instructions += '{"tool_calls": [{"name": "tool_name", "arguments": {"param": "value"}}]}\n';
+  instructions += required
+    ? '\nYou MUST call one of the tools above.'
+    : '\nIf no tool is needed, answer the user normally in plain text.';
+
+  return instructions;
+}
+
+// Render a single message for the text conversation history sent to the device
+function formatHistoryMessage(msg) {
+  if (msg.role === 'user') {
+    return `User: ${contentToText(msg.content)}`;
+  }
+
+  if (msg.role === 'assistant') {
+    if (Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0) {
+      const calls = msg.tool_calls
+        .map(call => `${call.function?.name}(${call.function?.arguments || '{}'}) [id: ${call.id}]`)
+        .join(', ');
+      return `Assistant called tools: ${calls}`;
+    }
+    return `Assistant: ${contentToText(msg.content)}`;
+  }
+
+  if (msg.role === 'tool') {
+    const content = Array.isArray(msg.content) || typeof msg.content === 'string'
+      ? contentToText(msg.content)
+      : JSON.stringify(msg.content);
+    return `Tool result${msg.tool_call_id ? ` [id: ${msg.tool_call_id}]` : ''}: ${content}`;
+  }
+
+  return null;
+}
+
+function generateToolCallId() {
+  return `call_${Math.random().toString(36).substr(2, 12)}${Date.now().toString(36)}`;
+}
+
+// Parse tool calls out of a device reply; returns OpenAI-shaped tool_calls or null
+function parseToolCalls(text, tools) {
+  if (!text || !tools || tools.length === 0) {
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = parseJSONReply(text);
+  } catch (error) {
+    return null;
+  }
+
+  // Accept {"tool_calls": [...]}, {"tool_call": {...}} and a bare {"name", "arguments"}
+  let calls = null;
+  if (parsed && Array.isArray(parsed.tool_calls)) {
+    calls = parsed.tool_calls;
+  } else if (parsed && parsed.tool_call) {
+    calls = [parsed.tool_call];
+  } else if (parsed && typeof parsed.name === 'string' && 'arguments' in parsed) {
+    calls = [parsed];
+  }
+
+  if (!calls || calls.length === 0) {
+    return null;
+  }
+
+  const toolNames = new Set(tools.map(tool => tool.function.name));
+  const toolCalls = [];
+
+  for (const call of calls) {
+    // Tolerate the OpenAI nesting ({function: {name, arguments}}) as well
+    const name = call?.name || call?.function?.name;
+    if (!toolNames.has(name)) {
+      return null;
+    }
+
+    let args = call.arguments !== undefined ? call.arguments : call.function?.arguments;
+    if (args === undefined || args === null) {
+      args = {};
+    }
+
+    toolCalls.push({
+      id: generateToolCallId(),
+      type: 'function',
+      function: {
+        name,
+        arguments: typeof args === 'string' ? args : JSON.stringify(args)
+      }
+    });
+  }
+
+  return toolCalls;
+}
+
+module.exports = {
+  validateTools,
+  resolveToolChoice,
+  buildToolInstructions,
+  formatHistoryMessage,
+  parseToolCalls
+};